@@ -0,0 +1,131 @@
+/**
+ * Attachment Controller
+ * Request handlers for files attached to songs
+ */
+const attachments = require('../services/attachment.service');
+const { loadSong } = require('./song.controller');
+
+/**
+ * Load a song the current user may edit, or send the error response
+ * @param {Object} req
+ * @param {Object} res
+ * @returns {Promise<Object|null>} Song document, or null if a response was sent
+ */
+const loadEditableSong = async (req, res) => {
+  const song = await loadSong(req, res);
+  if (!song) return null;
+
+  if (!(await song.isEditableBy(req.user._id))) {
+    res.status(403).json({ success: false, message: 'You do not have permission to edit this song' });
+    return null;
+  }
+
+  return song;
+};
+
+/**
+ * Get the files attached to a song
+ * @route GET /api/songs/:id/attachments
+ */
+const getAttachments = async (req, res, next) => {
+  try {
+    const song = await loadSong(req, res);
+    if (!song) return;
+
+    res.status(200).json({ success: true, data: song.attachments });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Attach a file to a song
+ * @route POST /api/songs/:id/attachments
+ */
+const uploadAttachment = async (req, res, next) => {
+  try {
+    const song = await loadEditableSong(req, res);
+    if (!song) return;
+
+    const attachment = await attachments.addAttachment(song, req.user._id, req.file, req.body);
+
+    res.status(201).json({ success: true, data: attachment });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Upload a new version of an attachment
+ * @route POST /api/songs/:id/attachments/:attachmentId/versions
+ */
+const uploadAttachmentVersion = async (req, res, next) => {
+  try {
+    const song = await loadEditableSong(req, res);
+    if (!song) return;
+
+    const attachment = await attachments.addVersion(song, req.params.attachmentId, req.user._id, req.file);
+
+    res.status(201).json({ success: true, data: attachment });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download an attachment's file, the current version unless one is asked for
+ * A specific version never changes, so it may be cached for good.
+ * @route GET /api/songs/:id/attachments/:attachmentId/file?version=:number
+ */
+const downloadAttachment = async (req, res, next) => {
+  try {
+    const song = await loadSong(req, res);
+    if (!song) return;
+
+    const number = req.query.version === undefined ? undefined : Number(req.query.version);
+    if (number !== undefined && !Number.isInteger(number)) {
+      return res.status(400).json({ success: false, message: 'version must be a version number' });
+    }
+
+    const { version, buffer } = await attachments.getAttachmentFile(song, req.params.attachmentId, number);
+    const etag = `"${version.checksum}"`;
+
+    res.setHeader('ETag', etag);
+    res.setHeader('Cache-Control', number === undefined ? 'private, no-cache' : 'private, max-age=31536000, immutable');
+    if (req.headers['if-none-match'] === etag) {
+      return res.status(304).end();
+    }
+
+    res.setHeader('Content-Type', version.mimeType === 'text/plain' ? 'text/plain; charset=utf-8' : version.mimeType);
+    res.setHeader('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(version.fileName)}`);
+    res.setHeader('X-Attachment-Version', String(version.number));
+    res.status(200).send(buffer);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove an attachment and all its versions
+ * @route DELETE /api/songs/:id/attachments/:attachmentId
+ */
+const deleteAttachment = async (req, res, next) => {
+  try {
+    const song = await loadEditableSong(req, res);
+    if (!song) return;
+
+    await attachments.removeAttachment(song, req.params.attachmentId);
+
+    res.status(200).json({ success: true, data: {} });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAttachments,
+  uploadAttachment,
+  uploadAttachmentVersion,
+  downloadAttachment,
+  deleteAttachment
+};
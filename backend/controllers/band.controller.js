@@ -0,0 +1,251 @@
+/**
+ * Band Controller
+ * Request handlers for band membership and invitation routes
+ */
+const mongoose = require('mongoose');
+const Band = require('../models/band.model');
+const membership = require('../services/bandMembership.service');
+const bandRoles = require('../services/bandRoles.service');
+const { notifyInvitation } = require('../services/notification.service');
+
+/**
+ * Load a band the current user is a member of, or send the error response
+ * @param {Object} req
+ * @param {Object} res
+ * @returns {Promise<Object|null>} Band document, or null if a response was sent
+ */
+const loadBand = async (req, res) => {
+  const band = mongoose.Types.ObjectId.isValid(req.params.id) ? await Band.findById(req.params.id) : null;
+
+  if (!band || !band.hasMember(req.user._id)) {
+    res.status(404).json({ success: false, message: 'Band not found' });
+    return null;
+  }
+
+  return band;
+};
+
+/**
+ * List a band's pending invitations and join codes
+ * @route GET /api/bands/:id/invitations
+ */
+const getInvitations = async (req, res, next) => {
+  try {
+    const band = await loadBand(req, res);
+    if (!band) return;
+
+    const invitations = await membership.getBandInvitations(band, req.user._id);
+
+    res.status(200).json({ success: true, data: invitations });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Invite someone by email, or create a join code
+ * @route POST /api/bands/:id/invitations
+ */
+const createInvitation = async (req, res, next) => {
+  try {
+    const band = await loadBand(req, res);
+    if (!band) return;
+
+    const invitation = await membership.createInvitation(band, req.user._id, req.body);
+    notifyInvitation(invitation, band, req.user);
+
+    res.status(201).json({ success: true, data: invitation });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke a pending invitation or join code
+ * @route DELETE /api/bands/:id/invitations/:invitationId
+ */
+const revokeInvitation = async (req, res, next) => {
+  try {
+    const band = await loadBand(req, res);
+    if (!band) return;
+
+    const invitation = await membership.revokeInvitation(band, req.params.invitationId, req.user._id);
+
+    res.status(200).json({ success: true, data: invitation });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Leave a band
+ * @route POST /api/bands/:id/leave
+ */
+const leaveBand = async (req, res, next) => {
+  try {
+    const band = await loadBand(req, res);
+    if (!band) return;
+
+    await membership.leaveBand(band, req.user._id);
+
+    res.status(200).json({ success: true, message: 'You have left the band' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a member from a band
+ * @route DELETE /api/bands/:id/members/:userId
+ */
+const removeMember = async (req, res, next) => {
+  try {
+    const band = await loadBand(req, res);
+    if (!band) return;
+
+    const updated = await membership.removeMember(band, req.user._id, req.params.userId);
+
+    res.status(200).json({ success: true, data: updated });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Hand leadership of a band to another member
+ * @route POST /api/bands/:id/transfer-leadership
+ */
+const transferLeadership = async (req, res, next) => {
+  try {
+    const band = await loadBand(req, res);
+    if (!band) return;
+
+    const updated = await membership.transferLeadership(band, req.user._id, req.body.userId);
+
+    res.status(200).json({ success: true, data: updated });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's role and every permission they hold in a band
+ * @route GET /api/bands/:id/permissions
+ */
+const getMyPermissions = async (req, res, next) => {
+  try {
+    const band = await loadBand(req, res);
+    if (!band) return;
+
+    const member = band.getMember(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        role: member.role,
+        roleId: member.roleId,
+        permissions: band.getPermissions(req.user._id)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List a band's role templates
+ * @route GET /api/bands/:id/roles
+ */
+const getRoles = async (req, res, next) => {
+  try {
+    const band = await loadBand(req, res);
+    if (!band) return;
+
+    res.status(200).json({ success: true, data: bandRoles.getRoles(band) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a role template
+ * @route POST /api/bands/:id/roles
+ */
+const createRole = async (req, res, next) => {
+  try {
+    const band = await loadBand(req, res);
+    if (!band) return;
+
+    const updated = await bandRoles.createRole(band, req.user._id, req.body);
+
+    res.status(201).json({ success: true, data: bandRoles.getRoles(updated) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rename a role template or change its permissions
+ * @route PUT /api/bands/:id/roles/:roleId
+ */
+const updateRole = async (req, res, next) => {
+  try {
+    const band = await loadBand(req, res);
+    if (!band) return;
+
+    const updated = await bandRoles.updateRole(band, req.user._id, req.params.roleId, req.body);
+
+    res.status(200).json({ success: true, data: bandRoles.getRoles(updated) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a role template
+ * @route DELETE /api/bands/:id/roles/:roleId
+ */
+const deleteRole = async (req, res, next) => {
+  try {
+    const band = await loadBand(req, res);
+    if (!band) return;
+
+    const updated = await bandRoles.deleteRole(band, req.user._id, req.params.roleId);
+
+    res.status(200).json({ success: true, data: bandRoles.getRoles(updated) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change a member's role template or individual permissions
+ * @route PUT /api/bands/:id/members/:userId
+ */
+const updateMember = async (req, res, next) => {
+  try {
+    const band = await loadBand(req, res);
+    if (!band) return;
+
+    const updated = await bandRoles.updateMember(band, req.user._id, req.params.userId, req.body);
+
+    res.status(200).json({ success: true, data: updated });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMyPermissions,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  updateMember,
+  getInvitations,
+  createInvitation,
+  revokeInvitation,
+  leaveBand,
+  removeMember,
+  transferLeadership
+};
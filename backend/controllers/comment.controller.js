@@ -0,0 +1,225 @@
+/**
+ * Comment Controller
+ * Request handlers for comment threads on songs and setlist entries
+ */
+const Comment = require('../models/comment.model');
+const comments = require('../services/comment.service');
+const { loadSong } = require('./song.controller');
+const { loadSetlist } = require('./setlist.controller');
+const { broadcastComment, deliverMentions } = require('../sockets/comment.socket');
+const { notifyMentions } = require('../services/notification.service');
+
+/**
+ * Load a comment on a song or setlist the current user can see, or send the error response
+ * @param {Object} req
+ * @param {Object} res
+ * @returns {Promise<{comment: Object, resource: Object}|null>} The comment and its song or setlist, or null if a response was sent
+ */
+const loadComment = async (req, res) => {
+  const comment = await Comment.findById(req.params.id);
+  const resource = comment ? await comments.getCommentResource(comment) : null;
+
+  if (!resource || !(await resource.isAccessibleBy(req.user._id))) {
+    res.status(404).json({ success: false, message: 'Comment not found' });
+    return null;
+  }
+
+  return { comment, resource };
+};
+
+/**
+ * Read the `resolved` query parameter
+ * @param {Object} req
+ * @returns {boolean|undefined} undefined for all threads
+ */
+const getResolvedFilter = (req) => {
+  if (req.query.resolved === 'true') return true;
+  if (req.query.resolved === 'false') return false;
+  return undefined;
+};
+
+/**
+ * Post a new comment and deliver it to everyone following the discussion
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Object} target - { song } or { setlist, entryId }
+ */
+const postComment = async (req, res, target) => {
+  const comment = await comments.createComment(req.user._id, target, req.body);
+  const io = req.app.get('io');
+
+  broadcastComment(io, 'comment-created', comment);
+  deliverMentions(io, comment, comment.mentions.map(user => user._id));
+  notifyMentions(comment, comment.mentions.map(user => user._id));
+
+  res.status(201).json({ success: true, data: comment });
+};
+
+/**
+ * Get the comment threads on a song
+ * @route GET /api/songs/:id/comments?resolved=:resolved
+ */
+const getSongComments = async (req, res, next) => {
+  try {
+    const song = await loadSong(req, res);
+    if (!song) return;
+
+    res.status(200).json({ success: true, data: await comments.getThreads({ song }, { resolved: getResolvedFilter(req) }) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Comment on a song, or reply to a thread on it
+ * @route POST /api/songs/:id/comments
+ */
+const createSongComment = async (req, res, next) => {
+  try {
+    const song = await loadSong(req, res);
+    if (!song) return;
+
+    await postComment(req, res, { song });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the comment threads on every entry of a setlist
+ * @route GET /api/setlists/:id/comments?resolved=:resolved
+ */
+const getSetlistComments = async (req, res, next) => {
+  try {
+    const setlist = await loadSetlist(req, res);
+    if (!setlist) return;
+
+    res.status(200).json({ success: true, data: await comments.getThreads({ setlist }, { resolved: getResolvedFilter(req) }) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the comment threads on one setlist entry
+ * @route GET /api/setlists/:id/entries/:entryId/comments?resolved=:resolved
+ */
+const getEntryComments = async (req, res, next) => {
+  try {
+    const setlist = await loadSetlist(req, res);
+    if (!setlist) return;
+
+    const target = { setlist, entryId: req.params.entryId };
+    res.status(200).json({ success: true, data: await comments.getThreads(target, { resolved: getResolvedFilter(req) }) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Comment on a setlist entry, or reply to a thread on it
+ * @route POST /api/setlists/:id/entries/:entryId/comments
+ */
+const createEntryComment = async (req, res, next) => {
+  try {
+    const setlist = await loadSetlist(req, res);
+    if (!setlist) return;
+
+    await postComment(req, res, { setlist, entryId: req.params.entryId });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Edit a comment
+ * @route PUT /api/comments/:id
+ */
+const updateComment = async (req, res, next) => {
+  try {
+    const loaded = await loadComment(req, res);
+    if (!loaded) return;
+
+    const { comment, newMentions } = await comments.updateComment(req.user._id, loaded.comment, loaded.resource, req.body);
+    const io = req.app.get('io');
+
+    broadcastComment(io, 'comment-updated', comment);
+    deliverMentions(io, comment, newMentions);
+    notifyMentions(comment, newMentions);
+
+    res.status(200).json({ success: true, data: comment });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a comment, or a whole thread
+ * @route DELETE /api/comments/:id
+ */
+const deleteComment = async (req, res, next) => {
+  try {
+    const loaded = await loadComment(req, res);
+    if (!loaded) return;
+
+    const { comment, resource } = loaded;
+    const deletedIds = await comments.deleteComment(req.user._id, comment, resource);
+
+    broadcastComment(req.app.get('io'), 'comment-deleted', comment, {
+      commentIds: deletedIds,
+      threadId: comment.getThreadId(),
+      targetType: comment.targetType,
+      songId: comment.songId,
+      setlistId: comment.setlistId,
+      entryId: comment.entryId
+    });
+
+    res.status(200).json({ success: true, data: { commentIds: deletedIds } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Build a handler that resolves or reopens a thread
+ * @param {boolean} resolved
+ * @returns {Function}
+ */
+const threadStatusHandler = resolved => async (req, res, next) => {
+  try {
+    const loaded = await loadComment(req, res);
+    if (!loaded) return;
+
+    const comment = await comments.setResolved(req.user._id, loaded.comment, loaded.resource, resolved);
+
+    broadcastComment(req.app.get('io'), 'comment-updated', comment);
+
+    res.status(200).json({ success: true, data: comment });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Resolve a thread
+ * @route POST /api/comments/:id/resolve
+ */
+const resolveComment = threadStatusHandler(true);
+
+/**
+ * Reopen a resolved thread
+ * @route POST /api/comments/:id/unresolve
+ */
+const unresolveComment = threadStatusHandler(false);
+
+module.exports = {
+  getSongComments,
+  createSongComment,
+  getSetlistComments,
+  getEntryComments,
+  createEntryComment,
+  updateComment,
+  deleteComment,
+  resolveComment,
+  unresolveComment
+};
@@ -0,0 +1,230 @@
+/**
+ * Event Controller
+ * Request handlers for gigs and rehearsals, .ics import and calendar feeds
+ */
+const events = require('../services/event.service');
+const calendar = require('../services/calendar.service');
+const { EVENT_TYPES, EVENT_STATUSES } = require('../models/event.model');
+const { broadcastSetlist } = require('../sockets/setlist.socket');
+const { notifySetlistChanged } = require('../services/notification.service');
+
+/**
+ * Send the setlists a gig rescheduled to everyone viewing them
+ * @param {Object} req
+ * @param {Array<Object>} setlists
+ */
+const announceSetlists = (req, setlists) => {
+  setlists.forEach((setlist) => {
+    broadcastSetlist(req.app.get('io'), setlist);
+    notifySetlistChanged(setlist, req.user._id);
+  });
+};
+
+/**
+ * Read an optional date from the query string, or send the error response
+ * @param {Object} req
+ * @param {Object} res
+ * @param {string} name
+ * @returns {Date|null|false} The date, null if not given, or false if a response was sent
+ */
+const getQueryDate = (req, res, name) => {
+  if (!req.query[name]) return null;
+
+  const date = new Date(req.query[name]);
+  if (Number.isNaN(date.getTime())) {
+    res.status(400).json({ success: false, message: `${name} must be a date` });
+    return false;
+  }
+
+  return date;
+};
+
+/**
+ * Get the events on the current user's calendar, or on one band's
+ * @route GET /api/events?bandId=:bandId&from=:date&to=:date&type=:type&status=:status
+ */
+const getEvents = async (req, res, next) => {
+  try {
+    const from = getQueryDate(req, res, 'from');
+    if (from === false) return;
+    const to = getQueryDate(req, res, 'to');
+    if (to === false) return;
+
+    const { type, status } = req.query;
+    if (type && !EVENT_TYPES.includes(type)) {
+      return res.status(400).json({ success: false, message: `type must be one of: ${EVENT_TYPES.join(', ')}` });
+    }
+    if (status && !EVENT_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `status must be one of: ${EVENT_STATUSES.join(', ')}` });
+    }
+
+    const data = await events.getEvents(req.user._id, { bandId: req.query.bandId || null, from, to, type, status });
+
+    res.status(200).json({ success: true, count: data.length, data });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get an event
+ * @route GET /api/events/:id
+ */
+const getEvent = async (req, res, next) => {
+  try {
+    const event = await events.getEvent(req.params.id, req.user._id);
+
+    res.status(200).json({ success: true, data: event });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Schedule a gig or rehearsal
+ * @route POST /api/events
+ */
+const createEvent = async (req, res, next) => {
+  try {
+    const { event, setlist } = await events.createEvent(req.user._id, req.body);
+    if (setlist) announceSetlists(req, [setlist]);
+
+    res.status(201).json({ success: true, data: event });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change an event
+ * @route PUT /api/events/:id
+ */
+const updateEvent = async (req, res, next) => {
+  try {
+    const existing = await events.getEvent(req.params.id, req.user._id, { manage: true });
+    const { event, setlist } = await events.updateEvent(existing, req.user._id, req.body);
+    if (setlist) announceSetlists(req, [setlist]);
+
+    res.status(200).json({ success: true, data: event });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete an event; its setlist keeps the date and venue it had
+ * @route DELETE /api/events/:id
+ */
+const deleteEvent = async (req, res, next) => {
+  try {
+    const event = await events.getEvent(req.params.id, req.user._id, { manage: true });
+    await event.deleteOne();
+
+    res.status(200).json({ success: true, data: {} });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Import the events of an .ics file, uploaded or sent as text
+ * @route POST /api/events/import
+ */
+const importEvents = async (req, res, next) => {
+  try {
+    const text = req.file ? req.file.buffer.toString('utf8') : req.body.ics;
+    if (!text || typeof text !== 'string') {
+      return res.status(400).json({ success: false, message: 'Upload an .ics file in the file field, or send its contents as ics' });
+    }
+
+    const { setlists, ...result } = await calendar.importCalendar(req.user._id, {
+      text,
+      bandId: req.body.bandId || null,
+      type: req.body.type,
+      timeZone: req.body.timeZone
+    });
+    announceSetlists(req, setlists);
+
+    res.status(201).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the current user's calendar feeds
+ * @route GET /api/calendar/feeds
+ */
+const getCalendarFeeds = async (req, res, next) => {
+  try {
+    const feeds = await calendar.getFeeds(req.user._id);
+
+    res.status(200).json({ success: true, count: feeds.length, data: feeds.map(feed => feed.getSummary()) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a calendar feed; its subscription URL is only shown in this response
+ * @route POST /api/calendar/feeds
+ */
+const createCalendarFeed = async (req, res, next) => {
+  try {
+    const { feed, token, url, webcalUrl } = await calendar.createFeed(req.user._id, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: { ...feed.getSummary(), token, url, webcalUrl }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke one of the current user's calendar feeds
+ * @route DELETE /api/calendar/feeds/:id
+ */
+const revokeCalendarFeed = async (req, res, next) => {
+  try {
+    await calendar.revokeFeed(req.params.id, req.user._id);
+
+    res.status(200).json({ success: true, data: {} });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Serve a calendar feed to calendar apps; the token in the URL is the only credential
+ * @route GET /api/calendar/:token.ics
+ */
+const getCalendarFeed = async (req, res, next) => {
+  try {
+    const feed = await calendar.getFeedCalendar(req.params.token);
+    if (!feed) {
+      return res.status(404).json({ success: false, message: 'Calendar feed not found' });
+    }
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="calendar.ics"');
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.status(200).send(feed.calendar);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getEvents,
+  getEvent,
+  createEvent,
+  updateEvent,
+  deleteEvent,
+  importEvents,
+  getCalendarFeeds,
+  createCalendarFeed,
+  revokeCalendarFeed,
+  getCalendarFeed
+};
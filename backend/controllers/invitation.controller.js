@@ -0,0 +1,95 @@
+/**
+ * Invitation Controller
+ * Request handlers for the current user's band invitations
+ */
+const mongoose = require('mongoose');
+const Invitation = require('../models/invitation.model');
+const membership = require('../services/bandMembership.service');
+
+/**
+ * Load an email invitation sent to the current user, or send the error response
+ * @param {Object} req
+ * @param {Object} res
+ * @returns {Promise<Object|null>} Invitation document, or null if a response was sent
+ */
+const loadInvitation = async (req, res) => {
+  const invitation = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Invitation.findById(req.params.id)
+    : null;
+
+  if (!invitation || !invitation.isFor(req.user)) {
+    res.status(404).json({ success: false, message: 'Invitation not found' });
+    return null;
+  }
+
+  return invitation;
+};
+
+/**
+ * List invitations waiting for the current user
+ * @route GET /api/invitations
+ */
+const getMyInvitations = async (req, res, next) => {
+  try {
+    const invitations = await membership.getInvitationsFor(req.user);
+
+    res.status(200).json({ success: true, data: invitations });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Accept an invitation and join its band
+ * @route POST /api/invitations/:id/accept
+ */
+const acceptInvitation = async (req, res, next) => {
+  try {
+    const invitation = await loadInvitation(req, res);
+    if (!invitation) return;
+
+    const band = await membership.acceptInvitation(invitation, req.user);
+
+    res.status(200).json({ success: true, data: band });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Decline an invitation
+ * @route POST /api/invitations/:id/decline
+ */
+const declineInvitation = async (req, res, next) => {
+  try {
+    const invitation = await loadInvitation(req, res);
+    if (!invitation) return;
+
+    const declined = await membership.declineInvitation(invitation);
+
+    res.status(200).json({ success: true, data: declined });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Join a band with a join code
+ * @route POST /api/invitations/join
+ */
+const joinWithCode = async (req, res, next) => {
+  try {
+    const band = await membership.joinWithCode(req.body.code, req.user);
+
+    res.status(200).json({ success: true, data: band });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+  joinWithCode
+};
@@ -0,0 +1,125 @@
+/**
+ * Notification Controller
+ * Request handlers for the notification center and notification settings
+ */
+const notifications = require('../services/notification.service');
+
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Get the current user's notifications, newest first
+ * @route GET /api/notifications?unread=:unread&before=:date&limit=:limit
+ */
+const getNotifications = async (req, res, next) => {
+  try {
+    const limit = Number(req.query.limit || 50);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return res.status(400).json({ success: false, message: `limit must be a whole number between 1 and ${MAX_PAGE_SIZE}` });
+    }
+
+    const before = req.query.before ? new Date(req.query.before) : null;
+    if (before && Number.isNaN(before.getTime())) {
+      return res.status(400).json({ success: false, message: 'before must be a date' });
+    }
+
+    const data = await notifications.getNotifications(req.user._id, {
+      unread: req.query.unread === 'true',
+      before,
+      limit
+    });
+
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark a notification as read
+ * @route POST /api/notifications/:id/read
+ */
+const markRead = async (req, res, next) => {
+  try {
+    const marked = await notifications.markRead(req.user._id, req.params.id);
+
+    res.status(200).json({ success: true, data: { marked } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark all of the current user's notifications as read
+ * @route POST /api/notifications/read-all
+ */
+const markAllRead = async (req, res, next) => {
+  try {
+    const marked = await notifications.markRead(req.user._id);
+
+    res.status(200).json({ success: true, data: { marked } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's notification settings
+ * @route GET /api/notifications/preferences
+ */
+const getPreferences = async (req, res, next) => {
+  try {
+    res.status(200).json({ success: true, data: await notifications.getPreferences(req.user._id) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change the current user's notification settings
+ * @route PUT /api/notifications/preferences
+ */
+const updatePreferences = async (req, res, next) => {
+  try {
+    res.status(200).json({ success: true, data: await notifications.updatePreferences(req.user._id, req.body) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Receive web push notifications in this browser
+ * @route POST /api/notifications/push-subscriptions
+ */
+const addPushSubscription = async (req, res, next) => {
+  try {
+    await notifications.addPushSubscription(req.user._id, req.body, req.get('user-agent') || '');
+
+    res.status(201).json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Stop web push notifications in a browser
+ * @route DELETE /api/notifications/push-subscriptions
+ */
+const removePushSubscription = async (req, res, next) => {
+  try {
+    await notifications.removePushSubscription(req.user._id, req.body.endpoint);
+
+    res.status(200).json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getNotifications,
+  markRead,
+  markAllRead,
+  getPreferences,
+  updatePreferences,
+  addPushSubscription,
+  removePushSubscription
+};
@@ -0,0 +1,298 @@
+/**
+ * Performance Controller
+ * Request handlers for live performance routes
+ */
+const mongoose = require('mongoose');
+const Performance = require('../models/performance.model');
+const Setlist = require('../models/setlist.model');
+const Band = require('../models/band.model');
+const performanceService = require('../services/performance.service');
+const analytics = require('../services/performanceAnalytics.service');
+const venueService = require('../services/venue.service');
+const { broadcastPerformance, announcePerformance } = require('../sockets/performance.socket');
+const { can, getBandIdsWith } = require('../utils/authorization');
+
+/**
+ * Load a performance of a setlist the current user can access, or send the error response
+ * @param {Object} req
+ * @param {Object} res
+ * @returns {Promise<Object|null>} Performance document, or null if a response was sent
+ */
+const loadPerformance = async (req, res) => {
+  const performance = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Performance.findById(req.params.id)
+    : null;
+  const setlist = performance ? await Setlist.findById(performance.setlistId) : null;
+
+  if (!setlist || !(await setlist.isAccessibleBy(req.user._id))) {
+    res.status(404).json({ success: false, message: 'Performance not found' });
+    return null;
+  }
+
+  return performance;
+};
+
+/**
+ * Load a setlist the current user can access by ID, or send the error response
+ * @param {Object} res
+ * @param {string} setlistId
+ * @param {string} userId
+ * @returns {Promise<Object|null>} Setlist document, or null if a response was sent
+ */
+const findAccessibleSetlist = async (res, setlistId, userId) => {
+  const setlist = mongoose.Types.ObjectId.isValid(setlistId) ? await Setlist.findById(setlistId) : null;
+
+  if (!setlist || !(await setlist.isAccessibleBy(userId))) {
+    res.status(404).json({ success: false, message: 'Setlist not found' });
+    return null;
+  }
+
+  return setlist;
+};
+
+/**
+ * Work out whose gigs analytics cover (a band's, or the user's own), or send the error response
+ * @param {Object} req
+ * @param {Object} res
+ * @param {string|null} [defaultBandId] - Band to use when none is requested
+ * @returns {Promise<Object|null>} Scope for the analytics service, or null if a response was sent
+ */
+const resolveAnalyticsScope = async (req, res, defaultBandId = null) => {
+  const bandId = req.query.bandId || defaultBandId;
+  const from = req.query.from ? new Date(req.query.from) : undefined;
+  const to = req.query.to ? new Date(req.query.to) : undefined;
+
+  if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))) {
+    res.status(400).json({ success: false, message: 'from and to must be dates' });
+    return null;
+  }
+
+  if (bandId) {
+    const band = mongoose.Types.ObjectId.isValid(bandId) ? await Band.findById(bandId) : null;
+    if (!band || !band.hasMember(req.user._id)) {
+      res.status(404).json({ success: false, message: 'Band not found' });
+      return null;
+    }
+    if (!(await can(req.user._id, 'view', band))) {
+      res.status(403).json({ success: false, message: 'You do not have permission to see this band\'s analytics' });
+      return null;
+    }
+  }
+
+  return { userId: req.user._id, bandId: bandId ? bandId.toString() : null, from, to };
+};
+
+/**
+ * Start a live performance of a setlist
+ * @route POST /api/performances
+ */
+const startPerformance = async (req, res, next) => {
+  try {
+    const setlist = await findAccessibleSetlist(res, req.body.setlistId, req.user._id);
+    if (!setlist) return;
+
+    if (!(await can(req.user._id, 'manage_performances', setlist))) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to perform this setlist' });
+    }
+
+    const performance = await performanceService.startPerformance(setlist, req.user._id);
+    announcePerformance(req.app.get('io'), performance);
+
+    res.status(201).json({ success: true, data: performance.getState() });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Record a gig that was played without running it live
+ * @route POST /api/performances/log
+ */
+const logPerformance = async (req, res, next) => {
+  try {
+    const setlist = await findAccessibleSetlist(res, req.body.setlistId, req.user._id);
+    if (!setlist) return;
+
+    if (!(await can(req.user._id, 'manage_performances', setlist))) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to log this setlist' });
+    }
+
+    const { date, venue, playedEntryIds } = req.body;
+    const gigDate = date ? new Date(date) : undefined;
+
+    if (gigDate && Number.isNaN(gigDate.getTime())) {
+      return res.status(400).json({ success: false, message: 'date must be a date' });
+    }
+    if (playedEntryIds !== undefined && !Array.isArray(playedEntryIds)) {
+      return res.status(400).json({ success: false, message: 'playedEntryIds must be an array of setlist entry IDs' });
+    }
+
+    const performance = await performanceService.logPerformance(setlist, req.user._id, {
+      date: gigDate,
+      venue,
+      playedEntryIds
+    });
+
+    res.status(201).json({ success: true, data: performance });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List performances of a setlist, of a band, or of the current user and their bands
+ * @route GET /api/performances?setlistId=:setlistId&bandId=:bandId&status=:status
+ */
+const getPerformances = async (req, res, next) => {
+  try {
+    const { setlistId, bandId, status } = req.query;
+    const query = {};
+
+    if (setlistId) {
+      const setlist = await findAccessibleSetlist(res, setlistId, req.user._id);
+      if (!setlist) return;
+      query.setlistId = setlist._id;
+    } else if (bandId) {
+      const band = mongoose.Types.ObjectId.isValid(bandId) ? await Band.findById(bandId) : null;
+      if (!band || !(await can(req.user._id, 'perform', band))) {
+        return res.status(404).json({ success: false, message: 'Band not found' });
+      }
+      query.bandId = band._id;
+    } else {
+      const bandIds = await getBandIdsWith(req.user._id, 'perform');
+      query.$or = [{ startedBy: req.user._id }, { bandId: { $in: bandIds } }];
+    }
+
+    if (status) query.status = status;
+
+    const performances = await Performance.find(query)
+      .select('-entries')
+      .sort({ date: -1 });
+
+    res.status(200).json({ success: true, data: performances });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a performance with its "now playing" state
+ * @route GET /api/performances/:id
+ */
+const getPerformance = async (req, res, next) => {
+  try {
+    const performance = await loadPerformance(req, res);
+    if (!performance) return;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...performance.getState(),
+        canControl: await performanceService.canControl(performance, req.user._id)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Apply a leader control action (next, skip, jump, addSong, setLeader, end)
+ * REST counterpart of the performance-action socket event.
+ * @route POST /api/performances/:id/actions
+ */
+const performAction = async (req, res, next) => {
+  try {
+    const existing = await loadPerformance(req, res);
+    if (!existing) return;
+
+    const { performance, changed } = await performanceService.applyAction({
+      performanceId: existing._id,
+      userId: req.user._id,
+      action: req.body
+    });
+
+    if (changed) {
+      broadcastPerformance(req.app.get('io'), performance);
+    }
+
+    res.status(200).json({ success: true, data: { changed, state: performance.getState() } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * How often each song was played, when last, and its average actual vs planned duration
+ * @route GET /api/performances/analytics/songs?bandId=:bandId&from=:date&to=:date
+ */
+const getSongStats = async (req, res, next) => {
+  try {
+    const scope = await resolveAnalyticsScope(req, res);
+    if (!scope) return;
+
+    res.status(200).json({ success: true, data: await analytics.getSongStats(scope) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Songs not played in the last N gigs
+ * @route GET /api/performances/analytics/unplayed?gigs=:count&bandId=:bandId
+ */
+const getUnplayedSongs = async (req, res, next) => {
+  try {
+    const gigs = Number(req.query.gigs || 5);
+    if (!Number.isInteger(gigs) || gigs < 1 || gigs > 100) {
+      return res.status(400).json({ success: false, message: 'gigs must be a whole number between 1 and 100' });
+    }
+
+    const scope = await resolveAnalyticsScope(req, res);
+    if (!scope) return;
+
+    res.status(200).json({ success: true, data: await analytics.getUnplayedSongs(scope, gigs) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * What was played at a venue last time, and which songs of a planned setlist would repeat it
+ * @route GET /api/performances/analytics/venue?venue=:venue&venueId=:venueId&setlistId=:setlistId&bandId=:bandId
+ */
+const getVenueHistory = async (req, res, next) => {
+  try {
+    let setlist = null;
+    if (req.query.setlistId) {
+      setlist = await findAccessibleSetlist(res, req.query.setlistId, req.user._id);
+      if (!setlist) return;
+    }
+
+    const venueId = req.query.venueId || (!req.query.venue && setlist && setlist.venueId);
+    const venue = venueId
+      ? await venueService.getVenue(venueId, req.user._id)
+      : req.query.venue || (setlist && setlist.venue);
+    if (!venue) {
+      return res.status(400).json({ success: false, message: 'venue or venueId is required' });
+    }
+
+    const scope = await resolveAnalyticsScope(req, res, setlist && setlist.bandId);
+    if (!scope) return;
+
+    res.status(200).json({ success: true, data: await analytics.getLastAtVenue(scope, venue, setlist) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  startPerformance,
+  logPerformance,
+  getPerformances,
+  getPerformance,
+  performAction,
+  getSongStats,
+  getUnplayedSongs,
+  getVenueHistory
+};
@@ -0,0 +1,343 @@
+/**
+ * Setlist Controller
+ * Request handlers for setlist routes
+ */
+const Setlist = require('../models/setlist.model');
+const { diffVersions } = require('../services/setlistDiff.service');
+const setlistGenerator = require('../services/setlistGenerator.service');
+const templates = require('../services/setlistTemplate.service');
+const { buildSetlistCharts } = require('../services/chart.service');
+const { LAYOUTS, renderSetlistPdf } = require('../services/pdfExport.service');
+const { broadcastSetlist } = require('../sockets/setlist.socket');
+const { notifySetlistChanged } = require('../services/notification.service');
+const { VersionConflictError } = require('../utils/errors');
+const { can } = require('../utils/authorization');
+
+// Fields clients may change through a setlist update
+const UPDATABLE_FIELDS = ['title', 'description', 'date', 'venue', 'venueId', 'isPublic', 'sets', 'targetDuration', 'songGap'];
+
+// What a permission lets a user do with a setlist, for error messages
+const PERMISSION_ACTIONS = {
+  view: 'see the history of',
+  edit_setlists: 'edit',
+  export: 'export'
+};
+
+/**
+ * Load a setlist the current user can access, or send the error response
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Object} [options]
+ * @param {string} [options.permission] - Permission required beyond read access (e.g. edit_setlists)
+ * @returns {Promise<Object|null>} Setlist document, or null if a response was sent
+ */
+const loadSetlist = async (req, res, { permission = null } = {}) => {
+  const setlist = await Setlist.findById(req.params.id);
+
+  if (!setlist || !(await setlist.isAccessibleBy(req.user._id))) {
+    res.status(404).json({ success: false, message: 'Setlist not found' });
+    return null;
+  }
+
+  if (permission && !(await can(req.user._id, permission, setlist))) {
+    res.status(403).json({ success: false, message: `You do not have permission to ${PERMISSION_ACTIONS[permission]} this setlist` });
+    return null;
+  }
+
+  return setlist;
+};
+
+/**
+ * Read the client's base version from the request body, or send the error response
+ * @param {Object} req
+ * @param {Object} res
+ * @returns {number|null} Base version, or null if a response was sent
+ */
+const getBaseVersion = (req, res) => {
+  const baseVersion = Number(req.body.baseVersion);
+
+  if (!Number.isInteger(baseVersion) || baseVersion < 1) {
+    res.status(400).json({ success: false, message: 'baseVersion is required' });
+    return null;
+  }
+
+  return baseVersion;
+};
+
+/**
+ * Send a conflict response with the current server state for the client to merge or reload
+ * @param {Object} res
+ * @param {VersionConflictError} error
+ * @param {string} setlistId
+ */
+const sendVersionConflict = async (res, error, setlistId) => {
+  const current = await Setlist.findById(setlistId);
+
+  res.status(409).json({
+    success: false,
+    message: error.message,
+    data: {
+      baseVersion: error.baseVersion,
+      currentVersion: current ? current.version : error.currentVersion,
+      setlist: current
+    }
+  });
+};
+
+/**
+ * Generate a setlist from the user's (and optionally their band's) song library
+ * @route POST /api/setlists/generate
+ */
+const generateSetlist = async (req, res, next) => {
+  try {
+    const { setlist, score, constraints, seed } = await setlistGenerator.generateSetlist(req.user._id, req.body);
+
+    res.status(req.body.save === false ? 200 : 201).json({
+      success: true,
+      data: {
+        setlist,
+        score,
+        constraints,
+        seed,
+        budget: setlist.getBudgetReport()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a setlist, provided the client's base version is still current
+ * @route PUT /api/setlists/:id
+ */
+const updateSetlist = async (req, res, next) => {
+  try {
+    const baseVersion = getBaseVersion(req, res);
+    if (baseVersion === null) return;
+
+    const setlist = await loadSetlist(req, res, { permission: 'edit_setlists' });
+    if (!setlist) return;
+
+    const changed = UPDATABLE_FIELDS.filter(field => req.body[field] !== undefined);
+    changed.forEach((field) => {
+      setlist[field] = req.body[field];
+    });
+
+    try {
+      await setlist.saveVersion(baseVersion, req.user._id, req.body.changes || `Updated ${changed.join(', ')}`);
+    } catch (error) {
+      if (!(error instanceof VersionConflictError)) throw error;
+      return await sendVersionConflict(res, error, req.params.id);
+    }
+
+    broadcastSetlist(req.app.get('io'), setlist);
+    notifySetlistChanged(setlist, req.user._id);
+
+    res.status(200).json({ success: true, data: setlist });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get how the sets and the show fit their time budgets
+ * @route GET /api/setlists/:id/budget
+ */
+const getBudget = async (req, res, next) => {
+  try {
+    const setlist = await loadSetlist(req, res);
+    if (!setlist) return;
+
+    res.status(200).json({ success: true, data: setlist.getBudgetReport() });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get chord charts for every song, transposed to the key it is played in
+ * @route GET /api/setlists/:id/charts
+ */
+const getCharts = async (req, res, next) => {
+  try {
+    const setlist = await loadSetlist(req, res);
+    if (!setlist) return;
+
+    const sets = await buildSetlistCharts(setlist, { capo: req.query.capo === 'true' });
+
+    res.status(200).json({ success: true, data: { setlistId: setlist._id, version: setlist.version, sets } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Export a setlist as a PDF
+ * @route GET /api/setlists/:id/export.pdf?layout=stage|band|multiup
+ */
+const exportPdf = async (req, res, next) => {
+  try {
+    const setlist = await loadSetlist(req, res, { permission: 'export' });
+    if (!setlist) return;
+
+    const layout = req.query.layout || 'stage';
+    if (!LAYOUTS.includes(layout)) {
+      return res.status(400).json({ success: false, message: `layout must be one of: ${LAYOUTS.join(', ')}` });
+    }
+
+    const doc = await renderSetlistPdf(setlist, layout);
+    const filename = `${setlist.title.replace(/[^\w-]+/g, '-').toLowerCase()}-${layout}.pdf`;
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    doc.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the version history of a setlist (without snapshots)
+ * @route GET /api/setlists/:id/versions
+ */
+const getVersions = async (req, res, next) => {
+  try {
+    const setlist = await loadSetlist(req, res, { permission: 'view' });
+    if (!setlist) return;
+
+    const versions = await setlist.getVersions();
+
+    res.status(200).json({ success: true, data: versions });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the snapshot of a single version
+ * @route GET /api/setlists/:id/versions/:version
+ */
+const getVersion = async (req, res, next) => {
+  try {
+    const setlist = await loadSetlist(req, res, { permission: 'view' });
+    if (!setlist) return;
+
+    const version = await setlist.getVersion(req.params.version);
+    if (!version || !version.snapshot) {
+      return res.status(404).json({ success: false, message: 'Version not found' });
+    }
+
+    res.status(200).json({ success: true, data: version });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Diff two versions of a setlist
+ * @route GET /api/setlists/:id/diff?from=:from&to=:to
+ */
+const getDiff = async (req, res, next) => {
+  try {
+    const setlist = await loadSetlist(req, res, { permission: 'view' });
+    if (!setlist) return;
+
+    const from = await setlist.getVersion(req.query.from);
+    const to = await setlist.getVersion(req.query.to || setlist.version);
+
+    if (!from || !to || !from.snapshot || !to.snapshot) {
+      return res.status(404).json({ success: false, message: 'Version not found' });
+    }
+
+    res.status(200).json({ success: true, data: diffVersions(from, to) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Restore a previous version as a new version
+ * @route POST /api/setlists/:id/versions/:version/restore
+ */
+const restoreVersion = async (req, res, next) => {
+  try {
+    const baseVersion = getBaseVersion(req, res);
+    if (baseVersion === null) return;
+
+    const setlist = await loadSetlist(req, res, { permission: 'edit_setlists' });
+    if (!setlist) return;
+
+    const version = await setlist.getVersion(req.params.version);
+    if (!version || !version.snapshot) {
+      return res.status(404).json({ success: false, message: 'Version not found' });
+    }
+
+    setlist.title = version.snapshot.title;
+    setlist.sets = version.snapshot.sets;
+    try {
+      await setlist.saveVersion(baseVersion, req.user._id, `Restored version ${version.version}`, version.version);
+    } catch (error) {
+      if (!(error instanceof VersionConflictError)) throw error;
+      return await sendVersionConflict(res, error, req.params.id);
+    }
+
+    broadcastSetlist(req.app.get('io'), setlist);
+    notifySetlistChanged(setlist, req.user._id);
+
+    res.status(200).json({ success: true, data: setlist });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Clone a setlist, e.g. a past gig for the next one
+ * @route POST /api/setlists/:id/clone
+ */
+const cloneSetlist = async (req, res, next) => {
+  try {
+    const setlist = await loadSetlist(req, res, { permission: 'edit_setlists' });
+    if (!setlist) return;
+
+    const clone = await templates.cloneSetlist(setlist, req.user._id, req.body);
+
+    res.status(201).json({ success: true, data: clone });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Save a setlist's show shape as a template
+ * @route POST /api/setlists/:id/templates
+ */
+const saveAsTemplate = async (req, res, next) => {
+  try {
+    const setlist = await loadSetlist(req, res, { permission: 'edit_setlists' });
+    if (!setlist) return;
+
+    const template = await templates.saveTemplate(setlist, req.user._id, req.body);
+
+    res.status(201).json({ success: true, data: template });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  loadSetlist,
+  getBaseVersion,
+  sendVersionConflict,
+  generateSetlist,
+  updateSetlist,
+  getBudget,
+  getCharts,
+  exportPdf,
+  getVersions,
+  getVersion,
+  getDiff,
+  restoreVersion,
+  cloneSetlist,
+  saveAsTemplate
+};
@@ -0,0 +1,86 @@
+/**
+ * Setlist Template Controller
+ * Request handlers for reusable show shapes
+ */
+const templates = require('../services/setlistTemplate.service');
+
+/**
+ * Get the templates the current user can use
+ * @route GET /api/templates?bandId=:bandId
+ */
+const getTemplates = async (req, res, next) => {
+  try {
+    const data = await templates.getTemplates(req.user._id, req.query.bandId || null);
+
+    res.status(200).json({ success: true, count: data.length, data });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a template
+ * @route GET /api/templates/:id
+ */
+const getTemplate = async (req, res, next) => {
+  try {
+    const template = await templates.getTemplate(req.params.id, req.user._id);
+
+    res.status(200).json({ success: true, data: template });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change a template's name, description or budget
+ * @route PUT /api/templates/:id
+ */
+const updateTemplate = async (req, res, next) => {
+  try {
+    const existing = await templates.getTemplate(req.params.id, req.user._id, { edit: true });
+    const template = await templates.updateTemplate(existing, req.body);
+
+    res.status(200).json({ success: true, data: template });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a template; setlists created from it are kept
+ * @route DELETE /api/templates/:id
+ */
+const deleteTemplate = async (req, res, next) => {
+  try {
+    const template = await templates.getTemplate(req.params.id, req.user._id, { edit: true });
+    await template.deleteOne();
+
+    res.status(200).json({ success: true, data: {} });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a setlist from a template
+ * @route POST /api/templates/:id/setlists
+ */
+const createSetlist = async (req, res, next) => {
+  try {
+    const template = await templates.getTemplate(req.params.id, req.user._id);
+    const { setlist, skippedSongs } = await templates.createFromTemplate(template, req.user._id, req.body);
+
+    res.status(201).json({ success: true, data: setlist, skippedSongs });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTemplates,
+  getTemplate,
+  updateTemplate,
+  deleteTemplate,
+  createSetlist
+};
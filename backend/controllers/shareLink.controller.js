@@ -0,0 +1,172 @@
+/**
+ * Share Link Controller
+ * Request handlers for managing guest share links and for the guests using them
+ */
+const Setlist = require('../models/setlist.model');
+const shareLinks = require('../services/shareLink.service');
+const { loadSetlist, getBaseVersion, sendVersionConflict } = require('./setlist.controller');
+const { broadcastSetlist } = require('../sockets/setlist.socket');
+const { notifySetlistChanged } = require('../services/notification.service');
+const { VersionConflictError } = require('../utils/errors');
+const { can } = require('../utils/authorization');
+
+/**
+ * Load the setlist a guest's share link is for, or send the error response
+ * @param {Object} req
+ * @param {Object} res
+ * @returns {Promise<Object|null>} Setlist document, or null if a response was sent
+ */
+const loadSharedSetlist = async (req, res) => {
+  const setlist = await Setlist.findById(req.shareLink.setlistId);
+
+  if (!setlist || !(await setlist.isAccessibleBy(req.shareLink))) {
+    res.status(404).json({ success: false, message: 'Setlist not found' });
+    return null;
+  }
+
+  return setlist;
+};
+
+/**
+ * Create a share link for a setlist
+ * @route POST /api/setlists/:id/share-links
+ */
+const createShareLink = async (req, res, next) => {
+  try {
+    const setlist = await loadSetlist(req, res, { permission: 'edit_setlists' });
+    if (!setlist) return;
+
+    const { shareLink, token } = await shareLinks.createShareLink(setlist, req.user._id, req.body);
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...shareLink.getSummary(),
+        token,
+        url: `${frontendUrl}/share/${token}`
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List a setlist's share links
+ * @route GET /api/setlists/:id/share-links
+ */
+const getShareLinks = async (req, res, next) => {
+  try {
+    const setlist = await loadSetlist(req, res, { permission: 'edit_setlists' });
+    if (!setlist) return;
+
+    res.status(200).json({ success: true, data: await shareLinks.getShareLinks(setlist) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get who used a share link and when
+ * @route GET /api/setlists/:id/share-links/:linkId/access-log
+ */
+const getAccessLog = async (req, res, next) => {
+  try {
+    const setlist = await loadSetlist(req, res, { permission: 'edit_setlists' });
+    if (!setlist) return;
+
+    res.status(200).json({ success: true, data: await shareLinks.getAccessLog(setlist, req.params.linkId) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke a share link
+ * @route DELETE /api/setlists/:id/share-links/:linkId
+ */
+const revokeShareLink = async (req, res, next) => {
+  try {
+    const setlist = await loadSetlist(req, res, { permission: 'edit_setlists' });
+    if (!setlist) return;
+
+    res.status(200).json({ success: true, data: await shareLinks.revokeShareLink(setlist, req.params.linkId) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a shared setlist and the songs on it, as a guest
+ * @route GET /api/share/:token
+ */
+const getSharedSetlist = async (req, res, next) => {
+  try {
+    const setlist = await loadSharedSetlist(req, res);
+    if (!setlist) return;
+
+    res.status(200).json({ success: true, data: await shareLinks.getGuestView(req.shareLink, setlist, req) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get chord charts for a shared setlist, as a guest
+ * @route GET /api/share/:token/charts
+ */
+const getSharedCharts = async (req, res, next) => {
+  try {
+    const setlist = await loadSharedSetlist(req, res);
+    if (!setlist) return;
+
+    const sets = await shareLinks.getGuestCharts(req.shareLink, setlist, req, { capo: req.query.capo === 'true' });
+
+    res.status(200).json({ success: true, data: { setlistId: setlist._id, version: setlist.version, sets } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rearrange a shared setlist, as a guest with a link that is not read-only
+ * @route PUT /api/share/:token
+ */
+const updateSharedSetlist = async (req, res, next) => {
+  try {
+    const baseVersion = getBaseVersion(req, res);
+    if (baseVersion === null) return;
+
+    const setlist = await loadSharedSetlist(req, res);
+    if (!setlist) return;
+
+    if (!(await can(req.shareLink, 'edit_setlists', setlist))) {
+      return res.status(403).json({ success: false, message: 'This share link is read-only' });
+    }
+
+    try {
+      await shareLinks.updateGuestSetlist(req.shareLink, setlist, { baseVersion, sets: req.body.sets }, req);
+    } catch (error) {
+      if (!(error instanceof VersionConflictError)) throw error;
+      return await sendVersionConflict(res, error, req.shareLink.setlistId);
+    }
+
+    broadcastSetlist(req.app.get('io'), setlist);
+    notifySetlistChanged(setlist, null);
+
+    res.status(200).json({ success: true, data: { version: setlist.version, sets: setlist.sets } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createShareLink,
+  getShareLinks,
+  getAccessLog,
+  revokeShareLink,
+  getSharedSetlist,
+  getSharedCharts,
+  updateSharedSetlist
+};
@@ -0,0 +1,276 @@
+/**
+ * Song Controller
+ * Request handlers for song routes
+ */
+const Song = require('../models/song.model');
+const Band = require('../models/band.model');
+const { can } = require('../utils/authorization');
+const { parseChordPro } = require('../utils/chordpro');
+const { parseKey, formatKey, transposeKey, prefersFlats } = require('../utils/musicKey');
+const { renderChordSheet, arrangementShift } = require('../services/chart.service');
+const { formatPartTitle } = require('../utils/setlistEntries');
+const songSpreadsheet = require('../services/songSpreadsheet.service');
+const songMetadata = require('../services/songMetadata.service');
+
+const DUPLICATE_ACTIONS = ['skip', 'update'];
+
+/**
+ * Load a song the current user can access, or send the error response
+ * @param {Object} req
+ * @param {Object} res
+ * @returns {Promise<Object|null>} Song document, or null if a response was sent
+ */
+const loadSong = async (req, res) => {
+  const song = await Song.findById(req.params.id);
+
+  if (!song || !(await song.isAccessibleBy(req.user._id))) {
+    res.status(404).json({ success: false, message: 'Song not found' });
+    return null;
+  }
+
+  return song;
+};
+
+/**
+ * Get a song's chord sheet parsed into sections, optionally transposed
+ * @route GET /api/songs/:id/chart?transpose=:semitones&variantId=:variantId
+ */
+const getChart = async (req, res, next) => {
+  try {
+    const song = await loadSong(req, res);
+    if (!song) return;
+
+    const transpose = Number(req.query.transpose || 0);
+    if (!Number.isInteger(transpose) || transpose < -11 || transpose > 11) {
+      return res.status(400).json({ success: false, message: 'transpose must be a whole number of semitones between -11 and 11' });
+    }
+
+    const variantId = req.query.variantId || null;
+    if (variantId && !song.variants.id(variantId)) {
+      return res.status(404).json({ success: false, message: 'Variant not found' });
+    }
+
+    const songKey = parseKey(song.getArrangement(variantId).key);
+    const playedKey = songKey ? transposeKey(songKey, transpose) : null;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        songId: song._id,
+        variantId,
+        title: formatPartTitle(song, variantId),
+        artist: song.artist,
+        songKey: songKey ? formatKey(songKey) : null,
+        playedKey: playedKey ? formatKey(playedKey) : null,
+        transpose,
+        chart: renderChordSheet(song.chordSheet, arrangementShift(song, variantId) + transpose, prefersFlats(playedKey)),
+        chordSheetUrl: song.chordSheetUrl,
+        lyricsUrl: song.lyricsUrl
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Parse and validate ChordPro text without saving it (for editor previews)
+ * @route POST /api/songs/chordpro/parse
+ */
+const parseChordSheet = (req, res) => {
+  const { chordSheet } = req.body;
+
+  if (typeof chordSheet !== 'string') {
+    return res.status(400).json({ success: false, message: 'chordSheet must be a string' });
+  }
+
+  const parsed = parseChordPro(chordSheet);
+
+  res.status(200).json({
+    success: true,
+    data: { ...parsed, valid: parsed.errors.length === 0 }
+  });
+};
+
+/**
+ * Check the current user may work with a band's song library, or send the error response
+ * @param {Object} req
+ * @param {Object} res
+ * @param {string|null} bandId
+ * @param {Array<string>} permissions - Band permissions required
+ * @returns {Promise<boolean>} Whether the request may proceed
+ */
+const checkBandLibrary = async (req, res, bandId, permissions = []) => {
+  if (!bandId) return true;
+
+  const band = await Band.findById(bandId).catch(() => null);
+  if (!band || !band.hasMember(req.user._id)) {
+    res.status(404).json({ success: false, message: 'Band not found' });
+    return false;
+  }
+
+  for (const permission of permissions) {
+    if (!(await can(req.user._id, permission, band))) {
+      res.status(403).json({ success: false, message: `You need the ${permission} permission for this band's songs` });
+      return false;
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Import songs from a CSV or XLSX upload, or preview the import with dryRun
+ * @route POST /api/songs/import
+ */
+const importSongs = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'Upload a .csv or .xlsx file in the file field' });
+    }
+
+    const bandId = req.body.bandId || null;
+    const onDuplicate = req.body.onDuplicate || 'skip';
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+    if (!DUPLICATE_ACTIONS.includes(onDuplicate)) {
+      return res.status(400).json({ success: false, message: `onDuplicate must be one of: ${DUPLICATE_ACTIONS.join(', ')}` });
+    }
+
+    let mapping = {};
+    if (req.body.mapping) {
+      try {
+        mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+      } catch (error) {
+        return res.status(400).json({ success: false, message: 'mapping must be a JSON object of song field to column header' });
+      }
+    }
+
+    const permissions = onDuplicate === 'update' ? ['add_songs', 'edit_songs'] : ['add_songs'];
+    if (!(await checkBandLibrary(req, res, bandId, permissions))) return;
+
+    const result = await songSpreadsheet.importSongs({
+      file: req.file,
+      userId: req.user._id,
+      bandId,
+      mapping,
+      onDuplicate,
+      dryRun
+    });
+
+    res.status(dryRun ? 200 : 201).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download the song library as CSV or XLSX
+ * @route GET /api/songs/export?format=csv|xlsx&bandId=:bandId
+ */
+const exportSongs = async (req, res, next) => {
+  try {
+    const format = req.query.format || 'csv';
+    const bandId = req.query.bandId || null;
+
+    if (!songSpreadsheet.FORMATS.includes(format)) {
+      return res.status(400).json({ success: false, message: `format must be one of: ${songSpreadsheet.FORMATS.join(', ')}` });
+    }
+
+    if (!(await checkBandLibrary(req, res, bandId, ['export']))) return;
+
+    const file = await songSpreadsheet.exportSongs({ userId: req.user._id, bandId, format });
+    const contentType = format === 'xlsx'
+      ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      : 'text/csv; charset=utf-8';
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="songs.${format}"`);
+    res.status(200).send(file);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Search the metadata providers by title and artist
+ * @route GET /api/songs/metadata/search?title=:title&artist=:artist&limit=:limit
+ */
+const searchMetadata = async (req, res, next) => {
+  try {
+    const result = await songMetadata.searchMetadata(req.query);
+
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Fill in missing details across a page of the song library, or preview it with dryRun
+ * @route POST /api/songs/metadata/enrich
+ */
+const enrichSongs = async (req, res, next) => {
+  try {
+    const { bandId = null, ...input } = req.body;
+
+    const permissions = input.dryRun ? ['view'] : ['edit_songs'];
+    if (!(await checkBandLibrary(req, res, bandId, permissions))) return;
+
+    const result = await songMetadata.enrichLibrary({ userId: req.user._id, bandId }, input);
+
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get metadata suggestions for a song, with what each would change
+ * @route GET /api/songs/:id/metadata
+ */
+const getSongMetadata = async (req, res, next) => {
+  try {
+    const song = await loadSong(req, res);
+    if (!song) return;
+
+    const result = await songMetadata.getSongSuggestions(song);
+
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Link a song to a suggested recording and take the chosen details from it
+ * @route POST /api/songs/:id/metadata
+ */
+const applySongMetadata = async (req, res, next) => {
+  try {
+    const song = await loadSong(req, res);
+    if (!song) return;
+
+    if (!(await song.isEditableBy(req.user._id))) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to edit this song' });
+    }
+
+    const updated = await songMetadata.applySuggestion(song, req.body);
+
+    res.status(200).json({ success: true, data: updated });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  loadSong,
+  getChart,
+  parseChordSheet,
+  importSongs,
+  exportSongs,
+  searchMetadata,
+  enrichSongs,
+  getSongMetadata,
+  applySongMetadata
+};
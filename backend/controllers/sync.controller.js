@@ -0,0 +1,36 @@
+/**
+ * Sync Controller
+ * Request handlers for offline sync routes
+ */
+const syncService = require('../services/sync.service');
+const { broadcastSetlist } = require('../sockets/setlist.socket');
+const { notifySetlistChanged } = require('../services/notification.service');
+
+/**
+ * Push queued offline changes and pull server changes since the client's cursor
+ * @route POST /api/sync
+ */
+const sync = async (req, res, next) => {
+  try {
+    const result = await syncService.sync({ userId: req.user._id, body: req.body });
+
+    // Collaborators with the setlist open see offline edits land
+    const io = req.app.get('io');
+    const setlists = result.results
+      .filter(change => change.collection === 'setlists' && change.status === 'applied' && change.document);
+
+    setlists.forEach(change => broadcastSetlist(io, change.document));
+    // Newly created setlists are at version 1 and are not a change anyone needs telling about
+    setlists
+      .filter(change => change.document.version > 1)
+      .forEach(change => notifySetlistChanged(change.document, req.user._id));
+
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  sync
+};
@@ -0,0 +1,140 @@
+/**
+ * Venue Controller
+ * Request handlers for venues, their search and the merge tool
+ */
+const venues = require('../services/venue.service');
+
+/**
+ * Find venues by name, or list them all
+ * @route GET /api/venues?q=:query&bandId=:bandId&limit=:limit
+ */
+const getVenues = async (req, res, next) => {
+  try {
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : undefined;
+    if (limit !== undefined && !(limit >= 1 && limit <= 50)) {
+      return res.status(400).json({ success: false, message: 'limit must be between 1 and 50' });
+    }
+
+    const data = await venues.searchVenues(req.user._id, {
+      q: req.query.q || '',
+      bandId: req.query.bandId || null,
+      limit
+    });
+
+    res.status(200).json({ success: true, count: data.length, data });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a venue
+ * @route GET /api/venues/:id
+ */
+const getVenue = async (req, res, next) => {
+  try {
+    const venue = await venues.getVenue(req.params.id, req.user._id);
+
+    res.status(200).json({ success: true, data: venue });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a venue
+ * @route POST /api/venues
+ */
+const createVenue = async (req, res, next) => {
+  try {
+    const venue = await venues.createVenue(req.user._id, req.body);
+
+    res.status(201).json({ success: true, data: venue });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change a venue; a new name is copied onto its setlists, gigs and performances
+ * @route PUT /api/venues/:id
+ */
+const updateVenue = async (req, res, next) => {
+  try {
+    const existing = await venues.getVenue(req.params.id, req.user._id, { edit: true });
+    const venue = await venues.updateVenue(existing, req.body);
+
+    res.status(200).json({ success: true, data: venue });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a venue; setlists and gigs at it keep its name
+ * @route DELETE /api/venues/:id
+ */
+const deleteVenue = async (req, res, next) => {
+  try {
+    const venue = await venues.getVenue(req.params.id, req.user._id, { edit: true });
+    await venues.deleteVenue(venue);
+
+    res.status(200).json({ success: true, data: {} });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Merge duplicate venues into this one
+ * @route POST /api/venues/:id/merge
+ */
+const mergeVenues = async (req, res, next) => {
+  try {
+    const venue = await venues.getVenue(req.params.id, req.user._id, { edit: true });
+    const result = await venues.mergeVenues(venue, req.body);
+
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Groups of venues that look like duplicates of each other
+ * @route GET /api/venues/duplicates?bandId=:bandId
+ */
+const getDuplicates = async (req, res, next) => {
+  try {
+    const groups = await venues.findDuplicates(req.user._id, req.query.bandId || null);
+
+    res.status(200).json({ success: true, count: groups.length, data: groups });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Link setlists with only a venue name to venues, adding venues as needed
+ * @route POST /api/venues/link-setlists
+ */
+const linkSetlists = async (req, res, next) => {
+  try {
+    const result = await venues.linkSetlistVenues(req.user._id, (req.body && req.body.bandId) || null);
+
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getVenues,
+  getVenue,
+  createVenue,
+  updateVenue,
+  deleteVenue,
+  mergeVenues,
+  getDuplicates,
+  linkSetlists
+};
@@ -0,0 +1,53 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../../models/user.model');
+const { authenticateSocket } = require('../auth.middleware');
+
+const SECRET = 'test-secret';
+
+const handshake = fields => ({ handshake: { auth: {}, headers: {}, ...fields }, data: {} });
+
+const authenticate = socket => new Promise(resolve => authenticateSocket(socket, resolve));
+
+describe('authenticateSocket', () => {
+  const user = { _id: new mongoose.Types.ObjectId(), name: 'Liam' };
+  const token = () => jwt.sign({ id: user._id.toString() }, SECRET);
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = SECRET;
+  });
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(user) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('accepts a token from the handshake auth, the Authorization header or the cookie', async () => {
+    const sockets = [
+      handshake({ auth: { token: token() } }),
+      handshake({ headers: { authorization: `Bearer ${token()}` } }),
+      handshake({ headers: { cookie: `theme=dark; token=${encodeURIComponent(token())}` } })
+    ];
+
+    for (const socket of sockets) {
+      expect(await authenticate(socket)).toBeUndefined();
+      expect(socket.data).toEqual({ user, userId: user._id.toString() });
+    }
+  });
+
+  it('rejects connections without a valid token', async () => {
+    const forged = jwt.sign({ id: user._id.toString() }, 'another-secret');
+
+    expect((await authenticate(handshake({}))).message).toBe('Not authorized');
+    expect((await authenticate(handshake({ auth: { token: forged } }))).message).toBe('Not authorized');
+  });
+
+  it('rejects tokens of users that no longer exist', async () => {
+    User.findById.mockReturnValue({ select: () => Promise.resolve(null) });
+
+    expect((await authenticate(handshake({ auth: { token: token() } }))).message).toBe('Not authorized');
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Authentication Middleware
+ * Verifies JWTs for REST requests and Socket.io connections
+ */
+const jwt = require('jsonwebtoken');
+const User = require('../models/user.model');
+const ShareLink = require('../models/shareLink.model');
+
+/**
+ * Verify a JWT and load the user it was issued for
+ * @param {string} token - Raw JWT
+ * @returns {Promise<Object|null>} User document, or null if the token is invalid
+ */
+const getUserFromToken = async (token) => {
+  if (!token) return null;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return await User.findById(decoded.id).select('-password');
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Extract a bearer token from an Authorization header value
+ * @param {string} header
+ * @returns {string|null}
+ */
+const parseBearer = (header) => {
+  if (header && header.startsWith('Bearer ')) {
+    return header.split(' ')[1];
+  }
+
+  return null;
+};
+
+/**
+ * Express middleware requiring a valid JWT in the Authorization header or `token` cookie
+ */
+const protect = async (req, res, next) => {
+  const token = parseBearer(req.headers.authorization) || (req.cookies && req.cookies.token);
+  const user = await getUserFromToken(token);
+
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized'
+    });
+  }
+
+  req.user = user;
+  next();
+};
+
+/**
+ * Express middleware admitting guests with a share link token in the `token` route parameter
+ * The link is available to handlers as `req.shareLink`.
+ */
+const guestAccess = async (req, res, next) => {
+  try {
+    const shareLink = await ShareLink.findOne({ tokenHash: ShareLink.hashToken(req.params.token) });
+
+    if (!shareLink) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link not found'
+      });
+    }
+
+    if (!shareLink.isActive()) {
+      return res.status(410).json({
+        success: false,
+        message: 'This share link has expired or been revoked'
+      });
+    }
+
+    req.shareLink = shareLink;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Socket.io middleware requiring a valid JWT in the handshake
+ * The token is read from `auth.token`, the Authorization header, or the `token` cookie.
+ */
+const authenticateSocket = async (socket, next) => {
+  const { auth = {}, headers = {} } = socket.handshake;
+  const cookieToken = (headers.cookie || '')
+    .split(';')
+    .map(cookie => cookie.trim())
+    .find(cookie => cookie.startsWith('token='));
+
+  const token = auth.token
+    || parseBearer(headers.authorization)
+    || (cookieToken && decodeURIComponent(cookieToken.slice('token='.length)));
+
+  const user = await getUserFromToken(token);
+
+  if (!user) {
+    return next(new Error('Not authorized'));
+  }
+
+  socket.data.user = user;
+  socket.data.userId = user._id.toString();
+  next();
+};
+
+module.exports = { protect, guestAccess, authenticateSocket, getUserFromToken };
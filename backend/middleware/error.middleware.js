@@ -0,0 +1,36 @@
+/**
+ * Error Middleware
+ * Turns errors handlers pass to next() into JSON error responses
+ */
+const mongoose = require('mongoose');
+const { ApiError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+/**
+ * Express error handler
+ * ApiErrors are sent with their own status and message, documents that fail
+ * validation and client errors raised by Express middleware (malformed JSON...)
+ * as a 400 or their own status; anything else is logged and sent as a 500.
+ */
+const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  if (error instanceof ApiError) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+
+  if (error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return res.status(error.status).json({ success: false, message: error.message });
+  }
+
+  logger.error(`${req.method} ${req.originalUrl} failed:`, error);
+  res.status(500).json({ success: false, message: 'Something went wrong' });
+};
+
+module.exports = { errorHandler };
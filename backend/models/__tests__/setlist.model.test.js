@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+const Setlist = require('../setlist.model');
+const SetlistVersion = require('../setlistVersion.model');
+
+const buildSetlist = fields => new Setlist({
+  title: 'Friday',
+  createdBy: new mongoose.Types.ObjectId(),
+  version: 4,
+  ...fields
+});
+
+const query = result => ({
+  select: () => query(result),
+  sort: () => query(result),
+  lean: () => Promise.resolve(result)
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getVersions', () => {
+  it('merges stored versions with inline history not moved yet, newest first', async () => {
+    const setlist = buildSetlist({
+      versionHistory: [
+        { version: 1, changes: 'Created setlist', snapshot: { title: 'Draft', sets: [] } },
+        { version: 2, changes: 'Updated title', snapshot: { title: 'Friday', sets: [] } }
+      ]
+    });
+    jest.spyOn(SetlistVersion, 'find').mockReturnValue(query([
+      { version: 4, changes: 'Added a song' },
+      { version: 2, changes: 'Updated title' }
+    ]));
+
+    const versions = await setlist.getVersions();
+
+    expect(versions.map(version => version.version)).toEqual([4, 2, 1]);
+    expect(versions[2]).not.toHaveProperty('snapshot');
+  });
+});
+
+describe('getVersion', () => {
+  it('reads a stored version', async () => {
+    const setlist = buildSetlist();
+    const findOne = jest.spyOn(SetlistVersion, 'findOne').mockReturnValue(query({ version: 3, snapshot: { title: 'Friday' } }));
+
+    expect(await setlist.getVersion('3')).toEqual({ version: 3, snapshot: { title: 'Friday' } });
+    expect(findOne).toHaveBeenCalledWith({ setlistId: setlist._id, version: 3 });
+  });
+
+  it('falls back to inline history', async () => {
+    const setlist = buildSetlist({
+      versionHistory: [{ version: 1, changes: 'Created setlist', snapshot: { title: 'Draft', sets: [] } }]
+    });
+    jest.spyOn(SetlistVersion, 'findOne').mockReturnValue(query(null));
+
+    expect((await setlist.getVersion(1)).snapshot.title).toBe('Draft');
+    expect(await setlist.getVersion(2)).toBeNull();
+    expect(await setlist.getVersion('latest')).toBeNull();
+  });
+});
+
+describe('saveVersion', () => {
+  it('refuses to save over a newer version', async () => {
+    const setlist = buildSetlist();
+    const save = jest.spyOn(setlist, 'save');
+
+    await expect(setlist.saveVersion(3, null, 'Updated title')).rejects.toMatchObject({
+      statusCode: 409,
+      baseVersion: 3,
+      currentVersion: 4
+    });
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it('saves only where the stored version is still the base version', async () => {
+    const setlist = buildSetlist();
+    const save = jest.spyOn(setlist, 'save').mockImplementation(async function() {
+      expect(this.$where).toEqual({ version: 4 });
+      return this;
+    });
+
+    await setlist.saveVersion(4, null, 'Updated title');
+
+    expect(save).toHaveBeenCalled();
+    expect(setlist.version).toBe(5);
+    expect(setlist.$where).toBeUndefined();
+  });
+
+  it('reports a save lost to a concurrent one as a conflict', async () => {
+    const setlist = buildSetlist();
+    jest.spyOn(setlist, 'save').mockRejectedValue(new mongoose.Error.DocumentNotFoundError({ _id: setlist._id }, 'Setlist'));
+    jest.spyOn(Setlist, 'findById').mockReturnValue({ select: () => Promise.resolve({ version: 6 }) });
+
+    await expect(setlist.saveVersion(4, null, 'Updated title')).rejects.toMatchObject({ baseVersion: 4, currentVersion: 6 });
+    expect(setlist.$locals.newVersion).toBeNull();
+  });
+});
+
+describe('getBudgetReport', () => {
+  const songId = () => new mongoose.Types.ObjectId();
+
+  it('adds the gaps between songs, except after segues and the last song', () => {
+    const setlist = buildSetlist({
+      songGap: 20,
+      sets: [{
+        name: 'Set 1',
+        songs: [
+          { songId: songId(), duration: 200, segue: true },
+          { songId: songId(), duration: 200, gapAfter: 60 },
+          { songId: songId(), duration: 200 }
+        ]
+      }]
+    });
+
+    const report = setlist.getBudgetReport();
+
+    expect(report.sets[0].duration).toBe(660);
+    expect(report.totalDuration).toBe(660);
+    expect(report.status).toBe('no_target');
+  });
+
+  it('reports the songs that end past the set target', () => {
+    const setlist = buildSetlist({
+      songGap: 0,
+      sets: [
+        { name: 'Set 1', targetDuration: 500, songs: [{ songId: songId(), duration: 300 }, { songId: songId(), duration: 300 }] },
+        { name: 'Set 2', targetDuration: 600, songs: [{ songId: songId(), duration: 580 }] }
+      ]
+    });
+
+    const report = setlist.getBudgetReport();
+
+    expect(report.sets.map(set => set.status)).toEqual(['over', 'on_target']);
+    expect(report.sets[0].songsOverBudget).toEqual([
+      expect.objectContaining({ position: 1, startsAt: 300, endsAt: 600, overBy: 100 })
+    ]);
+    expect(report).toMatchObject({ targetDuration: 1100, totalDuration: 1180, overrun: 80, status: 'over' });
+  });
+
+  it('prefers the show target to the sum of the set targets', () => {
+    const setlist = buildSetlist({
+      targetDuration: 3600,
+      sets: [{ name: 'Set 1', targetDuration: 600, songs: [{ songId: songId(), duration: 600 }] }]
+    });
+
+    expect(setlist.getBudgetReport()).toMatchObject({ targetDuration: 3600, overrun: -3000, status: 'under' });
+  });
+});
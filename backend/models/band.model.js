@@ -3,6 +3,31 @@
  * Defines the schema for bands in the application
  */
 const mongoose = require('mongoose');
+const { PERMISSIONS, DEFAULT_PERMISSIONS, MEMBER_PERMISSIONS, expandPermissions } = require('../utils/authorization');
+
+// Role templates every new band starts with; leaders can edit or remove them
+const ROLE_PRESETS = [
+  {
+    name: 'Musical director',
+    description: 'Runs the setlists, the song library and the gigs',
+    permissions: ['edit_setlists', 'add_songs', 'edit_songs', 'manage_performances', 'manage_events', 'export']
+  },
+  {
+    name: 'Sound engineer',
+    description: 'Follows the setlists and gigs and prints what they need',
+    permissions: ['view', 'export']
+  },
+  {
+    name: 'Session player',
+    description: 'Sees the setlists being played and their charts, nothing more',
+    permissions: ['perform']
+  },
+  {
+    name: 'Viewer',
+    description: 'Can look at everything but change nothing',
+    permissions: ['view']
+  }
+];
 
 /**
  * @swagger
@@ -35,12 +60,32 @@ const mongoose = require('mongoose');
  *                 type: string
  *                 enum: [leader, member]
  *                 description: Role of the user in the band
+ *               roleId:
+ *                 type: string
+ *                 description: Role template whose permissions the member holds (if any)
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [view, perform, edit_setlists, add_songs, edit_songs, invite_members, manage_invites, remove_members, manage_performances, manage_events, export]
+ *                 description: Permissions granted to this member on top of their role template
+ *         roles:
+ *           type: array
+ *           description: Role templates, named bundles of permissions
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
  *               permissions:
  *                 type: array
  *                 items:
  *                   type: string
- *                   enum: [edit_setlists, add_songs, edit_songs, invite_members, remove_members]
- *                 description: Permissions granted to this member
+ *                   enum: [view, perform, edit_setlists, add_songs, edit_songs, invite_members, manage_invites, remove_members, manage_performances, manage_events, export]
  *         createdBy:
  *           type: string
  *           description: ID of the user who created the band
@@ -75,10 +120,30 @@ const bandSchema = new mongoose.Schema({
       enum: ['leader', 'member'],
       required: true
     },
+    roleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    permissions: [{
+      type: String,
+      enum: PERMISSIONS,
+      default: DEFAULT_PERMISSIONS
+    }]
+  }],
+  roles: [{
+    name: {
+      type: String,
+      required: [true, 'Role name is required'],
+      trim: true
+    },
+    description: {
+      type: String,
+      default: '',
+      trim: true
+    },
     permissions: [{
       type: String,
-      enum: ['edit_setlists', 'add_songs', 'edit_songs', 'invite_members', 'remove_members'],
-      default: ['edit_setlists', 'add_songs']
+      enum: PERMISSIONS
     }]
   }],
   createdBy: {
@@ -107,15 +172,13 @@ bandSchema.pre('save', function(next) {
       this.members.push({
         userId: this.createdBy,
         role: 'leader',
-        permissions: [
-          'edit_setlists', 
-          'add_songs', 
-          'edit_songs', 
-          'invite_members', 
-          'remove_members'
-        ]
+        permissions: [...PERMISSIONS]
       });
     }
+
+    if (!this.roles.length) {
+      this.roles = ROLE_PRESETS;
+    }
   }
   
   next();
@@ -132,19 +195,43 @@ bandSchema.methods.isLeader = function(userId) {
   return member && member.role === 'leader';
 };
 
-// Method to check if a user has a specific permission
-bandSchema.methods.hasPermission = function(userId, permission) {
+// Method to get a role template by ID
+bandSchema.methods.getRole = function(roleId) {
+  return roleId ? this.roles.id(roleId) : null;
+};
+
+// Method to get every permission a member holds: what every member holds, their role template, their own grants and what those imply
+bandSchema.methods.getPermissions = function(userId) {
   const member = this.members.find(member => member.userId.toString() === userId.toString());
-  
-  if (!member) return false;
-  
+
+  if (!member) return [];
+
   // Leaders automatically have all permissions
-  if (member.role === 'leader') return true;
-  
-  // Check for specific permission
-  return member.permissions.includes(permission);
+  if (member.role === 'leader') return [...PERMISSIONS];
+
+  const role = this.getRole(member.roleId);
+  const granted = [...MEMBER_PERMISSIONS, ...(role ? role.permissions : []), ...member.permissions];
+
+  return [...expandPermissions(granted)];
+};
+
+// Method to check if a user has a specific permission
+bandSchema.methods.hasPermission = function(userId, permission) {
+  return this.getPermissions(userId).includes(permission);
+};
+
+// Method to get a user's membership entry
+bandSchema.methods.getMember = function(userId) {
+  return this.members.find(member => member.userId.toString() === userId.toString()) || null;
+};
+
+// Method to check if a user is the only leader left in the band
+bandSchema.methods.isLastLeader = function(userId) {
+  const leaders = this.members.filter(member => member.role === 'leader');
+  return leaders.length === 1 && leaders[0].userId.toString() === userId.toString();
 };
 
 const Band = mongoose.model('Band', bandSchema);
 
-module.exports = Band;
\ No newline at end of file
+module.exports = Band;
+module.exports.ROLE_PRESETS = ROLE_PRESETS;
\ No newline at end of file
@@ -0,0 +1,93 @@
+/**
+ * Calendar Feed Model
+ * A secret iCalendar subscription URL for a user's gigs and rehearsals, either
+ * across all their bands or for one band. Calendar apps fetch feeds without
+ * logging in, so the token in the URL is the only credential.
+ */
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CalendarFeed:
+ *       type: object
+ *       required:
+ *         - userId
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated ID of the feed
+ *         userId:
+ *           type: string
+ *           description: ID of the user the feed belongs to
+ *         bandId:
+ *           type: string
+ *           description: Band the feed is limited to; null for all of the user's events
+ *         label:
+ *           type: string
+ *           description: Where the feed is subscribed from, e.g. "Phone"
+ *         lastAccessedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+const calendarFeedSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  bandId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Band',
+    default: null
+  },
+  // Only a hash is stored; the token itself is shown once, when the feed is created
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  label: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  lastAccessedAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+// Indexes for better query performance
+calendarFeedSchema.index({ tokenHash: 1 }, { unique: true });
+calendarFeedSchema.index({ userId: 1 });
+
+// Static to hash a feed token the way it is stored
+calendarFeedSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Static to generate a feed token and its hash
+calendarFeedSchema.statics.generateToken = function() {
+  const token = crypto.randomBytes(24).toString('base64url');
+  return { token, tokenHash: this.hashToken(token) };
+};
+
+// Method to get the feed without its token hash
+calendarFeedSchema.methods.getSummary = function() {
+  return {
+    _id: this._id,
+    bandId: this.bandId,
+    label: this.label,
+    lastAccessedAt: this.lastAccessedAt,
+    createdAt: this.createdAt
+  };
+};
+
+const CalendarFeed = mongoose.model('CalendarFeed', calendarFeedSchema);
+
+module.exports = CalendarFeed;
@@ -0,0 +1,163 @@
+/**
+ * Comment Model
+ * Discussion of a song's arrangement, or of one entry in a setlist
+ * ("cut the second chorus here"). Comments form threads: a thread starts with
+ * a top-level comment, replies point at it, and the thread as a whole can be
+ * resolved.
+ */
+const mongoose = require('mongoose');
+
+// Mentions are written as @[Display Name](userId) by the comment editor
+const MENTION_PATTERN = /@\[([^\]]*)\]\(([0-9a-fA-F]{24})\)/g;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Comment:
+ *       type: object
+ *       required:
+ *         - targetType
+ *         - body
+ *         - createdBy
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated ID of the comment
+ *         targetType:
+ *           type: string
+ *           enum: [song, setlist_entry]
+ *         songId:
+ *           type: string
+ *           description: Song discussed (song comments only)
+ *         setlistId:
+ *           type: string
+ *           description: Setlist the entry belongs to (setlist entry comments only)
+ *         entryId:
+ *           type: string
+ *           description: ID of the song entry within the setlist's sets
+ *         parentId:
+ *           type: string
+ *           description: Comment that started the thread, null for the first comment of a thread
+ *         body:
+ *           type: string
+ *           description: Comment text; mentions are written as @[Name](userId)
+ *         mentions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: IDs of the band members mentioned
+ *         resolved:
+ *           type: boolean
+ *           description: Whether the thread is resolved (first comment of a thread only)
+ *         resolvedBy:
+ *           type: string
+ *         resolvedAt:
+ *           type: string
+ *           format: date-time
+ *         editedAt:
+ *           type: string
+ *           format: date-time
+ *         createdBy:
+ *           type: string
+ *           description: ID of the comment's author
+ */
+const commentSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: ['song', 'setlist_entry'],
+    required: [true, 'Comment target is required']
+  },
+  songId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Song',
+    default: null
+  },
+  setlistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Setlist',
+    default: null
+  },
+  // Entries keep their ID when moved between sets, so the comment follows the song around
+  entryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  body: {
+    type: String,
+    required: [true, 'Please provide a comment'],
+    trim: true,
+    maxlength: [5000, 'Comment cannot be more than 5000 characters']
+  },
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  resolved: {
+    type: Boolean,
+    default: false
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Author is required']
+  }
+}, { timestamps: true });
+
+// Indexes for better query performance
+commentSchema.index({ songId: 1, createdAt: 1 });
+commentSchema.index({ setlistId: 1, entryId: 1, createdAt: 1 });
+commentSchema.index({ parentId: 1 });
+
+// Static to get the user IDs mentioned in a comment body, in order of first mention
+commentSchema.statics.parseMentions = function(body) {
+  const ids = [...String(body || '').matchAll(MENTION_PATTERN)].map(match => match[2].toLowerCase());
+  return [...new Set(ids)];
+};
+
+// Static to turn mentions in a comment body into plain @Name text
+commentSchema.statics.toPlainText = function(body) {
+  return String(body || '').replace(MENTION_PATTERN, '@$1');
+};
+
+// Method to check if the comment starts a thread
+commentSchema.methods.isThread = function() {
+  return !this.parentId;
+};
+
+// Method to get the ID of the thread the comment belongs to
+commentSchema.methods.getThreadId = function() {
+  return this.parentId || this._id;
+};
+
+// Method to check if two comments are about the same song or setlist entry
+commentSchema.methods.hasSameTarget = function(other) {
+  const same = (a, b) => String(a || '') === String(b || '');
+
+  return this.targetType === other.targetType &&
+    same(this.songId, other.songId) &&
+    same(this.setlistId, other.setlistId) &&
+    same(this.entryId, other.entryId);
+};
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+module.exports = Comment;
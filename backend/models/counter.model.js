@@ -0,0 +1,36 @@
+/**
+ * Counter Model
+ * Named sequences, incremented atomically
+ */
+const mongoose = require('mongoose');
+
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, { versionKey: false });
+
+/**
+ * Reserve the next values of a sequence
+ * @param {string} name - Sequence name
+ * @param {number} [count] - How many values to reserve
+ * @returns {Promise<number>} First reserved value; the block runs to first + count - 1
+ */
+counterSchema.statics.next = async function(name, count = 1) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: count } },
+    { new: true, upsert: true }
+  );
+
+  return counter.seq - count + 1;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
@@ -0,0 +1,226 @@
+/**
+ * Event Model
+ * A gig or rehearsal on a band's (or a user's own) calendar: when and where it
+ * is, the running order of the day, and the setlist that will be played
+ */
+const mongoose = require('mongoose');
+
+const EVENT_TYPES = ['gig', 'rehearsal'];
+const EVENT_STATUSES = ['confirmed', 'tentative', 'cancelled'];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Event:
+ *       type: object
+ *       required:
+ *         - title
+ *         - startsAt
+ *         - createdBy
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated ID of the event
+ *         type:
+ *           type: string
+ *           enum: [gig, rehearsal]
+ *         title:
+ *           type: string
+ *         bandId:
+ *           type: string
+ *           description: Band whose calendar the event is on; null for a personal event
+ *         setlistId:
+ *           type: string
+ *           description: Setlist to be played; a gig keeps its setlist's date and venue in step
+ *         status:
+ *           type: string
+ *           enum: [confirmed, tentative, cancelled]
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *           description: Start of the gig (doors or first set) or rehearsal
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *         allDay:
+ *           type: boolean
+ *           description: Whether only the date is known, e.g. a festival day
+ *         timeZone:
+ *           type: string
+ *           description: IANA time zone the event takes place in, e.g. Europe/London
+ *         loadInAt:
+ *           type: string
+ *           format: date-time
+ *         soundcheckAt:
+ *           type: string
+ *           format: date-time
+ *         setTimes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               setId:
+ *                 type: string
+ *                 description: Set of the linked setlist played in this slot
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *               endsAt:
+ *                 type: string
+ *                 format: date-time
+ *         venueId:
+ *           type: string
+ *           description: ID of the venue record; the venue text and address are filled from it
+ *         venue:
+ *           type: string
+ *         address:
+ *           type: string
+ *         notes:
+ *           type: string
+ *         externalUid:
+ *           type: string
+ *           description: UID of the calendar entry the event was imported from
+ *         sequence:
+ *           type: number
+ *           description: Revision number calendar apps use to pick up changes
+ *         createdBy:
+ *           type: string
+ *           description: ID of the user who created the event
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+const eventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: EVENT_TYPES,
+    default: 'gig'
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true
+  },
+  bandId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Band',
+    default: null
+  },
+  setlistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Setlist',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: EVENT_STATUSES,
+    default: 'confirmed'
+  },
+  startsAt: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endsAt: {
+    type: Date,
+    default: null
+  },
+  allDay: {
+    type: Boolean,
+    default: false
+  },
+  timeZone: {
+    type: String,
+    default: 'UTC'
+  },
+  loadInAt: {
+    type: Date,
+    default: null
+  },
+  soundcheckAt: {
+    type: Date,
+    default: null
+  },
+  setTimes: [{
+    name: {
+      type: String,
+      default: '',
+      trim: true
+    },
+    setId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    startsAt: {
+      type: Date,
+      required: true
+    },
+    endsAt: {
+      type: Date,
+      default: null
+    }
+  }],
+  venueId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Venue',
+    default: null
+  },
+  venue: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  address: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  notes: {
+    type: String,
+    default: ''
+  },
+  externalUid: {
+    type: String,
+    default: null
+  },
+  sequence: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  }
+}, { timestamps: true });
+
+// Indexes for better query performance
+eventSchema.index({ bandId: 1, startsAt: 1 });
+eventSchema.index({ createdBy: 1, startsAt: 1 });
+eventSchema.index({ setlistId: 1 });
+eventSchema.index({ venueId: 1 });
+eventSchema.index({ bandId: 1, createdBy: 1, externalUid: 1 });
+
+// Pre-save hook to bump the revision calendar apps compare
+eventSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified()) {
+    this.sequence += 1;
+  }
+  next();
+});
+
+// Method to get the venue and address on one line
+eventSchema.methods.getLocation = function() {
+  return [this.venue, this.address].filter(Boolean).join(', ');
+};
+
+const Event = mongoose.model('Event', eventSchema);
+
+module.exports = Event;
+module.exports.EVENT_TYPES = EVENT_TYPES;
+module.exports.EVENT_STATUSES = EVENT_STATUSES;
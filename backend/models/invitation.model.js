@@ -0,0 +1,195 @@
+/**
+ * Invitation Model
+ * Invitations to join a band, sent to an email address or shared as a join code
+ */
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { PERMISSIONS, DEFAULT_PERMISSIONS } = require('../utils/authorization');
+
+// Join codes leave out characters that are easy to misread (0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Invitation:
+ *       type: object
+ *       required:
+ *         - bandId
+ *         - type
+ *         - invitedBy
+ *         - expiresAt
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated ID of the invitation
+ *         bandId:
+ *           type: string
+ *           description: Band the invitation is for
+ *         type:
+ *           type: string
+ *           enum: [email, code]
+ *           description: Sent to one email address, or a join code anyone can use
+ *         email:
+ *           type: string
+ *           description: (email) Address invited; the invitee may not have an account yet
+ *         code:
+ *           type: string
+ *           description: (code) Join code to share
+ *         role:
+ *           type: string
+ *           enum: [leader, member]
+ *           description: Role given on joining
+ *         roleId:
+ *           type: string
+ *           description: Band role template given on joining (if any)
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [view, perform, edit_setlists, add_songs, edit_songs, invite_members, manage_invites, remove_members, manage_performances, manage_events, export]
+ *           description: Permissions given on joining
+ *         status:
+ *           type: string
+ *           enum: [pending, accepted, declined, revoked]
+ *           description: Join codes stay pending until revoked or they expire
+ *         maxUses:
+ *           type: number
+ *           description: (code) How many people can join with the code (null for no limit)
+ *         uses:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: string
+ *               joinedAt:
+ *                 type: string
+ *                 format: date-time
+ *           description: Users who joined with this invitation
+ *         invitedBy:
+ *           type: string
+ *           description: ID of the user who created the invitation
+ *         respondedAt:
+ *           type: string
+ *           format: date-time
+ *           description: (email) When the invitation was accepted or declined
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: The invitation cannot be used after this
+ */
+const invitationSchema = new mongoose.Schema({
+  bandId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Band',
+    required: [true, 'Band is required']
+  },
+  type: {
+    type: String,
+    enum: ['email', 'code'],
+    required: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [
+      /^[\w-\.]+@([\w-]+\.)+[\w-]{2,4}$/,
+      'Please provide a valid email address'
+    ]
+  },
+  code: {
+    type: String,
+    uppercase: true
+  },
+  role: {
+    type: String,
+    enum: ['leader', 'member'],
+    default: 'member'
+  },
+  roleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  permissions: {
+    type: [{
+      type: String,
+      enum: PERMISSIONS
+    }],
+    default: DEFAULT_PERMISSIONS
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'revoked'],
+    default: 'pending'
+  },
+  maxUses: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  uses: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  respondedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+// Indexes for better query performance
+invitationSchema.index({ bandId: 1, status: 1 });
+invitationSchema.index({ email: 1, status: 1 });
+invitationSchema.index({ code: 1 }, { unique: true, partialFilterExpression: { code: { $type: 'string' } } });
+
+// Email invitations need an address, join codes need a code
+invitationSchema.pre('validate', function(next) {
+  if (this.type === 'email' && !this.email) {
+    this.invalidate('email', 'Email is required');
+  }
+  if (this.type === 'code' && !this.code) {
+    this.invalidate('code', 'Join code is required');
+  }
+  next();
+});
+
+// Static to generate a random join code
+invitationSchema.statics.generateCode = function() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  return Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+};
+
+// Method to check if the invitation can still be used to join
+invitationSchema.methods.isUsable = function(now = new Date()) {
+  if (this.status !== 'pending' || this.expiresAt <= now) return false;
+  return this.maxUses === null || this.uses.length < this.maxUses;
+};
+
+// Method to check if the invitation was sent to a user
+invitationSchema.methods.isFor = function(user) {
+  return this.type === 'email' && this.email === user.email.toLowerCase();
+};
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+module.exports = Invitation;
@@ -0,0 +1,146 @@
+/**
+ * Notification Model
+ * An entry in a user's notification center, and the record of whether it has
+ * gone out by email/push yet
+ */
+const mongoose = require('mongoose');
+const { NOTIFICATION_EVENTS } = require('../utils/notificationEvents');
+
+// Notifications are kept for 90 days
+const RETENTION_SECONDS = 90 * 24 * 60 * 60;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Notification:
+ *       type: object
+ *       required:
+ *         - userId
+ *         - type
+ *         - title
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated ID of the notification
+ *         userId:
+ *           type: string
+ *           description: ID of the user notified
+ *         type:
+ *           type: string
+ *           enum: [setlist_changed, band_invitation, comment_mention, gig_reminder]
+ *         title:
+ *           type: string
+ *         body:
+ *           type: string
+ *         url:
+ *           type: string
+ *           description: Frontend path to open, e.g. /setlists/:id
+ *         bandId:
+ *           type: string
+ *           description: Band the notification is about, if any
+ *         data:
+ *           type: object
+ *           description: IDs of the setlist, comment or invitation involved
+ *         count:
+ *           type: number
+ *           description: How many events a digest notification stands for
+ *         readAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  type: {
+    type: String,
+    enum: Object.keys(NOTIFICATION_EVENTS),
+    required: [true, 'Notification type is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true
+  },
+  body: {
+    type: String,
+    default: ''
+  },
+  url: {
+    type: String,
+    default: ''
+  },
+  bandId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Band',
+    default: null
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Events with the same key collect into one notification until it is delivered or read
+  groupKey: {
+    type: String,
+    default: null
+  },
+  count: {
+    type: Number,
+    default: 1
+  },
+  // Whether the user sees it in the notification center
+  inApp: {
+    type: Boolean,
+    default: true
+  },
+  // Channels (email, push) it still has to go out on
+  channels: [{
+    type: String,
+    enum: ['email', 'push']
+  }],
+  deliverAfter: {
+    type: Date,
+    default: Date.now
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+// Indexes for better query performance
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, groupKey: 1 });
+notificationSchema.index({ deliveredAt: 1, deliverAfter: 1 });
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+// Method to get what the notification center shows
+notificationSchema.methods.getSummary = function() {
+  return {
+    _id: this._id,
+    type: this.type,
+    title: this.title,
+    body: this.body,
+    url: this.url,
+    bandId: this.bandId,
+    data: this.data,
+    count: this.count,
+    readAt: this.readAt,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
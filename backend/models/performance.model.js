@@ -0,0 +1,407 @@
+/**
+ * Performance Model
+ * A live performance of a setlist, kept afterwards as the record of the gig
+ */
+const mongoose = require('mongoose');
+const { ITEM_TYPES } = require('../utils/setlistEntries');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Performance:
+ *       type: object
+ *       required:
+ *         - setlistId
+ *         - startedBy
+ *         - leaderId
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated ID of the performance
+ *         setlistId:
+ *           type: string
+ *           description: ID of the setlist being performed
+ *         bandId:
+ *           type: string
+ *           description: ID of the band performing (if any)
+ *         title:
+ *           type: string
+ *           description: Title of the setlist when the performance started
+ *         venueId:
+ *           type: string
+ *           description: ID of the venue record (the setlist's venue when the performance started)
+ *         venue:
+ *           type: string
+ *           description: Venue of the performance
+ *         date:
+ *           type: string
+ *           format: date-time
+ *           description: Date of the gig (the setlist's date, or when the performance started)
+ *         status:
+ *           type: string
+ *           enum: [live, completed]
+ *           description: Whether the performance is running or over
+ *         startedBy:
+ *           type: string
+ *           description: ID of the user who started the performance
+ *         leaderId:
+ *           type: string
+ *           description: ID of the user who advances songs for everyone
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the performance started
+ *         endedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the performance ended
+ *         currentIndex:
+ *           type: number
+ *           description: Index of the entry being played (-1 if none)
+ *         entries:
+ *           type: array
+ *           description: Songs and other items in running order, including songs added during the show
+ *           items:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [song, break, speech, cue]
+ *                 description: What the entry is; breaks, announcements and cues are timed like songs
+ *               songId:
+ *                 type: string
+ *                 description: ID of the song, the first one for a medley (null for an item)
+ *               parts:
+ *                 type: array
+ *                 description: Every song the entry played, in order; a medley has one per song
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     songId:
+ *                       type: string
+ *                     variantId:
+ *                       type: string
+ *                       description: Arrangement played (null for the song as written)
+ *                     title:
+ *                       type: string
+ *                     plannedDuration:
+ *                       type: number
+ *                       description: Duration planned for this song in seconds
+ *               title:
+ *                 type: string
+ *                 description: Title of the song when it was added, or what the item is (e.g., "Break: Raffle")
+ *               setlistEntryId:
+ *                 type: string
+ *                 description: ID of the setlist entry this came from (null if added on the fly)
+ *               setName:
+ *                 type: string
+ *                 description: Name of the set the song belongs to
+ *               plannedDuration:
+ *                 type: number
+ *                 description: Duration planned in the setlist in seconds
+ *               status:
+ *                 type: string
+ *                 enum: [pending, playing, played, skipped]
+ *                 description: Whether the song is still to come, playing, played or skipped
+ *               addedOnTheFly:
+ *                 type: boolean
+ *                 description: Whether the song was added during the performance
+ *               startedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When the song started
+ *               endedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When the song ended
+ *               actualDuration:
+ *                 type: number
+ *                 description: How long the song actually took in seconds
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: Date and time when the performance was created
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Date and time when the performance was last updated
+ */
+const performanceSchema = new mongoose.Schema({
+  setlistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Setlist',
+    required: true
+  },
+  bandId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Band',
+    default: null
+  },
+  title: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  venueId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Venue',
+    default: null
+  },
+  venue: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: ['live', 'completed'],
+    default: 'live'
+  },
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  leaderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  currentIndex: {
+    type: Number,
+    default: -1
+  },
+  entries: [{
+    type: {
+      type: String,
+      enum: ITEM_TYPES,
+      default: 'song'
+    },
+    songId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Song',
+      default: null,
+      required: function() {
+        return this.type === 'song';
+      }
+    },
+    parts: [{
+      _id: false,
+      songId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Song',
+        required: true
+      },
+      variantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+      },
+      title: {
+        type: String,
+        default: ''
+      },
+      plannedDuration: {
+        type: Number, // in seconds
+        default: 0
+      }
+    }],
+    title: {
+      type: String,
+      default: ''
+    },
+    setlistEntryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    setName: {
+      type: String,
+      default: ''
+    },
+    plannedDuration: {
+      type: Number, // in seconds
+      default: 0
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'playing', 'played', 'skipped'],
+      default: 'pending'
+    },
+    addedOnTheFly: {
+      type: Boolean,
+      default: false
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    startedAt: {
+      type: Date,
+      default: null
+    },
+    endedAt: {
+      type: Date,
+      default: null
+    },
+    actualDuration: {
+      type: Number, // in seconds
+      default: null
+    }
+  }]
+}, { timestamps: true });
+
+// Create indexes for better query performance
+performanceSchema.index({ setlistId: 1, date: -1 });
+performanceSchema.index({ bandId: 1, date: -1 });
+performanceSchema.index({ startedBy: 1, date: -1 });
+performanceSchema.index({ venue: 1, date: -1 }, { collation: { locale: 'en', strength: 2 } });
+performanceSchema.index({ venueId: 1, date: -1 });
+
+// A setlist can only be performed once at a time
+performanceSchema.index({ setlistId: 1 }, { unique: true, partialFilterExpression: { status: 'live' } });
+
+// Method to check if a user controls the performance
+performanceSchema.methods.isLedBy = function(userId) {
+  return this.leaderId.toString() === userId.toString();
+};
+
+// Method to get the entry being played
+performanceSchema.methods.getCurrentEntry = function() {
+  return this.currentIndex >= 0 ? this.entries[this.currentIndex] || null : null;
+};
+
+// Method to get the next entry that is still to be played
+performanceSchema.methods.getUpNext = function() {
+  return this.entries.find((entry, index) => index > this.currentIndex && entry.status === 'pending') || null;
+};
+
+// Method to finish the current entry as played
+performanceSchema.methods.finishCurrent = function(now = new Date()) {
+  const current = this.getCurrentEntry();
+
+  if (current && current.status === 'playing') {
+    current.status = 'played';
+    current.endedAt = now;
+    current.actualDuration = Math.round((now - current.startedAt) / 1000);
+  }
+
+  this.currentIndex = -1;
+};
+
+// Method to start playing an entry, finishing whatever was playing
+performanceSchema.methods.startEntry = function(index, now = new Date()) {
+  this.finishCurrent(now);
+
+  const entry = this.entries[index];
+  entry.status = 'playing';
+  entry.startedAt = now;
+  entry.endedAt = null;
+  entry.actualDuration = null;
+  this.currentIndex = index;
+};
+
+// Method to move on to the next song still to be played
+performanceSchema.methods.advance = function(now = new Date()) {
+  const next = this.getUpNext();
+
+  if (next) {
+    this.startEntry(this.entries.indexOf(next), now);
+  } else {
+    this.finishCurrent(now);
+  }
+};
+
+// Method to skip an entry; skipping the current song moves on to the next
+performanceSchema.methods.skipEntry = function(entryId, now = new Date()) {
+  const index = this.entries.findIndex(entry => entry._id.toString() === entryId.toString());
+  const entry = this.entries[index];
+
+  if (!entry || entry.status === 'played' || entry.status === 'skipped') return false;
+
+  if (index === this.currentIndex) {
+    entry.status = 'skipped';
+    entry.startedAt = null;
+    this.currentIndex = -1;
+
+    // Carry on from where the skipped song was
+    const next = this.entries.find((candidate, candidateIndex) => candidateIndex > index && candidate.status === 'pending');
+    if (next) this.startEntry(this.entries.indexOf(next), now);
+  } else {
+    entry.status = 'skipped';
+  }
+
+  return true;
+};
+
+// Method to add a song during the show, after the current song by default
+performanceSchema.methods.insertSong = function(song, userId, position) {
+  const defaultPosition = this.currentIndex >= 0 ? this.currentIndex + 1 : this.entries.findIndex(entry => entry.status === 'pending');
+  let index = position === undefined ? defaultPosition : position;
+  if (index < 0 || index > this.entries.length) index = this.entries.length;
+
+  // Songs cannot be slotted in before the one being played
+  if (this.currentIndex >= 0 && index <= this.currentIndex) index = this.currentIndex + 1;
+
+  const neighbour = this.entries[index - 1] || this.entries[index];
+  this.entries.splice(index, 0, {
+    songId: song._id,
+    parts: [{ songId: song._id, title: song.title, plannedDuration: song.duration || 0 }],
+    title: song.title,
+    setName: neighbour ? neighbour.setName : '',
+    plannedDuration: song.duration || 0,
+    addedOnTheFly: true,
+    addedBy: userId
+  });
+
+  if (this.currentIndex >= index) this.currentIndex += 1;
+
+  return this.entries[index];
+};
+
+// Method to end the performance
+performanceSchema.methods.end = function(now = new Date()) {
+  this.finishCurrent(now);
+  this.status = 'completed';
+  this.endedAt = now;
+};
+
+// Method to get the shared "now playing" state broadcast to every screen
+performanceSchema.methods.getState = function() {
+  const count = status => this.entries.filter(entry => entry.status === status).length;
+
+  return {
+    performanceId: this._id,
+    setlistId: this.setlistId,
+    status: this.status,
+    leaderId: this.leaderId,
+    startedAt: this.startedAt,
+    endedAt: this.endedAt,
+    currentIndex: this.currentIndex,
+    nowPlaying: this.getCurrentEntry(),
+    upNext: this.getUpNext(),
+    progress: {
+      total: this.entries.length,
+      played: count('played'),
+      skipped: count('skipped'),
+      remaining: count('pending')
+    },
+    entries: this.entries
+  };
+};
+
+const Performance = mongoose.model('Performance', performanceSchema);
+
+module.exports = Performance;
@@ -0,0 +1,114 @@
+/**
+ * Syncable Plugin
+ * Stamps documents with a global sync sequence number on every write and
+ * leaves a tombstone when they are deleted, so offline clients can ask for
+ * everything that changed since their last sync.
+ */
+const Counter = require('../counter.model');
+const Tombstone = require('../tombstone.model');
+
+const SEQUENCE = 'sync';
+
+/**
+ * Record tombstones for deleted documents
+ * @param {string} collectionName
+ * @param {Array<Object>} docs - Deleted documents (at least _id, createdBy and bandId)
+ */
+const buryDocuments = async (collectionName, docs) => {
+  if (!docs.length) return;
+
+  const first = await Counter.next(SEQUENCE, docs.length);
+  const now = new Date();
+
+  await Tombstone.insertMany(docs.map((doc, index) => ({
+    collectionName,
+    documentId: doc._id,
+    createdBy: doc.createdBy || null,
+    bandId: doc.bandId || null,
+    syncSeq: first + index,
+    syncedAt: now
+  })));
+};
+
+/**
+ * @param {Object} schema
+ * @param {Object} options
+ * @param {string} options.collectionName - Name clients know the collection by (e.g. 'songs')
+ */
+const syncable = (schema, { collectionName }) => {
+  schema.add({
+    syncSeq: {
+      type: Number,
+      default: 0
+    },
+    syncedAt: {
+      type: Date,
+      default: null
+    }
+  });
+
+  schema.index({ syncSeq: 1 });
+
+  schema.pre('save', async function(next) {
+    try {
+      this.syncSeq = await Counter.next(SEQUENCE);
+      this.syncedAt = new Date();
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  schema.pre('insertMany', async function(next, docs) {
+    try {
+      const list = Array.isArray(docs) ? docs : [docs];
+      const first = await Counter.next(SEQUENCE, list.length || 1);
+      const now = new Date();
+
+      list.forEach((doc, index) => {
+        doc.syncSeq = first + index;
+        doc.syncedAt = now;
+      });
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Updates that bypass save() still count as changes
+  schema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], async function(next) {
+    try {
+      this.set('syncSeq', await Counter.next(SEQUENCE));
+      this.set('syncedAt', new Date());
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, async function(doc) {
+    await buryDocuments(collectionName, [doc]);
+  });
+
+  schema.post('findOneAndDelete', async function(doc) {
+    if (doc) await buryDocuments(collectionName, [doc]);
+  });
+
+  // Query deletes only know their filter, so look up what is about to go first
+  schema.pre(['deleteOne', 'deleteMany'], { document: false, query: true }, async function(next) {
+    try {
+      const query = this.model.find(this.getFilter()).select('createdBy bandId');
+      this._syncDeleted = this.op === 'deleteOne' ? await query.limit(1) : await query;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  schema.post(['deleteOne', 'deleteMany'], { document: false, query: true }, async function() {
+    await buryDocuments(collectionName, this._syncDeleted || []);
+  });
+};
+
+module.exports = syncable;
+module.exports.SEQUENCE = SEQUENCE;
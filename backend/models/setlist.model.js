@@ -3,6 +3,11 @@
  * Defines the schema for setlists in the application
  */
 const mongoose = require('mongoose');
+const { can } = require('../utils/authorization');
+const { VersionConflictError } = require('../utils/errors');
+const syncable = require('./plugins/syncable.plugin');
+const SetlistVersion = require('./setlistVersion.model');
+const { ITEM_TYPES, getSongIds } = require('../utils/setlistEntries');
 
 /**
  * @swagger
@@ -29,10 +34,22 @@ const mongoose = require('mongoose');
  *           description: Date and time of the performance
  *         venue:
  *           type: string
- *           description: Venue where the performance will take place
+ *           description: Venue where the performance will take place; the linked venue's name when venueId is set
+ *         venueId:
+ *           type: string
+ *           description: Venue of the setlist's band (or creator) the performance is at
  *         totalDuration:
  *           type: number
  *           description: Total duration of the setlist in seconds
+ *         targetDuration:
+ *           type: number
+ *           description: Target length of the whole show in seconds (defaults to the sum of the set targets)
+ *         overrun:
+ *           type: number
+ *           description: Seconds the show runs over its target (negative if under, null without a target)
+ *         songGap:
+ *           type: number
+ *           description: Default changeover/banter gap between songs in seconds
  *         sets:
  *           type: array
  *           items:
@@ -43,27 +60,71 @@ const mongoose = require('mongoose');
  *                 description: Name of the set (e.g., "First Set", "Acoustic Set")
  *               duration:
  *                 type: number
- *                 description: Duration of the set in seconds
+ *                 description: Duration of the set in seconds, including gaps between songs
+ *               targetDuration:
+ *                 type: number
+ *                 description: Target length of the set in seconds (null defaults from the creator's defaultSetDuration, 0 means no target)
+ *               overrun:
+ *                 type: number
+ *                 description: Seconds the set runs over its target (negative if under, null without a target)
  *               songs:
  *                 type: array
  *                 items:
  *                   type: object
  *                   properties:
+ *                     type:
+ *                       type: string
+ *                       enum: [song, break, speech, cue]
+ *                       description: What the entry is; everything but a song is an item with a label and a duration of its own
+ *                     label:
+ *                       type: string
+ *                       description: What an item is about (e.g., "Raffle", "Costume change", "Click track")
  *                     songId:
  *                       type: string
- *                       description: ID of the song
+ *                       description: ID of the song (the first song of a medley; null for an item)
+ *                     variantId:
+ *                       type: string
+ *                       description: Arrangement of the song being played (null for the song as written)
+ *                     medley:
+ *                       type: array
+ *                       description: Songs of a medley, played back to back as one entry (empty for a single song)
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           songId:
+ *                             type: string
+ *                           variantId:
+ *                             type: string
+ *                           duration:
+ *                             type: number
+ *                             description: Duration of this part in seconds
+ *                     medleyName:
+ *                       type: string
+ *                       description: Name of the medley (optional)
+ *                     segue:
+ *                       type: boolean
+ *                       description: Whether the entry runs straight into the next one, with no gap
  *                     order:
  *                       type: number
  *                       description: Position of the song in the set
  *                     duration:
  *                       type: number
- *                       description: Duration of the song in seconds (may differ from original)
+ *                       description: Duration of the song in seconds (may differ from original; the sum of the parts for a medley)
  *                     notes:
  *                       type: string
  *                       description: Performance notes specific to this song in the setlist
  *                     isPlayed:
  *                       type: boolean
  *                       description: Whether the song has been played in a performance
+ *                     gapAfter:
+ *                       type: number
+ *                       description: Gap after this song in seconds (null uses the setlist's songGap)
+ *                     transpose:
+ *                       type: number
+ *                       description: Semitones to transpose the song by for this performance (e.g., -2 for a whole step down)
+ *                     capo:
+ *                       type: number
+ *                       description: Capo fret for guitarists (null to use the suggested position)
  *         createdBy:
  *           type: string
  *           description: ID of the user who created the setlist
@@ -73,27 +134,18 @@ const mongoose = require('mongoose');
  *         isPublic:
  *           type: boolean
  *           description: Whether the setlist is publicly viewable
+ *         clonedFromId:
+ *           type: string
+ *           description: Setlist this one was cloned from (if any)
+ *         templateId:
+ *           type: string
+ *           description: Template this setlist was created from (if any)
  *         version:
  *           type: number
  *           description: Current version number of the setlist
- *         versionHistory:
- *           type: array
- *           items:
- *             type: object
- *             properties:
- *               version:
- *                 type: number
- *                 description: Version number
- *               changedBy:
- *                 type: string
- *                 description: ID of the user who made the change
- *               timestamp:
- *                 type: string
- *                 format: date-time
- *                 description: When the change was made
- *               changes:
- *                 type: string
- *                 description: Description of changes made
+ *         syncSeq:
+ *           type: number
+ *           description: Sync sequence number of the last change, used as the base revision by offline clients
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -123,10 +175,41 @@ const setlistSchema = new mongoose.Schema({
     default: '',
     trim: true
   },
+  venueId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Venue',
+    default: null,
+    validate: {
+      // Only the setlist's own band's venues, or for a personal setlist its creator's
+      validator: async function(venueId) {
+        if (!venueId) return true;
+        const venue = await mongoose.model('Venue').findById(venueId).select('bandId createdBy');
+        if (!venue) return false;
+        return this.bandId
+          ? !!venue.bandId && venue.bandId.equals(this.bandId)
+          : !venue.bandId && venue.createdBy.equals(this.createdBy);
+      },
+      message: 'Venue not found'
+    }
+  },
   totalDuration: {
     type: Number, // in seconds
     default: 0
   },
+  targetDuration: {
+    type: Number, // in seconds
+    default: null,
+    min: 0
+  },
+  overrun: {
+    type: Number, // in seconds
+    default: null
+  },
+  songGap: {
+    type: Number, // in seconds
+    default: 0,
+    min: 0
+  },
   sets: [{
     name: {
       type: String,
@@ -137,11 +220,61 @@ const setlistSchema = new mongoose.Schema({
       type: Number, // in seconds
       default: 0
     },
+    targetDuration: {
+      type: Number, // in seconds
+      default: null,
+      min: 0
+    },
+    overrun: {
+      type: Number, // in seconds
+      default: null
+    },
     songs: [{
+      type: {
+        type: String,
+        enum: ITEM_TYPES,
+        default: 'song'
+      },
+      label: {
+        type: String,
+        default: '',
+        trim: true
+      },
       songId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Song',
-        required: true
+        default: null,
+        required: function() {
+          return this.type === 'song';
+        }
+      },
+      variantId: {
+        type: mongoose.Schema.Types.ObjectId, // one of the song's variants
+        default: null
+      },
+      medley: [{
+        songId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Song',
+          required: true
+        },
+        variantId: {
+          type: mongoose.Schema.Types.ObjectId,
+          default: null
+        },
+        duration: {
+          type: Number, // in seconds
+          default: 0
+        }
+      }],
+      medleyName: {
+        type: String,
+        default: '',
+        trim: true
+      },
+      segue: {
+        type: Boolean,
+        default: false
       },
       order: {
         type: Number,
@@ -158,6 +291,23 @@ const setlistSchema = new mongoose.Schema({
       isPlayed: {
         type: Boolean,
         default: false
+      },
+      gapAfter: {
+        type: Number, // in seconds
+        default: null,
+        min: 0
+      },
+      transpose: {
+        type: Number, // in semitones
+        default: 0,
+        min: -11,
+        max: 11
+      },
+      capo: {
+        type: Number,
+        default: null,
+        min: 0,
+        max: 12
       }
     }]
   }],
@@ -175,10 +325,21 @@ const setlistSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  clonedFromId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Setlist',
+    default: null
+  },
+  templateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SetlistTemplate',
+    default: null
+  },
   version: {
     type: Number,
     default: 1
   },
+  // Legacy inline history; moved to SetlistVersion the next time the setlist is saved
   versionHistory: [{
     version: Number,
     changedBy: {
@@ -189,27 +350,71 @@ const setlistSchema = new mongoose.Schema({
       type: Date,
       default: Date.now
     },
-    changes: String
+    changes: String,
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    restoredFrom: {
+      type: Number,
+      default: null
+    }
   }]
 }, { timestamps: true });
 
+// Stamp changes for offline sync
+setlistSchema.plugin(syncable, { collectionName: 'setlists' });
+
 // Create indexes for better query performance
 setlistSchema.index({ createdBy: 1 });
 setlistSchema.index({ bandId: 1 });
 setlistSchema.index({ title: 'text', description: 'text', venue: 'text' });
 setlistSchema.index({ date: 1 });
+setlistSchema.index({ venueId: 1 });
 setlistSchema.index({ isPublic: 1 });
 
+// Songs ending within this many seconds of the target count as on target
+const BUDGET_TOLERANCE = 60;
+
 // Pre-save hook to update total duration
-setlistSchema.pre('save', function(next) {
-  // Calculate total duration from all sets
-  this.totalDuration = this.sets.reduce((total, set) => {
-    // Calculate set duration from all songs
-    set.duration = set.songs.reduce((setTotal, song) => setTotal + (song.duration || 0), 0);
-    return total + set.duration;
-  }, 0);
+setlistSchema.pre('save', async function(next) {
+  try {
+    await this.applyVenue();
+    await this.applyDefaultSetDurations();
+    this.calculateDurations();
+    
+    // Record the initial version so later versions can be diffed against it
+    if (this.isNew) {
+      this.$locals.newVersion = {
+        version: this.version,
+        changedBy: this.createdBy,
+        changes: 'Created setlist',
+        snapshot: this.getSnapshot()
+      };
+    }
+    
+    if (this.versionHistory && this.versionHistory.length) {
+      await this.moveLegacyVersions();
+    }
+    
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Store the version a save produced, once the save has gone through
+setlistSchema.post('save', async function() {
+  const entry = this.$locals.newVersion;
+  if (!entry) return;
   
-  next();
+  this.$locals.newVersion = null;
+  await SetlistVersion.create([{ ...entry, setlistId: this._id }], { session: this.$session() });
+});
+
+// Drop the history of a deleted setlist
+setlistSchema.post('deleteOne', { document: true, query: false }, async function(doc) {
+  await SetlistVersion.deleteMany({ setlistId: doc._id });
 });
 
 // Virtual for formatted total duration (HH:MM:SS)
@@ -223,34 +428,256 @@ setlistSchema.virtual('formattedTotalDuration').get(function() {
   return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
 });
 
-// Method to check if user has access to this setlist
+// Method to check if user has access to this setlist (public, creator, or band members who can perform it)
 setlistSchema.methods.isAccessibleBy = async function(userId) {
-  // Public setlists are accessible by anyone
-  if (this.isPublic) {
-    return true;
-  }
+  return can(userId, 'perform', this);
+};
+
+// Method to check if user can make changes to this setlist
+setlistSchema.methods.isEditableBy = async function(userId) {
+  return can(userId, 'edit_setlists', this);
+};
+
+// Method to get the gap following a song entry (none when it segues into the next)
+setlistSchema.methods.getGapAfter = function(song) {
+  if (song.segue) return 0;
+  return song.gapAfter === null || song.gapAfter === undefined ? this.songGap : song.gapAfter;
+};
+
+// Method to get every song played, medley parts included
+setlistSchema.methods.getSongIds = function() {
+  return getSongIds(this.sets);
+};
+
+// Method to get the show target, falling back to the sum of the set targets
+setlistSchema.methods.getShowTargetDuration = function() {
+  if (this.targetDuration) return this.targetDuration;
+  
+  const setTargets = this.sets.reduce((total, set) => total + (set.targetDuration || 0), 0);
+  return setTargets || null;
+};
+
+// Method to take the venue name from the linked venue, and for a new setlist its time budget
+setlistSchema.methods.applyVenue = async function() {
+  if (!this.venueId || !(this.isNew || this.isModified('venueId') || this.isModified('venue'))) return null;
   
-  // Creator always has access
-  if (this.createdBy.toString() === userId.toString()) {
-    return true;
+  const venue = await mongoose.model('Venue').findById(this.venueId);
+  if (!venue) return null;
+  
+  this.venue = venue.name;
+  
+  if (this.isNew) {
+    const budget = venue.getTimeBudget(this.date);
+    
+    if (!this.sets.length) {
+      budget.setTargets.forEach((targetDuration, index) => {
+        this.sets.push({ name: `Set ${index + 1}`, targetDuration, songs: [] });
+      });
+    } else {
+      this.sets.forEach((set, index) => {
+        const unset = set.targetDuration === null || set.targetDuration === undefined;
+        if (unset && budget.setTargets[index] !== undefined) {
+          set.targetDuration = budget.setTargets[index];
+        }
+      });
+    }
+    
+    if (this.targetDuration === null && budget.targetDuration) {
+      this.targetDuration = budget.targetDuration;
+    }
   }
   
-  // If setlist belongs to a band, check if user is in that band
-  if (this.bandId) {
-    const Band = mongoose.model('Band');
-    const band = await Band.findOne({
-      _id: this.bandId,
-      'members.userId': userId
+  return venue;
+};
+
+// Method to fill in set targets from the creator's default set duration
+setlistSchema.methods.applyDefaultSetDurations = async function() {
+  const unset = this.sets.filter(set => set.targetDuration === null || set.targetDuration === undefined);
+  if (!unset.length) return this;
+  
+  const User = mongoose.model('User');
+  const creator = await User.findById(this.createdBy).select('settings.defaultSetDuration');
+  const defaultMinutes = creator ? creator.settings.defaultSetDuration : 0;
+  
+  unset.forEach((set) => {
+    set.targetDuration = (defaultMinutes || 0) * 60;
+  });
+  
+  return this;
+};
+
+// Method to recalculate set and total durations and overruns from the songs
+setlistSchema.methods.calculateDurations = function() {
+  // Calculate total duration from all sets
+  this.totalDuration = this.sets.reduce((total, set) => {
+    // A medley lasts as long as its parts and is filed under its first song
+    set.songs.forEach((song) => {
+      if (!song.medley || !song.medley.length) return;
+      song.songId = song.medley[0].songId;
+      song.variantId = song.medley[0].variantId;
+      song.duration = song.medley.reduce((medleyTotal, part) => medleyTotal + (part.duration || 0), 0);
     });
     
-    return !!band;
+    // Calculate set duration from all songs and the gaps between them
+    set.duration = set.songs.reduce((setTotal, song, index) => {
+      const gap = index < set.songs.length - 1 ? this.getGapAfter(song) : 0;
+      return setTotal + (song.duration || 0) + gap;
+    }, 0);
+    set.overrun = set.targetDuration ? set.duration - set.targetDuration : null;
+    return total + set.duration;
+  }, 0);
+  
+  const showTarget = this.getShowTargetDuration();
+  this.overrun = showTarget ? this.totalDuration - showTarget : null;
+  
+  return this;
+};
+
+// Method to report how each set and the show fit their time budgets
+setlistSchema.methods.getBudgetReport = function() {
+  this.calculateDurations();
+  
+  const status = (overrun) => {
+    if (overrun === null) return 'no_target';
+    if (overrun > BUDGET_TOLERANCE) return 'over';
+    if (overrun < -BUDGET_TOLERANCE) return 'under';
+    return 'on_target';
+  };
+  
+  const sets = this.sets.map((set) => {
+    let elapsed = 0;
+    
+    // Songs that end past the set target are the ones pushing the set over
+    const songsOverBudget = [];
+    set.songs.forEach((song, index) => {
+      const startsAt = elapsed;
+      const endsAt = startsAt + (song.duration || 0);
+      elapsed = endsAt + (index < set.songs.length - 1 ? this.getGapAfter(song) : 0);
+      
+      if (set.targetDuration && endsAt > set.targetDuration) {
+        songsOverBudget.push({
+          entryId: song._id,
+          type: song.type,
+          label: song.label,
+          songId: song.songId,
+          position: index,
+          startsAt,
+          endsAt,
+          overBy: endsAt - set.targetDuration
+        });
+      }
+    });
+    
+    return {
+      setId: set._id,
+      name: set.name,
+      duration: set.duration,
+      targetDuration: set.targetDuration || null,
+      overrun: set.overrun,
+      status: status(set.overrun),
+      songsOverBudget
+    };
+  });
+  
+  return {
+    totalDuration: this.totalDuration,
+    targetDuration: this.getShowTargetDuration(),
+    overrun: this.overrun,
+    status: status(this.overrun),
+    sets
+  };
+};
+
+// Method to capture the restorable content of the setlist
+setlistSchema.methods.getSnapshot = function() {
+  this.calculateDurations();
+  
+  return {
+    title: this.title,
+    sets: this.sets.map(set => set.toObject())
+  };
+};
+
+// Method to bump the version and stage a snapshot, stored in the version history when the setlist is saved
+setlistSchema.methods.recordVersion = function(userId, changes, restoredFrom = null) {
+  this.version += 1;
+  this.$locals.newVersion = {
+    version: this.version,
+    changedBy: userId,
+    changes,
+    snapshot: this.getSnapshot(),
+    restoredFrom
+  };
+  
+  return this;
+};
+
+// Method to move a legacy inline version history into SetlistVersion
+// Versions already moved by an earlier, failed save are skipped
+setlistSchema.methods.moveLegacyVersions = async function() {
+  const entries = this.versionHistory.map((entry) => {
+    const { _id, ...version } = entry.toObject();
+    return { ...version, setlistId: this._id };
+  });
+  
+  try {
+    await SetlistVersion.insertMany(entries, { ordered: false, session: this.$session() });
+  } catch (error) {
+    const duplicatesOnly = error.writeErrors && error.writeErrors.every(writeError => writeError.code === 11000);
+    if (!duplicatesOnly) throw error;
   }
   
-  return false;
+  this.versionHistory = [];
 };
 
-// Method to add a song to a set
-setlistSchema.methods.addSong = function(setIndex, songId, duration, notes = '') {
+// Method to save as the next version, only if nobody else saved since baseVersion
+setlistSchema.methods.saveVersion = async function(baseVersion, userId, changes, restoredFrom = null) {
+  if (this.version !== baseVersion) {
+    throw new VersionConflictError(baseVersion, this.version);
+  }
+  
+  // The version filter makes the check and the write a single atomic update
+  this.$where = { version: baseVersion };
+  this.recordVersion(userId, changes, restoredFrom);
+  
+  try {
+    await this.save();
+  } catch (error) {
+    this.$locals.newVersion = null;
+    if (error instanceof mongoose.Error.DocumentNotFoundError) {
+      const current = await this.constructor.findById(this._id).select('version');
+      throw new VersionConflictError(baseVersion, current ? current.version : baseVersion + 1);
+    }
+    throw error;
+  } finally {
+    this.$where = undefined;
+  }
+  
+  return this;
+};
+
+// Method to get the version history, newest first, without snapshots
+setlistSchema.methods.getVersions = async function() {
+  const stored = await SetlistVersion.find({ setlistId: this._id }).select('-snapshot').sort({ version: -1 }).lean();
+  const storedVersions = new Set(stored.map(entry => entry.version));
+  const legacy = (this.versionHistory || [])
+    .filter(entry => !storedVersions.has(entry.version))
+    .map(({ version, changedBy, timestamp, changes, restoredFrom }) => ({ version, changedBy, timestamp, changes, restoredFrom }));
+  
+  return [...stored, ...legacy].sort((a, b) => b.version - a.version);
+};
+
+// Method to get a version with its snapshot
+setlistSchema.methods.getVersion = async function(version) {
+  const number = Number(version);
+  if (!Number.isInteger(number)) return null;
+  
+  const stored = await SetlistVersion.findOne({ setlistId: this._id, version: number }).lean();
+  return stored || (this.versionHistory || []).find(entry => entry.version === number) || null;
+};
+
+// Method to add a song to a set, optionally in one of its arrangements
+setlistSchema.methods.addSong = function(setIndex, songId, duration, notes = '', variantId = null) {
   // Create set if it doesn't exist
   if (!this.sets[setIndex]) {
     this.sets[setIndex] = {
@@ -267,6 +694,7 @@ setlistSchema.methods.addSong = function(setIndex, songId, duration, notes = '')
   // Add the song
   this.sets[setIndex].songs.push({
     songId,
+    variantId,
     order: nextOrder,
     duration,
     notes
@@ -275,7 +703,33 @@ setlistSchema.methods.addSong = function(setIndex, songId, duration, notes = '')
   return this;
 };
 
+// Method to add a medley of several songs to a set as one entry
+setlistSchema.methods.addMedley = function(setIndex, parts, name = '', notes = '') {
+  const [first] = parts;
+  this.addSong(setIndex, first.songId, 0, notes, first.variantId || null);
+  
+  const entry = this.sets[setIndex].songs[this.sets[setIndex].songs.length - 1];
+  entry.medley = parts.map(({ songId, variantId, duration }) => ({ songId, variantId: variantId || null, duration: duration || 0 }));
+  entry.medleyName = name;
+  entry.duration = entry.medley.reduce((total, part) => total + part.duration, 0);
+  
+  return this;
+};
+
+// Method to add something other than a song to a set, e.g. a break or an announcement
+setlistSchema.methods.addItem = function(setIndex, type, label = '', duration = 0, notes = '') {
+  this.addSong(setIndex, null, duration, notes);
+  
+  const entry = this.sets[setIndex].songs[this.sets[setIndex].songs.length - 1];
+  entry.type = type;
+  entry.label = label;
+  
+  return this;
+};
+
 // Method to move a song within a set or to another set
+// A medley is a single entry, so it always moves as one block. Segues only join
+// neighbours: moving an entry breaks the segue into it and the one out of it.
 setlistSchema.methods.moveSong = function(fromSetIndex, fromSongIndex, toSetIndex, toPosition) {
   // Validate indexes
   if (!this.sets[fromSetIndex] || !this.sets[toSetIndex]) {
@@ -287,8 +741,14 @@ setlistSchema.methods.moveSong = function(fromSetIndex, fromSongIndex, toSetInde
   }
   
   // Remove the song from its current position
+  const previous = this.sets[fromSetIndex].songs[fromSongIndex - 1];
   const song = this.sets[fromSetIndex].songs.splice(fromSongIndex, 1)[0];
   
+  if (fromSetIndex !== toSetIndex || fromSongIndex !== toPosition) {
+    if (previous) previous.segue = false;
+    song.segue = false;
+  }
+  
   // Add the song to its new position
   this.sets[toSetIndex].songs.splice(toPosition, 0, song);
   
@@ -0,0 +1,82 @@
+/**
+ * Setlist Operation Model
+ * Log of collaborative edit operations applied to setlists
+ */
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SetlistOperation:
+ *       type: object
+ *       required:
+ *         - setlistId
+ *         - version
+ *         - type
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated ID of the operation
+ *         setlistId:
+ *           type: string
+ *           description: ID of the setlist the operation was applied to
+ *         version:
+ *           type: number
+ *           description: Setlist version produced by this operation
+ *         type:
+ *           type: string
+ *           enum: [addSong, addMedley, addItem, editItem, removeSong, moveSong, renameSet, editNotes, transposeSong, setSegue, setVariant]
+ *           description: Type of the operation
+ *         op:
+ *           type: object
+ *           description: Operation as applied, with resolved set IDs and positions
+ *         opId:
+ *           type: string
+ *           description: Client-generated ID used to deduplicate retried operations
+ *         changedBy:
+ *           type: string
+ *           description: ID of the user who submitted the operation
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: Date and time when the operation was applied
+ */
+const setlistOperationSchema = new mongoose.Schema({
+  setlistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Setlist',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['addSong', 'addMedley', 'addItem', 'editItem', 'removeSong', 'moveSong', 'renameSet', 'editNotes', 'transposeSong', 'setSegue', 'setVariant'],
+    required: true
+  },
+  op: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  opId: {
+    type: String,
+    default: null
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+// Operations are only needed to rebase clients that are a few versions behind
+setlistOperationSchema.index({ setlistId: 1, version: 1 }, { unique: true });
+setlistOperationSchema.index({ setlistId: 1, opId: 1 });
+setlistOperationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const SetlistOperation = mongoose.model('SetlistOperation', setlistOperationSchema);
+
+module.exports = SetlistOperation;
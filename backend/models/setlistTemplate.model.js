@@ -0,0 +1,285 @@
+/**
+ * Setlist Template Model
+ * A reusable show shape saved from a setlist: its sets, their names and time
+ * budgets, and optionally the songs in them. New setlists are created from
+ * templates; the template itself is never performed or scheduled.
+ */
+const mongoose = require('mongoose');
+const { ITEM_TYPES, isSong, getEntryParts } = require('../utils/setlistEntries');
+
+// Entry fields a template keeps; played flags and positions belong to a setlist
+const ENTRY_FIELDS = ['type', 'label', 'songId', 'variantId', 'medley', 'medleyName', 'segue', 'duration', 'notes', 'gapAfter', 'transpose', 'capo'];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SetlistTemplate:
+ *       type: object
+ *       required:
+ *         - name
+ *         - createdBy
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated ID of the template
+ *         name:
+ *           type: string
+ *           description: Name of the show shape, e.g. "Three-set wedding"
+ *         description:
+ *           type: string
+ *         bandId:
+ *           type: string
+ *           description: Band the template belongs to; null for a personal template
+ *         includesSongs:
+ *           type: boolean
+ *           description: Whether setlists created from the template start with its songs, or with empty sets
+ *         songGap:
+ *           type: number
+ *           description: Gap between songs in seconds
+ *         targetDuration:
+ *           type: number
+ *           description: Target length of the whole show in seconds
+ *         sets:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               targetDuration:
+ *                 type: number
+ *                 description: Target length of the set in seconds (0 means no target)
+ *               songs:
+ *                 type: array
+ *                 description: Empty unless the template includes songs
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                       enum: [song, break, speech, cue]
+ *                     label:
+ *                       type: string
+ *                     songId:
+ *                       type: string
+ *                     variantId:
+ *                       type: string
+ *                     medley:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           songId:
+ *                             type: string
+ *                           variantId:
+ *                             type: string
+ *                           duration:
+ *                             type: number
+ *                     medleyName:
+ *                       type: string
+ *                     segue:
+ *                       type: boolean
+ *                     duration:
+ *                       type: number
+ *                     notes:
+ *                       type: string
+ *                     gapAfter:
+ *                       type: number
+ *                     transpose:
+ *                       type: number
+ *                     capo:
+ *                       type: number
+ *         sourceSetlistId:
+ *           type: string
+ *           description: Setlist the template was saved from
+ *         createdBy:
+ *           type: string
+ *           description: ID of the user who saved the template
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+const setlistTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  bandId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Band',
+    default: null
+  },
+  includesSongs: {
+    type: Boolean,
+    default: false
+  },
+  songGap: {
+    type: Number, // in seconds
+    default: 0,
+    min: 0
+  },
+  targetDuration: {
+    type: Number, // in seconds
+    default: null,
+    min: 0
+  },
+  sets: [{
+    name: {
+      type: String,
+      default: 'Main Set',
+      trim: true
+    },
+    targetDuration: {
+      type: Number, // in seconds
+      default: null,
+      min: 0
+    },
+    songs: [{
+      type: {
+        type: String,
+        enum: ITEM_TYPES,
+        default: 'song'
+      },
+      label: {
+        type: String,
+        default: '',
+        trim: true
+      },
+      songId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Song',
+        default: null,
+        required: function() {
+          return this.type === 'song';
+        }
+      },
+      variantId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+      },
+      medley: [{
+        songId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Song',
+          required: true
+        },
+        variantId: {
+          type: mongoose.Schema.Types.ObjectId,
+          default: null
+        },
+        duration: {
+          type: Number, // in seconds
+          default: 0
+        }
+      }],
+      medleyName: {
+        type: String,
+        default: '',
+        trim: true
+      },
+      segue: {
+        type: Boolean,
+        default: false
+      },
+      duration: {
+        type: Number, // in seconds
+        default: 0
+      },
+      notes: {
+        type: String,
+        default: ''
+      },
+      gapAfter: {
+        type: Number, // in seconds
+        default: null,
+        min: 0
+      },
+      transpose: {
+        type: Number, // in semitones
+        default: 0,
+        min: -11,
+        max: 11
+      },
+      capo: {
+        type: Number,
+        default: null,
+        min: 0,
+        max: 12
+      }
+    }]
+  }],
+  sourceSetlistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Setlist',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  }
+}, { timestamps: true });
+
+// Indexes for better query performance
+setlistTemplateSchema.index({ bandId: 1, name: 1 });
+setlistTemplateSchema.index({ createdBy: 1, bandId: 1 });
+
+// Static to capture a setlist's show shape, with or without its songs
+setlistTemplateSchema.statics.fromSetlist = function(setlist, { includeSongs = false, ...details } = {}) {
+  return new this({
+    name: setlist.title,
+    description: setlist.description,
+    bandId: setlist.bandId,
+    songGap: setlist.songGap,
+    targetDuration: setlist.targetDuration,
+    sourceSetlistId: setlist._id,
+    ...details,
+    includesSongs: includeSongs,
+    sets: setlist.sets.map(set => ({
+      name: set.name,
+      targetDuration: set.targetDuration,
+      songs: includeSongs
+        ? set.songs.map(entry => Object.fromEntries(ENTRY_FIELDS.map(field => [field, entry[field]])))
+        : []
+    }))
+  });
+};
+
+// Method to get the sets a new setlist starts with, without the songs in skipSongIds
+// A medley left with one song becomes a plain entry for it; items are always kept
+setlistTemplateSchema.methods.buildSets = function(skipSongIds = new Set()) {
+  return this.sets.map(set => ({
+    name: set.name,
+    targetDuration: set.targetDuration,
+    songs: set.songs
+      .map((song) => {
+        const entry = song.toObject();
+        delete entry._id;
+        if (!isSong(entry)) return entry;
+        
+        const parts = getEntryParts(entry).filter(part => !skipSongIds.has(part.songId.toString()));
+        if (!parts.length) return null;
+        if (!entry.medley.length) return entry;
+        
+        return parts.length > 1
+          ? { ...entry, medley: parts.map(({ _id, ...part }) => part) }
+          : { ...entry, ...parts[0], medley: [], medleyName: '' };
+      })
+      .filter(Boolean)
+      .map((entry, index) => ({ ...entry, order: index + 1 }))
+  }));
+};
+
+const SetlistTemplate = mongoose.model('SetlistTemplate', setlistTemplateSchema);
+
+module.exports = SetlistTemplate;
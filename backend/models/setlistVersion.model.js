@@ -0,0 +1,71 @@
+/**
+ * Setlist Version Model
+ * One saved version of a setlist: who made it, what changed, and a snapshot of
+ * the title and sets to diff against or restore. Kept apart from the setlist
+ * so a long history does not make every load of the setlist heavier.
+ */
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SetlistVersion:
+ *       type: object
+ *       properties:
+ *         setlistId:
+ *           type: string
+ *         version:
+ *           type: number
+ *           description: Version number
+ *         changedBy:
+ *           type: string
+ *           description: ID of the user who made the change
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ *           description: When the change was made
+ *         changes:
+ *           type: string
+ *           description: Description of changes made
+ *         snapshot:
+ *           type: object
+ *           description: Title and sets of the setlist as of this version
+ *         restoredFrom:
+ *           type: number
+ *           description: Version that was restored to produce this version (if any)
+ */
+const setlistVersionSchema = new mongoose.Schema({
+  setlistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Setlist',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  changes: String,
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  restoredFrom: {
+    type: Number,
+    default: null
+  }
+});
+
+setlistVersionSchema.index({ setlistId: 1, version: 1 }, { unique: true });
+
+const SetlistVersion = mongoose.model('SetlistVersion', setlistVersionSchema);
+
+module.exports = SetlistVersion;
@@ -0,0 +1,184 @@
+/**
+ * Share Link Model
+ * Time-limited guest access to a single setlist (and the songs on it) for
+ * people outside the band, e.g. a dep booked for one gig
+ */
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Entries kept in a link's access log; older ones are dropped
+const ACCESS_LOG_LIMIT = 500;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ShareLink:
+ *       type: object
+ *       required:
+ *         - setlistId
+ *         - createdBy
+ *         - expiresAt
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated ID of the share link
+ *         setlistId:
+ *           type: string
+ *           description: The only setlist the link gives access to
+ *         label:
+ *           type: string
+ *           description: Who the link is for, e.g. the dep's name
+ *         readOnly:
+ *           type: boolean
+ *           description: Whether the guest can only look, or can also edit the setlist
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *         createdBy:
+ *           type: string
+ *           description: ID of the user who shared the setlist
+ *         accessCount:
+ *           type: number
+ *         lastAccessedAt:
+ *           type: string
+ *           format: date-time
+ *         accessLog:
+ *           type: array
+ *           description: Most recent uses of the link
+ *           items:
+ *             type: object
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [view, charts, edit]
+ *               ip:
+ *                 type: string
+ *               userAgent:
+ *                 type: string
+ *               timestamp:
+ *                 type: string
+ *                 format: date-time
+ */
+const shareLinkSchema = new mongoose.Schema({
+  setlistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Setlist',
+    required: [true, 'Setlist is required']
+  },
+  // Only a hash is stored; the token itself is shown once, when the link is created
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  label: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  readOnly: {
+    type: Boolean,
+    default: true
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  },
+  accessCount: {
+    type: Number,
+    default: 0
+  },
+  lastAccessedAt: {
+    type: Date,
+    default: null
+  },
+  accessLog: [{
+    action: {
+      type: String,
+      enum: ['view', 'charts', 'edit']
+    },
+    ip: String,
+    userAgent: String,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, { timestamps: true });
+
+// Indexes for better query performance
+shareLinkSchema.index({ tokenHash: 1 }, { unique: true });
+shareLinkSchema.index({ setlistId: 1 });
+
+// Static to hash a share token the way it is stored
+shareLinkSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Static to generate a share token and its hash
+shareLinkSchema.statics.generateToken = function() {
+  const token = crypto.randomBytes(24).toString('base64url');
+  return { token, tokenHash: this.hashToken(token) };
+};
+
+// Method to check if the link can still be used
+shareLinkSchema.methods.isActive = function(now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+// Method to get what a guest with this link may do with its setlist
+shareLinkSchema.methods.getPermissions = function() {
+  return this.readOnly ? ['view', 'perform'] : ['view', 'perform', 'edit_setlists'];
+};
+
+// Method to record a use of the link
+shareLinkSchema.methods.recordAccess = function(action, { ip, userAgent } = {}) {
+  const now = new Date();
+
+  return this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $inc: { accessCount: 1 },
+      $set: { lastAccessedAt: now },
+      $push: {
+        accessLog: {
+          $each: [{ action, ip, userAgent, timestamp: now }],
+          $slice: -ACCESS_LOG_LIMIT
+        }
+      }
+    }
+  );
+};
+
+// Method to get the link without its token hash and access log
+shareLinkSchema.methods.getSummary = function() {
+  return {
+    _id: this._id,
+    setlistId: this.setlistId,
+    label: this.label,
+    readOnly: this.readOnly,
+    expiresAt: this.expiresAt,
+    revokedAt: this.revokedAt,
+    active: this.isActive(),
+    createdBy: this.createdBy,
+    createdAt: this.createdAt,
+    accessCount: this.accessCount,
+    lastAccessedAt: this.lastAccessedAt
+  };
+};
+
+const ShareLink = mongoose.model('ShareLink', shareLinkSchema);
+
+module.exports = ShareLink;
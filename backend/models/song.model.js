@@ -3,6 +3,11 @@
  * Defines the schema for songs in the application
  */
 const mongoose = require('mongoose');
+const { normalizeKey, isValidKey, parseKey } = require('../utils/musicKey');
+const { validateChordPro } = require('../utils/chordpro');
+const syncable = require('./plugins/syncable.plugin');
+const { can } = require('../utils/authorization');
+const { ATTACHMENT_KINDS } = require('../utils/attachmentTypes');
 
 /**
  * @swagger
@@ -28,7 +33,7 @@ const mongoose = require('mongoose');
  *           description: Duration of the song in seconds
  *         key:
  *           type: string
- *           description: Musical key of the song (e.g., C, A minor)
+ *           description: Musical key of the song, normalized to root and mode (e.g., "C", "F#m", "Bb")
  *         tempo:
  *           type: number
  *           description: Tempo of the song in BPM
@@ -40,21 +45,87 @@ const mongoose = require('mongoose');
  *         notes:
  *           type: string
  *           description: Any additional notes about the song
+ *         chordSheet:
+ *           type: string
+ *           description: Chord sheet in ChordPro format
  *         chordSheetUrl:
  *           type: string
- *           description: URL to the chord sheet file
+ *           description: URL to the chord sheet file (used when there is no ChordPro chord sheet)
  *         lyricsUrl:
  *           type: string
  *           description: URL to the lyrics file
  *         spotifyId:
  *           type: string
  *           description: Spotify track ID for reference
+ *         musicbrainzId:
+ *           type: string
+ *           description: MusicBrainz recording ID for reference
+ *         variants:
+ *           type: array
+ *           description: Named arrangements of the song a setlist entry can choose from
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *                 description: Name of the arrangement (e.g., "Radio edit", "Extended jam", "Acoustic")
+ *               duration:
+ *                 type: number
+ *                 description: Duration of the arrangement in seconds (0 means as long as the song)
+ *               key:
+ *                 type: string
+ *                 description: Key of the arrangement, if it differs from the song's
+ *               notes:
+ *                 type: string
+ *         attachments:
+ *           type: array
+ *           description: Uploaded chart, lyric and other files; added and changed through the attachment endpoints only
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               kind:
+ *                 type: string
+ *                 enum: [chart, lyrics, other]
+ *               versions:
+ *                 type: array
+ *                 description: Uploads of the file, oldest first; the last is the current one
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     number:
+ *                       type: number
+ *                     fileName:
+ *                       type: string
+ *                     mimeType:
+ *                       type: string
+ *                     size:
+ *                       type: number
+ *                       description: Size of the file in bytes
+ *                     checksum:
+ *                       type: string
+ *                       description: SHA-256 of the file, for caching
+ *                     uploadedBy:
+ *                       type: string
+ *                     createdAt:
+ *                       type: string
+ *                       format: date-time
+ *               createdBy:
+ *                 type: string
  *         createdBy:
  *           type: string
  *           description: ID of the user who created the song
  *         bandId:
  *           type: string
  *           description: ID of the band associated with the song (if any)
+ *         syncSeq:
+ *           type: number
+ *           description: Sync sequence number of the last change, used as the base revision by offline clients
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -82,7 +153,12 @@ const songSchema = new mongoose.Schema({
   key: {
     type: String,
     trim: true,
-    default: ''
+    default: '',
+    set: normalizeKey,
+    validate: {
+      validator: isValidKey,
+      message: props => `${props.value} is not a valid key (e.g., C, F#m, Bb minor)`
+    }
   },
   tempo: {
     type: Number, // in BPM
@@ -96,6 +172,16 @@ const songSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  chordSheet: {
+    type: String, // ChordPro
+    default: '',
+    validate: {
+      validator: value => validateChordPro(value).length === 0,
+      message: props => validateChordPro(props.value)
+        .map(error => `Line ${error.line}: ${error.message}`)
+        .join('; ')
+    }
+  },
   chordSheetUrl: {
     type: String,
     default: ''
@@ -108,6 +194,91 @@ const songSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  musicbrainzId: {
+    type: String,
+    default: ''
+  },
+  variants: [{
+    name: {
+      type: String,
+      required: [true, 'Variant name is required'],
+      trim: true
+    },
+    duration: {
+      type: Number, // in seconds
+      default: 0
+    },
+    key: {
+      type: String,
+      trim: true,
+      default: '',
+      set: normalizeKey,
+      validate: {
+        validator: isValidKey,
+        message: props => `${props.value} is not a valid key (e.g., C, F#m, Bb minor)`
+      }
+    },
+    notes: {
+      type: String,
+      default: ''
+    }
+  }],
+  attachments: [{
+    name: {
+      type: String,
+      required: [true, 'Attachment name is required'],
+      trim: true
+    },
+    kind: {
+      type: String,
+      enum: ATTACHMENT_KINDS,
+      default: 'chart'
+    },
+    versions: [{
+      number: {
+        type: Number,
+        required: true
+      },
+      storage: {
+        type: String, // storage the file was put in
+        required: true
+      },
+      storageKey: {
+        type: String,
+        required: true
+      },
+      fileName: {
+        type: String,
+        required: true
+      },
+      mimeType: {
+        type: String,
+        required: true
+      },
+      size: {
+        type: Number, // in bytes
+        required: true
+      },
+      checksum: {
+        type: String, // SHA-256
+        required: true
+      },
+      uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    }
+  }],
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -120,6 +291,9 @@ const songSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
+// Stamp changes for offline sync
+songSchema.plugin(syncable, { collectionName: 'songs' });
+
 // Create indexes for better search performance
 songSchema.index({ title: 'text', artist: 'text', tags: 'text' });
 songSchema.index({ createdBy: 1 });
@@ -135,27 +309,46 @@ songSchema.virtual('formattedDuration').get(function() {
   return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
 });
 
+// Virtual for the key as root and mode (null if no key is set)
+songSchema.virtual('parsedKey').get(function() {
+  return parseKey(this.key);
+});
+
+// Method to get how an arrangement of the song is played: its duration and key, falling back to the song's
+songSchema.methods.getArrangement = function(variantId = null) {
+  const variant = variantId ? this.variants.id(variantId) : null;
+  
+  return {
+    variantId: variant ? variant._id : null,
+    name: variant ? variant.name : '',
+    duration: variant && variant.duration ? variant.duration : this.duration,
+    key: variant && variant.key ? variant.key : this.key
+  };
+};
+
 // Method to check if user has access to this song
+// Members who may only perform see just the songs on their band's setlists, not the whole library
 songSchema.methods.isAccessibleBy = async function(userId) {
-  // Creator always has access
-  if (this.createdBy.toString() === userId.toString()) {
+  if (await can(userId, 'view', this)) {
     return true;
   }
-  
-  // If song belongs to a band, check if user is in that band
-  if (this.bandId) {
-    const Band = mongoose.model('Band');
-    const band = await Band.findOne({
-      _id: this.bandId,
-      'members.userId': userId
-    });
-    
-    return !!band;
+
+  if (this.bandId && await can(userId, 'perform', this)) {
+    const Setlist = mongoose.model('Setlist');
+    return !!(await Setlist.exists({
+      bandId: this.bandId,
+      $or: [{ 'sets.songs.songId': this._id }, { 'sets.songs.medley.songId': this._id }]
+    }));
   }
-  
+
   return false;
 };
 
+// Method to check if user can make changes to this song
+songSchema.methods.isEditableBy = async function(userId) {
+  return can(userId, 'edit_songs', this);
+};
+
 const Song = mongoose.model('Song', songSchema);
 
 module.exports = Song;
\ No newline at end of file
@@ -0,0 +1,74 @@
+/**
+ * Tombstone Model
+ * Records of deleted documents, so offline clients can drop their local copies
+ */
+const mongoose = require('mongoose');
+
+// Clients that have not synced for longer than this must download everything again
+const TOMBSTONE_TTL = 90 * 24 * 60 * 60;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Tombstone:
+ *       type: object
+ *       properties:
+ *         collectionName:
+ *           type: string
+ *           enum: [setlists, songs]
+ *           description: Collection the deleted document belonged to
+ *         documentId:
+ *           type: string
+ *           description: ID of the deleted document
+ *         createdBy:
+ *           type: string
+ *           description: Creator of the deleted document
+ *         bandId:
+ *           type: string
+ *           description: Band the deleted document belonged to (if any)
+ *         syncSeq:
+ *           type: number
+ *           description: Sync sequence number of the deletion
+ *         syncedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the document was deleted
+ */
+const tombstoneSchema = new mongoose.Schema({
+  collectionName: {
+    type: String,
+    enum: ['setlists', 'songs'],
+    required: true
+  },
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  bandId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Band',
+    default: null
+  },
+  syncSeq: {
+    type: Number,
+    required: true
+  },
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+tombstoneSchema.index({ syncSeq: 1 });
+tombstoneSchema.index({ syncedAt: 1 }, { expireAfterSeconds: TOMBSTONE_TTL });
+
+const Tombstone = mongoose.model('Tombstone', tombstoneSchema);
+
+module.exports = Tombstone;
+module.exports.TOMBSTONE_TTL = TOMBSTONE_TTL;
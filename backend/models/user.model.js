@@ -4,6 +4,7 @@
  */
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const { resolvePreferences } = require('../utils/notificationEvents');
 
 /**
  * @swagger
@@ -43,7 +44,10 @@ const bcrypt = require('bcrypt');
  *               description: User's preferred theme
  *             notifications:
  *               type: boolean
- *               description: Whether the user wants to receive notifications
+ *               description: Whether the user wants notifications by email and push at all
+ *             notificationPreferences:
+ *               type: object
+ *               description: Per-event channel choices, e.g. { setlist_changed: { inApp: true, email: false, push: false } }; unset events use their defaults
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -92,8 +96,33 @@ const userSchema = new mongoose.Schema({
     notifications: {
       type: Boolean,
       default: true
+    },
+    notificationPreferences: {
+      type: Map,
+      of: new mongoose.Schema({
+        inApp: Boolean,
+        email: Boolean,
+        push: Boolean
+      }, { _id: false }),
+      default: {}
     }
-  }
+  },
+  // Web push subscriptions, one per browser the user allowed notifications in
+  pushSubscriptions: [{
+    endpoint: {
+      type: String,
+      required: true
+    },
+    keys: {
+      p256dh: String,
+      auth: String
+    },
+    userAgent: String,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, { timestamps: true });
 
 // Hash password before saving
@@ -115,6 +144,11 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to get the channels the user wants for every notification event
+userSchema.methods.getNotificationPreferences = function() {
+  return resolvePreferences(this.settings && this.settings.notificationPreferences);
+};
+
 // Method to get user profile (without sensitive information)
 userSchema.methods.getProfile = function() {
   return {
@@ -0,0 +1,233 @@
+/**
+ * Venue Model
+ * A place a band plays, with what the band needs to know before getting
+ * there: stage, curfew, house PA and who to call. Venues belong to a band, or
+ * to a user when they have no band, like setlists and songs.
+ */
+const mongoose = require('mongoose');
+const { getZonedParts, zonedTimeToDate } = require('../utils/timeZone');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Longer than any show; a start further from curfew is usually a date without a time
+const MAX_SHOW_SECONDS = 12 * 60 * 60;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Venue:
+ *       type: object
+ *       required:
+ *         - name
+ *         - createdBy
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated ID of the venue
+ *         name:
+ *           type: string
+ *         aliases:
+ *           type: array
+ *           description: Other names the venue is known by, e.g. those of venues merged into it
+ *           items:
+ *             type: string
+ *         bandId:
+ *           type: string
+ *           description: Band the venue belongs to; null for a personal venue
+ *         address:
+ *           type: string
+ *         timeZone:
+ *           type: string
+ *           description: IANA time zone the curfew is in, e.g. Europe/London
+ *         stageSize:
+ *           type: object
+ *           properties:
+ *             width:
+ *               type: number
+ *               description: In metres
+ *             depth:
+ *               type: number
+ *               description: In metres
+ *         curfew:
+ *           type: string
+ *           description: Time the music has to stop, HH:mm in the venue's time zone
+ *         housePaNotes:
+ *           type: string
+ *         contacts:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 description: e.g. promoter, sound engineer
+ *               email:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *         defaultSetLengths:
+ *           type: array
+ *           description: Usual length of each set played here, in seconds
+ *           items:
+ *             type: number
+ *         notes:
+ *           type: string
+ *         createdBy:
+ *           type: string
+ *           description: ID of the user who added the venue
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+const venueSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true
+  },
+  aliases: [{
+    type: String,
+    trim: true
+  }],
+  // Normalized name and aliases, for matching "The Blue Room" to "blue room "
+  searchNames: [{
+    type: String
+  }],
+  bandId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Band',
+    default: null
+  },
+  address: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  timeZone: {
+    type: String,
+    default: 'UTC'
+  },
+  stageSize: {
+    width: {
+      type: Number, // in metres
+      default: null,
+      min: 0
+    },
+    depth: {
+      type: Number, // in metres
+      default: null,
+      min: 0
+    }
+  },
+  curfew: {
+    type: String,
+    default: null,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Curfew must be a time as HH:mm']
+  },
+  housePaNotes: {
+    type: String,
+    default: ''
+  },
+  contacts: [{
+    name: {
+      type: String,
+      default: '',
+      trim: true
+    },
+    role: {
+      type: String,
+      default: '',
+      trim: true
+    },
+    email: {
+      type: String,
+      default: '',
+      trim: true,
+      lowercase: true
+    },
+    phone: {
+      type: String,
+      default: '',
+      trim: true
+    }
+  }],
+  defaultSetLengths: [{
+    type: Number, // in seconds
+    min: 0
+  }],
+  notes: {
+    type: String,
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  }
+}, { timestamps: true });
+
+// Indexes for better query performance
+venueSchema.index({ bandId: 1, searchNames: 1 });
+venueSchema.index({ createdBy: 1, bandId: 1 });
+
+// Static to normalize a venue name for matching: case, accents, punctuation,
+// spacing and a leading "The" do not make a different venue
+venueSchema.statics.normalizeName = function(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .replace(/^the /, '');
+};
+
+// Pre-save hook to keep the search names in step with the name and aliases
+venueSchema.pre('save', function(next) {
+  if (this.isModified('name') || this.isModified('aliases') || this.isNew) {
+    const names = [this.name, ...this.aliases].map(name => this.constructor.normalizeName(name));
+    this.searchNames = [...new Set(names.filter(Boolean))];
+  }
+  next();
+});
+
+// Method to get how long a show starting at a time can run before the curfew, in seconds
+venueSchema.methods.getTimeToCurfew = function(startsAt) {
+  if (!this.curfew || !startsAt) return null;
+
+  const [hour, minute] = this.curfew.split(':').map(Number);
+  const day = getZonedParts(startsAt, this.timeZone);
+  let curfew = zonedTimeToDate({ year: day.year, month: day.month, day: day.day, hour, minute }, this.timeZone);
+
+  // A curfew earlier in the day than the start (e.g. 00:30) is the night after
+  if (curfew <= startsAt) curfew = new Date(curfew.getTime() + DAY);
+
+  const seconds = Math.round((curfew - startsAt) / 1000);
+  return seconds <= MAX_SHOW_SECONDS ? seconds : null;
+};
+
+// Method to get the time budget a new show here starts with: a target per set, and for the show
+// the set lengths added up, or the time until curfew if that is shorter
+venueSchema.methods.getTimeBudget = function(startsAt = null) {
+  const setTargets = [...this.defaultSetLengths];
+  const setTotal = setTargets.length ? setTargets.reduce((total, length) => total + length, 0) : null;
+  const toCurfew = this.getTimeToCurfew(startsAt);
+
+  const targets = [setTotal, toCurfew].filter(target => target !== null);
+
+  return {
+    setTargets,
+    targetDuration: targets.length ? Math.min(...targets) : null
+  };
+};
+
+const Venue = mongoose.model('Venue', venueSchema);
+
+module.exports = Venue;
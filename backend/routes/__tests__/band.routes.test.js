@@ -0,0 +1,135 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Band = require('../../models/band.model');
+const Invitation = require('../../models/invitation.model');
+const { PERMISSIONS } = require('../../utils/authorization');
+const { notifyInvitation } = require('../../services/notification.service');
+const bandRoutes = require('../band.routes');
+const { errorHandler } = require('../../middleware/error.middleware');
+
+const mockUserId = new mongoose.Types.ObjectId();
+const memberId = new mongoose.Types.ObjectId();
+
+jest.mock('../../middleware/auth.middleware', () => ({
+  protect: (req, res, next) => {
+    req.user = { _id: mockUserId, name: 'Alex' };
+    next();
+  }
+}));
+jest.mock('../../services/notification.service', () => ({ notifyInvitation: jest.fn() }));
+
+const app = express();
+app.use(express.json());
+app.use('/api/bands', bandRoutes);
+app.use(errorHandler);
+
+const buildBand = (role = 'leader') => {
+  const band = new Band({
+    name: 'The Weekenders',
+    createdBy: mockUserId,
+    members: [
+      { userId: mockUserId, role, permissions: role === 'leader' ? PERMISSIONS : ['view'] },
+      { userId: memberId, role: 'member' }
+    ]
+  });
+  jest.spyOn(Band, 'findById').mockResolvedValue(band);
+  return band;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('band membership routes', () => {
+  it('hides bands the user is not a member of', async () => {
+    jest.spyOn(Band, 'findById').mockResolvedValue(null);
+
+    const res = await request(app).get(`/api/bands/${new mongoose.Types.ObjectId()}/invitations`);
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('Band not found');
+  });
+
+  it('creates a join code and tells the invitee', async () => {
+    const band = buildBand();
+    jest.spyOn(Invitation, 'create').mockImplementation(async data => data);
+
+    const res = await request(app).post(`/api/bands/${band._id}/invitations`).send({ type: 'code' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ type: 'code', role: 'member' });
+    expect(notifyInvitation).toHaveBeenCalled();
+  });
+
+  it('answers an invalid invitation with 400', async () => {
+    const band = buildBand();
+
+    const res = await request(app).post(`/api/bands/${band._id}/invitations`).send({ type: 'email' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Invalid invitation: email: email is required for email invitations');
+  });
+
+  it('requires the invite_members permission', async () => {
+    const band = buildBand('member');
+
+    const res = await request(app).post(`/api/bands/${band._id}/invitations`).send({ type: 'code' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('hands leadership to another member', async () => {
+    const band = buildBand();
+    const update = jest.spyOn(Band, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const res = await request(app)
+      .post(`/api/bands/${band._id}/transfer-leadership`)
+      .send({ userId: memberId.toString() });
+
+    expect(res.status).toBe(200);
+    expect(update).toHaveBeenCalled();
+  });
+
+  it('lets the last leader leave only after handing over', async () => {
+    const band = buildBand();
+    jest.spyOn(Band, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+    const res = await request(app).post(`/api/bands/${band._id}/leave`);
+
+    expect(res.status).toBe(409);
+  });
+});
+
+describe('band role routes', () => {
+  it('reports what the current user may do', async () => {
+    const band = buildBand('member');
+
+    const res = await request(app).get(`/api/bands/${band._id}/permissions`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ role: 'member', roleId: null, permissions: ['perform', 'view'] });
+  });
+
+  it('lets leaders add role templates', async () => {
+    const band = buildBand();
+    jest.spyOn(Band, 'updateOne').mockImplementation(async (filter, { $push }) => {
+      band.roles.push($push.roles);
+      return { modifiedCount: 1 };
+    });
+
+    const res = await request(app).post(`/api/bands/${band._id}/roles`).send({ name: 'Session player', permissions: ['perform'] });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toEqual([expect.objectContaining({ name: 'Session player', permissions: ['perform'], memberCount: 0 })]);
+  });
+
+  it('only lets leaders change what a member may do', async () => {
+    const band = buildBand('member');
+
+    const res = await request(app).put(`/api/bands/${band._id}/members/${memberId}`).send({ permissions: ['view'] });
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,82 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Comment = require('../../models/comment.model');
+const Song = require('../../models/song.model');
+const { broadcastComment } = require('../../sockets/comment.socket');
+const commentRoutes = require('../comment.routes');
+const { errorHandler } = require('../../middleware/error.middleware');
+
+const mockUserId = new mongoose.Types.ObjectId();
+
+jest.mock('../../middleware/auth.middleware', () => ({
+  protect: (req, res, next) => {
+    req.user = { _id: mockUserId };
+    next();
+  }
+}));
+jest.mock('../../sockets/comment.socket', () => ({ broadcastComment: jest.fn(), deliverMentions: jest.fn() }));
+jest.mock('../../services/notification.service', () => ({ notifyMentions: jest.fn() }));
+
+const app = express();
+app.use(express.json());
+app.use('/api/comments', commentRoutes);
+app.use(errorHandler);
+
+const populated = result => ({
+  populate: () => populated(result),
+  then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+});
+
+const buildComment = (createdBy, accessible = true) => {
+  const song = new Song({ title: 'Wonderwall', createdBy: mockUserId });
+  const comment = new Comment({ targetType: 'song', songId: song._id, body: 'Slower intro?', createdBy });
+  jest.spyOn(song, 'isAccessibleBy').mockResolvedValue(accessible);
+  jest.spyOn(Song, 'findById').mockResolvedValue(song);
+  jest.spyOn(Comment, 'findById').mockReturnValue(populated(comment));
+  jest.spyOn(comment, 'save').mockResolvedValue(comment);
+  return comment;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('comment routes', () => {
+  it('hides comments on songs the user cannot see', async () => {
+    const comment = buildComment(mockUserId, false);
+
+    const res = await request(app).put(`/api/comments/${comment._id}`).send({ body: 'Edited' });
+
+    expect(res.status).toBe(404);
+  });
+
+  it('lets authors edit their comments and tells everyone following', async () => {
+    const comment = buildComment(mockUserId);
+
+    const res = await request(app).put(`/api/comments/${comment._id}`).send({ body: 'Slower intro, and no capo?' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.body).toBe('Slower intro, and no capo?');
+    expect(broadcastComment).toHaveBeenCalledWith(undefined, 'comment-updated', comment);
+  });
+
+  it('answers an empty comment with 400', async () => {
+    const comment = buildComment(mockUserId);
+
+    const res = await request(app).put(`/api/comments/${comment._id}`).send({ body: '' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/^Invalid comment: body: /);
+  });
+
+  it('only lets the author edit', async () => {
+    const comment = buildComment(new mongoose.Types.ObjectId());
+
+    const res = await request(app).put(`/api/comments/${comment._id}`).send({ body: 'Edited' });
+
+    expect(res.status).toBe(403);
+    expect(broadcastComment).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,216 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Setlist = require('../../models/setlist.model');
+const { can } = require('../../utils/authorization');
+const setlistGenerator = require('../../services/setlistGenerator.service');
+const { ApiError, VersionConflictError } = require('../../utils/errors');
+const { broadcastSetlist } = require('../../sockets/setlist.socket');
+const setlistRoutes = require('../setlist.routes');
+const { errorHandler } = require('../../middleware/error.middleware');
+
+const mockUserId = new mongoose.Types.ObjectId();
+
+jest.mock('../../middleware/auth.middleware', () => ({
+  protect: (req, res, next) => {
+    req.user = { _id: mockUserId };
+    next();
+  }
+}));
+jest.mock('../../utils/authorization', () => ({
+  ...jest.requireActual('../../utils/authorization'),
+  can: jest.fn()
+}));
+jest.mock('../../sockets/setlist.socket', () => ({ broadcastSetlist: jest.fn() }));
+jest.mock('../../services/notification.service', () => ({ notifySetlistChanged: jest.fn() }));
+
+const app = express();
+app.use(express.json());
+app.use('/api/setlists', setlistRoutes);
+app.use(errorHandler);
+
+const buildSetlist = () => {
+  const setlist = new Setlist({
+    title: 'Friday',
+    createdBy: mockUserId,
+    version: 3,
+    sets: [{ name: 'Set 1', songs: [{ songId: new mongoose.Types.ObjectId(), duration: 200 }] }]
+  });
+  jest.spyOn(setlist, 'isAccessibleBy').mockResolvedValue(true);
+  jest.spyOn(Setlist, 'findById').mockResolvedValue(setlist);
+  return setlist;
+};
+
+beforeEach(() => {
+  can.mockResolvedValue(true);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('GET /api/setlists/:id/versions', () => {
+  it('lists the versions of a setlist', async () => {
+    const setlist = buildSetlist();
+    const versions = [{ version: 3, changes: 'Updated title' }, { version: 1, changes: 'Created setlist' }];
+    jest.spyOn(setlist, 'getVersions').mockResolvedValue(versions);
+
+    const res = await request(app).get(`/api/setlists/${setlist._id}/versions`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual(versions);
+    expect(can).toHaveBeenCalledWith(mockUserId, 'view', setlist);
+  });
+
+  it('hides setlists the user cannot access', async () => {
+    const setlist = buildSetlist();
+    setlist.isAccessibleBy.mockResolvedValue(false);
+
+    const res = await request(app).get(`/api/setlists/${setlist._id}/versions`);
+
+    expect(res.status).toBe(404);
+  });
+
+  it('requires the view permission', async () => {
+    const setlist = buildSetlist();
+    can.mockResolvedValue(false);
+
+    const res = await request(app).get(`/api/setlists/${setlist._id}/versions`);
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('You do not have permission to see the history of this setlist');
+  });
+});
+
+describe('GET /api/setlists/:id/diff', () => {
+  it('diffs two stored versions', async () => {
+    const setlist = buildSetlist();
+    const sets = setlist.toObject().sets;
+    jest.spyOn(setlist, 'getVersion').mockImplementation(async version => ({
+      version: Number(version),
+      snapshot: { title: Number(version) === 1 ? 'Draft' : 'Friday', sets }
+    }));
+
+    const res = await request(app).get(`/api/setlists/${setlist._id}/diff?from=1`);
+
+    expect(res.status).toBe(200);
+    expect(setlist.getVersion).toHaveBeenCalledWith(3);
+    expect(res.body.data).toMatchObject({ from: 1, to: 3, title: { from: 'Draft', to: 'Friday' } });
+  });
+
+  it('answers 404 for versions that do not exist', async () => {
+    const setlist = buildSetlist();
+    jest.spyOn(setlist, 'getVersion').mockResolvedValue(null);
+
+    const res = await request(app).get(`/api/setlists/${setlist._id}/diff?from=9`);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('POST /api/setlists/:id/versions/:version/restore', () => {
+  it('saves the snapshot as a new version', async () => {
+    const setlist = buildSetlist();
+    jest.spyOn(setlist, 'getVersion').mockResolvedValue({ version: 1, snapshot: { title: 'Draft', sets: [] } });
+    const saveVersion = jest.spyOn(setlist, 'saveVersion').mockImplementation(async () => {
+      setlist.version += 1;
+      return setlist;
+    });
+
+    const res = await request(app)
+      .post(`/api/setlists/${setlist._id}/versions/1/restore`)
+      .send({ baseVersion: 3 });
+
+    expect(res.status).toBe(200);
+    expect(saveVersion).toHaveBeenCalledWith(3, mockUserId, 'Restored version 1', 1);
+    expect(res.body.data).toMatchObject({ title: 'Draft', version: 4, sets: [] });
+    expect(broadcastSetlist).toHaveBeenCalled();
+  });
+
+  it('requires the edit_setlists permission', async () => {
+    const setlist = buildSetlist();
+    can.mockResolvedValue(false);
+    const saveVersion = jest.spyOn(setlist, 'saveVersion');
+
+    const res = await request(app)
+      .post(`/api/setlists/${setlist._id}/versions/1/restore`)
+      .send({ baseVersion: 3 });
+
+    expect(res.status).toBe(403);
+    expect(saveVersion).not.toHaveBeenCalled();
+  });
+});
+
+describe('PUT /api/setlists/:id', () => {
+  it('saves changes made against the current version', async () => {
+    const setlist = buildSetlist();
+    const saveVersion = jest.spyOn(setlist, 'saveVersion').mockImplementation(async () => {
+      setlist.version += 1;
+      return setlist;
+    });
+
+    const res = await request(app)
+      .put(`/api/setlists/${setlist._id}`)
+      .send({ baseVersion: 3, title: 'Saturday', createdBy: 'someone else' });
+
+    expect(res.status).toBe(200);
+    expect(saveVersion).toHaveBeenCalledWith(3, mockUserId, 'Updated title');
+    expect(res.body.data).toMatchObject({ title: 'Saturday', version: 4, createdBy: mockUserId.toString() });
+  });
+
+  it('requires a base version', async () => {
+    const setlist = buildSetlist();
+
+    const res = await request(app).put(`/api/setlists/${setlist._id}`).send({ title: 'Saturday' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('baseVersion is required');
+  });
+
+  it('answers a stale save with 409 and the current setlist', async () => {
+    const setlist = buildSetlist();
+    const current = buildSetlist();
+    current.version = 5;
+    Setlist.findById.mockResolvedValueOnce(setlist).mockResolvedValueOnce(current);
+    jest.spyOn(setlist, 'saveVersion').mockRejectedValue(new VersionConflictError(2, 3));
+
+    const res = await request(app)
+      .put(`/api/setlists/${setlist._id}`)
+      .send({ baseVersion: 2, title: 'Saturday' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.data).toMatchObject({ baseVersion: 2, currentVersion: 5, setlist: { title: 'Friday', version: 5 } });
+    expect(broadcastSetlist).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/setlists/:id/budget', () => {
+  it('reports how the sets fit their targets', async () => {
+    const setlist = buildSetlist();
+    setlist.sets[0].targetDuration = 180;
+
+    const res = await request(app).get(`/api/setlists/${setlist._id}/budget`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ totalDuration: 200, targetDuration: 180, overrun: 20, status: 'on_target' });
+  });
+});
+
+describe('POST /api/setlists/generate', () => {
+  it('answers invalid constraints with 400', async () => {
+    const res = await request(app).post('/api/setlists/generate').send({ numberOfSets: 0 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/^Invalid constraints: numberOfSets/);
+  });
+
+  it('answers errors the generator raises with their status', async () => {
+    jest.spyOn(setlistGenerator, 'generateSetlist').mockRejectedValue(new ApiError(404, 'Venue not found'));
+
+    const res = await request(app).post('/api/setlists/generate').send({ venueId: new mongoose.Types.ObjectId() });
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('Venue not found');
+  });
+});
@@ -0,0 +1,99 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Setlist = require('../../models/setlist.model');
+const ShareLink = require('../../models/shareLink.model');
+const { VersionConflictError } = require('../../utils/errors');
+const { broadcastSetlist } = require('../../sockets/setlist.socket');
+const shareLinkRoutes = require('../shareLink.routes');
+const { errorHandler } = require('../../middleware/error.middleware');
+
+jest.mock('../../sockets/setlist.socket', () => ({ broadcastSetlist: jest.fn() }));
+jest.mock('../../services/notification.service', () => ({ notifySetlistChanged: jest.fn() }));
+
+const app = express();
+app.use(express.json());
+app.use('/api/share', shareLinkRoutes);
+app.use(errorHandler);
+
+const songId = new mongoose.Types.ObjectId();
+
+const buildSetlist = () => {
+  const setlist = new Setlist({
+    title: 'Friday',
+    createdBy: new mongoose.Types.ObjectId(),
+    version: 3,
+    sets: [{ name: 'Set 1', songs: [{ songId }] }]
+  });
+  jest.spyOn(Setlist, 'findById').mockResolvedValue(setlist);
+  return setlist;
+};
+
+const buildShareLink = (setlist, fields) => {
+  const shareLink = new ShareLink({
+    setlistId: setlist._id,
+    tokenHash: ShareLink.hashToken('secret'),
+    readOnly: false,
+    expiresAt: new Date(Date.now() + 60000),
+    createdBy: setlist.createdBy,
+    ...fields
+  });
+  jest.spyOn(ShareLink, 'findOne').mockResolvedValue(shareLink);
+  jest.spyOn(shareLink, 'recordAccess').mockResolvedValue({});
+  return shareLink;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('guest share link routes', () => {
+  it('answers unknown tokens with 404 and expired ones with 410', async () => {
+    jest.spyOn(ShareLink, 'findOne').mockResolvedValueOnce(null);
+    expect((await request(app).get('/api/share/nope')).status).toBe(404);
+
+    buildShareLink(buildSetlist(), { revokedAt: new Date() });
+    expect((await request(app).get('/api/share/secret')).status).toBe(410);
+  });
+
+  it('lets a guest edit through a link that is not read-only', async () => {
+    const setlist = buildSetlist();
+    buildShareLink(setlist);
+    jest.spyOn(setlist, 'saveVersion').mockImplementation(async () => {
+      setlist.version += 1;
+      return setlist;
+    });
+
+    const res = await request(app)
+      .put('/api/share/secret')
+      .send({ baseVersion: 3, sets: [{ name: 'Encore', songs: [{ songId }] }] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ version: 4, sets: [{ name: 'Encore' }] });
+    expect(broadcastSetlist).toHaveBeenCalled();
+  });
+
+  it('keeps read-only links read-only', async () => {
+    const setlist = buildSetlist();
+    buildShareLink(setlist, { readOnly: true });
+    const saveVersion = jest.spyOn(setlist, 'saveVersion');
+
+    const res = await request(app).put('/api/share/secret').send({ baseVersion: 3, sets: [] });
+
+    expect(res.status).toBe(403);
+    expect(saveVersion).not.toHaveBeenCalled();
+  });
+
+  it('answers a stale guest edit with 409 and the current setlist', async () => {
+    const setlist = buildSetlist();
+    buildShareLink(setlist);
+    jest.spyOn(setlist, 'saveVersion').mockRejectedValue(new VersionConflictError(2, 3));
+
+    const res = await request(app).put('/api/share/secret').send({ baseVersion: 2, sets: [] });
+
+    expect(res.status).toBe(409);
+    expect(res.body.data).toMatchObject({ baseVersion: 2, currentVersion: 3, setlist: { title: 'Friday' } });
+    expect(broadcastSetlist).not.toHaveBeenCalled();
+  });
+});
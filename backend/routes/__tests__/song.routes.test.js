@@ -0,0 +1,108 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Song = require('../../models/song.model');
+const songRoutes = require('../song.routes');
+const { errorHandler } = require('../../middleware/error.middleware');
+
+const mockUserId = new mongoose.Types.ObjectId();
+
+jest.mock('../../middleware/auth.middleware', () => ({
+  protect: (req, res, next) => {
+    req.user = { _id: mockUserId };
+    next();
+  }
+}));
+
+const app = express();
+app.use(express.json());
+app.use('/api/songs', songRoutes);
+app.use(errorHandler);
+
+const CHORD_SHEET = [
+  '{title: Wonderwall}',
+  '{key: F#m}',
+  '{start_of_verse}',
+  '[F#m]Today is [A]gonna be the day',
+  '{end_of_verse}'
+].join('\n');
+
+const buildSong = (fields) => {
+  const song = new Song({ title: 'Wonderwall', artist: 'Oasis', key: 'F#m', chordSheet: CHORD_SHEET, createdBy: mockUserId, ...fields });
+  jest.spyOn(song, 'isAccessibleBy').mockResolvedValue(true);
+  jest.spyOn(Song, 'findById').mockResolvedValue(song);
+  return song;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/songs/chordpro/parse', () => {
+  it('parses a chord sheet', async () => {
+    const res = await request(app).post('/api/songs/chordpro/parse').send({ chordSheet: CHORD_SHEET });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ valid: true, chords: ['F#m', 'A'], metadata: { title: 'Wonderwall', key: 'F#m' } });
+  });
+
+  it('reports problems with their lines', async () => {
+    const res = await request(app).post('/api/songs/chordpro/parse').send({ chordSheet: '{start_of_chorus}\n[H]Oops' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.valid).toBe(false);
+    expect(res.body.data.errors.map(error => error.line)).toEqual([2, 1]);
+  });
+
+  it('requires a chord sheet', async () => {
+    const res = await request(app).post('/api/songs/chordpro/parse').send({});
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('GET /api/songs/:id/chart', () => {
+  it('renders the chart transposed', async () => {
+    const song = buildSong();
+
+    const res = await request(app).get(`/api/songs/${song._id}/chart?transpose=3`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ songKey: 'F#m', playedKey: 'Am', transpose: 3 });
+    expect(res.body.data.chart.chords).toEqual(['Am', 'C']);
+    expect(res.body.data.chart.chordSheet).toContain('[Am]Today is [C]gonna be the day');
+  });
+
+  it('rejects transpositions past an octave', async () => {
+    const song = buildSong();
+
+    const res = await request(app).get(`/api/songs/${song._id}/chart?transpose=12`);
+
+    expect(res.status).toBe(400);
+  });
+
+  it('hides songs the user cannot access', async () => {
+    const song = buildSong();
+    song.isAccessibleBy.mockResolvedValue(false);
+
+    const res = await request(app).get(`/api/songs/${song._id}/chart`);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('POST /api/songs/import', () => {
+  it('answers files over the size limit with 413', async () => {
+    const res = await request(app)
+      .post('/api/songs/import')
+      .attach('file', Buffer.alloc(5 * 1024 * 1024 + 1, 'a'), 'songs.csv');
+
+    expect(res.status).toBe(413);
+  });
+
+  it('requires a file', async () => {
+    const res = await request(app).post('/api/songs/import');
+
+    expect(res.status).toBe(400);
+  });
+});
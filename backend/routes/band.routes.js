@@ -0,0 +1,417 @@
+/**
+ * Band Routes
+ */
+const express = require('express');
+const { protect } = require('../middleware/auth.middleware');
+const {
+  getMyPermissions,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  updateMember,
+  getInvitations,
+  createInvitation,
+  revokeInvitation,
+  leaveBand,
+  removeMember,
+  transferLeadership
+} = require('../controllers/band.controller');
+
+const router = express.Router();
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/bands/{id}/permissions:
+ *   get:
+ *     summary: Get the current user's role and permissions in a band
+ *     description: Includes permissions from their role template and the ones those imply
+ *     tags: [Bands]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: role, roleId and permissions
+ *       404:
+ *         description: Band not found
+ */
+router.get('/:id/permissions', getMyPermissions);
+
+/**
+ * @swagger
+ * /api/bands/{id}/roles:
+ *   get:
+ *     summary: List a band's role templates
+ *     tags: [Bands]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role templates with how many members hold each
+ *       404:
+ *         description: Band not found
+ *   post:
+ *     summary: Add a role template
+ *     tags: [Bands]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [view, perform, edit_setlists, add_songs, edit_songs, invite_members, manage_invites, remove_members, manage_performances, manage_events, export]
+ *     responses:
+ *       201:
+ *         description: The band's role templates
+ *       400:
+ *         description: Invalid role
+ *       403:
+ *         description: Only leaders can manage roles
+ *       404:
+ *         description: Band not found
+ *       409:
+ *         description: A role with that name already exists
+ */
+router.get('/:id/roles', getRoles);
+router.post('/:id/roles', createRole);
+
+/**
+ * @swagger
+ * /api/bands/{id}/roles/{roleId}:
+ *   put:
+ *     summary: Rename a role template or change its permissions
+ *     description: Changes apply straight away to every member holding the role
+ *     tags: [Bands]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: roleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: The band's role templates
+ *       400:
+ *         description: Invalid role
+ *       403:
+ *         description: Only leaders can manage roles
+ *       404:
+ *         description: Band or role not found
+ *       409:
+ *         description: A role with that name already exists
+ *   delete:
+ *     summary: Delete a role template
+ *     description: Members who held it keep only their individual permissions
+ *     tags: [Bands]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: roleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The band's remaining role templates
+ *       403:
+ *         description: Only leaders can manage roles
+ *       404:
+ *         description: Band or role not found
+ */
+router.put('/:id/roles/:roleId', updateRole);
+router.delete('/:id/roles/:roleId', deleteRole);
+
+/**
+ * @swagger
+ * /api/bands/{id}/invitations:
+ *   get:
+ *     summary: List a band's pending invitations and join codes
+ *     tags: [Bands]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Pending invitations that have not expired, newest first
+ *       403:
+ *         description: Requires the manage_invites permission
+ *       404:
+ *         description: Band not found
+ *   post:
+ *     summary: Invite someone by email, or create a join code
+ *     description: >
+ *       The email address does not need an account yet; the invitation shows up once someone
+ *       signs up with it. Inviting the same address again renews its pending invitation.
+ *       Only leaders can invite leaders, and other members can only grant permissions they have.
+ *     tags: [Bands]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [email, code]
+ *                 default: email
+ *               email:
+ *                 type: string
+ *                 description: (email) Address to invite
+ *               role:
+ *                 type: string
+ *                 enum: [leader, member]
+ *                 default: member
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [view, perform, edit_setlists, add_songs, edit_songs, invite_members, manage_invites, remove_members, manage_performances, manage_events, export]
+ *                 description: >
+ *                   Granted on top of the role template. Defaults to view, edit_setlists and add_songs
+ *                   without a template; leaders get every permission
+ *               roleId:
+ *                 type: string
+ *                 description: Role template to give the new member
+ *               expiresInDays:
+ *                 type: number
+ *                 default: 7
+ *                 description: Between 1 and 30
+ *               maxUses:
+ *                 type: number
+ *                 description: (code) How many people can join with the code; unlimited if omitted
+ *     responses:
+ *       201:
+ *         description: Invitation, including the join code for code invitations
+ *       400:
+ *         description: Invalid invitation
+ *       403:
+ *         description: Not allowed to invite members, or to grant that role or those permissions
+ *       404:
+ *         description: Band not found
+ *       409:
+ *         description: The invited person is already a member
+ */
+router.get('/:id/invitations', getInvitations);
+router.post('/:id/invitations', createInvitation);
+
+/**
+ * @swagger
+ * /api/bands/{id}/invitations/{invitationId}:
+ *   delete:
+ *     summary: Revoke a pending invitation or join code
+ *     tags: [Bands]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Revoked invitation
+ *       403:
+ *         description: Requires the manage_invites permission
+ *       404:
+ *         description: Band or pending invitation not found
+ */
+router.delete('/:id/invitations/:invitationId', revokeInvitation);
+
+/**
+ * @swagger
+ * /api/bands/{id}/leave:
+ *   post:
+ *     summary: Leave a band
+ *     tags: [Bands]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Left the band
+ *       404:
+ *         description: Band not found
+ *       409:
+ *         description: The last leader must transfer leadership before leaving
+ */
+router.post('/:id/leave', leaveBand);
+
+/**
+ * @swagger
+ * /api/bands/{id}/transfer-leadership:
+ *   post:
+ *     summary: Hand leadership to another member
+ *     description: >
+ *       The new leader gets every permission. The current leader stays on as a member with their
+ *       role template, or the default permissions if they have none.
+ *     tags: [Bands]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: Member taking over
+ *     responses:
+ *       200:
+ *         description: Updated band
+ *       400:
+ *         description: userId is not another member of the band
+ *       403:
+ *         description: Only leaders can transfer leadership
+ *       404:
+ *         description: Band not found
+ */
+router.post('/:id/transfer-leadership', transferLeadership);
+
+/**
+ * @swagger
+ * /api/bands/{id}/members/{userId}:
+ *   put:
+ *     summary: Change a member's role template or individual permissions
+ *     tags: [Bands]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               roleId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Role template to give the member, or null to take it away
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Individual permissions, replacing the current ones
+ *     responses:
+ *       200:
+ *         description: Updated band
+ *       400:
+ *         description: Invalid role or permissions, or the member is a leader
+ *       403:
+ *         description: Only leaders can manage roles
+ *       404:
+ *         description: Band or member not found
+ *   delete:
+ *     summary: Remove a member from a band
+ *     tags: [Bands]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Updated band
+ *       400:
+ *         description: Members remove themselves with leave
+ *       403:
+ *         description: Requires the remove_members permission; only leaders can remove leaders
+ *       404:
+ *         description: Band or member not found
+ *       409:
+ *         description: A band must keep at least one leader
+ */
+router.put('/:id/members/:userId', updateMember);
+router.delete('/:id/members/:userId', removeMember);
+
+module.exports = router;
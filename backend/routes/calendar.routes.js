@@ -0,0 +1,99 @@
+/**
+ * Calendar Routes
+ * Managing calendar feeds needs a login; fetching one does not, since calendar
+ * apps cannot log in and the token in the feed URL is their only credential
+ */
+const express = require('express');
+const { protect } = require('../middleware/auth.middleware');
+const {
+  getCalendarFeeds,
+  createCalendarFeed,
+  revokeCalendarFeed,
+  getCalendarFeed
+} = require('../controllers/event.controller');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/calendar/feeds:
+ *   get:
+ *     summary: List the current user's calendar feeds
+ *     tags: [Calendar]
+ *     responses:
+ *       200:
+ *         description: Feeds, without their URLs
+ *   post:
+ *     summary: Create an iCalendar subscription feed
+ *     description: The feed URL is only returned once, in this response
+ *     tags: [Calendar]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               bandId:
+ *                 type: string
+ *                 description: Only this band's events; all of the user's events if left out
+ *               label:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: The feed with its token, https URL and webcal URL
+ *       400:
+ *         description: Invalid feed
+ *       403:
+ *         description: Not allowed to see the band's calendar
+ *       404:
+ *         description: Band not found
+ */
+router.get('/feeds', protect, getCalendarFeeds);
+router.post('/feeds', protect, createCalendarFeed);
+
+/**
+ * @swagger
+ * /api/calendar/feeds/{id}:
+ *   delete:
+ *     summary: Revoke a calendar feed
+ *     tags: [Calendar]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Feed revoked
+ *       404:
+ *         description: Calendar feed not found
+ */
+router.delete('/feeds/:id', protect, revokeCalendarFeed);
+
+/**
+ * @swagger
+ * /api/calendar/{token}.ics:
+ *   get:
+ *     summary: Fetch a calendar feed
+ *     description: For calendar apps; each event's description has its running order and the songs of its setlist
+ *     tags: [Calendar]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: iCalendar document
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Calendar feed not found
+ */
+router.get('/:token.ics', getCalendarFeed);
+
+module.exports = router;
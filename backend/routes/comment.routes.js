@@ -0,0 +1,122 @@
+/**
+ * Comment Routes
+ * Comments are created under the song or setlist entry they are about
+ * (see song and setlist routes); these routes act on existing comments.
+ */
+const express = require('express');
+const { protect } = require('../middleware/auth.middleware');
+const {
+  updateComment,
+  deleteComment,
+  resolveComment,
+  unresolveComment
+} = require('../controllers/comment.controller');
+
+const router = express.Router();
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/comments/{id}:
+ *   put:
+ *     summary: Edit a comment
+ *     tags: [Comments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The edited comment; newly mentioned members are notified
+ *       400:
+ *         description: Invalid comment
+ *       403:
+ *         description: Only the author can edit a comment
+ *       404:
+ *         description: Comment not found
+ *   delete:
+ *     summary: Delete a comment, or a whole thread with its replies
+ *     description: Authors can delete their own comments; people who can edit the song or setlist can delete any.
+ *     tags: [Comments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: IDs of the deleted comments
+ *       403:
+ *         description: Not allowed to delete this comment
+ *       404:
+ *         description: Comment not found
+ */
+router.put('/:id', updateComment);
+router.delete('/:id', deleteComment);
+
+/**
+ * @swagger
+ * /api/comments/{id}/resolve:
+ *   post:
+ *     summary: Resolve a thread
+ *     tags: [Comments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the comment that started the thread
+ *     responses:
+ *       200:
+ *         description: The resolved thread's first comment
+ *       400:
+ *         description: The comment is a reply
+ *       403:
+ *         description: Only band members can take part in the discussion
+ *       404:
+ *         description: Comment not found
+ */
+router.post('/:id/resolve', resolveComment);
+
+/**
+ * @swagger
+ * /api/comments/{id}/unresolve:
+ *   post:
+ *     summary: Reopen a resolved thread
+ *     tags: [Comments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the comment that started the thread
+ *     responses:
+ *       200:
+ *         description: The reopened thread's first comment
+ *       400:
+ *         description: The comment is a reply
+ *       403:
+ *         description: Only band members can take part in the discussion
+ *       404:
+ *         description: Comment not found
+ */
+router.post('/:id/unresolve', unresolveComment);
+
+module.exports = router;
@@ -0,0 +1,213 @@
+/**
+ * Event Routes
+ */
+const express = require('express');
+const multer = require('multer');
+const { protect } = require('../middleware/auth.middleware');
+const {
+  getEvents,
+  getEvent,
+  createEvent,
+  updateEvent,
+  deleteEvent,
+  importEvents
+} = require('../controllers/event.controller');
+
+const router = express.Router();
+
+// Calendar files are parsed straight from memory and never written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 }
+});
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/events:
+ *   get:
+ *     summary: Get the gigs and rehearsals on the current user's calendar, earliest first
+ *     description: Personal events and those of every band the user performs with, or of one band only
+ *     tags: [Events]
+ *     parameters:
+ *       - in: query
+ *         name: bandId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         description: Only events starting at or after this time; defaults to 24 hours ago
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         description: Only events starting before this time
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [gig, rehearsal]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [confirmed, tentative, cancelled]
+ *     responses:
+ *       200:
+ *         description: List of events
+ *       400:
+ *         description: Invalid filter
+ *       404:
+ *         description: Band not found
+ *   post:
+ *     summary: Schedule a gig or rehearsal
+ *     description: >
+ *       Band events need the manage_events permission. A gig linked to a setlist
+ *       sets the setlist's date and venue, which needs the edit_setlists permission.
+ *     tags: [Events]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Event'
+ *     responses:
+ *       201:
+ *         description: Event created
+ *       400:
+ *         description: Invalid event
+ *       403:
+ *         description: Not allowed to schedule the band's events or its setlist
+ *       404:
+ *         description: Band or setlist not found
+ */
+router.get('/', getEvents);
+router.post('/', createEvent);
+
+/**
+ * @swagger
+ * /api/events/import:
+ *   post:
+ *     summary: Import the events of an iCalendar (.ics) file
+ *     description: >
+ *       Events already imported (matched by UID) are updated instead of duplicated.
+ *       Recurring events are skipped.
+ *     tags: [Events]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               bandId:
+ *                 type: string
+ *                 description: Band calendar to import onto; the user's own calendar if left out
+ *               type:
+ *                 type: string
+ *                 enum: [gig, rehearsal]
+ *                 description: Type of every imported event; guessed from each title if left out
+ *               timeZone:
+ *                 type: string
+ *                 description: Time zone of times the file does not give one for
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ics
+ *             properties:
+ *               ics:
+ *                 type: string
+ *                 description: Contents of the .ics file
+ *               bandId:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [gig, rehearsal]
+ *               timeZone:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Events created and updated, and the calendar entries skipped with the reason
+ *       400:
+ *         description: Missing or invalid calendar file
+ *       403:
+ *         description: Not allowed to schedule the band's events
+ *       404:
+ *         description: Band not found
+ */
+router.post('/import', upload.single('file'), importEvents);
+
+/**
+ * @swagger
+ * /api/events/{id}:
+ *   get:
+ *     summary: Get an event
+ *     tags: [Events]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The event
+ *       404:
+ *         description: Event not found
+ *   put:
+ *     summary: Change an event
+ *     description: Requires the manage_events permission. The band an event is on cannot be changed.
+ *     tags: [Events]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Event'
+ *     responses:
+ *       200:
+ *         description: Event updated
+ *       400:
+ *         description: Invalid event
+ *       403:
+ *         description: Not allowed to change the event or schedule its setlist
+ *       404:
+ *         description: Event or setlist not found
+ *   delete:
+ *     summary: Delete an event
+ *     description: Requires the manage_events permission. The linked setlist is left as it is.
+ *     tags: [Events]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Event deleted
+ *       403:
+ *         description: Not allowed to change the event
+ *       404:
+ *         description: Event not found
+ */
+router.get('/:id', getEvent);
+router.put('/:id', updateEvent);
+router.delete('/:id', deleteEvent);
+
+module.exports = router;
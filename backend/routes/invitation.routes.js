@@ -0,0 +1,106 @@
+/**
+ * Invitation Routes
+ */
+const express = require('express');
+const { protect } = require('../middleware/auth.middleware');
+const {
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+  joinWithCode
+} = require('../controllers/invitation.controller');
+
+const router = express.Router();
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/invitations:
+ *   get:
+ *     summary: List band invitations sent to the current user's email address
+ *     tags: [Invitations]
+ *     responses:
+ *       200:
+ *         description: Pending invitations that have not expired, with their band and inviter
+ */
+router.get('/', getMyInvitations);
+
+/**
+ * @swagger
+ * /api/invitations/join:
+ *   post:
+ *     summary: Join a band with a join code
+ *     tags: [Invitations]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Not case sensitive
+ *     responses:
+ *       200:
+ *         description: The band joined
+ *       404:
+ *         description: Join code not found
+ *       409:
+ *         description: Already a member of the band
+ *       410:
+ *         description: The code has expired, been revoked or used up
+ */
+router.post('/join', joinWithCode);
+
+/**
+ * @swagger
+ * /api/invitations/{id}/accept:
+ *   post:
+ *     summary: Accept an invitation and join the band
+ *     description: Joins with the role and permissions chosen when the invitation was sent.
+ *     tags: [Invitations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The band joined
+ *       404:
+ *         description: Invitation not found
+ *       409:
+ *         description: Already a member of the band
+ *       410:
+ *         description: The invitation has expired or is no longer pending
+ */
+router.post('/:id/accept', acceptInvitation);
+
+/**
+ * @swagger
+ * /api/invitations/{id}/decline:
+ *   post:
+ *     summary: Decline an invitation
+ *     tags: [Invitations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Declined invitation
+ *       404:
+ *         description: Invitation not found
+ *       410:
+ *         description: The invitation is no longer pending
+ */
+router.post('/:id/decline', declineInvitation);
+
+module.exports = router;
@@ -0,0 +1,167 @@
+/**
+ * Notification Routes
+ */
+const express = require('express');
+const { protect } = require('../middleware/auth.middleware');
+const {
+  getNotifications,
+  markRead,
+  markAllRead,
+  getPreferences,
+  updatePreferences,
+  addPushSubscription,
+  removePushSubscription
+} = require('../controllers/notification.controller');
+
+const router = express.Router();
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: Get the current user's notification center, newest first
+ *     tags: [Notifications]
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         description: Only unread notifications
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: before
+ *         description: Only notifications created before this time, for paging
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: number
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Notifications and the number still unread
+ *       400:
+ *         description: Invalid limit or date
+ */
+router.get('/', getNotifications);
+
+/**
+ * @swagger
+ * /api/notifications/read-all:
+ *   post:
+ *     summary: Mark all notifications as read
+ *     tags: [Notifications]
+ *     responses:
+ *       200:
+ *         description: Number of notifications marked
+ */
+router.post('/read-all', markAllRead);
+
+/**
+ * @swagger
+ * /api/notifications/preferences:
+ *   get:
+ *     summary: Get the current user's notification settings
+ *     tags: [Notifications]
+ *     responses:
+ *       200:
+ *         description: Account-wide switch, channels per event, the events available and the web push public key
+ *   put:
+ *     summary: Change notification settings
+ *     tags: [Notifications]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notifications:
+ *                 type: boolean
+ *                 description: Turn email and push off (or back on) for every event
+ *               events:
+ *                 type: object
+ *                 description: Channels per event, e.g. { "setlist_changed": { "email": false } }; anything left out is unchanged
+ *     responses:
+ *       200:
+ *         description: The updated settings
+ *       400:
+ *         description: Unknown event or channel
+ */
+router.get('/preferences', getPreferences);
+router.put('/preferences', updatePreferences);
+
+/**
+ * @swagger
+ * /api/notifications/push-subscriptions:
+ *   post:
+ *     summary: Receive web push notifications in this browser
+ *     tags: [Notifications]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: The browser's PushSubscription as JSON
+ *             required:
+ *               - endpoint
+ *               - keys
+ *             properties:
+ *               endpoint:
+ *                 type: string
+ *               keys:
+ *                 type: object
+ *                 properties:
+ *                   p256dh:
+ *                     type: string
+ *                   auth:
+ *                     type: string
+ *     responses:
+ *       201:
+ *         description: Subscription saved
+ *       400:
+ *         description: Invalid subscription
+ *   delete:
+ *     summary: Stop web push notifications in a browser
+ *     tags: [Notifications]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - endpoint
+ *             properties:
+ *               endpoint:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Subscription removed
+ */
+router.post('/push-subscriptions', addPushSubscription);
+router.delete('/push-subscriptions', removePushSubscription);
+
+/**
+ * @swagger
+ * /api/notifications/{id}/read:
+ *   post:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Number of notifications marked (0 if it was already read or is not the user's)
+ */
+router.post('/:id/read', markRead);
+
+module.exports = router;
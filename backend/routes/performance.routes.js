@@ -0,0 +1,291 @@
+/**
+ * Performance Routes
+ */
+const express = require('express');
+const { protect } = require('../middleware/auth.middleware');
+const {
+  startPerformance,
+  logPerformance,
+  getPerformances,
+  getPerformance,
+  performAction,
+  getSongStats,
+  getUnplayedSongs,
+  getVenueHistory
+} = require('../controllers/performance.controller');
+
+const router = express.Router();
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/performances:
+ *   post:
+ *     summary: Start a live performance of a setlist
+ *     description: >
+ *       The first song starts playing straight away and the user starting the gig becomes
+ *       its leader. Everyone in the setlist's Socket.io room receives performance-started.
+ *     tags: [Performances]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - setlistId
+ *             properties:
+ *               setlistId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Performance state with nowPlaying and upNext
+ *       403:
+ *         description: Requires the manage_performances permission
+ *       404:
+ *         description: Setlist not found
+ *       409:
+ *         description: The setlist is already being performed
+ *   get:
+ *     summary: List performances
+ *     tags: [Performances]
+ *     parameters:
+ *       - in: query
+ *         name: setlistId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: bandId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [live, completed]
+ *     responses:
+ *       200:
+ *         description: Performances, newest first, without their entries
+ *       404:
+ *         description: Setlist or band not found
+ */
+router.post('/', startPerformance);
+router.get('/', getPerformances);
+
+/**
+ * @swagger
+ * /api/performances/log:
+ *   post:
+ *     summary: Record a gig that was played without running it live
+ *     tags: [Performances]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - setlistId
+ *             properties:
+ *               setlistId:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to the setlist's date, then today
+ *               venue:
+ *                 type: string
+ *                 description: Defaults to the setlist's venue
+ *               playedEntryIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Setlist entries that were played; the rest are logged as skipped (defaults to all)
+ *     responses:
+ *       201:
+ *         description: Completed performance record
+ *       400:
+ *         description: Invalid date or playedEntryIds
+ *       403:
+ *         description: Requires the manage_performances permission
+ *       404:
+ *         description: Setlist not found
+ */
+router.post('/log', logPerformance);
+
+/**
+ * @swagger
+ * /api/performances/analytics/songs:
+ *   get:
+ *     summary: Play counts, last played dates and actual vs planned durations per song
+ *     description: Covers a band's gigs with bandId, otherwise the user's own gigs without a band
+ *     tags: [Performances]
+ *     parameters:
+ *       - in: query
+ *         name: bandId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Per-song stats, most played first
+ *       400:
+ *         description: Invalid dates
+ *       403:
+ *         description: Requires the band's view permission
+ *       404:
+ *         description: Band not found
+ */
+router.get('/analytics/songs', getSongStats);
+
+/**
+ * @swagger
+ * /api/performances/analytics/unplayed:
+ *   get:
+ *     summary: Songs in the library not played in the last N gigs
+ *     tags: [Performances]
+ *     parameters:
+ *       - in: query
+ *         name: gigs
+ *         schema:
+ *           type: number
+ *           default: 5
+ *       - in: query
+ *         name: bandId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The gigs considered, and the unplayed songs with when they were last played (never played first)
+ *       400:
+ *         description: Invalid gigs count
+ *       404:
+ *         description: Band not found
+ */
+router.get('/analytics/unplayed', getUnplayedSongs);
+
+/**
+ * @swagger
+ * /api/performances/analytics/venue:
+ *   get:
+ *     summary: What was played the last time at a venue
+ *     description: >
+ *       With setlistId, the venue and band default to the setlist's, and songs in the
+ *       setlist that were also played last time are listed as repeated. A venue record
+ *       (venueId) also matches gigs logged under any of its names.
+ *     tags: [Performances]
+ *     parameters:
+ *       - in: query
+ *         name: venue
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: venueId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: setlistId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: bandId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Last gig at the venue with its played songs (null if never played there)
+ *       400:
+ *         description: venue and venueId missing
+ *       404:
+ *         description: Setlist, venue or band not found
+ */
+router.get('/analytics/venue', getVenueHistory);
+
+/**
+ * @swagger
+ * /api/performances/{id}:
+ *   get:
+ *     summary: Get a performance with its now playing and up next songs
+ *     tags: [Performances]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Performance state, including whether the current user can control it
+ *       404:
+ *         description: Performance not found
+ */
+router.get('/:id', getPerformance);
+
+/**
+ * @swagger
+ * /api/performances/{id}/actions:
+ *   post:
+ *     summary: Control a live performance
+ *     description: >
+ *       Only the leader (or band members who can manage performances) can control the
+ *       performance. Pass fromEntryId with next so repeated taps only advance once. Every
+ *       screen in the performance's Socket.io room receives performance-updated.
+ *     tags: [Performances]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [next, skip, jump, addSong, setLeader, end]
+ *               fromEntryId:
+ *                 type: string
+ *                 description: (next) Entry playing when next was pressed
+ *               entryId:
+ *                 type: string
+ *                 description: (skip, jump) Performance entry to skip or jump to
+ *               songId:
+ *                 type: string
+ *                 description: (addSong) Song to add
+ *               position:
+ *                 type: number
+ *                 description: (addSong) Index to insert at; defaults to straight after the current song
+ *               userId:
+ *                 type: string
+ *                 description: (setLeader) User to hand control to
+ *     responses:
+ *       200:
+ *         description: Whether anything changed, and the performance state
+ *       400:
+ *         description: Invalid action
+ *       403:
+ *         description: Only the leader can control the performance
+ *       404:
+ *         description: Performance not found
+ *       409:
+ *         description: The performance has ended
+ */
+router.post('/:id/actions', performAction);
+
+module.exports = router;
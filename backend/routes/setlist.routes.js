@@ -0,0 +1,682 @@
+/**
+ * Setlist Routes
+ */
+const express = require('express');
+const { protect } = require('../middleware/auth.middleware');
+const {
+  generateSetlist,
+  updateSetlist,
+  getBudget,
+  getCharts,
+  exportPdf,
+  getVersions,
+  getVersion,
+  getDiff,
+  restoreVersion,
+  cloneSetlist,
+  saveAsTemplate
+} = require('../controllers/setlist.controller');
+const {
+  createShareLink,
+  getShareLinks,
+  getAccessLog,
+  revokeShareLink
+} = require('../controllers/shareLink.controller');
+const {
+  getSetlistComments,
+  getEntryComments,
+  createEntryComment
+} = require('../controllers/comment.controller');
+
+const router = express.Router();
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/setlists/generate:
+ *   post:
+ *     summary: Generate a setlist from the song library
+ *     tags: [Setlists]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               bandId:
+ *                 type: string
+ *                 description: Also draw songs from this band's library
+ *               venueId:
+ *                 type: string
+ *                 description: Venue the setlist is for; its usual set lengths become the set targets
+ *               numberOfSets:
+ *                 type: number
+ *                 description: Defaults to the venue's number of sets, or 1
+ *               setDuration:
+ *                 type: number
+ *                 description: Target length of each set in seconds (defaults to the venue's set lengths, then the user's defaultSetDuration)
+ *               songGap:
+ *                 type: number
+ *                 description: Gap between songs in seconds
+ *               requiredTags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Only use songs with at least one of these tags
+ *               excludedTags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Never use songs with any of these tags
+ *               openers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Song ID to open each set with, in set order
+ *               closers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Song ID to close each set with, in set order
+ *               avoidSameKey:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Avoid consecutive songs in the same key
+ *               tempoCurve:
+ *                 type: string
+ *                 enum: [none, build, descend, peak]
+ *                 default: build
+ *                 description: How tempo should develop over each set
+ *               seed:
+ *                 type: number
+ *                 description: Seed from a previous result, to reproduce it
+ *               save:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Set to false to preview without saving
+ *     responses:
+ *       201:
+ *         description: The generated setlist with an overall score, a score per constraint and the seed used
+ *       200:
+ *         description: Preview of a generated setlist (save is false)
+ *       400:
+ *         description: Invalid constraints
+ *       403:
+ *         description: Not allowed to use the band's library or add setlists to it
+ *       404:
+ *         description: Band or venue not found
+ */
+router.post('/generate', generateSetlist);
+
+/**
+ * @swagger
+ * /api/setlists/{id}:
+ *   put:
+ *     summary: Update a setlist
+ *     description: The update is rejected if the setlist changed since baseVersion.
+ *     tags: [Setlists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - baseVersion
+ *             properties:
+ *               baseVersion:
+ *                 type: number
+ *                 description: Version the client's changes are based on
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date-time
+ *               venue:
+ *                 type: string
+ *               isPublic:
+ *                 type: boolean
+ *               sets:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               targetDuration:
+ *                 type: number
+ *                 description: Target length of the show in seconds
+ *               songGap:
+ *                 type: number
+ *                 description: Default gap between songs in seconds
+ *               changes:
+ *                 type: string
+ *                 description: Description of the changes for the version history
+ *     responses:
+ *       200:
+ *         description: The updated setlist
+ *       400:
+ *         description: baseVersion missing or invalid
+ *       403:
+ *         description: No permission to edit the setlist
+ *       404:
+ *         description: Setlist not found
+ *       409:
+ *         description: The setlist changed since baseVersion; the response contains the current setlist
+ */
+router.put('/:id', updateSetlist);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/budget:
+ *   get:
+ *     summary: Get how each set and the show fit their time budgets
+ *     tags: [Setlists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Durations, targets, overruns and the songs that push each set over its target
+ *       404:
+ *         description: Setlist not found
+ */
+router.get('/:id/budget', getBudget);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/charts:
+ *   get:
+ *     summary: Get chord charts for a setlist in the keys they are played in
+ *     description: Applies each entry's transpose to the song's chord sheet and suggests a capo position.
+ *     tags: [Setlists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: capo
+ *         description: Also render each chart as chord shapes relative to the capo
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Charts grouped by set
+ *       404:
+ *         description: Setlist not found
+ */
+router.get('/:id/charts', getCharts);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/export.pdf:
+ *   get:
+ *     summary: Export a setlist as a PDF
+ *     tags: [Setlists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: layout
+ *         description: >
+ *           stage - large titles and keys, one set per page;
+ *           band - tempo, duration, notes and transposition;
+ *           multiup - every set on one page
+ *         schema:
+ *           type: string
+ *           enum: [stage, band, multiup]
+ *           default: stage
+ *     responses:
+ *       200:
+ *         description: The PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Unknown layout
+ *       403:
+ *         description: Requires the export permission
+ *       404:
+ *         description: Setlist not found
+ */
+router.get('/:id/export.pdf', exportPdf);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/versions:
+ *   get:
+ *     summary: Get the version history of a setlist
+ *     tags: [Setlists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Versions, newest first, without snapshots
+ *       403:
+ *         description: Requires the view permission
+ *       404:
+ *         description: Setlist not found
+ */
+router.get('/:id/versions', getVersions);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/versions/{version}:
+ *   get:
+ *     summary: Get the snapshot of a setlist version
+ *     tags: [Setlists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: number
+ *     responses:
+ *       200:
+ *         description: Version history entry including its snapshot
+ *       403:
+ *         description: Requires the view permission
+ *       404:
+ *         description: Setlist or version not found
+ */
+router.get('/:id/versions/:version', getVersion);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/versions/{version}/restore:
+ *   post:
+ *     summary: Restore a previous version of a setlist as a new version
+ *     tags: [Setlists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: number
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - baseVersion
+ *             properties:
+ *               baseVersion:
+ *                 type: number
+ *                 description: Version the client last saw
+ *     responses:
+ *       200:
+ *         description: The updated setlist
+ *       400:
+ *         description: baseVersion missing or invalid
+ *       403:
+ *         description: No permission to edit the setlist
+ *       404:
+ *         description: Setlist or version not found
+ *       409:
+ *         description: The setlist changed since baseVersion; the response contains the current setlist
+ */
+router.post('/:id/versions/:version/restore', restoreVersion);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/diff:
+ *   get:
+ *     summary: Compare two versions of a setlist
+ *     tags: [Setlists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: to
+ *         description: Defaults to the current version
+ *         schema:
+ *           type: number
+ *     responses:
+ *       200:
+ *         description: Sets and songs added, removed, renamed, moved and changed between the versions
+ *       403:
+ *         description: Requires the view permission
+ *       404:
+ *         description: Setlist or version not found
+ */
+router.get('/:id/diff', getDiff);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/clone:
+ *   post:
+ *     summary: Clone a setlist, e.g. a past gig for the next one
+ *     description: >
+ *       The copy is a private setlist at version 1 with no version history and no songs
+ *       marked as played, linked back to the original through clonedFromId. It keeps the
+ *       original's venue unless a new venue is given.
+ *     tags: [Setlists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 description: Defaults to the original's title with "(copy)" added
+ *               description:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date-time
+ *               venueId:
+ *                 type: string
+ *               venue:
+ *                 type: string
+ *               includeSongs:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Set to false to copy only the sets, their names and time budgets
+ *     responses:
+ *       201:
+ *         description: The new setlist
+ *       400:
+ *         description: Invalid clone details
+ *       403:
+ *         description: No permission to edit the setlist
+ *       404:
+ *         description: Setlist not found
+ */
+router.post('/:id/clone', cloneSetlist);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/templates:
+ *   post:
+ *     summary: Save a setlist's show shape as a template
+ *     description: >
+ *       The template keeps the sets, their names and time budgets, and with includeSongs
+ *       the songs too. It belongs to the setlist's band, or to the user for a personal setlist.
+ *     tags: [Setlists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Defaults to the setlist's title
+ *               description:
+ *                 type: string
+ *               includeSongs:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       201:
+ *         description: The new template
+ *       400:
+ *         description: Invalid template
+ *       403:
+ *         description: No permission to edit the setlist
+ *       404:
+ *         description: Setlist not found
+ */
+router.post('/:id/templates', saveAsTemplate);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/share-links:
+ *   get:
+ *     summary: List a setlist's guest share links
+ *     tags: [Setlists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Share links, newest first, without their tokens
+ *       403:
+ *         description: Requires the edit_setlists permission
+ *       404:
+ *         description: Setlist not found
+ *   post:
+ *     summary: Share a setlist with a guest, such as a dep booked for the gig
+ *     tags: [Setlists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               label:
+ *                 type: string
+ *                 description: Who the link is for
+ *               readOnly:
+ *                 type: boolean
+ *                 default: true
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to the day after the gig, or a week from now
+ *     responses:
+ *       201:
+ *         description: The share link with its token and URL; the token is not shown again
+ *       400:
+ *         description: Invalid input or expiry
+ *       403:
+ *         description: Requires the edit_setlists permission
+ *       404:
+ *         description: Setlist not found
+ */
+router.get('/:id/share-links', getShareLinks);
+router.post('/:id/share-links', createShareLink);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/share-links/{linkId}:
+ *   delete:
+ *     summary: Revoke a share link
+ *     tags: [Setlists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: linkId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The revoked share link
+ *       403:
+ *         description: Requires the edit_setlists permission
+ *       404:
+ *         description: Setlist or share link not found
+ */
+router.delete('/:id/share-links/:linkId', revokeShareLink);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/share-links/{linkId}/access-log:
+ *   get:
+ *     summary: See when and from where a share link was used
+ *     tags: [Setlists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: linkId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The share link with its access log, newest first
+ *       403:
+ *         description: Requires the edit_setlists permission
+ *       404:
+ *         description: Setlist or share link not found
+ */
+router.get('/:id/share-links/:linkId/access-log', getAccessLog);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/comments:
+ *   get:
+ *     summary: Get the comment threads on every entry of a setlist
+ *     tags: [Comments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: resolved
+ *         description: Only resolved (true) or unresolved (false) threads
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Threads, oldest first, each with its entryId and replies
+ *       404:
+ *         description: Setlist not found
+ */
+router.get('/:id/comments', getSetlistComments);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/entries/{entryId}/comments:
+ *   get:
+ *     summary: Get the comment threads on one song entry of a setlist
+ *     tags: [Comments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: resolved
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Threads, oldest first, each with its replies
+ *       404:
+ *         description: Setlist not found
+ *   post:
+ *     summary: Comment on a song entry of a setlist, or reply to a thread on it
+ *     tags: [Comments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 description: Comment text; mention band members as @[Name](userId)
+ *               parentId:
+ *                 type: string
+ *                 description: Comment to reply to
+ *     responses:
+ *       201:
+ *         description: The comment, also sent to the setlist's room as comment-created
+ *       400:
+ *         description: Invalid comment
+ *       403:
+ *         description: Only band members can take part in the discussion
+ *       404:
+ *         description: Setlist, entry or thread not found
+ */
+router.get('/:id/entries/:entryId/comments', getEntryComments);
+router.post('/:id/entries/:entryId/comments', createEntryComment);
+
+module.exports = router;
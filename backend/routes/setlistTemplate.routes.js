@@ -0,0 +1,159 @@
+/**
+ * Setlist Template Routes
+ */
+const express = require('express');
+const { protect } = require('../middleware/auth.middleware');
+const {
+  getTemplates,
+  getTemplate,
+  updateTemplate,
+  deleteTemplate,
+  createSetlist
+} = require('../controllers/setlistTemplate.controller');
+
+const router = express.Router();
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/templates:
+ *   get:
+ *     summary: Get the setlist templates the current user can use
+ *     description: >
+ *       Personal templates and those of every band the user performs with, or of one band
+ *       only. Templates are saved from setlists with POST /api/setlists/{id}/templates.
+ *     tags: [Templates]
+ *     parameters:
+ *       - in: query
+ *         name: bandId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of templates
+ *       404:
+ *         description: Band not found
+ */
+router.get('/', getTemplates);
+
+/**
+ * @swagger
+ * /api/templates/{id}:
+ *   get:
+ *     summary: Get a template
+ *     tags: [Templates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The template
+ *       404:
+ *         description: Template not found
+ *   put:
+ *     summary: Change a template's name, description or budget
+ *     description: Band templates need the edit_setlists permission
+ *     tags: [Templates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               songGap:
+ *                 type: number
+ *               targetDuration:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: Template updated
+ *       400:
+ *         description: Invalid template
+ *       403:
+ *         description: Not allowed to change the template
+ *       404:
+ *         description: Template not found
+ *   delete:
+ *     summary: Delete a template
+ *     description: Setlists created from the template are kept
+ *     tags: [Templates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Template deleted
+ *       403:
+ *         description: Not allowed to change the template
+ *       404:
+ *         description: Template not found
+ */
+router.get('/:id', getTemplate);
+router.put('/:id', updateTemplate);
+router.delete('/:id', deleteTemplate);
+
+/**
+ * @swagger
+ * /api/templates/{id}/setlists:
+ *   post:
+ *     summary: Create a setlist from a template
+ *     description: >
+ *       The setlist gets the template's sets and budgets, and its songs if it has any;
+ *       songs deleted since the template was saved are left out. It is linked back to
+ *       the template through templateId.
+ *     tags: [Templates]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 description: Defaults to the template's name
+ *               description:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date-time
+ *               venueId:
+ *                 type: string
+ *               venue:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: The new setlist, and how many of the template's songs were left out
+ *       400:
+ *         description: Invalid setlist details
+ *       403:
+ *         description: Not allowed to add setlists to the band
+ *       404:
+ *         description: Template not found
+ */
+router.post('/:id/setlists', createSetlist);
+
+module.exports = router;
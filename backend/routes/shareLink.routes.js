@@ -0,0 +1,100 @@
+/**
+ * Share Link Routes
+ * Used by guests without an account; the share token in the URL is their only credential
+ */
+const express = require('express');
+const { guestAccess } = require('../middleware/auth.middleware');
+const {
+  getSharedSetlist,
+  getSharedCharts,
+  updateSharedSetlist
+} = require('../controllers/shareLink.controller');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/share/{token}:
+ *   get:
+ *     summary: Open a shared setlist as a guest
+ *     tags: [Share Links]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The setlist and the songs on it
+ *       404:
+ *         description: Share link not found
+ *       410:
+ *         description: Share link expired or revoked
+ *   put:
+ *     summary: Rearrange a shared setlist as a guest
+ *     description: Only for links that are not read-only. Guests cannot add songs that are not already on the setlist.
+ *     tags: [Share Links]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - baseVersion
+ *               - sets
+ *             properties:
+ *               baseVersion:
+ *                 type: number
+ *                 description: Version of the setlist the changes were made to
+ *               sets:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       200:
+ *         description: The new version and sets
+ *       400:
+ *         description: Invalid sets, or songs not already on the setlist
+ *       403:
+ *         description: The share link is read-only
+ *       409:
+ *         description: The setlist changed since baseVersion
+ *       410:
+ *         description: Share link expired or revoked
+ */
+router.get('/:token', guestAccess, getSharedSetlist);
+router.put('/:token', guestAccess, updateSharedSetlist);
+
+/**
+ * @swagger
+ * /api/share/{token}/charts:
+ *   get:
+ *     summary: Chord charts of a shared setlist, in the keys they are played in
+ *     tags: [Share Links]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: capo
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Charts for each set
+ *       410:
+ *         description: Share link expired or revoked
+ */
+router.get('/:token/charts', guestAccess, getSharedCharts);
+
+module.exports = router;
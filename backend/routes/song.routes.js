@@ -0,0 +1,591 @@
+/**
+ * Song Routes
+ */
+const express = require('express');
+const multer = require('multer');
+const { protect } = require('../middleware/auth.middleware');
+const {
+  getChart,
+  parseChordSheet,
+  importSongs,
+  exportSongs,
+  searchMetadata,
+  enrichSongs,
+  getSongMetadata,
+  applySongMetadata
+} = require('../controllers/song.controller');
+const { getSongComments, createSongComment } = require('../controllers/comment.controller');
+const {
+  getAttachments,
+  uploadAttachment,
+  uploadAttachmentVersion,
+  downloadAttachment,
+  deleteAttachment
+} = require('../controllers/attachment.controller');
+const { MAX_FILE_SIZE } = require('../services/attachment.service');
+
+const router = express.Router();
+
+// Spreadsheets are parsed straight from memory and never written to disk
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
+
+// Attachments are checked in memory before they go to storage
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: 1 }
+});
+
+/**
+ * Middleware taking a single upload in the file field, answering upload errors
+ * (too large, wrong field) with a 4xx
+ * @param {Object} upload - Multer instance
+ * @returns {Function}
+ */
+const uploadFile = upload => (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ success: false, message: error.message });
+    }
+    next(error);
+  });
+};
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/songs/chordpro/parse:
+ *   post:
+ *     summary: Parse and validate a ChordPro chord sheet without saving it
+ *     tags: [Songs]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - chordSheet
+ *             properties:
+ *               chordSheet:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Metadata, sections, chords and any errors with their line numbers
+ *       400:
+ *         description: chordSheet missing
+ */
+router.post('/chordpro/parse', parseChordSheet);
+
+/**
+ * @swagger
+ * /api/songs/import:
+ *   post:
+ *     summary: Import songs from a CSV or XLSX file
+ *     description: >
+ *       Columns are matched to song fields by header name (Title, Artist, Duration, Key,
+ *       Tempo, Tags, Notes, ChordPro, Chord Sheet URL, Lyrics URL, Spotify ID, MusicBrainz ID, Variants
+ *       and common synonyms). Songs with the same title and artist as one already in the library are
+ *       reported as duplicates. Variants are listed as in the export; updating a song keeps the
+ *       arrangements it already has, matched by name.
+ *     tags: [Songs]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               bandId:
+ *                 type: string
+ *                 description: Import into this band's library instead of the user's own
+ *               mapping:
+ *                 type: string
+ *                 description: JSON object of song field to column header, e.g. {"title":"Song Name"}
+ *               onDuplicate:
+ *                 type: string
+ *                 enum: [skip, update]
+ *                 default: skip
+ *               dryRun:
+ *                 type: boolean
+ *                 description: Validate and preview the import without saving anything
+ *     responses:
+ *       200:
+ *         description: Dry-run preview with the status (create, update, duplicate, invalid) and errors of every row
+ *       201:
+ *         description: Import summary with the status of every row
+ *       400:
+ *         description: Missing or unreadable file, or invalid mapping
+ *       403:
+ *         description: Not allowed to add songs to the band
+ *       404:
+ *         description: Band not found
+ *       413:
+ *         description: File larger than 5 MB
+ */
+router.post('/import', uploadFile(spreadsheetUpload), importSongs);
+
+/**
+ * @swagger
+ * /api/songs/export:
+ *   get:
+ *     summary: Download the song library as CSV or XLSX
+ *     tags: [Songs]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *       - in: query
+ *         name: bandId
+ *         description: Export this band's library instead of the user's own
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: >
+ *           Spreadsheet in the same column layout the import accepts, with a Variants column
+ *           listing each song's arrangements (e.g. "Acoustic (4:05, G); Radio edit (3:20)")
+ *       400:
+ *         description: Unknown format
+ *       403:
+ *         description: Requires the band's export permission
+ *       404:
+ *         description: Band not found
+ */
+router.get('/export', exportSongs);
+
+/**
+ * @swagger
+ * /api/songs/metadata/search:
+ *   get:
+ *     summary: Search the metadata providers for recordings by title and artist
+ *     tags: [Songs]
+ *     parameters:
+ *       - in: query
+ *         name: title
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: artist
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         description: Recordings per provider (1-20)
+ *         schema:
+ *           type: number
+ *           default: 5
+ *     responses:
+ *       200:
+ *         description: >
+ *           Recordings, best match first, each with its provider, duration in seconds, key,
+ *           tempo, links (spotifyId, musicbrainzId) and match score; unavailable names the
+ *           providers that failed
+ *       400:
+ *         description: Invalid search
+ *       503:
+ *         description: No metadata providers are configured
+ */
+router.get('/metadata/search', searchMetadata);
+
+/**
+ * @swagger
+ * /api/songs/metadata/enrich:
+ *   post:
+ *     summary: Fill in missing durations, keys, tempos and provider IDs across a page of the song library
+ *     description: >
+ *       Each song is matched against the metadata providers; the best recording scoring 0.75
+ *       or more fills in the details the song is missing, or replaces them with overwrite.
+ *       Songs are handled in pages of at most 25; pass the next value of a page as after to
+ *       get the one following it.
+ *     tags: [Songs]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               bandId:
+ *                 type: string
+ *                 description: Enrich this band's library instead of the user's own
+ *               songIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Only these songs
+ *               limit:
+ *                 type: number
+ *                 description: Most songs to handle in this page (1-25)
+ *                 default: 10
+ *               after:
+ *                 type: string
+ *                 description: The next value of the previous page
+ *               onlyUnlinked:
+ *                 type: boolean
+ *                 description: Skip songs that already have a Spotify or MusicBrainz ID
+ *                 default: true
+ *               overwrite:
+ *                 type: boolean
+ *                 default: false
+ *               dryRun:
+ *                 type: boolean
+ *                 description: Preview the matches without saving anything
+ *     responses:
+ *       200:
+ *         description: >
+ *           Match and changes of every song of the page (matched, updated, unmatched or failed),
+ *           a summary, and next, the after value of the next page (null on the last page)
+ *       400:
+ *         description: Invalid request
+ *       403:
+ *         description: Requires the band's edit_songs permission, or view for a dryRun
+ *       404:
+ *         description: Band not found
+ *       503:
+ *         description: No metadata providers are configured
+ */
+router.post('/metadata/enrich', enrichSongs);
+
+/**
+ * @swagger
+ * /api/songs/{id}/chart:
+ *   get:
+ *     summary: Get a song's chord sheet parsed into sections
+ *     tags: [Songs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: transpose
+ *         description: Semitones to transpose by (-11 to 11)
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: variantId
+ *         description: Arrangement of the song, whose key the chart starts from
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Parsed chart (null without a ChordPro chord sheet) and the chordSheetUrl/lyricsUrl fallbacks
+ *       400:
+ *         description: Invalid transpose value
+ *       404:
+ *         description: Song or variant not found
+ */
+router.get('/:id/chart', getChart);
+
+/**
+ * @swagger
+ * /api/songs/{id}/metadata:
+ *   get:
+ *     summary: Get metadata suggestions for a song
+ *     tags: [Songs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Recordings matching the song's title and artist, each with the changes choosing it would make
+ *       404:
+ *         description: Song not found
+ *       503:
+ *         description: No metadata providers are configured
+ *   post:
+ *     summary: Link a song to a suggested recording
+ *     description: Sets the recording's provider IDs on the song, and the chosen details.
+ *     tags: [Songs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - provider
+ *               - externalId
+ *             properties:
+ *               provider:
+ *                 type: string
+ *               externalId:
+ *                 type: string
+ *               fields:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [artist, duration, key, tempo]
+ *                 description: Details to take from the recording
+ *     responses:
+ *       200:
+ *         description: The updated song
+ *       400:
+ *         description: Invalid request
+ *       403:
+ *         description: Not allowed to edit the song
+ *       404:
+ *         description: Song or suggestion not found
+ */
+router.get('/:id/metadata', getSongMetadata);
+router.post('/:id/metadata', applySongMetadata);
+
+/**
+ * @swagger
+ * /api/songs/{id}/comments:
+ *   get:
+ *     summary: Get the comment threads on a song
+ *     tags: [Comments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: resolved
+ *         description: Only resolved (true) or unresolved (false) threads
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Threads, oldest first, each with its replies
+ *       404:
+ *         description: Song not found
+ *   post:
+ *     summary: Comment on a song's arrangement, or reply to a thread on it
+ *     tags: [Comments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 description: Comment text; mention band members as @[Name](userId)
+ *               parentId:
+ *                 type: string
+ *                 description: Comment to reply to
+ *     responses:
+ *       201:
+ *         description: The comment, also sent to the song's room as comment-created
+ *       400:
+ *         description: Invalid comment
+ *       403:
+ *         description: Only band members can take part in the discussion
+ *       404:
+ *         description: Song or thread not found
+ */
+router.get('/:id/comments', getSongComments);
+router.post('/:id/comments', createSongComment);
+
+/**
+ * @swagger
+ * /api/songs/{id}/attachments:
+ *   get:
+ *     summary: Get the files attached to a song
+ *     tags: [Songs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Attachments, each with its versions, oldest first
+ *       404:
+ *         description: Song not found
+ *   post:
+ *     summary: Attach a PDF, image or text chart to a song
+ *     description: >
+ *       Accepts .pdf, .png, .jpg, .jpeg, .gif, .webp and text charts (.txt, .cho, .chopro,
+ *       .crd, .pro) up to ATTACHMENT_MAX_SIZE (10 MB by default). The file's content must
+ *       match its extension.
+ *     tags: [Songs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               name:
+ *                 type: string
+ *                 description: Defaults to the file name without its extension
+ *               kind:
+ *                 type: string
+ *                 enum: [chart, lyrics, other]
+ *                 default: chart
+ *     responses:
+ *       201:
+ *         description: The new attachment, at version 1
+ *       400:
+ *         description: Missing file, invalid name or kind, or too many attachments
+ *       403:
+ *         description: Not allowed to edit the song
+ *       404:
+ *         description: Song not found
+ *       413:
+ *         description: File too large
+ *       415:
+ *         description: File type not accepted
+ */
+router.get('/:id/attachments', getAttachments);
+router.post('/:id/attachments', uploadFile(attachmentUpload), uploadAttachment);
+
+/**
+ * @swagger
+ * /api/songs/{id}/attachments/{attachmentId}:
+ *   delete:
+ *     summary: Remove an attachment and all its versions
+ *     tags: [Songs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Attachment removed
+ *       403:
+ *         description: Not allowed to edit the song
+ *       404:
+ *         description: Song or attachment not found
+ */
+router.delete('/:id/attachments/:attachmentId', deleteAttachment);
+
+/**
+ * @swagger
+ * /api/songs/{id}/attachments/{attachmentId}/versions:
+ *   post:
+ *     summary: Upload a new version of an attachment
+ *     description: The new version becomes the current file; only the 10 latest versions are kept.
+ *     tags: [Songs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: The attachment with its new version
+ *       400:
+ *         description: Missing file
+ *       403:
+ *         description: Not allowed to edit the song
+ *       404:
+ *         description: Song or attachment not found
+ *       413:
+ *         description: File too large
+ *       415:
+ *         description: File type not accepted
+ */
+router.post('/:id/attachments/:attachmentId/versions', uploadFile(attachmentUpload), uploadAttachmentVersion);
+
+/**
+ * @swagger
+ * /api/songs/{id}/attachments/{attachmentId}/file:
+ *   get:
+ *     summary: Download an attachment's file
+ *     description: >
+ *       Served with its checksum as ETag. A specific version never changes and may be
+ *       cached indefinitely, e.g. for offline use in Performance Mode.
+ *     tags: [Songs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: version
+ *         description: Version number; the current version by default
+ *         schema:
+ *           type: number
+ *     responses:
+ *       200:
+ *         description: The file
+ *       304:
+ *         description: Not modified since the ETag sent in If-None-Match
+ *       400:
+ *         description: Invalid version number
+ *       404:
+ *         description: Song, attachment or version not found
+ */
+router.get('/:id/attachments/:attachmentId/file', downloadAttachment);
+
+module.exports = router;
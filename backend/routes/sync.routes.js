@@ -0,0 +1,76 @@
+/**
+ * Sync Routes
+ */
+const express = require('express');
+const { protect } = require('../middleware/auth.middleware');
+const { sync } = require('../controllers/sync.controller');
+
+const router = express.Router();
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/sync:
+ *   post:
+ *     summary: Sync an offline client's setlists and songs
+ *     description: >
+ *       Applies the client's queued changes in order, then returns the setlists and songs
+ *       (of the user and their bands) changed since the cursor, plus tombstones for deleted
+ *       ones. Send the returned cursor next time, and sync again straight away while hasMore
+ *       is true. When fullResync is true the client must replace its local copy with what
+ *       is returned.
+ *     tags: [Sync]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               cursor:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Cursor from the previous sync (omit for the first sync)
+ *               changes:
+ *                 type: array
+ *                 maxItems: 500
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - collection
+ *                     - id
+ *                     - action
+ *                   properties:
+ *                     collection:
+ *                       type: string
+ *                       enum: [setlists, songs]
+ *                     id:
+ *                       type: string
+ *                       description: Document ID (generated by the client for new documents)
+ *                     action:
+ *                       type: string
+ *                       enum: [upsert, delete]
+ *                     base:
+ *                       type: number
+ *                       nullable: true
+ *                       description: Setlist version or song syncSeq the change was made on (null for new documents)
+ *                     data:
+ *                       type: object
+ *                       description: Fields to set (bandId is only read when creating)
+ *                     clientChangeId:
+ *                       type: string
+ *                       description: Echoed back in the change's result
+ *     responses:
+ *       200:
+ *         description: >
+ *           Per-change results (applied, conflict or rejected, with the server's copy and, unless
+ *           applied, the change itself so the client can re-apply it),
+ *           changed setlists and songs, deleted IDs, the new cursor, hasMore, fullResync and
+ *           the user's band IDs (drop local band documents for bands not listed)
+ *       400:
+ *         description: Invalid sync request
+ */
+router.post('/', sync);
+
+module.exports = router;
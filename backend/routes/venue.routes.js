@@ -0,0 +1,236 @@
+/**
+ * Venue Routes
+ */
+const express = require('express');
+const { protect } = require('../middleware/auth.middleware');
+const {
+  getVenues,
+  getVenue,
+  createVenue,
+  updateVenue,
+  deleteVenue,
+  mergeVenues,
+  getDuplicates,
+  linkSetlists
+} = require('../controllers/venue.controller');
+
+const router = express.Router();
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/venues:
+ *   get:
+ *     summary: Find venues by name
+ *     description: >
+ *       The user's own venues and those of every band they perform with, or of one band
+ *       only. Case, accents, punctuation and a leading "The" are ignored, and a venue is
+ *       also found by the names of venues merged into it.
+ *     tags: [Venues]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         description: Start of a word of the name; all venues if left out
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: bandId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: number
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Matching venues, closest matches first
+ *       400:
+ *         description: Invalid limit
+ *       404:
+ *         description: Band not found
+ *   post:
+ *     summary: Add a venue
+ *     description: Band venues need the edit_setlists permission
+ *     tags: [Venues]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Venue'
+ *     responses:
+ *       201:
+ *         description: Venue created
+ *       400:
+ *         description: Invalid venue
+ *       403:
+ *         description: Not allowed to change the band's venues
+ *       404:
+ *         description: Band not found
+ *       409:
+ *         description: A venue with the same name already exists
+ */
+router.get('/', getVenues);
+router.post('/', createVenue);
+
+/**
+ * @swagger
+ * /api/venues/duplicates:
+ *   get:
+ *     summary: Find venues that go by the same name
+ *     description: Groups of venues to merge, oldest venue of each group first
+ *     tags: [Venues]
+ *     parameters:
+ *       - in: query
+ *         name: bandId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Groups of duplicate venues
+ *       404:
+ *         description: Band not found
+ */
+router.get('/duplicates', getDuplicates);
+
+/**
+ * @swagger
+ * /api/venues/link-setlists:
+ *   post:
+ *     summary: Link setlists that only have a venue name to venues
+ *     description: >
+ *       Each distinct venue name becomes a venue, or is linked to the venue already known
+ *       by that name. Past performances there are linked too. Band setlists need the
+ *       edit_setlists permission.
+ *     tags: [Venues]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               bandId:
+ *                 type: string
+ *                 description: The band's setlists; the user's own setlists if left out
+ *     responses:
+ *       200:
+ *         description: Venues created, and how many setlists and performances were linked
+ *       403:
+ *         description: Not allowed to change the band's venues
+ *       404:
+ *         description: Band not found
+ */
+router.post('/link-setlists', linkSetlists);
+
+/**
+ * @swagger
+ * /api/venues/{id}:
+ *   get:
+ *     summary: Get a venue
+ *     tags: [Venues]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The venue
+ *       404:
+ *         description: Venue not found
+ *   put:
+ *     summary: Change a venue
+ *     description: >
+ *       A new name is copied onto the venue's setlists, gigs and performances. The band
+ *       a venue belongs to cannot be changed.
+ *     tags: [Venues]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Venue'
+ *     responses:
+ *       200:
+ *         description: Venue updated
+ *       400:
+ *         description: Invalid venue
+ *       403:
+ *         description: Not allowed to change the band's venues
+ *       404:
+ *         description: Venue not found
+ *       409:
+ *         description: Another venue already has the name
+ *   delete:
+ *     summary: Delete a venue
+ *     description: Setlists, gigs and performances at the venue keep its name as text
+ *     tags: [Venues]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Venue deleted
+ *       403:
+ *         description: Not allowed to change the band's venues
+ *       404:
+ *         description: Venue not found
+ */
+router.get('/:id', getVenue);
+router.put('/:id', updateVenue);
+router.delete('/:id', deleteVenue);
+
+/**
+ * @swagger
+ * /api/venues/{id}/merge:
+ *   post:
+ *     summary: Merge duplicate venues into this one
+ *     description: >
+ *       The venue takes any details it lacks from the duplicates, all their contacts and
+ *       their names as aliases. Their setlists, gigs and performances move to it, and the
+ *       duplicates are deleted. Only venues of the same band can be merged.
+ *     tags: [Venues]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - venueIds
+ *             properties:
+ *               venueIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: The merged venue, and how many setlists, gigs and performances moved to it
+ *       400:
+ *         description: Invalid venue IDs
+ *       403:
+ *         description: Not allowed to change the band's venues
+ *       404:
+ *         description: Venue not found
+ */
+router.post('/:id/merge', mergeVenues);
+
+module.exports = router;
@@ -22,10 +22,34 @@ const userRoutes = require('./routes/user.routes');
 const songRoutes = require('./routes/song.routes');
 const setlistRoutes = require('./routes/setlist.routes');
 const bandRoutes = require('./routes/band.routes');
+const invitationRoutes = require('./routes/invitation.routes');
+const performanceRoutes = require('./routes/performance.routes');
+const syncRoutes = require('./routes/sync.routes');
+const shareLinkRoutes = require('./routes/shareLink.routes');
+const commentRoutes = require('./routes/comment.routes');
+const notificationRoutes = require('./routes/notification.routes');
+const eventRoutes = require('./routes/event.routes');
+const calendarRoutes = require('./routes/calendar.routes');
+const venueRoutes = require('./routes/venue.routes');
+const templateRoutes = require('./routes/setlistTemplate.routes');
 
 // Import error handler middleware
 const { errorHandler } = require('./middleware/error.middleware');
 const logger = require('./utils/logger');
+const { authenticateSocket } = require('./middleware/auth.middleware');
+
+// Import socket handlers
+const { registerSetlistHandlers } = require('./sockets/setlist.socket');
+const { registerPerformanceHandlers } = require('./sockets/performance.socket');
+const { registerCommentHandlers } = require('./sockets/comment.socket');
+const { createInAppChannel } = require('./sockets/notification.socket');
+
+// Import notification delivery
+const { registerChannel } = require('./services/notificationChannels.service');
+const { runScheduledNotifications } = require('./services/notification.service');
+
+// Import song metadata lookups
+const { setCacheClient } = require('./services/metadataProviders.service');
 
 // Initialize Express app
 const app = express();
@@ -40,6 +64,12 @@ const io = new Server(server, {
   }
 });
 
+// Make Socket.io available to controllers for broadcasting REST changes
+app.set('io', io);
+
+// Deliver in-app notifications over Socket.io
+registerChannel('inApp', createInAppChannel(io));
+
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/setlist-builder')
   .then(() => {
@@ -64,6 +94,9 @@ if (process.env.REDIS_URI) {
     .catch((err) => {
       logger.error('Failed to connect to Redis', err);
     });
+
+  // Cache song metadata searches; skipped while the client is not ready
+  setCacheClient(redisClient);
 }
 
 // Swagger configuration
@@ -117,6 +150,16 @@ app.use('/api/users', userRoutes);
 app.use('/api/songs', songRoutes);
 app.use('/api/setlists', setlistRoutes);
 app.use('/api/bands', bandRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/performances', performanceRoutes);
+app.use('/api/sync', syncRoutes);
+app.use('/api/share', shareLinkRoutes);
+app.use('/api/comments', commentRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/venues', venueRoutes);
+app.use('/api/templates', templateRoutes);
 
 // Swagger API documentation
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs));
@@ -134,21 +177,22 @@ app.get('/health', (req, res) => {
 // Error handling middleware
 app.use(errorHandler);
 
+// Socket.io authentication (same JWT as the REST API)
+io.use(authenticateSocket);
+
 // Socket.io connection handler
 io.on('connection', (socket) => {
   logger.info(`New client connected: ${socket.id}`);
-  
-  // Join a setlist room for collaboration
-  socket.on('join-setlist', (setlistId) => {
-    socket.join(`setlist-${setlistId}`);
-    logger.info(`Client ${socket.id} joined setlist: ${setlistId}`);
-  });
-  
-  // Handle setlist updates
-  socket.on('update-setlist', (data) => {
-    socket.to(`setlist-${data.setlistId}`).emit('setlist-updated', data);
-  });
-  
+
+  // Setlist collaboration
+  registerSetlistHandlers(io, socket);
+
+  // Live performances
+  registerPerformanceHandlers(io, socket);
+
+  // Comments on songs and setlist entries, and mentions
+  registerCommentHandlers(io, socket);
+
   // Handle disconnection
   socket.on('disconnect', () => {
     logger.info(`Client disconnected: ${socket.id}`);
@@ -161,6 +205,9 @@ server.listen(PORT, () => {
   logger.info(`Server running on port ${PORT}`);
 });
 
+// Send notification digests and gig reminders every minute
+setInterval(() => runScheduledNotifications(), 60 * 1000);
+
 // Handle uncaught exceptions and rejections
 process.on('uncaughtException', (error) => {
   logger.error('Uncaught Exception:', error);
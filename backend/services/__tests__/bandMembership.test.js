@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const Band = require('../../models/band.model');
+const Invitation = require('../../models/invitation.model');
+const User = require('../../models/user.model');
+const { DEFAULT_PERMISSIONS, PERMISSIONS } = require('../../utils/authorization');
+const {
+  createInvitation,
+  acceptInvitation,
+  leaveBand,
+  removeMember,
+  transferLeadership
+} = require('../bandMembership.service');
+
+const id = () => new mongoose.Types.ObjectId();
+const leaderId = id();
+const memberId = id();
+
+const buildBand = (fields) => {
+  const band = new Band({
+    name: 'The Weekenders',
+    createdBy: leaderId,
+    roles: [{ name: 'Session player', permissions: ['perform'] }],
+    members: [
+      { userId: leaderId, role: 'leader', permissions: PERMISSIONS },
+      { userId: memberId, role: 'member', permissions: ['view', 'invite_members'] }
+    ],
+    ...fields
+  });
+  jest.spyOn(Band, 'findById').mockResolvedValue(band);
+  return band;
+};
+
+const updated = modifiedCount => jest.spyOn(Band, 'updateOne').mockResolvedValue({ modifiedCount });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createInvitation', () => {
+  it('rejects invalid invitations with a 400', async () => {
+    const band = buildBand();
+
+    await expect(createInvitation(band, leaderId, { type: 'email', roleId: 'nope' }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Invalid invitation: roleId: Invalid ID, email: email is required for email invitations' });
+  });
+
+  it('gives a join code the default permissions', async () => {
+    const band = buildBand();
+    const create = jest.spyOn(Invitation, 'create').mockImplementation(async data => data);
+
+    const invitation = await createInvitation(band, leaderId, { type: 'code', maxUses: 3 });
+
+    expect(create).toHaveBeenCalledTimes(1);
+    expect(invitation).toMatchObject({ type: 'code', role: 'member', permissions: DEFAULT_PERMISSIONS, maxUses: 3 });
+  });
+
+  it('stops members granting permissions they do not have', async () => {
+    const band = buildBand();
+
+    await expect(createInvitation(band, memberId, { type: 'code', permissions: ['edit_setlists'] }))
+      .rejects.toMatchObject({ statusCode: 403, message: 'You cannot grant permissions you do not have: edit_setlists' });
+    await expect(createInvitation(band, memberId, { type: 'code', role: 'leader' }))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('refuses to invite someone who is already a member', async () => {
+    const band = buildBand();
+    jest.spyOn(User, 'findOne').mockReturnValue({ select: () => Promise.resolve({ _id: memberId }) });
+
+    await expect(createInvitation(band, leaderId, { email: 'sam@example.com' }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('acceptInvitation', () => {
+  it('refuses an invitation that was used up in the meantime', async () => {
+    buildBand();
+    jest.spyOn(Invitation, 'findOneAndUpdate').mockResolvedValue(null);
+    const update = updated(1);
+
+    const invitation = { _id: id(), bandId: id(), type: 'code' };
+    await expect(acceptInvitation(invitation, { _id: id() })).rejects.toMatchObject({ statusCode: 410 });
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  it('adds the member with the role and permissions of the invitation', async () => {
+    const band = buildBand();
+    const newMemberId = id();
+    jest.spyOn(Invitation, 'findOneAndUpdate').mockResolvedValue({ role: 'member', roleId: band.roles[0]._id, permissions: [] });
+    const update = updated(1);
+
+    await acceptInvitation({ _id: id(), bandId: band._id, type: 'email' }, { _id: newMemberId });
+
+    expect(update).toHaveBeenCalledWith(
+      { _id: band._id, 'members.userId': { $ne: newMemberId } },
+      { $push: { members: { userId: newMemberId, role: 'member', roleId: band.roles[0]._id, permissions: [] } } }
+    );
+  });
+});
+
+describe('leaving and removing members', () => {
+  it('keeps the last leader in the band', async () => {
+    const band = buildBand();
+    updated(0);
+
+    await expect(leaveBand(band, leaderId)).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it('only lets leaders remove a leader', async () => {
+    const band = buildBand();
+    band.members[1].permissions.push('remove_members');
+    const update = updated(1);
+
+    await expect(removeMember(band, memberId, leaderId)).rejects.toMatchObject({ statusCode: 403 });
+    expect(update).not.toHaveBeenCalled();
+  });
+});
+
+describe('transferLeadership', () => {
+  it('gives the previous leader the default permissions', async () => {
+    const band = buildBand();
+    const update = updated(1);
+
+    await transferLeadership(band, leaderId, memberId.toString());
+
+    expect(update.mock.calls[0][1].$set).toEqual({
+      'members.$[next].role': 'leader',
+      'members.$[next].permissions': PERMISSIONS,
+      'members.$[previous].role': 'member',
+      'members.$[previous].permissions': DEFAULT_PERMISSIONS
+    });
+  });
+
+  it('leaves a previous leader with a role template to that template', async () => {
+    const band = buildBand();
+    band.members[0].roleId = band.roles[0]._id;
+    const update = updated(1);
+
+    await transferLeadership(band, leaderId, memberId.toString());
+
+    expect(update.mock.calls[0][1].$set['members.$[previous].permissions']).toEqual([]);
+  });
+
+  it('only hands leadership to another member', async () => {
+    const band = buildBand();
+
+    await expect(transferLeadership(band, leaderId, id().toString())).rejects.toMatchObject({ statusCode: 400 });
+    await expect(transferLeadership(band, leaderId, leaderId.toString())).rejects.toMatchObject({ statusCode: 400 });
+    await expect(transferLeadership(band, memberId, leaderId.toString())).rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('reports a band changed while transferring', async () => {
+    const band = buildBand();
+    updated(0);
+
+    await expect(transferLeadership(band, leaderId, memberId.toString())).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const Band = require('../../models/band.model');
+const Invitation = require('../../models/invitation.model');
+const { getRoles, createRole, updateRole, deleteRole, updateMember } = require('../bandRoles.service');
+
+const id = () => new mongoose.Types.ObjectId();
+const leaderId = id();
+const memberId = id();
+
+const buildBand = () => {
+  const band = new Band({
+    name: 'The Weekenders',
+    createdBy: leaderId,
+    roles: [{ name: 'Session player', permissions: ['perform'] }],
+    members: [
+      { userId: leaderId, role: 'leader' },
+      { userId: memberId, role: 'member', permissions: ['view'] }
+    ]
+  });
+  jest.spyOn(Band, 'findById').mockResolvedValue(band);
+  return band;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getRoles', () => {
+  it('counts the members holding each role', () => {
+    const band = buildBand();
+    band.members[1].roleId = band.roles[0]._id;
+
+    expect(getRoles(band)).toEqual([expect.objectContaining({ name: 'Session player', memberCount: 1 })]);
+  });
+});
+
+describe('createRole', () => {
+  it('adds a role template', async () => {
+    const band = buildBand();
+    const update = jest.spyOn(Band, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await createRole(band, leaderId, { name: ' Musical director ', permissions: ['edit_setlists'] });
+
+    expect(update).toHaveBeenCalledWith(
+      { _id: band._id },
+      { $push: { roles: { name: 'Musical director', description: '', permissions: ['edit_setlists'] } } }
+    );
+  });
+
+  it('only lets leaders manage roles', async () => {
+    const band = buildBand();
+
+    await expect(createRole(band, memberId, { name: 'Musical director' }))
+      .rejects.toMatchObject({ statusCode: 403, message: 'Only leaders can manage roles' });
+  });
+
+  it('rejects unknown permissions and names already taken', async () => {
+    const band = buildBand();
+
+    await expect(createRole(band, leaderId, { name: 'Roadie', permissions: ['drive_van'] }))
+      .rejects.toMatchObject({ statusCode: 400, message: expect.stringMatching(/^Invalid role: permissions\.0: /) });
+    await expect(createRole(band, leaderId, { name: 'session PLAYER' }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('updateRole', () => {
+  it('sets only the fields sent', async () => {
+    const band = buildBand();
+    const roleId = band.roles[0]._id.toString();
+    const update = jest.spyOn(Band, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await updateRole(band, leaderId, roleId, { permissions: ['perform', 'view'] });
+
+    expect(update).toHaveBeenCalledWith(
+      { _id: band._id, 'roles._id': roleId },
+      { $set: { 'roles.$.permissions': ['perform', 'view'] } }
+    );
+  });
+
+  it('answers 404 for roles the band does not have', async () => {
+    const band = buildBand();
+
+    await expect(updateRole(band, leaderId, id().toString(), { name: 'Roadie' })).rejects.toMatchObject({ statusCode: 404 });
+    await expect(deleteRole(band, leaderId, 'nope')).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
+
+describe('deleteRole', () => {
+  it('takes the role off members and pending invitations', async () => {
+    const band = buildBand();
+    const roleId = band.roles[0]._id;
+    const update = jest.spyOn(Band, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const updateInvitations = jest.spyOn(Invitation, 'updateMany').mockResolvedValue({});
+
+    await deleteRole(band, leaderId, roleId.toString());
+
+    expect(update).toHaveBeenCalledWith(
+      { _id: band._id },
+      { $pull: { roles: { _id: roleId } }, $set: { 'members.$[holder].roleId': null } },
+      { arrayFilters: [{ 'holder.roleId': roleId }] }
+    );
+    expect(updateInvitations).toHaveBeenCalledWith({ bandId: band._id, roleId }, { $set: { roleId: null } });
+  });
+});
+
+describe('updateMember', () => {
+  it('gives a member a role template and permissions', async () => {
+    const band = buildBand();
+    const roleId = band.roles[0]._id.toString();
+    const update = jest.spyOn(Band, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await updateMember(band, leaderId, memberId.toString(), { roleId, permissions: [] });
+
+    expect(update).toHaveBeenCalledWith(
+      { _id: band._id },
+      { $set: { 'members.$[target].roleId': roleId, 'members.$[target].permissions': [] } },
+      { arrayFilters: [{ 'target.userId': memberId, 'target.role': 'member' }] }
+    );
+  });
+
+  it('leaves leaders alone and refuses unknown role templates', async () => {
+    const band = buildBand();
+
+    await expect(updateMember(band, leaderId, leaderId.toString(), { permissions: [] }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(updateMember(band, leaderId, memberId.toString(), { roleId: id().toString() }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Role template not found' });
+    await expect(updateMember(band, leaderId, id().toString(), {}))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+});
@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const Band = require('../../models/band.model');
+const CalendarFeed = require('../../models/calendarFeed.model');
+const Event = require('../../models/event.model');
+const Setlist = require('../../models/setlist.model');
+const Song = require('../../models/song.model');
+const User = require('../../models/user.model');
+const { saveEvent } = require('../event.service');
+const { buildCalendar } = require('../../utils/ical');
+const { createFeed, getFeedCalendar, importCalendar } = require('../calendar.service');
+
+jest.mock('../event.service', () => ({
+  ...jest.requireActual('../event.service'),
+  saveEvent: jest.fn()
+}));
+
+const id = () => new mongoose.Types.ObjectId();
+const user = new User({ name: 'Alex', email: 'alex@example.com', password: 'secret123' });
+
+const buildBand = (members = [{ userId: user._id, role: 'member', permissions: [] }]) => {
+  const band = new Band({ name: 'The Weekenders', createdBy: id(), members });
+  jest.spyOn(Band, 'findById').mockResolvedValue(band);
+  jest.spyOn(Band, 'find').mockImplementation(() => ({ select: () => Promise.resolve([band]) }));
+  return band;
+};
+
+const query = result => ({
+  select: () => query(result),
+  sort: () => query(result),
+  limit: () => query(result),
+  populate: () => query(result),
+  then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('createFeed', () => {
+  it('rejects invalid feeds with a 400', async () => {
+    await expect(createFeed(user._id, { bandId: 'nope' }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Invalid calendar feed: bandId: Invalid ID' });
+  });
+
+  it('creates a feed of a band the user performs with and returns its URLs once', async () => {
+    const band = buildBand();
+    const create = jest.spyOn(CalendarFeed, 'create').mockImplementation(async data => data);
+
+    const { feed, token, url, webcalUrl } = await createFeed(user._id, { bandId: band._id.toString(), label: 'Phone' });
+
+    expect(create).toHaveBeenCalledWith({ userId: user._id, bandId: band._id.toString(), tokenHash: CalendarFeed.hashToken(token), label: 'Phone' });
+    expect(feed.label).toBe('Phone');
+    expect(url).toMatch(new RegExp(`/api/calendar/${token}\\.ics$`));
+    expect(webcalUrl).toMatch(/^webcal:/);
+  });
+
+  it('refuses bands the user is not in', async () => {
+    const band = buildBand([]);
+
+    await expect(createFeed(user._id, { bandId: band._id.toString() })).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
+
+describe('getFeedCalendar', () => {
+  const openFeed = (band) => {
+    jest.spyOn(CalendarFeed, 'findOne').mockResolvedValue(new CalendarFeed({ userId: user._id, bandId: band._id, tokenHash: 'hash' }));
+    jest.spyOn(CalendarFeed, 'updateOne').mockResolvedValue({});
+    jest.spyOn(User, 'findById').mockReturnValue(query(user));
+  };
+
+  it('lists the band events with their running order', async () => {
+    const band = buildBand();
+    openFeed(band);
+    const setlist = new Setlist({
+      title: 'Friday',
+      createdBy: user._id,
+      sets: [{
+        name: 'Set 1',
+        songs: [
+          { songId: new Song({ title: 'Wonderwall', createdBy: user._id }), segue: true },
+          { type: 'break', label: 'Raffle' },
+          { songId: new Song({ title: 'Champagne Supernova', createdBy: user._id }) }
+        ]
+      }]
+    });
+    const event = new Event({
+      title: 'Friday at the Crown',
+      bandId: band._id,
+      startsAt: new Date('2026-10-23T19:30:00Z'),
+      timeZone: 'Europe/London',
+      loadInAt: new Date('2026-10-23T17:00:00Z'),
+      venue: 'The Crown',
+      createdBy: user._id
+    });
+    event.setlistId = setlist;
+    jest.spyOn(Event, 'find').mockReturnValue(query([event]));
+
+    const { name, calendar } = await getFeedCalendar('secret');
+
+    expect(name).toBe('The Weekenders gigs & rehearsals');
+    expect(calendar).toContain('SUMMARY:Friday at the Crown');
+    expect(calendar).toContain('LOCATION:The Crown');
+    expect(calendar.replace(/\r\n /g, '')).toContain('DESCRIPTION:Load-in 18:00\\n\\nSetlist: Friday\\n\\nSet 1\\n1. Wonderwall >\\n-- Break: Raffle --\\n2. Champagne Supernova');
+  });
+
+  it('empties once the owner has left the band', async () => {
+    const band = buildBand([]);
+    openFeed(band);
+    const find = jest.spyOn(Event, 'find');
+
+    expect(await getFeedCalendar('secret')).toBeNull();
+    expect(find).not.toHaveBeenCalled();
+  });
+});
+
+describe('importCalendar', () => {
+  const start = new Date('2026-10-23T19:30:00Z');
+  const text = buildCalendar({
+    name: 'Gigs',
+    events: [
+      { uid: 'crown@example', start, summary: 'Friday at the Crown', location: 'The Crown, High Street' },
+      { uid: 'rehearsal@example', start, summary: 'Rehearsal' },
+      { uid: 'off@example', start, summary: 'Cancelled gig', status: 'CANCELLED' }
+    ]
+  });
+
+  beforeEach(() => {
+    saveEvent.mockImplementation(async event => ({ event, setlist: null }));
+  });
+
+  it('creates events, guessing rehearsals from their title and skipping cancelled ones', async () => {
+    jest.spyOn(Event, 'findOne').mockResolvedValue(null);
+
+    const { created, updated, skipped } = await importCalendar(user._id, { text });
+
+    expect(created.map(event => [event.title, event.type, event.venue, event.address])).toEqual([
+      ['Friday at the Crown', 'gig', 'The Crown', 'High Street'],
+      ['Rehearsal', 'rehearsal', '', '']
+    ]);
+    expect(updated).toEqual([]);
+    expect(skipped).toEqual([{ uid: 'off@example', summary: 'Cancelled gig', reason: 'Cancelled' }]);
+  });
+
+  it('updates events imported before and leaves unchanged ones alone', async () => {
+    const existing = new Event({ title: 'Gig', type: 'gig', startsAt: start, venue: 'The Crown', address: 'High Street', createdBy: user._id, externalUid: 'crown@example' });
+    // As if just loaded from the database
+    const unchanged = Event.hydrate(
+      new Event({ title: 'Rehearsal', type: 'rehearsal', startsAt: start, createdBy: user._id, externalUid: 'rehearsal@example' }).toObject()
+    );
+    jest.spyOn(Event, 'findOne').mockImplementation(async ({ externalUid }) => (
+      { 'crown@example': existing, 'rehearsal@example': unchanged }[externalUid] || null
+    ));
+
+    const { created, updated, skipped } = await importCalendar(user._id, { text });
+
+    expect(created).toEqual([]);
+    expect(updated).toEqual([existing]);
+    expect(existing.title).toBe('Friday at the Crown');
+    expect(skipped.map(entry => entry.reason)).toEqual(['Already up to date', 'Cancelled']);
+  });
+
+  it('refuses files that are not calendars', async () => {
+    await expect(importCalendar(user._id, { text: 'Title,Date\nGig,Friday' }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'The file is not an iCalendar (.ics) file' });
+  });
+});
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const Song = require('../../models/song.model');
+const { buildEntryChart, buildSetlistCharts } = require('../chart.service');
+
+const buildSong = fields => new Song({
+  title: 'Wonderwall',
+  artist: 'Oasis',
+  key: 'F#m',
+  createdBy: new mongoose.Types.ObjectId(),
+  ...fields
+});
+
+const entry = (song, fields = {}) => ({ _id: new mongoose.Types.ObjectId(), songId: song._id, ...fields });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('buildEntryChart', () => {
+  it('reports the key the entry is played in', () => {
+    const song = buildSong();
+
+    const chart = buildEntryChart(song, entry(song, { transpose: -2 }));
+
+    expect(chart).toMatchObject({ songKey: 'F#m', playedKey: 'Em', transpose: -2 });
+  });
+
+  it('spells transposed keys the way they are conventionally written', () => {
+    const song = buildSong({ key: 'C' });
+
+    expect(buildEntryChart(song, entry(song, { transpose: 3 })).playedKey).toBe('Eb');
+    expect(buildEntryChart(song, entry(song, { transpose: 6 })).playedKey).toBe('F#');
+  });
+
+  it('suggests a capo for keys without open shapes', () => {
+    const song = buildSong();
+
+    expect(buildEntryChart(song, entry(song)).capo).toEqual({ fret: 2, suggested: true, shapeKey: 'Em' });
+  });
+
+  it('keeps the capo set on the entry', () => {
+    const song = buildSong();
+
+    expect(buildEntryChart(song, entry(song, { capo: 4 })).capo).toEqual({ fret: 4, suggested: false, shapeKey: 'Dm' });
+  });
+
+  it('leaves songs without a key untransposed', () => {
+    const song = buildSong({ key: '' });
+
+    expect(buildEntryChart(song, entry(song, { transpose: 2 }))).toMatchObject({ songKey: null, playedKey: null, capo: { fret: 0 } });
+  });
+});
+
+describe('buildSetlistCharts', () => {
+  it('builds a chart per entry, skipping songs that are gone', async () => {
+    const song = buildSong();
+    const setId = new mongoose.Types.ObjectId();
+    jest.spyOn(Song, 'find').mockResolvedValue([song]);
+
+    const sets = await buildSetlistCharts({
+      sets: [{ _id: setId, name: 'Set 1', songs: [entry(song), { _id: new mongoose.Types.ObjectId(), songId: new mongoose.Types.ObjectId() }] }]
+    });
+
+    expect(sets).toEqual([{ setId, name: 'Set 1', charts: [expect.objectContaining({ songId: song._id, playedKey: 'F#m' })] }]);
+  });
+});
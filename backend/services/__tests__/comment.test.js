@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+const Band = require('../../models/band.model');
+const Comment = require('../../models/comment.model');
+const Song = require('../../models/song.model');
+const { getThreads, createComment, updateComment, deleteComment, setResolved } = require('../comment.service');
+
+const id = () => new mongoose.Types.ObjectId();
+const authorId = id();
+const memberId = id();
+const outsiderId = id();
+
+const query = result => ({
+  populate: () => query(result),
+  sort: () => query(result),
+  select: () => query(result),
+  then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+});
+
+const buildSong = () => {
+  const song = new Song({ title: 'Wonderwall', createdBy: authorId, bandId: id() });
+  jest.spyOn(song, 'isAccessibleBy').mockImplementation(async userId => !userId.equals(outsiderId));
+  jest.spyOn(song, 'isEditableBy').mockImplementation(async userId => userId.equals(authorId));
+  jest.spyOn(Band, 'findById').mockResolvedValue(new Band({
+    name: 'The Weekenders',
+    createdBy: authorId,
+    members: [{ userId: authorId, role: 'leader' }, { userId: memberId, role: 'member' }]
+  }));
+  return song;
+};
+
+const buildComment = (song, fields) => new Comment({
+  targetType: 'song',
+  songId: song._id,
+  body: 'Slower intro?',
+  createdBy: memberId,
+  ...fields
+});
+
+/**
+ * Save comments without a database, loading them back from what was saved
+ */
+const saveComments = () => {
+  const saved = [];
+  jest.spyOn(Comment.prototype, 'save').mockImplementation(async function() {
+    saved.push(this);
+    return this;
+  });
+  jest.spyOn(Comment, 'findById').mockImplementation(commentId => query(saved.find(comment => comment._id.equals(commentId)) || null));
+  return saved;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createComment', () => {
+  it('rejects invalid comments with a 400', async () => {
+    const song = buildSong();
+
+    await expect(createComment(memberId, { song }, { body: ' ', parentId: 'nope' }))
+      .rejects.toMatchObject({ statusCode: 400, message: expect.stringMatching(/^Invalid comment: body: .*, parentId: Invalid ID$/) });
+  });
+
+  it('only mentions people who can be mentioned on the song', async () => {
+    const song = buildSong();
+    saveComments();
+
+    const comment = await createComment(memberId, { song }, {
+      body: `@[Alex](${authorId}) and @[Someone](${outsiderId}), slower intro?`
+    });
+
+    expect(comment.mentions.map(String)).toEqual([authorId.toString()]);
+  });
+
+  it('adds replies to replies to the same thread', async () => {
+    const song = buildSong();
+    const saved = saveComments();
+    const thread = buildComment(song);
+    saved.push(thread, buildComment(song, { parentId: thread._id }));
+
+    const reply = await createComment(authorId, { song }, { body: 'Agreed', parentId: saved[1]._id.toString() });
+
+    expect(reply.parentId).toEqual(thread._id);
+  });
+
+  it('refuses replies to threads on something else', async () => {
+    const song = buildSong();
+    const saved = saveComments();
+    saved.push(buildComment(buildSong()));
+
+    await expect(createComment(memberId, { song }, { body: 'Agreed', parentId: saved[0]._id.toString() }))
+      .rejects.toMatchObject({ statusCode: 404, message: 'Thread not found' });
+  });
+
+  it('only lets people with access take part', async () => {
+    const song = buildSong();
+
+    await expect(createComment(outsiderId, { song }, { body: 'Hello' })).rejects.toMatchObject({ statusCode: 403 });
+  });
+});
+
+describe('updateComment', () => {
+  it('reports only the people mentioned for the first time', async () => {
+    const song = buildSong();
+    const saved = saveComments();
+    const comment = buildComment(song, { mentions: [authorId] });
+    saved.push(comment);
+
+    const { newMentions } = await updateComment(memberId, comment, song, {
+      body: `@[Alex](${authorId}) @[Sam](${memberId}) slower intro?`
+    });
+
+    expect(newMentions).toEqual([memberId.toString()]);
+    expect(comment.editedAt).toBeInstanceOf(Date);
+  });
+
+  it('only lets the author edit', async () => {
+    const song = buildSong();
+
+    await expect(updateComment(authorId, buildComment(song), song, { body: 'Edited' }))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+});
+
+describe('deleteComment', () => {
+  it('deletes a thread with its replies, for people who can edit the song', async () => {
+    const song = buildSong();
+    const thread = buildComment(song);
+    const reply = buildComment(song, { parentId: thread._id });
+    const find = jest.spyOn(Comment, 'find').mockReturnValue(query([thread, reply]));
+    jest.spyOn(Comment, 'deleteMany').mockResolvedValue({});
+
+    const ids = await deleteComment(authorId, thread, song);
+
+    expect(find).toHaveBeenCalledWith({ $or: [{ _id: thread._id }, { parentId: thread._id }] });
+    expect(ids).toEqual([thread._id.toString(), reply._id.toString()]);
+  });
+
+  it('refuses other people deleting a comment', async () => {
+    const song = buildSong();
+
+    await expect(deleteComment(outsiderId, buildComment(song), song)).rejects.toMatchObject({ statusCode: 403 });
+  });
+});
+
+describe('threads', () => {
+  it('groups replies under their thread and filters by resolution', async () => {
+    const song = buildSong();
+    const open = buildComment(song);
+    const resolved = buildComment(song, { resolved: true });
+    const reply = buildComment(song, { parentId: open._id });
+    jest.spyOn(Comment, 'find').mockReturnValue(query([open, resolved, reply]));
+
+    const threads = await getThreads({ song }, { resolved: false });
+
+    expect(threads).toHaveLength(1);
+    expect(threads[0]._id).toEqual(open._id);
+    expect(threads[0].replies.map(comment => comment._id)).toEqual([reply._id]);
+  });
+
+  it('resolves threads, but not replies on their own', async () => {
+    const song = buildSong();
+    const saved = saveComments();
+    const thread = buildComment(song);
+    saved.push(thread);
+
+    const resolved = await setResolved(authorId, thread, song, true);
+    expect(resolved).toMatchObject({ resolved: true, resolvedBy: authorId });
+
+    await expect(setResolved(authorId, buildComment(song, { parentId: thread._id }), song, true))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,119 @@
+const logger = require('../../utils/logger');
+const {
+  registerProvider,
+  getEnabledProviders,
+  setCacheClient,
+  searchProvider,
+  createFixtureProvider
+} = require('../metadataProviders.service');
+
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const RECORDINGS = [
+  { id: 'wonderwall', title: 'Wonderwall', artist: 'Oasis', duration: 258, key: 'F#m', tempo: 87, spotifyId: 'sp-1' },
+  { id: 'wonderwall-live', title: 'Wonderwall (Live)', artist: 'Oasis', duration: 270, musicbrainzId: 'mb-2' },
+  { title: 'Wonderwall', artist: 'Ryan Adams', musicbrainzId: 'mb-3' },
+  { id: 'champagne', title: 'Champagne Supernova', artist: 'Oasis', duration: 451 }
+];
+
+describe('createFixtureProvider', () => {
+  const provider = createFixtureProvider(RECORDINGS);
+
+  it('matches titles and artists by what they contain, ignoring case', async () => {
+    const results = await provider.search({ title: 'wonderwall', artist: 'OASIS', limit: 5 });
+
+    expect(results.map(result => result.externalId)).toEqual(['wonderwall', 'wonderwall-live']);
+  });
+
+  it('matches any artist when none is given, up to the limit', async () => {
+    expect(await provider.search({ title: 'Wonderwall', limit: 5 })).toHaveLength(3);
+    expect(await provider.search({ title: 'Wonderwall', limit: 1 })).toHaveLength(1);
+  });
+
+  it('returns recordings in the provider format', async () => {
+    const [full] = await provider.search({ title: 'Wonderwall', artist: 'Oasis', limit: 1 });
+    const [sparse] = await provider.search({ title: 'Wonderwall', artist: 'Ryan Adams', limit: 1 });
+
+    expect(full).toEqual({
+      externalId: 'wonderwall',
+      title: 'Wonderwall',
+      artist: 'Oasis',
+      duration: 258,
+      key: 'F#m',
+      tempo: 87,
+      links: { spotifyId: 'sp-1' }
+    });
+    expect(sparse).toEqual({
+      externalId: 'mb-3',
+      title: 'Wonderwall',
+      artist: 'Ryan Adams',
+      duration: null,
+      key: null,
+      tempo: null,
+      links: { musicbrainzId: 'mb-3' }
+    });
+  });
+
+  it('finds nothing in an empty fixture list', async () => {
+    expect(await createFixtureProvider().search({ title: 'Wonderwall', limit: 5 })).toEqual([]);
+  });
+});
+
+describe('searchProvider', () => {
+  const { METADATA_PROVIDERS } = process.env;
+
+  beforeAll(() => {
+    registerProvider('test-fixture', createFixtureProvider(RECORDINGS));
+  });
+
+  afterEach(() => {
+    setCacheClient(null);
+    process.env.METADATA_PROVIDERS = METADATA_PROVIDERS;
+    if (METADATA_PROVIDERS === undefined) delete process.env.METADATA_PROVIDERS;
+  });
+
+  it('is enabled through METADATA_PROVIDERS', () => {
+    process.env.METADATA_PROVIDERS = 'test-fixture, unknown';
+
+    expect(getEnabledProviders()).toEqual(['test-fixture']);
+  });
+
+  it('tags results with the provider they came from', async () => {
+    const [result] = await searchProvider('test-fixture', { title: 'Champagne' });
+
+    expect(result).toMatchObject({ provider: 'test-fixture', externalId: 'champagne' });
+  });
+
+  it('caches results and serves them from the cache', async () => {
+    const store = new Map();
+    setCacheClient({
+      isReady: true,
+      get: jest.fn(async key => store.get(key) || null),
+      set: jest.fn(async (key, value) => store.set(key, value))
+    });
+
+    const first = await searchProvider('test-fixture', { title: 'Champagne', artist: 'Oasis' });
+    store.set([...store.keys()][0], JSON.stringify([{ externalId: 'cached' }]));
+    const second = await searchProvider('test-fixture', { title: ' champagne ', artist: 'OASIS' });
+
+    expect(first[0].externalId).toBe('champagne');
+    expect(second).toEqual([{ externalId: 'cached' }]);
+  });
+
+  it('searches the provider when the cache is down', async () => {
+    setCacheClient({
+      isReady: true,
+      get: jest.fn().mockRejectedValue(new Error('down')),
+      set: jest.fn().mockRejectedValue(new Error('down'))
+    });
+
+    const results = await searchProvider('test-fixture', { title: 'Champagne' });
+
+    expect(results).toHaveLength(1);
+    expect(logger.warn).toHaveBeenCalledTimes(2);
+  });
+
+  it('rejects unknown providers', async () => {
+    await expect(searchProvider('nope', { title: 'Wonderwall' })).rejects.toThrow('Unknown metadata provider: nope');
+  });
+});
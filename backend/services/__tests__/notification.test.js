@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const Event = require('../../models/event.model');
+const Notification = require('../../models/notification.model');
+const Setlist = require('../../models/setlist.model');
+const User = require('../../models/user.model');
+const { sendGigReminders, updatePreferences, addPushSubscription } = require('../notification.service');
+
+jest.mock('../notificationChannels.service', () => ({
+  getChannel: jest.fn(() => null),
+  getPushPublicKey: jest.fn(() => null)
+}));
+
+const now = new Date('2026-10-19T12:00:00Z');
+const user = new User({ name: 'Alex', email: 'alex@example.com', password: 'secret123' });
+
+const query = result => ({
+  select: () => Promise.resolve(result)
+});
+
+const buildSetlist = (title, date) => new Setlist({ title, date, venue: 'The Crown', createdBy: user._id });
+
+const buildEvent = fields => new Event({
+  title: 'Friday at the Crown',
+  startsAt: new Date('2026-10-20T19:30:00Z'),
+  timeZone: 'Europe/London',
+  venue: 'The Crown',
+  address: 'High Street',
+  createdBy: user._id,
+  ...fields
+});
+
+/**
+ * Record the notifications created instead of saving them
+ */
+const recordNotifications = () => {
+  jest.spyOn(User, 'find').mockReturnValue(query([user]));
+  jest.spyOn(Notification, 'exists').mockResolvedValue(null);
+  return jest.spyOn(Notification, 'create').mockImplementation(async data => new Notification(data));
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('sendGigReminders', () => {
+  it('reminds of gigs in the calendar at the time of the event', async () => {
+    const create = recordNotifications();
+    const event = buildEvent({ loadInAt: new Date('2026-10-20T17:00:00Z') });
+    const findEvents = jest.spyOn(Event, 'find').mockReturnValue(query([event]));
+    jest.spyOn(Setlist, 'find').mockReturnValue(query([]));
+
+    expect(await sendGigReminders(now)).toBe(1);
+
+    expect(findEvents).toHaveBeenCalledWith({
+      type: 'gig',
+      status: { $ne: 'cancelled' },
+      startsAt: { $gt: now, $lte: new Date('2026-10-20T12:00:00Z') }
+    });
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'gig_reminder',
+      userId: user._id,
+      title: 'Gig tomorrow: Friday at the Crown',
+      body: 'Tue, 20 Oct 2026 at 20:30, The Crown, High Street, load-in 18:00',
+      url: '/dashboard',
+      groupKey: `gig_reminder:event:${event._id}:${event.startsAt.getTime()}`
+    }));
+  });
+
+  it('reminds of dated setlists once, leaving those scheduled as gigs to their event', async () => {
+    const create = recordNotifications();
+    const scheduled = buildSetlist('Friday', new Date('2026-10-20T19:30:00Z'));
+    const unscheduled = buildSetlist('Saturday', new Date('2026-10-20T09:00:00Z'));
+    jest.spyOn(Event, 'find').mockReturnValue(query([buildEvent({ setlistId: scheduled._id })]));
+    jest.spyOn(Setlist, 'find').mockReturnValue(query([scheduled, unscheduled]));
+    jest.spyOn(Event, 'distinct').mockResolvedValue([scheduled._id]);
+
+    expect(await sendGigReminders(now)).toBe(2);
+
+    expect(create.mock.calls.map(([notification]) => [notification.title, notification.url])).toEqual([
+      ['Gig tomorrow: Friday at the Crown', `/setlists/${scheduled._id}`],
+      ['Gig tomorrow: Saturday', `/setlists/${unscheduled._id}`]
+    ]);
+  });
+
+  it('does not remind of a setlist whose gig was cancelled', async () => {
+    const create = recordNotifications();
+    const setlist = buildSetlist('Friday', new Date('2026-10-20T19:30:00Z'));
+    jest.spyOn(Event, 'find').mockReturnValue(query([]));
+    jest.spyOn(Setlist, 'find').mockReturnValue(query([setlist]));
+    jest.spyOn(Event, 'distinct').mockResolvedValue([setlist._id]);
+
+    expect(await sendGigReminders(now)).toBe(0);
+    expect(create).not.toHaveBeenCalled();
+  });
+});
+
+describe('notification settings', () => {
+  it('rejects unknown events and invalid push subscriptions with a 400', async () => {
+    await expect(updatePreferences(new mongoose.Types.ObjectId(), { events: { birthdays: { email: true } } }))
+      .rejects.toMatchObject({ statusCode: 400, message: expect.stringMatching(/^Invalid notification preferences: events\.birthdays: /) });
+    await expect(addPushSubscription(new mongoose.Types.ObjectId(), { endpoint: 'nope' }))
+      .rejects.toMatchObject({ statusCode: 400, message: expect.stringMatching(/^Invalid push subscription: endpoint: .*, keys: /) });
+  });
+
+  it('only changes the channels sent', async () => {
+    const update = jest.spyOn(User, 'updateOne').mockResolvedValue({});
+    jest.spyOn(User, 'findById').mockReturnValue(query(user));
+
+    await updatePreferences(user._id, { notifications: false, events: { setlist_changed: { email: false } } });
+
+    expect(update).toHaveBeenCalledWith({ _id: user._id }, {
+      $set: {
+        'settings.notifications': false,
+        'settings.notificationPreferences.setlist_changed.email': false
+      }
+    });
+  });
+});
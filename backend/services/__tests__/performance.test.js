@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+const Performance = require('../../models/performance.model');
+const Setlist = require('../../models/setlist.model');
+const Song = require('../../models/song.model');
+const { logPerformance, applyAction } = require('../performance.service');
+const { getUnplayedSongs, getLastAtVenue } = require('../performanceAnalytics.service');
+
+const id = () => new mongoose.Types.ObjectId();
+const userId = id();
+
+const buildSong = (title, fields) => new Song({ title, createdBy: userId, duration: 200, ...fields });
+
+const WONDERWALL = buildSong('Wonderwall', { variants: [{ name: 'Acoustic' }] });
+const HALF_THE_WORLD = buildSong('Half the World Away');
+const SUPERNOVA = buildSong('Champagne Supernova');
+
+const buildSetlist = () => new Setlist({
+  title: 'Friday',
+  createdBy: userId,
+  sets: [{
+    name: 'Set 1',
+    songs: [
+      { songId: SUPERNOVA._id, duration: 300 },
+      {
+        medleyName: 'Oasis medley',
+        medley: [
+          { songId: WONDERWALL._id, variantId: WONDERWALL.variants[0]._id, duration: 180 },
+          { songId: HALF_THE_WORLD._id, duration: 120 }
+        ]
+      },
+      { type: 'break', label: 'Raffle', duration: 600 }
+    ]
+  }]
+}).calculateDurations();
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('applyAction', () => {
+  const buildPerformance = () => {
+    const performance = new Performance({
+      setlistId: id(),
+      startedBy: userId,
+      leaderId: userId,
+      entries: [
+        { songId: SUPERNOVA._id, title: 'Champagne Supernova' },
+        { songId: WONDERWALL._id, title: 'Wonderwall' }
+      ]
+    });
+    performance.startEntry(0);
+    jest.spyOn(Performance, 'findById').mockResolvedValue(performance);
+    jest.spyOn(performance, 'save').mockResolvedValue(performance);
+    return performance;
+  };
+
+  it('rejects invalid actions with a 400', async () => {
+    await expect(applyAction({ performanceId: id().toString(), userId, action: { type: 'rewind' } }))
+      .rejects.toMatchObject({ statusCode: 400, message: expect.stringMatching(/^Invalid action: type: /) });
+  });
+
+  it('only advances once for next pressed twice on the same song', async () => {
+    const performance = buildPerformance();
+    const fromEntryId = performance.entries[0]._id.toString();
+    const action = { type: 'next', fromEntryId };
+
+    const [first, second] = await Promise.all([
+      applyAction({ performanceId: performance._id.toString(), userId, action }),
+      applyAction({ performanceId: performance._id.toString(), userId, action })
+    ]);
+
+    expect([first.changed, second.changed]).toEqual([true, false]);
+    expect(performance.currentIndex).toBe(1);
+    expect(performance.entries[0].status).toBe('played');
+  });
+
+  it('only lets the leader control a band-less performance', async () => {
+    const performance = buildPerformance();
+
+    await expect(applyAction({ performanceId: performance._id.toString(), userId: id(), action: { type: 'end' } }))
+      .rejects.toMatchObject({ statusCode: 403 });
+    expect(performance.status).toBe('live');
+  });
+});
+
+describe('logPerformance', () => {
+  it('records every song of a medley as a part of its entry', async () => {
+    const setlist = buildSetlist();
+    jest.spyOn(Song, 'find').mockReturnValue({ select: () => Promise.resolve([WONDERWALL, HALF_THE_WORLD, SUPERNOVA]) });
+    jest.spyOn(Performance, 'create').mockImplementation(async data => data);
+    jest.spyOn(Setlist, 'updateOne').mockResolvedValue({});
+
+    const { entries } = await logPerformance(setlist, userId);
+
+    expect(entries[0].parts).toEqual([{ songId: SUPERNOVA._id, variantId: null, title: 'Champagne Supernova', plannedDuration: 300 }]);
+    expect(entries[1]).toMatchObject({
+      songId: WONDERWALL._id,
+      title: 'Oasis medley: Wonderwall (Acoustic) / Half the World Away',
+      plannedDuration: 300,
+      parts: [
+        { songId: WONDERWALL._id, variantId: WONDERWALL.variants[0]._id, title: 'Wonderwall (Acoustic)', plannedDuration: 180 },
+        { songId: HALF_THE_WORLD._id, variantId: null, title: 'Half the World Away', plannedDuration: 120 }
+      ]
+    });
+    expect(entries[2]).toMatchObject({ type: 'break', songId: null, parts: [] });
+  });
+});
+
+describe('performance analytics', () => {
+  const gig = {
+    _id: id(),
+    setlistId: id(),
+    title: 'Friday',
+    venue: 'The Crown',
+    date: new Date('2026-09-04'),
+    entries: [
+      { status: 'played', songId: WONDERWALL._id, title: 'Wonderwall / Half the World Away', setName: 'Set 1', parts: [
+        { songId: WONDERWALL._id, title: 'Wonderwall' },
+        { songId: HALF_THE_WORLD._id, title: 'Half the World Away' }
+      ] },
+      { status: 'played', type: 'break', songId: null, title: 'Break', setName: 'Set 1', parts: [] }
+    ]
+  };
+
+  const query = result => ({
+    sort: () => query(result),
+    limit: () => query(result),
+    select: () => query(result),
+    collation: () => query(result),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  });
+
+  it('does not report the later songs of a medley as unplayed', async () => {
+    jest.spyOn(Performance, 'find').mockReturnValue(query([gig]));
+    jest.spyOn(Song, 'find')
+      .mockReturnValueOnce(query([WONDERWALL, HALF_THE_WORLD, SUPERNOVA]))
+      .mockReturnValue(query([]));
+    jest.spyOn(Performance, 'aggregate').mockResolvedValue([]);
+
+    const { songs } = await getUnplayedSongs({ userId }, 5);
+
+    expect(songs.map(song => song.title)).toEqual(['Champagne Supernova']);
+  });
+
+  it('counts performances logged before parts were recorded by their song', async () => {
+    const legacy = { ...gig, entries: [{ status: 'played', songId: SUPERNOVA._id, title: 'Champagne Supernova', setName: 'Set 1' }] };
+    jest.spyOn(Performance, 'find').mockReturnValue(query([legacy]));
+    jest.spyOn(Song, 'find')
+      .mockReturnValueOnce(query([WONDERWALL, SUPERNOVA]))
+      .mockReturnValue(query([]));
+    jest.spyOn(Performance, 'aggregate').mockResolvedValue([]);
+
+    const { songs } = await getUnplayedSongs({ userId }, 5);
+
+    expect(songs.map(song => song.title)).toEqual(['Wonderwall']);
+  });
+
+  it('lists every medley song played at a venue and flags them in a new setlist', async () => {
+    jest.spyOn(Performance, 'findOne').mockReturnValue(query(gig));
+    const setlist = new Setlist({
+      title: 'Next Friday',
+      createdBy: userId,
+      sets: [{ name: 'Set 1', songs: [{ songId: HALF_THE_WORLD._id }, { songId: SUPERNOVA._id }] }]
+    });
+
+    const last = await getLastAtVenue({ userId }, 'The Crown', setlist);
+
+    expect(last.songs).toEqual([
+      { songId: WONDERWALL._id, title: 'Wonderwall', setName: 'Set 1' },
+      { songId: HALF_THE_WORLD._id, title: 'Half the World Away', setName: 'Set 1' }
+    ]);
+    expect(last.repeated).toEqual([{ entryId: setlist.sets[0].songs[0]._id, songId: HALF_THE_WORLD._id, setName: 'Set 1' }]);
+  });
+});
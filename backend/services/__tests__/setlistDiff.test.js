@@ -0,0 +1,110 @@
+const { diffSets, diffVersions } = require('../setlistDiff.service');
+
+const entry = (id, fields = {}) => ({ _id: id, songId: `song-${id}`, duration: 200, ...fields });
+
+const FROM = [
+  { _id: 'set-1', name: 'Set 1', songs: [entry('a'), entry('b'), entry('c'), entry('d')] },
+  { _id: 'set-2', name: 'Set 2', songs: [entry('e')] }
+];
+
+describe('diffSets', () => {
+  it('finds nothing between identical sets', () => {
+    expect(diffSets(FROM, FROM)).toEqual({
+      setsAdded: [],
+      setsRemoved: [],
+      setsRenamed: [],
+      songsAdded: [],
+      songsRemoved: [],
+      songsMoved: [],
+      songsChanged: []
+    });
+  });
+
+  it('reports sets added, removed and renamed', () => {
+    const diff = diffSets(FROM, [
+      { ...FROM[0], name: 'Opener' },
+      { _id: 'set-3', name: 'Encore', songs: [] }
+    ]);
+
+    expect(diff.setsAdded).toEqual([{ setId: 'set-3', name: 'Encore' }]);
+    expect(diff.setsRemoved).toEqual([{ setId: 'set-2', name: 'Set 2' }]);
+    expect(diff.setsRenamed).toEqual([{ setId: 'set-1', from: 'Set 1', to: 'Opener' }]);
+    expect(diff.songsRemoved).toEqual([{ entryId: 'e', type: 'song', songId: 'song-e', setId: 'set-2', setName: 'Set 2', position: 0 }]);
+  });
+
+  it('reports entries added and removed where they were', () => {
+    const diff = diffSets(FROM, [
+      { ...FROM[0], songs: [entry('a'), entry('x', { type: 'break', songId: null }), entry('c'), entry('d')] },
+      FROM[1]
+    ]);
+
+    expect(diff.songsAdded).toEqual([{ entryId: 'x', type: 'break', songId: null, setId: 'set-1', setName: 'Set 1', position: 1 }]);
+    expect(diff.songsRemoved).toEqual([{ entryId: 'b', type: 'song', songId: 'song-b', setId: 'set-1', setName: 'Set 1', position: 1 }]);
+    expect(diff.songsMoved).toEqual([]);
+  });
+
+  it('counts only the entries that broke the order as moved', () => {
+    const [a, b, c, d] = FROM[0].songs;
+    const diff = diffSets(FROM, [{ ...FROM[0], songs: [b, c, d, a] }, FROM[1]]);
+
+    expect(diff.songsMoved).toEqual([{
+      entryId: 'a',
+      songId: 'song-a',
+      from: { setId: 'set-1', setName: 'Set 1', position: 0 },
+      to: { setId: 'set-1', setName: 'Set 1', position: 3 }
+    }]);
+  });
+
+  it('reports entries moved to another set', () => {
+    const [a, b, c, d] = FROM[0].songs;
+    const diff = diffSets(FROM, [{ ...FROM[0], songs: [a, b, c] }, { ...FROM[1], songs: [d, ...FROM[1].songs] }]);
+
+    expect(diff.songsMoved).toEqual([{
+      entryId: 'd',
+      songId: 'song-d',
+      from: { setId: 'set-1', setName: 'Set 1', position: 3 },
+      to: { setId: 'set-2', setName: 'Set 2', position: 0 }
+    }]);
+    expect(diff.songsAdded).toEqual([]);
+    expect(diff.songsRemoved).toEqual([]);
+  });
+
+  it('reports changed entry details', () => {
+    const diff = diffSets(FROM, [
+      { ...FROM[0], songs: [entry('a', { duration: 240, notes: 'Slower', segue: true }), ...FROM[0].songs.slice(1)] },
+      FROM[1]
+    ]);
+
+    expect(diff.songsChanged).toEqual([{
+      entryId: 'a',
+      songId: 'song-a',
+      changes: {
+        duration: { from: 200, to: 240 },
+        notes: { from: '', to: 'Slower' },
+        segue: { from: false, to: true }
+      }
+    }]);
+  });
+});
+
+describe('diffVersions', () => {
+  it('compares the titles and sets of two snapshots', () => {
+    const diff = diffVersions(
+      { version: 1, snapshot: { title: 'Friday', sets: FROM } },
+      { version: 3, snapshot: { title: 'Friday at the Crown', sets: FROM } }
+    );
+
+    expect(diff).toMatchObject({
+      from: 1,
+      to: 3,
+      title: { from: 'Friday', to: 'Friday at the Crown' },
+      songsAdded: []
+    });
+  });
+
+  it('has no title change when the title stayed the same', () => {
+    const version = { version: 2, snapshot: { title: 'Friday', sets: FROM } };
+
+    expect(diffVersions(version, version).title).toBeNull();
+  });
+});
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const Band = require('../../models/band.model');
+const Song = require('../../models/song.model');
+const User = require('../../models/user.model');
+const { generateSetlist } = require('../setlistGenerator.service');
+
+jest.mock('../../models/user.model', () => ({ findById: jest.fn() }));
+
+const userId = new mongoose.Types.ObjectId().toString();
+
+const song = (title, fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  title,
+  duration: 240,
+  tempo: 0,
+  key: '',
+  tags: [],
+  ...fields
+});
+
+const LIBRARY = [
+  song('Slow one', { tempo: 70, key: 'G' }),
+  song('Mid one', { tempo: 100, key: 'G' }),
+  song('Fast one', { tempo: 140, key: 'A' }),
+  song('Faster one', { tempo: 160, key: 'D' }),
+  song('Ballad', { tempo: 60, key: 'C', tags: ['ballad'] }),
+  song('Rocker', { tempo: 150, key: 'E', tags: ['rock'] }),
+  song('Cover', { tempo: 120, key: 'F', tags: ['rock', 'cover'] }),
+  song('Untimed', { key: 'Bb' })
+];
+
+const generate = input => generateSetlist(userId, { save: false, setDuration: 1200, ...input });
+
+const songIds = setlist => setlist.sets.map(set => set.songs.map(entry => entry.songId.toString()));
+
+const entrySongs = set => set.songs.map(entry => LIBRARY.find(candidate => candidate._id.equals(entry.songId)));
+
+describe('generateSetlist', () => {
+  beforeEach(() => {
+    jest.spyOn(Song, 'find').mockResolvedValue(LIBRARY);
+    User.findById.mockReset();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('generates the same setlist again from the same seed', async () => {
+    const first = await generate({ numberOfSets: 2, seed: 42 });
+    const second = await generate({ numberOfSets: 2, seed: 42 });
+
+    expect(first.seed).toBe(42);
+    expect(songIds(second.setlist)).toEqual(songIds(first.setlist));
+  });
+
+  it('fills each set up to its target without using a song twice', async () => {
+    const { setlist, constraints } = await generate({ numberOfSets: 2, setDuration: 900, songGap: 30, seed: 7 });
+    const ids = songIds(setlist).flat();
+
+    expect(setlist.sets).toHaveLength(2);
+    expect(new Set(ids).size).toBe(ids.length);
+    constraints.find(result => result.constraint === 'setDuration').detail
+      .forEach(({ duration, target }) => expect(duration).toBeLessThanOrEqual(target));
+  });
+
+  it('keeps to the required and excluded tags', async () => {
+    const { setlist } = await generate({ requiredTags: ['rock'], excludedTags: ['cover'], seed: 1 });
+
+    expect(entrySongs(setlist.sets[0]).map(picked => picked.title)).toEqual(['Rocker']);
+  });
+
+  it('opens and closes sets with the songs asked for', async () => {
+    const opener = LIBRARY[4];
+    const closer = LIBRARY[0];
+    const { setlist, constraints } = await generate({
+      openers: [opener._id.toString()],
+      closers: [closer._id.toString()],
+      seed: 3
+    });
+    const songs = entrySongs(setlist.sets[0]);
+
+    expect(songs[0]).toBe(opener);
+    expect(songs[songs.length - 1]).toBe(closer);
+    expect(constraints.find(result => result.constraint === 'openersAndClosers').score).toBe(1);
+  });
+
+  it('orders songs along the tempo curve', async () => {
+    const { setlist } = await generate({ setDuration: 3000, tempoCurve: 'build', avoidSameKey: false, seed: 5 });
+    const tempos = entrySongs(setlist.sets[0]).map(picked => picked.tempo).filter(Boolean);
+
+    expect(tempos).toEqual([...tempos].sort((a, b) => a - b));
+  });
+
+  it('keeps songs in the same key apart', async () => {
+    const { constraints } = await generate({ setDuration: 3000, tempoCurve: 'none', seed: 11 });
+    const keys = constraints.find(result => result.constraint === 'avoidSameKey');
+
+    expect(keys.detail.backToBackSameKey).toBe(0);
+    expect(keys.score).toBe(1);
+  });
+
+  it('uses the user\'s default set duration without a target', async () => {
+    User.findById.mockReturnValue({ select: () => Promise.resolve({ settings: { defaultSetDuration: 10 } }) });
+
+    const { setlist } = await generateSetlist(userId, { save: false, seed: 9 });
+
+    expect(setlist.sets[0].targetDuration).toBe(600);
+    expect(setlist.sets[0].songs.length).toBeLessThanOrEqual(2);
+  });
+
+  it('treats enharmonic keys as the same key', async () => {
+    const other = song('Other', { key: 'C', duration: 200 });
+    jest.spyOn(Song, 'find').mockResolvedValue([
+      song('Sharp', { key: 'F#m', duration: 200 }),
+      song('Flat', { key: 'Gbm', duration: 200 }),
+      other
+    ]);
+
+    const { setlist, constraints } = await generate({ setDuration: 600, songGap: 0, tempoCurve: 'none', seed: 2 });
+
+    expect(setlist.sets[0].songs).toHaveLength(3);
+    expect(setlist.sets[0].songs[1].songId).toEqual(other._id);
+    expect(constraints.find(result => result.constraint === 'avoidSameKey').detail.backToBackSameKey).toBe(0);
+  });
+
+  it('rejects invalid constraints with a 400', async () => {
+    await expect(generate({ numberOfSets: 0 })).rejects.toMatchObject({
+      statusCode: 400,
+      message: expect.stringContaining('Invalid constraints')
+    });
+  });
+
+  it('answers 404 for bands the user is not in', async () => {
+    jest.spyOn(Band, 'findById').mockResolvedValue({ hasMember: () => false });
+
+    await expect(generate({ bandId: new mongoose.Types.ObjectId().toString() })).rejects.toMatchObject({
+      statusCode: 404,
+      message: 'Band not found'
+    });
+  });
+});
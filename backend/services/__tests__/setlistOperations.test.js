@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+const Setlist = require('../../models/setlist.model');
+const SetlistOperation = require('../../models/setlistOperation.model');
+const { VersionConflictError } = require('../../utils/errors');
+const { transformOperation, applyToSetlist, applyOperation } = require('../setlistOperations.service');
+
+const id = () => new mongoose.Types.ObjectId().toString();
+
+const SET_A = id();
+const SET_B = id();
+
+const buildSetlist = () => new Setlist({
+  title: 'Friday',
+  createdBy: id(),
+  version: 5,
+  sets: [
+    { _id: SET_A, name: 'Set 1', songs: [{ songId: id() }, { songId: id() }, { songId: id() }] },
+    { _id: SET_B, name: 'Set 2', songs: [{ songId: id() }] }
+  ]
+});
+
+describe('transformOperation', () => {
+  it('shifts an insert past entries added before it', () => {
+    const op = { type: 'addSong', setId: SET_A, songId: id(), position: 2 };
+
+    expect(transformOperation(op, [{ type: 'addSong', setId: SET_A, position: 0 }]).position).toBe(3);
+    expect(transformOperation(op, [{ type: 'addItem', setId: SET_A, position: 2 }]).position).toBe(3);
+    expect(transformOperation(op, [{ type: 'addSong', setId: SET_A, position: 3 }]).position).toBe(2);
+  });
+
+  it('shifts an insert back past entries removed before it', () => {
+    const op = { type: 'addSong', setId: SET_A, songId: id(), position: 2 };
+
+    expect(transformOperation(op, [{ type: 'removeSong', setId: SET_A, position: 0 }]).position).toBe(1);
+    expect(transformOperation(op, [{ type: 'removeSong', setId: SET_A, position: 2 }]).position).toBe(2);
+  });
+
+  it('only shifts for operations on the same set', () => {
+    const op = { type: 'addItem', setId: SET_A, itemType: 'break', position: 1 };
+
+    expect(transformOperation(op, [{ type: 'addSong', setId: SET_B, position: 0 }]).position).toBe(1);
+  });
+
+  it('rebases moves by where an entry was taken from and put', () => {
+    const op = { type: 'moveSong', entryId: id(), toSetId: SET_B, toPosition: 1 };
+    const committed = [
+      { type: 'moveSong', fromSetId: SET_B, fromPosition: 0, toSetId: SET_A, toPosition: 0 },
+      { type: 'addMedley', setId: SET_B, position: 0 },
+      { type: 'addSong', setId: SET_B, position: 0 }
+    ];
+
+    expect(transformOperation(op, committed).toPosition).toBe(2);
+  });
+
+  it('applies committed operations in order', () => {
+    const op = { type: 'addSong', setId: SET_A, songId: id(), position: 1 };
+    const committed = [
+      { type: 'removeSong', setId: SET_A, position: 0 },
+      { type: 'addSong', setId: SET_A, position: 0 }
+    ];
+
+    expect(transformOperation(op, committed).position).toBe(1);
+  });
+
+  it('leaves operations without positions alone', () => {
+    const op = { type: 'renameSet', setId: SET_A, name: 'Encore' };
+    const appended = { type: 'addSong', setId: SET_A, songId: id() };
+
+    expect(transformOperation(op, [{ type: 'addSong', setId: SET_A, position: 0 }])).toBe(op);
+    expect(transformOperation(appended, [{ type: 'addSong', setId: SET_A, position: 0 }])).toBe(appended);
+  });
+});
+
+describe('applyToSetlist', () => {
+  it('inserts at the rebased position and reports the new entry', () => {
+    const setlist = buildSetlist();
+    const songId = id();
+
+    const applied = applyToSetlist(setlist, { type: 'addSong', setId: SET_A, songId, position: 1, duration: 200 });
+
+    expect(applied).toMatchObject({ type: 'addSong', setId: SET_A, songId, position: 1 });
+    expect(setlist.sets[0].songs[1].songId.toString()).toBe(songId);
+    expect(applied.entryId).toBe(setlist.sets[0].songs[1]._id.toString());
+  });
+
+  it('returns null when the target entry is gone', () => {
+    expect(applyToSetlist(buildSetlist(), { type: 'removeSong', entryId: id() })).toBeNull();
+  });
+});
+
+describe('applyOperation', () => {
+  const logEntries = entries => ({ sort: () => Promise.resolve(entries) });
+
+  const mockSession = () => {
+    let active = false;
+    const session = {
+      startTransaction: jest.fn(() => { active = true; }),
+      commitTransaction: jest.fn(async () => { active = false; }),
+      abortTransaction: jest.fn(async () => { active = false; }),
+      inTransaction: () => active,
+      endSession: jest.fn(async () => {})
+    };
+    jest.spyOn(Setlist, 'startSession').mockResolvedValue(session);
+    return session;
+  };
+
+  const completeLog = () => logEntries([
+    { version: 4, op: { type: 'removeSong', setId: SET_A, position: 0 } },
+    { version: 5, op: { type: 'addItem', setId: SET_A, position: 0 } }
+  ]);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('rejects an operation when versions since its base were saved without an operation', async () => {
+    const setlist = buildSetlist();
+    jest.spyOn(Setlist, 'findById').mockResolvedValue(setlist);
+    jest.spyOn(SetlistOperation, 'find').mockReturnValue(logEntries([
+      { version: 5, op: { type: 'addSong', setId: SET_A, position: 0 } }
+    ]));
+    const save = jest.spyOn(setlist, 'saveVersion');
+
+    await expect(applyOperation({
+      setlistId: setlist._id.toString(),
+      baseVersion: 3,
+      op: { type: 'renameSet', setId: SET_A, name: 'Encore' }
+    })).rejects.toBeInstanceOf(VersionConflictError);
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it('rebases an operation over a complete log and commits it as the next version', async () => {
+    const setlist = buildSetlist();
+    jest.spyOn(Setlist, 'findById').mockResolvedValue(setlist);
+    jest.spyOn(SetlistOperation, 'find').mockReturnValue(completeLog());
+    const session = mockSession();
+    const create = jest.spyOn(SetlistOperation, 'create').mockResolvedValue([{}]);
+    jest.spyOn(setlist, 'saveVersion').mockImplementation(async () => {
+      setlist.version += 1;
+      return setlist;
+    });
+
+    const { applied, version } = await applyOperation({
+      setlistId: setlist._id.toString(),
+      baseVersion: 3,
+      op: { type: 'addItem', setId: SET_A, itemType: 'break', position: 2, duration: 600 }
+    });
+
+    expect(applied).toMatchObject({ type: 'addItem', position: 2 });
+    expect(version).toBe(6);
+    expect(create).toHaveBeenCalledWith([expect.objectContaining({ version: 6, type: 'addItem' })], { session });
+    expect(session.commitTransaction).toHaveBeenCalled();
+  });
+
+  it('rejects invalid operations with a 400', async () => {
+    await expect(applyOperation({
+      setlistId: new mongoose.Types.ObjectId().toString(),
+      baseVersion: 1,
+      op: { type: 'renameSet', setId: 'not-an-id' }
+    })).rejects.toMatchObject({ statusCode: 400, message: 'Invalid operation: setId: Invalid ID, name: Required' });
+  });
+
+  it('rolls the save back when its log entry cannot be written', async () => {
+    const setlist = buildSetlist();
+    jest.spyOn(Setlist, 'findById').mockResolvedValue(setlist);
+    jest.spyOn(SetlistOperation, 'find').mockReturnValue(completeLog());
+    const session = mockSession();
+    jest.spyOn(SetlistOperation, 'create').mockRejectedValue(new Error('Write failed'));
+    jest.spyOn(setlist, 'saveVersion').mockImplementation(async () => {
+      expect(setlist.$session()).toBe(session);
+      setlist.version += 1;
+      return setlist;
+    });
+
+    await expect(applyOperation({
+      setlistId: setlist._id.toString(),
+      baseVersion: 3,
+      op: { type: 'renameSet', setId: SET_A, name: 'Encore' }
+    })).rejects.toThrow('Write failed');
+    expect(session.abortTransaction).toHaveBeenCalled();
+    expect(session.commitTransaction).not.toHaveBeenCalled();
+    expect(session.endSession).toHaveBeenCalled();
+  });
+});
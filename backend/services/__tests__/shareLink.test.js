@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const Setlist = require('../../models/setlist.model');
+const ShareLink = require('../../models/shareLink.model');
+const { createShareLink, updateGuestSetlist } = require('../shareLink.service');
+
+const DAY = 24 * 60 * 60 * 1000;
+const id = () => new mongoose.Types.ObjectId();
+const userId = id();
+const WONDERWALL = id();
+const SUPERNOVA = id();
+
+const buildSetlist = fields => new Setlist({
+  title: 'Friday',
+  createdBy: userId,
+  version: 3,
+  sets: [{ name: 'Set 1', songs: [{ songId: WONDERWALL }, { songId: SUPERNOVA }] }],
+  ...fields
+});
+
+const buildShareLink = () => new ShareLink({
+  setlistId: id(),
+  tokenHash: 'hash',
+  label: 'Sam (dep bass)',
+  readOnly: false,
+  expiresAt: new Date(Date.now() + DAY),
+  createdBy: userId
+});
+
+const req = { ip: '127.0.0.1', get: () => 'jest' };
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createShareLink', () => {
+  beforeEach(() => {
+    jest.spyOn(ShareLink, 'create').mockImplementation(async data => data);
+  });
+
+  it('expires the day after the gig by default and returns the token once', async () => {
+    const date = new Date(Date.now() + 3 * DAY);
+
+    const { shareLink, token } = await createShareLink(buildSetlist({ date }), userId, { label: ' Sam ' });
+
+    expect(shareLink).toMatchObject({ label: 'Sam', readOnly: true, expiresAt: new Date(date.getTime() + DAY) });
+    expect(shareLink.tokenHash).toBe(ShareLink.hashToken(token));
+  });
+
+  it('rejects invalid links with a 400', async () => {
+    await expect(createShareLink(buildSetlist(), userId, { readOnly: 'no' }))
+      .rejects.toMatchObject({ statusCode: 400, message: expect.stringMatching(/^Invalid share link: readOnly: /) });
+    await expect(createShareLink(buildSetlist(), userId, { expiresAt: new Date(Date.now() - DAY).toISOString() }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'expiresAt must be in the future and within 365 days' });
+  });
+});
+
+describe('updateGuestSetlist', () => {
+  it('saves a rearranged setlist as the link creator and logs the edit', async () => {
+    const setlist = buildSetlist();
+    const shareLink = buildShareLink();
+    const saveVersion = jest.spyOn(setlist, 'saveVersion').mockResolvedValue(setlist);
+    const recordAccess = jest.spyOn(shareLink, 'recordAccess').mockResolvedValue({});
+
+    await updateGuestSetlist(shareLink, setlist, {
+      baseVersion: 3,
+      sets: [{ name: 'Set 1', songs: [{ songId: SUPERNOVA }, { songId: WONDERWALL, notes: 'Capo 2' }] }]
+    }, req);
+
+    expect(setlist.sets[0].songs.map(entry => entry.songId)).toEqual([SUPERNOVA, WONDERWALL]);
+    expect(saveVersion).toHaveBeenCalledWith(3, userId, 'Edited by guest Sam (dep bass) through a share link');
+    expect(recordAccess).toHaveBeenCalledWith('edit', { ip: '127.0.0.1', userAgent: 'jest' });
+  });
+
+  it('refuses songs that are not on the setlist, medley parts included', async () => {
+    const setlist = buildSetlist();
+    const saveVersion = jest.spyOn(setlist, 'saveVersion');
+
+    await expect(updateGuestSetlist(buildShareLink(), setlist, {
+      baseVersion: 3,
+      sets: [{ name: 'Set 1', songs: [{ medley: [{ songId: WONDERWALL }, { songId: id() }] }] }]
+    }, req)).rejects.toMatchObject({ statusCode: 400, message: 'Guests can only rearrange songs already on the setlist' });
+    expect(saveVersion).not.toHaveBeenCalled();
+  });
+
+  it('passes on a conflict without logging an edit', async () => {
+    const setlist = buildSetlist();
+    const shareLink = buildShareLink();
+    jest.spyOn(setlist, 'saveVersion').mockRejectedValue(Object.assign(new Error('conflict'), { statusCode: 409 }));
+    const recordAccess = jest.spyOn(shareLink, 'recordAccess');
+
+    await expect(updateGuestSetlist(shareLink, setlist, { baseVersion: 2, sets: [] }, req))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(recordAccess).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const Song = require('../../models/song.model');
+const { parseDuration, importSongs, exportSongs } = require('../songSpreadsheet.service');
+
+const userId = new mongoose.Types.ObjectId();
+
+const csv = text => ({ buffer: Buffer.from(text), originalname: 'songs.csv', mimetype: 'text/csv' });
+
+const library = (songs) => {
+  const query = { select: () => Promise.resolve(songs), sort: () => Promise.resolve(songs) };
+  jest.spyOn(Song, 'find').mockReturnValue(query);
+};
+
+const buildSong = fields => new Song({ title: 'Wonderwall', artist: 'Oasis', createdBy: userId, ...fields });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('parseDuration', () => {
+  it('reads seconds, minutes and hours', () => {
+    expect(parseDuration('225')).toBe(225);
+    expect(parseDuration('3:45')).toBe(225);
+    expect(parseDuration('1:02:30')).toBe(3750);
+    expect(parseDuration('')).toBe(0);
+    expect(parseDuration('three minutes')).toBeNull();
+  });
+});
+
+describe('importSongs', () => {
+  it('matches columns by common header names and reports invalid rows', async () => {
+    library([]);
+
+    const { mapping, summary, rows } = await importSongs({
+      file: csv('Song Name,BPM,Length\nWonderwall,87,4:18\nBroken,fast,3:00\n'),
+      userId,
+      dryRun: true
+    });
+
+    expect(mapping).toEqual({ title: 'Song Name', tempo: 'BPM', duration: 'Length' });
+    expect(summary).toMatchObject({ total: 2, created: 1, invalid: 1 });
+    expect(rows[0].data).toEqual({ title: 'Wonderwall', tempo: 87, duration: 258 });
+    expect(rows[1].errors).toEqual(['Invalid tempo "fast"']);
+  });
+
+  it('reads the arrangements listed in the Variants column', async () => {
+    library([]);
+
+    const { rows } = await importSongs({
+      file: csv('Title,Variants\nWonderwall,"Acoustic (4:05, G); Live (2019); Radio edit"\n'),
+      userId,
+      dryRun: true
+    });
+
+    expect(rows[0].data.variants).toEqual([
+      { name: 'Acoustic', duration: 245, key: 'G' },
+      { name: 'Live (2019)' },
+      { name: 'Radio edit' }
+    ]);
+  });
+
+  it('keeps the IDs of arrangements a song already has when updating it', async () => {
+    const song = buildSong({ variants: [{ name: 'Acoustic', duration: 200, notes: 'Capo 2' }, { name: 'Full band' }] });
+    library([song]);
+    const update = jest.spyOn(Song, 'findByIdAndUpdate').mockResolvedValue(song);
+
+    await importSongs({
+      file: csv('Title,Artist,Variants\nWonderwall,Oasis,"acoustic (4:05); Radio edit"\n'),
+      userId,
+      onDuplicate: 'update'
+    });
+
+    expect(update).toHaveBeenCalledWith(song._id, {
+      title: 'Wonderwall',
+      artist: 'Oasis',
+      variants: [
+        { _id: song.variants[0]._id, name: 'acoustic', duration: 245, notes: 'Capo 2' },
+        { name: 'Radio edit' },
+        expect.objectContaining({ _id: song.variants[1]._id, name: 'Full band' })
+      ]
+    }, { runValidators: true });
+  });
+});
+
+describe('exportSongs', () => {
+  it('round-trips songs, arrangements and formula-like text through CSV', async () => {
+    const song = buildSong({
+      duration: 258,
+      key: 'F#m',
+      tags: ['rock', 'cover'],
+      notes: '=SUM(A1)',
+      variants: [{ name: 'Acoustic', duration: 245, key: 'G' }, { name: 'Radio edit' }]
+    });
+    library([song]);
+
+    const file = await exportSongs({ userId, format: 'csv' });
+
+    expect(file.toString()).toContain("'=SUM(A1)");
+
+    library([]);
+    const { rows } = await importSongs({ file: csv(file.toString()), userId, dryRun: true });
+
+    expect(rows[0].data).toMatchObject({
+      title: 'Wonderwall',
+      duration: 258,
+      key: 'F#m',
+      tags: ['rock', 'cover'],
+      notes: '=SUM(A1)',
+      variants: [{ name: 'Acoustic', duration: 245, key: 'G' }, { name: 'Radio edit' }]
+    });
+  });
+});
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const Setlist = require('../../models/setlist.model');
+const Song = require('../../models/song.model');
+const Tombstone = require('../../models/tombstone.model');
+const { getBandIdsWith } = require('../../utils/authorization');
+const { encodeCursor, decodeCursor, pullChanges, sync } = require('../sync.service');
+
+jest.mock('../../utils/authorization', () => ({
+  ...jest.requireActual('../../utils/authorization'),
+  getBandIdsWith: jest.fn()
+}));
+
+const id = () => new mongoose.Types.ObjectId();
+const userId = id();
+const bandId = id();
+
+// Changed long enough ago for the cursor to move past it
+const settled = new Date(Date.now() - 60000);
+
+const query = result => ({
+  select: () => query(result),
+  sort: () => query(result),
+  limit: () => Promise.resolve(result),
+  then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+});
+
+const buildSong = (title, syncSeq) => new Song({ title, createdBy: id(), bandId, syncSeq, syncedAt: settled });
+
+const WONDERWALL = buildSong('Wonderwall', 3);
+const HALF_THE_WORLD = buildSong('Half the World Away', 4);
+
+const buildSetlist = syncSeq => new Setlist({
+  title: 'Friday',
+  createdBy: id(),
+  bandId,
+  syncSeq,
+  syncedAt: settled,
+  sets: [{
+    name: 'Set 1',
+    songs: [{ medleyName: 'Oasis medley', medley: [{ songId: WONDERWALL._id }, { songId: HALF_THE_WORLD._id }] }]
+  }]
+});
+
+/**
+ * A member of one band who can perform its setlists but not see its library
+ */
+const performOnly = () => {
+  getBandIdsWith.mockImplementation(async (user, permission) => (permission === 'perform' ? [bandId] : []));
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('decodeCursor', () => {
+  it('continues from the sequence of a recent cursor', () => {
+    expect(decodeCursor(encodeCursor(42))).toEqual({ seq: 42, fullResync: false });
+  });
+
+  it('asks for a full resync without a valid cursor', () => {
+    expect(decodeCursor(null)).toEqual({ seq: 0, fullResync: true });
+    expect(decodeCursor('latest')).toEqual({ seq: 0, fullResync: true });
+  });
+
+  it('asks for a full resync once tombstones may have expired', () => {
+    expect(decodeCursor(`42.${Date.now() - 365 * 24 * 60 * 60 * 1000}`)).toEqual({ seq: 0, fullResync: true });
+  });
+});
+
+describe('pullChanges', () => {
+  it('sends perform-only members every song their band setlists play', async () => {
+    performOnly();
+    const distinct = jest.spyOn(Setlist, 'distinct')
+      .mockResolvedValueOnce([null])
+      .mockResolvedValueOnce([WONDERWALL._id, HALF_THE_WORLD._id]);
+    jest.spyOn(Setlist, 'find').mockReturnValue(query([buildSetlist(5)]));
+    const findSongs = jest.spyOn(Song, 'find').mockReturnValue(query([WONDERWALL, HALF_THE_WORLD]));
+
+    const pulled = await pullChanges(userId, 0, true);
+
+    expect(distinct).toHaveBeenCalledWith('sets.songs.medley.songId', { bandId: { $in: [bandId] } });
+    expect(findSongs).toHaveBeenCalledTimes(1);
+    expect(findSongs.mock.calls[0][0].$or).toContainEqual({ _id: { $in: [WONDERWALL._id, HALF_THE_WORLD._id] } });
+    expect(pulled.songs.map(song => song.title)).toEqual(['Wonderwall', 'Half the World Away']);
+    expect(pulled.setlists).toHaveLength(1);
+  });
+
+  it('sends the songs a changed setlist plays even when they have not changed themselves', async () => {
+    performOnly();
+    jest.spyOn(Setlist, 'distinct').mockResolvedValue([]);
+    jest.spyOn(Setlist, 'find').mockReturnValue(query([buildSetlist(12)]));
+    jest.spyOn(Tombstone, 'find').mockReturnValue(query([]));
+    const findSongs = jest.spyOn(Song, 'find')
+      .mockReturnValueOnce(query([]))
+      .mockResolvedValueOnce([WONDERWALL, HALF_THE_WORLD]);
+
+    const pulled = await pullChanges(userId, 10, false);
+
+    expect(findSongs).toHaveBeenLastCalledWith(expect.objectContaining({
+      _id: { $in: [WONDERWALL._id, HALF_THE_WORLD._id] },
+      syncSeq: { $lte: 10 }
+    }));
+    expect(pulled.songs.map(song => song.title)).toEqual(['Wonderwall', 'Half the World Away']);
+    expect(decodeCursor(pulled.cursor).seq).toBe(12);
+  });
+
+  it('leaves the song library to members who can view it', async () => {
+    getBandIdsWith.mockResolvedValue([bandId]);
+    const distinct = jest.spyOn(Setlist, 'distinct');
+    jest.spyOn(Setlist, 'find').mockReturnValue(query([]));
+    const findSongs = jest.spyOn(Song, 'find').mockReturnValue(query([]));
+
+    await pullChanges(userId, 0, true);
+
+    expect(distinct).not.toHaveBeenCalled();
+    expect(findSongs.mock.calls[0][0].$or).toContainEqual({ _id: { $in: [] } });
+  });
+});
+
+describe('sync', () => {
+  it('rejects an invalid request with a 400', async () => {
+    await expect(sync({ userId, body: { changes: [{ collection: 'venues', id: 'nope', action: 'upsert' }] } }))
+      .rejects.toMatchObject({ statusCode: 400, message: expect.stringMatching(/^Invalid sync request: changes\.0\./) });
+  });
+});
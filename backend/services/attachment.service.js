@@ -0,0 +1,224 @@
+/**
+ * Attachment Service
+ * Chart, lyric and other files attached to songs. Each attachment keeps its
+ * uploads as numbered versions, the last being the current one; the files go
+ * to the configured attachment storage and the song records where.
+ *
+ * Files are checked against their extension before they are stored (see
+ * utils/attachmentTypes). Storing a file comes first and saving the song
+ * second, so a failed save removes the file again; removed versions are
+ * deleted from storage only once the song no longer refers to them.
+ */
+const crypto = require('crypto');
+const path = require('path');
+const { z } = require('zod');
+const { ApiError } = require('../utils/errors');
+const { ATTACHMENT_KINDS, detectFileType } = require('../utils/attachmentTypes');
+const { getStorage } = require('./attachmentStorage.service');
+const logger = require('../utils/logger');
+const { parse } = require('../utils/validation');
+
+const MAX_FILE_SIZE = Number(process.env.ATTACHMENT_MAX_SIZE || 10 * 1024 * 1024);
+
+const MAX_ATTACHMENTS = 50;
+
+// Older versions are deleted as new ones are uploaded
+const MAX_VERSIONS = 10;
+
+const createSchema = z.object({
+  name: z.string().trim().min(1).max(200).optional(), // defaults to the file name
+  kind: z.enum(ATTACHMENT_KINDS).default('chart')
+});
+
+/**
+ * Find an attachment of a song, or throw a 404
+ * @param {Object} song
+ * @param {string} attachmentId
+ * @returns {Object}
+ */
+const findAttachment = (song, attachmentId) => {
+  const attachment = song.attachments.id(attachmentId);
+  if (!attachment) {
+    throw new ApiError(404, 'Attachment not found');
+  }
+  return attachment;
+};
+
+/**
+ * Delete files from storage, logging the ones that cannot be deleted
+ * @param {Array<Object>} versions - Versions whose files are no longer referred to
+ */
+const removeFiles = async (versions) => {
+  await Promise.all(versions.map(async (version) => {
+    try {
+      await getStorage(version.storage).storage.remove(version.storageKey);
+    } catch (error) {
+      logger.error(`Failed to remove attachment file ${version.storageKey}:`, error);
+    }
+  }));
+};
+
+/**
+ * Check an upload and put it in storage as the next version of an attachment
+ * @param {Object} song
+ * @param {Object} attachment
+ * @param {Object} file - Uploaded file (multer memory storage)
+ * @param {string} userId
+ * @returns {Promise<Object>} The version, not yet added to the attachment
+ */
+const storeFile = async (song, attachment, file, userId) => {
+  if (!file) {
+    throw new ApiError(400, 'Upload a file in the file field');
+  }
+  if (file.size > MAX_FILE_SIZE) {
+    throw new ApiError(413, `Attachments can be at most ${Math.floor(MAX_FILE_SIZE / (1024 * 1024))} MB`);
+  }
+
+  const fileName = path.basename(file.originalname).slice(-200);
+  const mimeType = detectFileType(fileName, file.buffer);
+  if (!mimeType) {
+    throw new ApiError(415, 'Only PDF, image (PNG, JPEG, GIF, WebP) and text chart (.txt, .cho, .chopro, .crd, .pro) files can be attached, and their content must match their extension');
+  }
+
+  const last = attachment.versions[attachment.versions.length - 1];
+  const number = last ? last.number + 1 : 1;
+  const storageKey = `songs/${song._id}/${attachment._id}/${number}-${crypto.randomBytes(8).toString('hex')}${path.extname(fileName).toLowerCase()}`;
+
+  const { name, storage } = getStorage();
+  await storage.put(storageKey, file.buffer, mimeType);
+
+  return {
+    number,
+    storage: name,
+    storageKey,
+    fileName,
+    mimeType,
+    size: file.buffer.length,
+    checksum: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+    uploadedBy: userId
+  };
+};
+
+/**
+ * Save a song that now refers to a newly stored file, removing the file if the save fails
+ * @param {Object} song
+ * @param {Object} version - The new version
+ */
+const saveWithFile = async (song, version) => {
+  try {
+    await song.save();
+  } catch (error) {
+    await removeFiles([version]);
+    throw error;
+  }
+};
+
+/**
+ * Attach a file to a song
+ * @param {Object} song - Song the user may edit
+ * @param {string} userId
+ * @param {Object} file - Uploaded file
+ * @param {Object} input - Request body matching createSchema
+ * @returns {Promise<Object>} The new attachment
+ */
+const addAttachment = async (song, userId, file, input) => {
+  const { name, kind } = parse(createSchema, input, 'attachment');
+
+  if (song.attachments.length >= MAX_ATTACHMENTS) {
+    throw new ApiError(400, `A song can have at most ${MAX_ATTACHMENTS} attachments`);
+  }
+
+  song.attachments.push({
+    name: name || (file ? path.parse(file.originalname).name : ''),
+    kind,
+    versions: [],
+    createdBy: userId
+  });
+  const attachment = song.attachments[song.attachments.length - 1];
+
+  let version;
+  try {
+    version = await storeFile(song, attachment, file, userId);
+  } catch (error) {
+    attachment.deleteOne();
+    throw error;
+  }
+
+  attachment.versions.push(version);
+  await saveWithFile(song, version);
+
+  return attachment;
+};
+
+/**
+ * Upload a new version of an attachment, which becomes its current file
+ * @param {Object} song - Song the user may edit
+ * @param {string} attachmentId
+ * @param {string} userId
+ * @param {Object} file - Uploaded file
+ * @returns {Promise<Object>} The attachment
+ */
+const addVersion = async (song, attachmentId, userId, file) => {
+  const attachment = findAttachment(song, attachmentId);
+
+  const version = await storeFile(song, attachment, file, userId);
+  attachment.versions.push(version);
+  const pruned = attachment.versions.splice(0, Math.max(attachment.versions.length - MAX_VERSIONS, 0));
+
+  await saveWithFile(song, version);
+  await removeFiles(pruned);
+
+  return attachment;
+};
+
+/**
+ * Read an attachment's file
+ * @param {Object} song - Song the user can access
+ * @param {string} attachmentId
+ * @param {number} [number] - Version number; the current version by default
+ * @returns {Promise<{version: Object, buffer: Buffer}>}
+ */
+const getAttachmentFile = async (song, attachmentId, number) => {
+  const attachment = findAttachment(song, attachmentId);
+
+  const version = number === undefined
+    ? attachment.versions[attachment.versions.length - 1]
+    : attachment.versions.find(candidate => candidate.number === number);
+  if (!version) {
+    throw new ApiError(404, 'Version not found');
+  }
+
+  const buffer = await getStorage(version.storage).storage.get(version.storageKey);
+  return { version, buffer };
+};
+
+/**
+ * Remove an attachment and all its versions
+ * @param {Object} song - Song the user may edit
+ * @param {string} attachmentId
+ */
+const removeAttachment = async (song, attachmentId) => {
+  const attachment = findAttachment(song, attachmentId);
+  const versions = [...attachment.versions];
+
+  attachment.deleteOne();
+  await song.save();
+  await removeFiles(versions);
+};
+
+/**
+ * Delete the files of every attachment of a song that has been deleted
+ * @param {Object} song
+ */
+const removeAttachmentFiles = async (song) => {
+  await removeFiles((song.attachments || []).flatMap(attachment => attachment.versions));
+};
+
+module.exports = {
+  MAX_FILE_SIZE,
+  addAttachment,
+  addVersion,
+  getAttachmentFile,
+  removeAttachment,
+  removeAttachmentFiles
+};
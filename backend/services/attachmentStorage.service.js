@@ -0,0 +1,218 @@
+/**
+ * Attachment Storage
+ * Pluggable places to keep attachment files. A storage is an object with
+ * `put(key, buffer, contentType)`, `get(key)` resolving with the file's
+ * buffer, and `remove(key)`, which ignores keys that are already gone. Keys
+ * are made by the attachment service and are safe as file paths.
+ *
+ * Local disk is built in and the default, under ATTACHMENT_DIR (backend/uploads
+ * if unset). S3, or any S3-compatible service through S3_ENDPOINT, is used
+ * with ATTACHMENT_STORAGE=s3 once S3_BUCKET is set; credentials come from
+ * AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY.
+ */
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+const DEFAULT_STORAGE = 'local';
+
+const storages = new Map();
+
+/**
+ * Add or replace a storage
+ * @param {string} name - Name the storage is chosen by in ATTACHMENT_STORAGE
+ * @param {Object} storage
+ */
+const registerStorage = (name, storage) => {
+  storages.set(name, storage);
+};
+
+/**
+ * The storage new attachments go to
+ * Files already stored stay where they are; each version records its storage.
+ * @param {string} [name] - A registered storage; ATTACHMENT_STORAGE by default
+ * @returns {{name: string, storage: Object}}
+ */
+const getStorage = (name = process.env.ATTACHMENT_STORAGE || DEFAULT_STORAGE) => {
+  const storage = storages.get(name);
+  if (!storage) throw new Error(`Unknown attachment storage: ${name}`);
+  return { name, storage };
+};
+
+/**
+ * Storage keeping files in a directory on local disk
+ * @param {Object} [options]
+ * @param {string} [options.root] - Directory to keep files in
+ * @returns {Object} Storage
+ */
+const createLocalStorage = ({
+  root = process.env.ATTACHMENT_DIR || path.join(__dirname, '..', 'uploads')
+} = {}) => {
+  const resolve = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid attachment key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    put: async (key, buffer) => {
+      const filePath = resolve(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+    },
+    get: async key => fs.readFile(resolve(key)),
+    remove: async (key) => {
+      await fs.rm(resolve(key), { force: true });
+    }
+  };
+};
+
+/**
+ * SHA-256 hex digest
+ * @param {Buffer|string} value
+ * @returns {string}
+ */
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * HMAC-SHA256
+ * @param {Buffer|string} key
+ * @param {string} value
+ * @returns {Buffer}
+ */
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+/**
+ * Sign a request with AWS Signature Version 4
+ * The query string is not signed; storage requests have none.
+ * @param {Object} request
+ * @param {string} request.method
+ * @param {URL} request.url
+ * @param {Object} [request.headers] - Headers to sign besides host and x-amz-date
+ * @param {string} request.payloadHash - Hex SHA-256 of the body
+ * @param {Object} credentials
+ * @param {string} credentials.region
+ * @param {string} credentials.service - 's3' for storage
+ * @param {string} credentials.accessKeyId
+ * @param {string} credentials.secretAccessKey
+ * @param {Date} [now]
+ * @returns {Object} Headers to send, Authorization included and host left out
+ */
+const signRequest = (
+  { method, url, headers = {}, payloadHash },
+  { region, service, accessKeyId, secretAccessKey },
+  now = new Date()
+) => {
+  const amzDate = now.toISOString().replace(/[-:]|\.\d{3}/g, '');
+  const date = amzDate.slice(0, 8);
+  const scope = `${date}/${region}/${service}/aws4_request`;
+
+  const signed = Object.fromEntries(
+    Object.entries({ ...headers, host: url.host, 'x-amz-date': amzDate })
+      .map(([name, value]) => [name.toLowerCase(), String(value).trim()])
+  );
+  const names = Object.keys(signed).sort();
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    '',
+    ...names.map(name => `${name}:${signed[name]}`),
+    '',
+    names.join(';'),
+    payloadHash
+  ].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = [service, 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, date), region));
+  const signature = hmac(signingKey, stringToSign).toString('hex');
+
+  const { host, ...sent } = signed;
+  return {
+    ...sent,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`
+  };
+};
+
+/**
+ * Storage keeping files in an S3 bucket, signing requests with AWS Signature Version 4
+ * @param {Object} [options]
+ * @param {string} [options.bucket]
+ * @param {string} [options.region]
+ * @param {string} [options.endpoint] - S3-compatible service (MinIO, R2...), addressed path-style
+ * @param {string} [options.accessKeyId]
+ * @param {string} [options.secretAccessKey]
+ * @param {string} [options.sessionToken]
+ * @param {Function} [options.request] - fetch, for tests
+ * @returns {Object} Storage
+ */
+const createS3Storage = ({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || process.env.AWS_REGION || 'us-east-1',
+  endpoint = process.env.S3_ENDPOINT,
+  accessKeyId = process.env.AWS_ACCESS_KEY_ID,
+  secretAccessKey = process.env.AWS_SECRET_ACCESS_KEY,
+  sessionToken = process.env.AWS_SESSION_TOKEN,
+  request = (...args) => fetch(...args)
+} = {}) => {
+  const objectUrl = (key) => {
+    const objectPath = key.split('/').map(encodeURIComponent).join('/');
+    return endpoint
+      ? new URL(`${endpoint.replace(/\/+$/, '')}/${bucket}/${objectPath}`)
+      : new URL(`https://${bucket}.s3.${region}.amazonaws.com/${objectPath}`);
+  };
+
+  const send = async (method, key, body = '', headers = {}) => {
+    const url = objectUrl(key);
+    const payloadHash = sha256(body);
+    return request(url, {
+      method,
+      headers: signRequest({
+        method,
+        url,
+        headers: {
+          ...headers,
+          'x-amz-content-sha256': payloadHash,
+          ...(sessionToken ? { 'x-amz-security-token': sessionToken } : {})
+        },
+        payloadHash
+      }, { region, service: 's3', accessKeyId, secretAccessKey }),
+      body: method === 'PUT' ? body : undefined
+    });
+  };
+
+  const check = (response, method, key) => {
+    if (!response.ok) {
+      throw new Error(`S3 ${method} ${key} failed with ${response.status}`);
+    }
+    return response;
+  };
+
+  return {
+    put: async (key, buffer, contentType) => {
+      check(await send('PUT', key, buffer, { 'content-type': contentType }), 'PUT', key);
+    },
+    get: async (key) => {
+      const response = check(await send('GET', key), 'GET', key);
+      return Buffer.from(await response.arrayBuffer());
+    },
+    remove: async (key) => {
+      const response = await send('DELETE', key);
+      if (response.status !== 404) check(response, 'DELETE', key);
+    }
+  };
+};
+
+registerStorage('local', createLocalStorage());
+if (process.env.S3_BUCKET) {
+  registerStorage('s3', createS3Storage());
+}
+
+module.exports = {
+  registerStorage,
+  getStorage,
+  createLocalStorage,
+  createS3Storage,
+  signRequest
+};
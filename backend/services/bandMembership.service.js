@@ -0,0 +1,389 @@
+/**
+ * Band Membership Service
+ * Invitations (by email or shareable join code) and the membership lifecycle:
+ * joining, leaving, removing members and handing over leadership.
+ *
+ * Email invitations can be sent to people without an account; they see the
+ * invitation once they sign up with that address. Join codes can be used by
+ * anyone who has them until they expire, run out of uses or are revoked.
+ *
+ * Membership changes are conditional updates, so a band is never left without
+ * a leader even when two leaders leave at the same moment.
+ */
+const mongoose = require('mongoose');
+const { z } = require('zod');
+const Band = require('../models/band.model');
+const Invitation = require('../models/invitation.model');
+const User = require('../models/user.model');
+const { ApiError } = require('../utils/errors');
+const { PERMISSIONS, DEFAULT_PERMISSIONS, expandPermissions, authorize } = require('../utils/authorization');
+const { objectId, parse } = require('../utils/validation');
+
+const DEFAULT_EXPIRY_DAYS = 7;
+const MAX_EXPIRY_DAYS = 30;
+
+// Attempts at generating a join code that is not already taken
+const CODE_ATTEMPTS = 5;
+
+const invitationSchema = z.object({
+  type: z.enum(['email', 'code']).default('email'),
+  email: z.string().trim().toLowerCase().email().optional(),
+  role: z.enum(['leader', 'member']).default('member'),
+  roleId: objectId.nullable().optional(),
+  permissions: z.array(z.enum(PERMISSIONS)).optional(),
+  expiresInDays: z.number().int().min(1).max(MAX_EXPIRY_DAYS).default(DEFAULT_EXPIRY_DAYS),
+  maxUses: z.number().int().min(1).nullable().optional()
+}).refine(input => input.type !== 'email' || input.email, {
+  message: 'email is required for email invitations',
+  path: ['email']
+});
+
+/**
+ * Filter matching a band only while someone other than a user is still a leader
+ * @param {string} bandId
+ * @param {string} userId
+ * @returns {Object}
+ */
+const otherLeaderFilter = (bandId, userId) => ({
+  _id: bandId,
+  members: { $elemMatch: { userId: { $ne: userId }, role: 'leader' } }
+});
+
+/**
+ * Invite someone to a band by email, or create a join code
+ * Members who are not leaders can only invite members, with a role template and
+ * permissions that give nothing they do not have themselves.
+ * @param {Object} band
+ * @param {string} userId - Inviting user
+ * @param {Object} input - Request body matching invitationSchema
+ * @returns {Promise<Object>} Invitation document
+ */
+const createInvitation = async (band, userId, input) => {
+  await authorize(userId, 'invite_members', band, 'You do not have permission to invite members');
+
+  const data = parse(invitationSchema, input || {}, 'invitation');
+  const { type, email, role, expiresInDays, maxUses } = data;
+  const inviterIsLeader = band.isLeader(userId);
+
+  if (role === 'leader' && !inviterIsLeader) {
+    throw new ApiError(403, 'Only leaders can invite leaders');
+  }
+
+  const template = role === 'member' ? band.getRole(data.roleId) : null;
+  if (data.roleId && role === 'member' && !template) {
+    throw new ApiError(400, 'Role template not found');
+  }
+
+  // Leaders have every permission anyway; a role template on its own needs no extra grants
+  let permissions = data.permissions || (template ? [] : DEFAULT_PERMISSIONS);
+  if (role === 'leader') permissions = [...PERMISSIONS];
+
+  if (!inviterIsLeader) {
+    const granted = expandPermissions([...(template ? template.permissions : []), ...permissions]);
+    const missing = [...granted].filter(permission => !band.hasPermission(userId, permission));
+    if (missing.length) {
+      throw new ApiError(403, `You cannot grant permissions you do not have: ${missing.join(', ')}`);
+    }
+  }
+
+  const expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+  const terms = { role, roleId: template ? template._id : null, permissions, expiresAt, invitedBy: userId };
+
+  if (type === 'email') {
+    const existingUser = await User.findOne({ email }).select('_id');
+    if (existingUser && band.hasMember(existingUser._id)) {
+      throw new ApiError(409, 'That person is already a member of the band');
+    }
+
+    // Inviting the same address again renews the pending invitation
+    const pending = await Invitation.findOne({ bandId: band._id, type: 'email', email, status: 'pending' });
+    if (pending) {
+      pending.set(terms);
+      return pending.save();
+    }
+
+    return Invitation.create({ bandId: band._id, type, email, ...terms });
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await Invitation.create({
+        bandId: band._id,
+        type,
+        code: Invitation.generateCode(),
+        maxUses: maxUses || null,
+        ...terms
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= CODE_ATTEMPTS) throw error;
+    }
+  }
+};
+
+/**
+ * Pending invitations and join codes of a band
+ * @param {Object} band
+ * @param {string} userId
+ * @returns {Promise<Array<Object>>}
+ */
+const getBandInvitations = async (band, userId) => {
+  await authorize(userId, 'manage_invites', band, 'You do not have permission to manage invitations');
+
+  return Invitation.find({ bandId: band._id, status: 'pending', expiresAt: { $gt: new Date() } })
+    .populate('invitedBy', 'name')
+    .sort({ createdAt: -1 });
+};
+
+/**
+ * Revoke a pending invitation or join code
+ * @param {Object} band
+ * @param {string} invitationId
+ * @param {string} userId
+ * @returns {Promise<Object>} Revoked invitation
+ */
+const revokeInvitation = async (band, invitationId, userId) => {
+  await authorize(userId, 'manage_invites', band, 'You do not have permission to manage invitations');
+
+  const invitation = mongoose.Types.ObjectId.isValid(invitationId)
+    ? await Invitation.findOneAndUpdate(
+      { _id: invitationId, bandId: band._id, status: 'pending' },
+      { $set: { status: 'revoked' } },
+      { new: true }
+    )
+    : null;
+
+  if (!invitation) {
+    throw new ApiError(404, 'Invitation not found');
+  }
+
+  return invitation;
+};
+
+/**
+ * Email invitations waiting for a user
+ * @param {Object} user
+ * @returns {Promise<Array<Object>>}
+ */
+const getInvitationsFor = async user => Invitation.find({
+  type: 'email',
+  email: user.email.toLowerCase(),
+  status: 'pending',
+  expiresAt: { $gt: new Date() }
+})
+  .select('-uses')
+  .populate('bandId', 'name description')
+  .populate('invitedBy', 'name')
+  .sort({ createdAt: -1 });
+
+/**
+ * Join a band with an invitation, taking the role and permissions it was created with
+ * @param {Object} invitation
+ * @param {string} userId
+ * @returns {Promise<Object>} Band document
+ */
+const joinBand = async (invitation, userId) => {
+  const band = await Band.findById(invitation.bandId);
+  if (!band) {
+    throw new ApiError(404, 'Band not found');
+  }
+  if (band.hasMember(userId)) {
+    throw new ApiError(409, 'You are already a member of this band');
+  }
+
+  const now = new Date();
+  const use = { userId, joinedAt: now };
+
+  // Claim the invitation first, so an email invitation or a code's last use is only spent once
+  const claimed = await Invitation.findOneAndUpdate(
+    {
+      _id: invitation._id,
+      status: 'pending',
+      expiresAt: { $gt: now },
+      $or: [{ maxUses: null }, { $expr: { $lt: [{ $size: '$uses' }, '$maxUses'] } }]
+    },
+    invitation.type === 'email'
+      ? { $set: { status: 'accepted', respondedAt: now }, $push: { uses: use } }
+      : { $push: { uses: use } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    throw new ApiError(410, 'This invitation has expired or is no longer valid');
+  }
+
+  await Band.updateOne(
+    { _id: band._id, 'members.userId': { $ne: userId } },
+    { $push: { members: { userId, role: claimed.role, roleId: claimed.roleId, permissions: claimed.permissions } } }
+  );
+
+  return Band.findById(band._id);
+};
+
+/**
+ * Accept an email invitation
+ * @param {Object} invitation
+ * @param {Object} user
+ * @returns {Promise<Object>} Band document
+ */
+const acceptInvitation = async (invitation, user) => joinBand(invitation, user._id);
+
+/**
+ * Decline an email invitation
+ * @param {Object} invitation
+ * @returns {Promise<Object>} Declined invitation
+ */
+const declineInvitation = async (invitation) => {
+  const declined = await Invitation.findOneAndUpdate(
+    { _id: invitation._id, status: 'pending' },
+    { $set: { status: 'declined', respondedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!declined) {
+    throw new ApiError(410, 'This invitation is no longer pending');
+  }
+
+  return declined;
+};
+
+/**
+ * Join a band with a join code
+ * @param {string} code
+ * @param {Object} user
+ * @returns {Promise<Object>} Band document
+ */
+const joinWithCode = async (code, user) => {
+  const invitation = typeof code === 'string' && code.trim()
+    ? await Invitation.findOne({ type: 'code', code: code.trim().toUpperCase() })
+    : null;
+
+  if (!invitation) {
+    throw new ApiError(404, 'Join code not found');
+  }
+
+  return joinBand(invitation, user._id);
+};
+
+/**
+ * Leave a band
+ * The last leader has to hand over leadership first.
+ * @param {Object} band
+ * @param {string} userId
+ * @returns {Promise<void>}
+ */
+const leaveBand = async (band, userId) => {
+  const member = band.getMember(userId);
+  if (!member) {
+    throw new ApiError(404, 'You are not a member of this band');
+  }
+
+  const filter = member.role === 'leader'
+    ? otherLeaderFilter(band._id, userId)
+    : { _id: band._id };
+
+  const result = await Band.updateOne(filter, { $pull: { members: { userId } } });
+
+  if (!result.modifiedCount) {
+    throw new ApiError(409, 'You are the only leader of this band; transfer leadership before leaving');
+  }
+};
+
+/**
+ * Remove another member from a band
+ * Only leaders can remove leaders.
+ * @param {Object} band
+ * @param {string} userId - User doing the removing
+ * @param {string} memberId - User to remove
+ * @returns {Promise<Object>} Band document
+ */
+const removeMember = async (band, userId, memberId) => {
+  await authorize(userId, 'remove_members', band, 'You do not have permission to remove members');
+
+  if (memberId.toString() === userId.toString()) {
+    throw new ApiError(400, 'Use leave to remove yourself from a band');
+  }
+
+  const member = band.getMember(memberId);
+  if (!member) {
+    throw new ApiError(404, 'Member not found');
+  }
+
+  if (member.role === 'leader' && !band.isLeader(userId)) {
+    throw new ApiError(403, 'Only leaders can remove a leader');
+  }
+
+  const filter = member.role === 'leader'
+    ? otherLeaderFilter(band._id, memberId)
+    : { _id: band._id };
+
+  const result = await Band.updateOne(filter, { $pull: { members: { userId: member.userId } } });
+
+  if (!result.modifiedCount) {
+    throw new ApiError(409, 'A band must keep at least one leader');
+  }
+
+  return Band.findById(band._id);
+};
+
+/**
+ * Hand leadership to another member; the current leader stays on as a member
+ * with what a new member gets: their role template, or the default permissions
+ * without one (not the full set they held as leader)
+ * @param {Object} band
+ * @param {string} userId - Current leader
+ * @param {string} newLeaderId - Member taking over
+ * @returns {Promise<Object>} Band document
+ */
+const transferLeadership = async (band, userId, newLeaderId) => {
+  if (!band.isLeader(userId)) {
+    throw new ApiError(403, 'Only leaders can transfer leadership');
+  }
+
+  if (!newLeaderId || !mongoose.Types.ObjectId.isValid(newLeaderId) || !band.hasMember(newLeaderId)) {
+    throw new ApiError(400, 'userId must be a member of the band');
+  }
+
+  if (newLeaderId.toString() === userId.toString()) {
+    throw new ApiError(400, 'You are already a leader of this band');
+  }
+
+  const template = band.getRole(band.getMember(userId).roleId);
+
+  const result = await Band.updateOne(
+    { _id: band._id, members: { $elemMatch: { userId, role: 'leader' } }, 'members.userId': newLeaderId },
+    {
+      $set: {
+        'members.$[next].role': 'leader',
+        'members.$[next].permissions': PERMISSIONS,
+        'members.$[previous].role': 'member',
+        'members.$[previous].permissions': template ? [] : DEFAULT_PERMISSIONS
+      }
+    },
+    {
+      arrayFilters: [
+        { 'next.userId': new mongoose.Types.ObjectId(newLeaderId) },
+        { 'previous.userId': userId }
+      ]
+    }
+  );
+
+  if (!result.modifiedCount) {
+    throw new ApiError(409, 'The band changed while transferring leadership; try again');
+  }
+
+  return Band.findById(band._id);
+};
+
+module.exports = {
+  invitationSchema,
+  createInvitation,
+  getBandInvitations,
+  revokeInvitation,
+  getInvitationsFor,
+  acceptInvitation,
+  declineInvitation,
+  joinWithCode,
+  leaveBand,
+  removeMember,
+  transferLeadership
+};
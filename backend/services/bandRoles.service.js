@@ -0,0 +1,188 @@
+/**
+ * Band Roles Service
+ * Role templates (named permission bundles such as "Musical director" or
+ * "Session player") and assigning them to members.
+ *
+ * A member holds the permissions of their role template plus any granted to
+ * them individually, so editing a template changes what everyone with that
+ * role can do. Only leaders manage roles.
+ */
+const mongoose = require('mongoose');
+const { z } = require('zod');
+const Band = require('../models/band.model');
+const Invitation = require('../models/invitation.model');
+const { ApiError } = require('../utils/errors');
+const { PERMISSIONS } = require('../utils/authorization');
+const { objectId, parse } = require('../utils/validation');
+
+const roleSchema = z.object({
+  name: z.string().trim().min(1).max(50),
+  description: z.string().trim().max(200).default(''),
+  permissions: z.array(z.enum(PERMISSIONS)).default([])
+});
+
+const memberSchema = z.object({
+  roleId: objectId.nullable().optional(),
+  permissions: z.array(z.enum(PERMISSIONS)).optional()
+});
+
+/**
+ * Throw unless a user leads a band
+ * @param {Object} band
+ * @param {string} userId
+ */
+const requireLeader = (band, userId) => {
+  if (!band.isLeader(userId)) {
+    throw new ApiError(403, 'Only leaders can manage roles');
+  }
+};
+
+/**
+ * Throw if another role template of the band already has a name
+ * @param {Object} band
+ * @param {string} name
+ * @param {string} [exceptRoleId]
+ */
+const checkNameFree = (band, name, exceptRoleId = null) => {
+  const taken = band.roles.some(role =>
+    role.name.toLowerCase() === name.toLowerCase()
+    && (!exceptRoleId || role._id.toString() !== exceptRoleId.toString())
+  );
+
+  if (taken) {
+    throw new ApiError(409, `There is already a role called ${name}`);
+  }
+};
+
+/**
+ * Role templates of a band, with how many members hold each
+ * @param {Object} band
+ * @returns {Array<Object>}
+ */
+const getRoles = band => band.roles.map(role => ({
+  ...role.toObject(),
+  memberCount: band.members.filter(member =>
+    member.role === 'member' && member.roleId && member.roleId.toString() === role._id.toString()
+  ).length
+}));
+
+/**
+ * Add a role template
+ * @param {Object} band
+ * @param {string} userId
+ * @param {Object} input - Request body matching roleSchema
+ * @returns {Promise<Object>} Band document
+ */
+const createRole = async (band, userId, input) => {
+  requireLeader(band, userId);
+  const role = parse(roleSchema, input, 'role');
+  checkNameFree(band, role.name);
+
+  await Band.updateOne({ _id: band._id }, { $push: { roles: role } });
+
+  return Band.findById(band._id);
+};
+
+/**
+ * Rename a role template or change its permissions
+ * @param {Object} band
+ * @param {string} userId
+ * @param {string} roleId
+ * @param {Object} input - Request body with any roleSchema fields
+ * @returns {Promise<Object>} Band document
+ */
+const updateRole = async (band, userId, roleId, input) => {
+  requireLeader(band, userId);
+  if (!mongoose.Types.ObjectId.isValid(roleId) || !band.getRole(roleId)) {
+    throw new ApiError(404, 'Role not found');
+  }
+
+  const changes = parse(roleSchema.partial(), input, 'role');
+  if (changes.name) checkNameFree(band, changes.name, roleId);
+
+  const update = Object.entries(changes).reduce((fields, [field, value]) => {
+    if (value !== undefined) fields[`roles.$.${field}`] = value;
+    return fields;
+  }, {});
+
+  if (Object.keys(update).length) {
+    await Band.updateOne({ _id: band._id, 'roles._id': roleId }, { $set: update });
+  }
+
+  return Band.findById(band._id);
+};
+
+/**
+ * Delete a role template
+ * Members who had it keep only their individual permissions.
+ * @param {Object} band
+ * @param {string} userId
+ * @param {string} roleId
+ * @returns {Promise<Object>} Band document
+ */
+const deleteRole = async (band, userId, roleId) => {
+  requireLeader(band, userId);
+  if (!mongoose.Types.ObjectId.isValid(roleId) || !band.getRole(roleId)) {
+    throw new ApiError(404, 'Role not found');
+  }
+
+  const id = new mongoose.Types.ObjectId(roleId);
+
+  await Band.updateOne(
+    { _id: band._id },
+    { $pull: { roles: { _id: id } }, $set: { 'members.$[holder].roleId': null } },
+    { arrayFilters: [{ 'holder.roleId': id }] }
+  );
+  await Invitation.updateMany({ bandId: band._id, roleId: id }, { $set: { roleId: null } });
+
+  return Band.findById(band._id);
+};
+
+/**
+ * Give a member a role template and/or change their individual permissions
+ * Leaders hold every permission, so this only applies to other members.
+ * @param {Object} band
+ * @param {string} userId
+ * @param {string} memberId
+ * @param {Object} input - Request body matching memberSchema
+ * @returns {Promise<Object>} Band document
+ */
+const updateMember = async (band, userId, memberId, input) => {
+  requireLeader(band, userId);
+
+  const member = mongoose.Types.ObjectId.isValid(memberId) ? band.getMember(memberId) : null;
+  if (!member) {
+    throw new ApiError(404, 'Member not found');
+  }
+  if (member.role === 'leader') {
+    throw new ApiError(400, 'Leaders hold every permission; transfer leadership to change their role');
+  }
+
+  const { roleId, permissions } = parse(memberSchema, input, 'member');
+  if (roleId && !band.getRole(roleId)) {
+    throw new ApiError(400, 'Role template not found');
+  }
+
+  const update = {};
+  if (roleId !== undefined) update['members.$[target].roleId'] = roleId;
+  if (permissions !== undefined) update['members.$[target].permissions'] = permissions;
+
+  if (Object.keys(update).length) {
+    await Band.updateOne(
+      { _id: band._id },
+      { $set: update },
+      { arrayFilters: [{ 'target.userId': member.userId, 'target.role': 'member' }] }
+    );
+  }
+
+  return Band.findById(band._id);
+};
+
+module.exports = {
+  roleSchema,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  updateMember
+};
@@ -0,0 +1,338 @@
+/**
+ * Calendar Service
+ * Gigs and rehearsals in and out of other calendar apps: secret iCalendar
+ * feeds users subscribe to from Google Calendar, Apple Calendar or Outlook,
+ * and importing the events of an .ics file.
+ *
+ * Feeds are checked against the owner's current band memberships every time
+ * they are fetched, so leaving a band (or losing the perform permission)
+ * empties a feed without it having to be revoked.
+ */
+const mongoose = require('mongoose');
+const { z } = require('zod');
+const CalendarFeed = require('../models/calendarFeed.model');
+const Event = require('../models/event.model');
+const Band = require('../models/band.model');
+const User = require('../models/user.model');
+const { getMemberBand, getCalendarFilter, saveEvent } = require('./event.service');
+const { ApiError } = require('../utils/errors');
+const { authorize } = require('../utils/authorization');
+const { buildCalendar, parseCalendar } = require('../utils/ical');
+const { isSong, formatEntryTitle } = require('../utils/setlistEntries');
+const { objectId, parse } = require('../utils/validation');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// How far back feeds go; calendar apps keep past events they have already seen
+const FEED_HISTORY_DAYS = 90;
+const MAX_FEED_EVENTS = 1000;
+const MAX_IMPORT_EVENTS = 500;
+
+const ICAL_STATUSES = {
+  confirmed: 'CONFIRMED',
+  tentative: 'TENTATIVE',
+  cancelled: 'CANCELLED'
+};
+
+const feedSchema = z.object({
+  bandId: objectId.nullable().default(null),
+  label: z.string().trim().max(100).default('')
+});
+
+/**
+ * Subscription URLs of a feed token
+ * @param {string} token
+ * @returns {{url: string, webcalUrl: string}}
+ */
+const getFeedUrls = (token) => {
+  const url = `${process.env.API_URL || 'http://localhost:5000'}/api/calendar/${token}.ics`;
+  return { url, webcalUrl: url.replace(/^https?:/, 'webcal:') };
+};
+
+/**
+ * Create a feed of the user's events, or of one band's
+ * @param {string} userId
+ * @param {Object} input - Request body matching feedSchema
+ * @returns {Promise<{feed: Object, token: string, url: string, webcalUrl: string}>} The token and URLs are only ever returned here
+ */
+const createFeed = async (userId, input) => {
+  const { bandId, label } = parse(feedSchema, input || {}, 'calendar feed');
+  if (bandId) {
+    const band = await getMemberBand(bandId, userId);
+    await authorize(userId, 'perform', band, "You do not have permission to see this band's calendar");
+  }
+
+  const { token, tokenHash } = CalendarFeed.generateToken();
+  const feed = await CalendarFeed.create({ userId, bandId, tokenHash, label });
+
+  return { feed, token, ...getFeedUrls(token) };
+};
+
+/**
+ * A user's feeds
+ * @param {string} userId
+ * @returns {Promise<Array<Object>>}
+ */
+const getFeeds = async userId => CalendarFeed.find({ userId }).sort({ createdAt: -1 });
+
+/**
+ * Revoke one of a user's feeds; calendars subscribed to it stop updating
+ * @param {string} feedId
+ * @param {string} userId
+ * @returns {Promise<void>}
+ */
+const revokeFeed = async (feedId, userId) => {
+  const feed = mongoose.Types.ObjectId.isValid(feedId)
+    ? await CalendarFeed.findOneAndDelete({ _id: feedId, userId })
+    : null;
+
+  if (!feed) {
+    throw new ApiError(404, 'Calendar feed not found');
+  }
+};
+
+/**
+ * Format a time of day in an event's time zone, e.g. 19:30
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {string}
+ */
+const formatTime = (date, timeZone) => new Intl.DateTimeFormat('en-GB', {
+  timeZone,
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23'
+}).format(date);
+
+/**
+ * Plain-text running order of an event and the songs of its setlist
+ * @param {Object} event - Event with its setlist and the setlist's songs populated
+ * @returns {string}
+ */
+const describeEvent = (event) => {
+  const { timeZone } = event;
+  const lines = [];
+
+  if (event.loadInAt) lines.push(`Load-in ${formatTime(event.loadInAt, timeZone)}`);
+  if (event.soundcheckAt) lines.push(`Soundcheck ${formatTime(event.soundcheckAt, timeZone)}`);
+  event.setTimes.forEach((slot) => {
+    const end = slot.endsAt ? `–${formatTime(slot.endsAt, timeZone)}` : '';
+    lines.push(`${slot.name || 'Set'} ${formatTime(slot.startsAt, timeZone)}${end}`);
+  });
+
+  if (event.notes) lines.push('', event.notes);
+
+  const setlist = event.setlistId;
+  if (setlist && setlist.sets) {
+    lines.push('', `Setlist: ${setlist.title}`);
+    setlist.sets.forEach((set) => {
+      lines.push('', set.name);
+
+      // Songs are numbered; breaks, announcements and cues are set apart between them
+      let number = 0;
+      [...set.songs]
+        .sort((a, b) => a.order - b.order)
+        .forEach((entry) => {
+          const title = formatEntryTitle(entry, song => song);
+          if (!isSong(entry)) {
+            lines.push(`-- ${title} --`);
+            return;
+          }
+          number += 1;
+          lines.push(`${number}. ${title}${entry.segue ? ' >' : ''}`);
+        });
+    });
+  }
+
+  return lines.join('\n').trim();
+};
+
+/**
+ * The iCalendar document served for a feed token
+ * @param {string} token
+ * @returns {Promise<{name: string, calendar: string}|null>} Null if the feed does not exist or
+ *   its owner can no longer see the band it is for
+ */
+const getFeedCalendar = async (token) => {
+  const feed = await CalendarFeed.findOne({ tokenHash: CalendarFeed.hashToken(token) });
+  if (!feed) return null;
+
+  const user = await User.findById(feed.userId).select('name');
+  if (!user) return null;
+
+  let filter;
+  try {
+    filter = await getCalendarFilter(feed.userId, feed.bandId);
+  } catch (error) {
+    if (error instanceof ApiError) return null;
+    throw error;
+  }
+
+  filter.startsAt = { $gte: new Date(Date.now() - FEED_HISTORY_DAYS * DAY) };
+
+  const events = await Event.find(filter)
+    .sort({ startsAt: 1 })
+    .limit(MAX_FEED_EVENTS)
+    .populate({
+      path: 'setlistId',
+      select: 'title sets',
+      populate: [
+        { path: 'sets.songs.songId', select: 'title variants' },
+        { path: 'sets.songs.medley.songId', select: 'title variants' }
+      ]
+    });
+
+  const bandIds = [...new Set([feed.bandId, ...events.map(event => event.bandId)]
+    .filter(Boolean)
+    .map(bandId => bandId.toString()))];
+  const bands = new Map((await Band.find({ _id: { $in: bandIds } }).select('name'))
+    .map(band => [band._id.toString(), band.name]));
+
+  const name = feed.bandId
+    ? `${bands.get(feed.bandId.toString())} gigs & rehearsals`
+    : `${user.name}'s gigs & rehearsals`;
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+  const calendar = buildCalendar({
+    name,
+    events: events.map((event) => {
+      const bandName = event.bandId && bands.get(event.bandId.toString());
+
+      return {
+        uid: `${event._id}@setlist-builder`,
+        start: event.startsAt,
+        end: event.endsAt,
+        allDay: event.allDay,
+        timeZone: event.timeZone,
+        // A feed of several bands says whose gig it is
+        summary: !feed.bandId && bandName ? `${bandName}: ${event.title}` : event.title,
+        location: event.getLocation(),
+        description: describeEvent(event),
+        status: ICAL_STATUSES[event.status],
+        sequence: event.sequence,
+        url: event.setlistId ? `${frontendUrl}/setlists/${event.setlistId._id}` : null,
+        updatedAt: event.updatedAt
+      };
+    })
+  });
+
+  await CalendarFeed.updateOne({ _id: feed._id }, { $set: { lastAccessedAt: new Date() } });
+
+  return { name, calendar };
+};
+
+/**
+ * Split an imported LOCATION into a venue and an address, the way feeds join them
+ * @param {string} location
+ * @returns {{venue: string, address: string}}
+ */
+const splitLocation = (location) => {
+  const comma = location.indexOf(',');
+  if (comma === -1) return { venue: location, address: '' };
+  return { venue: location.slice(0, comma).trim(), address: location.slice(comma + 1).trim() };
+};
+
+/**
+ * Import the events of an .ics file onto a band's calendar or the user's own
+ * Events are matched to earlier imports by their UID, so importing an updated
+ * export of the same calendar changes events rather than duplicating them.
+ * Only what a calendar entry knows about (title, times, place, description
+ * and status) is overwritten; set times and the linked setlist are kept.
+ * @param {string} userId
+ * @param {Object} options
+ * @param {string} options.text - Contents of the .ics file
+ * @param {string|null} [options.bandId]
+ * @param {string} [options.type] - gig or rehearsal; guessed from each title if left out
+ * @param {string} [options.timeZone] - Time zone of times the file does not give one for
+ * @returns {Promise<{created: Array<Object>, updated: Array<Object>, skipped: Array<Object>, setlists: Array<Object>}>}
+ *   The setlists whose date or venue changed come back for the caller to broadcast
+ */
+const importCalendar = async (userId, { text, bandId = null, type, timeZone }) => {
+  if (bandId) {
+    const band = await getMemberBand(bandId, userId);
+    await authorize(userId, 'manage_events', band, "You do not have permission to schedule this band's events");
+  }
+
+  if (type && !Event.EVENT_TYPES.includes(type)) {
+    throw new ApiError(400, `type must be one of: ${Event.EVENT_TYPES.join(', ')}`);
+  }
+
+  if (!/BEGIN:VCALENDAR/i.test(text)) {
+    throw new ApiError(400, 'The file is not an iCalendar (.ics) file');
+  }
+
+  const calendar = parseCalendar(text, { timeZone });
+  if (calendar.events.length > MAX_IMPORT_EVENTS) {
+    throw new ApiError(400, `Calendars can have at most ${MAX_IMPORT_EVENTS} events per import`);
+  }
+
+  const result = { created: [], updated: [], skipped: [], setlists: [] };
+
+  for (const entry of calendar.events) {
+    const skip = reason => result.skipped.push({ uid: entry.uid, summary: entry.summary, reason });
+
+    if (!entry.start) {
+      skip('No start time');
+      continue;
+    }
+    if (entry.recurring) {
+      skip('Recurring events are not imported');
+      continue;
+    }
+
+    const existing = entry.uid
+      ? await Event.findOne(bandId
+        ? { bandId, externalUid: entry.uid }
+        : { bandId: null, createdBy: userId, externalUid: entry.uid })
+      : null;
+
+    if (!existing && entry.status === 'CANCELLED') {
+      skip('Cancelled');
+      continue;
+    }
+
+    const status = Object.keys(ICAL_STATUSES).find(key => ICAL_STATUSES[key] === entry.status) || 'confirmed';
+    const fields = {
+      title: (entry.summary || 'Untitled event').slice(0, 200),
+      startsAt: entry.start,
+      endsAt: entry.end && entry.end >= entry.start ? entry.end : null,
+      allDay: entry.allDay,
+      ...splitLocation(entry.location),
+      notes: entry.description,
+      status
+    };
+
+    const event = existing || new Event({
+      type: type || (/rehears/i.test(entry.summary) ? 'rehearsal' : 'gig'),
+      bandId,
+      timeZone: calendar.timeZone,
+      externalUid: entry.uid || null,
+      createdBy: userId
+    });
+    event.set(fields);
+
+    if (existing && !existing.isModified()) {
+      skip('Already up to date');
+      continue;
+    }
+
+    try {
+      const { setlist } = await saveEvent(event, userId);
+      (existing ? result.updated : result.created).push(event);
+      if (setlist) result.setlists.push(setlist);
+    } catch (error) {
+      if (!(error instanceof ApiError) && !(error instanceof mongoose.Error.ValidationError)) throw error;
+      skip(error.message);
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  createFeed,
+  getFeeds,
+  revokeFeed,
+  getFeedCalendar,
+  importCalendar
+};
@@ -0,0 +1,120 @@
+/**
+ * Chart Service
+ * Chord charts for setlist entries, in the key the song is actually played in
+ */
+const Song = require('../models/song.model');
+const {
+  parseKey,
+  formatKey,
+  transposeKey,
+  prefersFlats,
+  suggestCapo,
+  interval
+} = require('../utils/musicKey');
+const { parseChordPro, transposeChordPro } = require('../utils/chordpro');
+const { getSongIds, getEntryParts, formatPartTitle } = require('../utils/setlistEntries');
+
+/**
+ * Render a ChordPro chord sheet transposed by some semitones
+ * @param {string} chordSheet
+ * @param {number} semitones
+ * @param {boolean} useFlats
+ * @returns {{chordSheet: string, sections: Array<Object>, chords: Array<string>}|null} Null without a chord sheet
+ */
+const renderChordSheet = (chordSheet, semitones, useFlats) => {
+  if (!chordSheet) return null;
+
+  const transposed = transposeChordPro(chordSheet, semitones, useFlats);
+  const { sections, chords } = parseChordPro(transposed);
+
+  return {
+    chordSheet: transposed,
+    sections: sections.map((section, index) => ({ index, type: section.type, label: section.label, lines: section.lines })),
+    chords
+  };
+};
+
+/**
+ * Semitones from the key a song's chord sheet is written in to the key of one of its arrangements
+ * @param {Object} song - Song document
+ * @param {string|null} variantId
+ * @returns {number} 0 when the arrangement is in the song's key, or either key is unknown
+ */
+const arrangementShift = (song, variantId) => {
+  const written = parseKey(song.key);
+  const arranged = parseKey(song.getArrangement(variantId).key);
+
+  return written && arranged ? interval(written, arranged) : 0;
+};
+
+/**
+ * Build the chart for one setlist entry
+ * @param {Object} song - Song document
+ * @param {Object} entry - Setlist entry referencing the song
+ * @param {Object} [options]
+ * @param {boolean} [options.capo] - Also render the chart as capo shapes for guitarists
+ * @param {Object|null} [variantId] - Arrangement of the song played, for a medley part
+ * @returns {Object}
+ */
+const buildEntryChart = (song, entry, { capo = false } = {}, variantId = entry.variantId || null) => {
+  const transpose = entry.transpose || 0;
+  const songKey = parseKey(song.getArrangement(variantId).key);
+  const playedKey = songKey ? transposeKey(songKey, transpose) : null;
+  const useFlats = prefersFlats(playedKey);
+  // The chord sheet is written in the song's key, not the arrangement's
+  const shift = arrangementShift(song, variantId);
+
+  const suggested = suggestCapo(playedKey);
+  const fret = entry.capo === null || entry.capo === undefined
+    ? (suggested ? suggested.fret : 0)
+    : entry.capo;
+
+  const chart = {
+    entryId: entry._id,
+    songId: song._id,
+    variantId,
+    title: formatPartTitle(song, variantId),
+    artist: song.artist,
+    songKey: songKey ? formatKey(songKey) : null,
+    playedKey: playedKey ? formatKey(playedKey) : null,
+    transpose,
+    chart: renderChordSheet(song.chordSheet, shift + transpose, useFlats),
+    // Fallbacks for songs without a ChordPro chord sheet
+    chordSheetUrl: song.chordSheetUrl,
+    lyricsUrl: song.lyricsUrl,
+    capo: {
+      fret,
+      suggested: !!suggested && fret === suggested.fret && (entry.capo === null || entry.capo === undefined),
+      shapeKey: playedKey ? formatKey(transposeKey(playedKey, -fret)) : null
+    }
+  };
+
+  if (capo && fret) {
+    const shapeKey = transposeKey(playedKey || { root: 'C', mode: 'major' }, -fret);
+    chart.capo.chart = renderChordSheet(song.chordSheet, shift + transpose - fret, prefersFlats(shapeKey));
+  }
+
+  return chart;
+};
+
+/**
+ * Build charts for every entry of a setlist, grouped by set
+ * A medley has a chart per song, all sharing the entry's ID.
+ * @param {Object} setlist - Setlist document
+ * @param {Object} [options] - See buildEntryChart
+ * @returns {Promise<Array<Object>>}
+ */
+const buildSetlistCharts = async (setlist, options = {}) => {
+  const songs = await Song.find({ _id: { $in: getSongIds(setlist.sets) } });
+  const byId = new Map(songs.map(song => [song._id.toString(), song]));
+
+  return setlist.sets.map(set => ({
+    setId: set._id,
+    name: set.name,
+    charts: set.songs.flatMap(entry => getEntryParts(entry)
+      .filter(part => byId.has(part.songId.toString()))
+      .map(part => buildEntryChart(byId.get(part.songId.toString()), entry, options, part.variantId || null)))
+  }));
+};
+
+module.exports = { renderChordSheet, arrangementShift, buildEntryChart, buildSetlistCharts };
@@ -0,0 +1,293 @@
+/**
+ * Comment Service
+ * Threaded discussion of songs and setlist entries.
+ *
+ * Anyone who can see a song or setlist can read its comments. Taking part
+ * (commenting, replying, resolving) needs access through the band or as the
+ * creator, so viewers of a public setlist can read along but not post.
+ */
+const { z } = require('zod');
+const Comment = require('../models/comment.model');
+const Band = require('../models/band.model');
+const Setlist = require('../models/setlist.model');
+const Song = require('../models/song.model');
+const { ApiError } = require('../utils/errors');
+const { can } = require('../utils/authorization');
+const { objectId, parse } = require('../utils/validation');
+
+// Author details shown with each comment
+const AUTHOR_FIELDS = 'name';
+
+const commentSchema = z.object({
+  body: z.string().trim().min(1).max(5000),
+  parentId: objectId.optional()
+});
+
+const commentUpdateSchema = commentSchema.pick({ body: true });
+
+/**
+ * Find an entry anywhere in a setlist's sets
+ * @param {Object} setlist
+ * @param {string} entryId
+ * @returns {Object|null} Setlist entry
+ */
+const findEntry = (setlist, entryId) => {
+  for (const set of setlist.sets) {
+    const entry = set.songs.find(song => song._id.toString() === String(entryId));
+    if (entry) return entry;
+  }
+  return null;
+};
+
+/**
+ * Query matching the comments on a target
+ * @param {Object} target - { song } or { setlist, entryId }
+ * @returns {Object}
+ */
+const targetFilter = (target) => {
+  if (target.song) {
+    return { targetType: 'song', songId: target.song._id };
+  }
+  return { targetType: 'setlist_entry', setlistId: target.setlist._id, entryId: target.entryId };
+};
+
+/**
+ * Load the song or setlist a comment is on
+ * @param {Object} comment
+ * @returns {Promise<Object|null>} Song or Setlist document
+ */
+const getCommentResource = (comment) => (
+  comment.targetType === 'song'
+    ? Song.findById(comment.songId)
+    : Setlist.findById(comment.setlistId)
+);
+
+/**
+ * Whether a user can take part in the discussion of a song or setlist
+ * @param {string} userId
+ * @param {Object} resource - Song or Setlist document
+ * @returns {Promise<boolean>}
+ */
+const canDiscuss = async (userId, resource) => {
+  if (resource instanceof Setlist && resource.isPublic) {
+    return can(userId, 'perform', { createdBy: resource.createdBy, bandId: resource.bandId });
+  }
+  return resource.isAccessibleBy(userId);
+};
+
+/**
+ * Throw a 403 unless a user can take part in a discussion
+ * @param {string} userId
+ * @param {Object} resource - Song or Setlist document
+ * @returns {Promise<void>}
+ */
+const assertCanDiscuss = async (userId, resource) => {
+  if (!(await canDiscuss(userId, resource))) {
+    throw new ApiError(403, 'Only band members can take part in this discussion');
+  }
+};
+
+/**
+ * IDs of the people who can be mentioned on a song or setlist: its creator and its band's members
+ * @param {Object} resource - Song or Setlist document
+ * @returns {Promise<Set<string>>}
+ */
+const getParticipantIds = async (resource) => {
+  const ids = new Set([resource.createdBy.toString()]);
+
+  if (resource.bandId) {
+    const band = await Band.findById(resource.bandId);
+    if (band) {
+      band.members.forEach(member => ids.add(member.userId.toString()));
+    }
+  }
+
+  return ids;
+};
+
+/**
+ * Users mentioned in a comment body who can actually be mentioned on the resource
+ * @param {string} body
+ * @param {Object} resource - Song or Setlist document
+ * @returns {Promise<Array<string>>}
+ */
+const getMentions = async (body, resource) => {
+  const mentioned = Comment.parseMentions(body);
+  if (!mentioned.length) return [];
+
+  const participants = await getParticipantIds(resource);
+  return mentioned.filter(id => participants.has(id));
+};
+
+/**
+ * Load a comment with its author and mentioned users
+ * @param {string} commentId
+ * @returns {Promise<Object|null>}
+ */
+const findPopulated = commentId => Comment.findById(commentId)
+  .populate('createdBy', AUTHOR_FIELDS)
+  .populate('mentions', AUTHOR_FIELDS);
+
+/**
+ * Group comments into threads, oldest first, each with its replies
+ * @param {Array<Object>} comments - Comments sorted by creation time
+ * @param {Object} [options]
+ * @param {boolean} [options.resolved] - Only resolved (true) or unresolved (false) threads
+ * @returns {Array<Object>}
+ */
+const toThreads = (comments, { resolved } = {}) => {
+  const threads = new Map();
+
+  comments.filter(comment => comment.isThread()).forEach((comment) => {
+    threads.set(comment._id.toString(), { ...comment.toObject(), replies: [] });
+  });
+
+  comments.filter(comment => !comment.isThread()).forEach((comment) => {
+    const thread = threads.get(comment.parentId.toString());
+    if (thread) thread.replies.push(comment.toObject());
+  });
+
+  return [...threads.values()].filter(thread => resolved === undefined || thread.resolved === resolved);
+};
+
+/**
+ * Comment threads on a song or setlist entry, or on every entry of a setlist
+ * @param {Object} target - { song }, { setlist, entryId }, or { setlist } for the whole setlist
+ * @param {Object} [options] - As for toThreads()
+ * @returns {Promise<Array<Object>>}
+ */
+const getThreads = async (target, options = {}) => {
+  const filter = target.song || target.entryId
+    ? targetFilter(target)
+    : { targetType: 'setlist_entry', setlistId: target.setlist._id };
+
+  const comments = await Comment.find(filter)
+    .sort({ createdAt: 1 })
+    .populate('createdBy', AUTHOR_FIELDS)
+    .populate('mentions', AUTHOR_FIELDS);
+
+  return toThreads(comments, options);
+};
+
+/**
+ * Start a thread on a song or setlist entry, or reply to one
+ * @param {string} userId
+ * @param {Object} target - { song } or { setlist, entryId }
+ * @param {Object} input - Request body matching commentSchema
+ * @returns {Promise<Object>} The comment, with author and mentions populated
+ */
+const createComment = async (userId, target, input) => {
+  const { body, parentId } = parse(commentSchema, input || {}, 'comment');
+
+  const resource = target.song || target.setlist;
+  await assertCanDiscuss(userId, resource);
+
+  if (target.setlist && !findEntry(target.setlist, target.entryId)) {
+    throw new ApiError(404, 'Setlist entry not found');
+  }
+
+  const comment = new Comment({
+    ...targetFilter(target),
+    body,
+    mentions: await getMentions(body, resource),
+    createdBy: userId
+  });
+
+  if (parentId) {
+    const parent = await Comment.findById(parentId);
+    if (!parent || !parent.hasSameTarget(comment)) {
+      throw new ApiError(404, 'Thread not found');
+    }
+    // Replies to replies join the same thread; threads are one level deep
+    comment.parentId = parent.getThreadId();
+  }
+
+  await comment.save();
+  return findPopulated(comment._id);
+};
+
+/**
+ * Change the text of a comment; only its author can
+ * @param {string} userId
+ * @param {Object} comment
+ * @param {Object} resource - Song or Setlist the comment is on
+ * @param {Object} input - Request body matching commentUpdateSchema
+ * @returns {Promise<{comment: Object, newMentions: Array<string>}>} The comment, and users mentioned for the first time
+ */
+const updateComment = async (userId, comment, resource, input) => {
+  const { body } = parse(commentUpdateSchema, input || {}, 'comment');
+
+  if (comment.createdBy.toString() !== userId.toString()) {
+    throw new ApiError(403, 'Only the author can edit a comment');
+  }
+
+  const previous = new Set(comment.mentions.map(id => id.toString()));
+  const mentions = await getMentions(body, resource);
+
+  comment.body = body;
+  comment.mentions = mentions;
+  comment.editedAt = new Date();
+  await comment.save();
+
+  return {
+    comment: await findPopulated(comment._id),
+    newMentions: mentions.filter(id => !previous.has(id))
+  };
+};
+
+/**
+ * Delete a comment, and its replies if it starts a thread
+ * Authors can delete their own comments; people who can edit the song or setlist can delete any.
+ * @param {string} userId
+ * @param {Object} comment
+ * @param {Object} resource - Song or Setlist the comment is on
+ * @returns {Promise<Array<string>>} IDs of the deleted comments
+ */
+const deleteComment = async (userId, comment, resource) => {
+  if (comment.createdBy.toString() !== userId.toString() && !(await resource.isEditableBy(userId))) {
+    throw new ApiError(403, 'You can only delete your own comments');
+  }
+
+  const filter = comment.isThread()
+    ? { $or: [{ _id: comment._id }, { parentId: comment._id }] }
+    : { _id: comment._id };
+
+  const ids = (await Comment.find(filter).select('_id')).map(doc => doc._id.toString());
+  await Comment.deleteMany({ _id: { $in: ids } });
+
+  return ids;
+};
+
+/**
+ * Resolve or reopen a thread
+ * @param {string} userId
+ * @param {Object} comment - The comment that started the thread
+ * @param {Object} resource - Song or Setlist the comment is on
+ * @param {boolean} resolved
+ * @returns {Promise<Object>} The comment, with author and mentions populated
+ */
+const setResolved = async (userId, comment, resource, resolved) => {
+  await assertCanDiscuss(userId, resource);
+
+  if (!comment.isThread()) {
+    throw new ApiError(400, 'Replies cannot be resolved on their own; resolve the thread instead');
+  }
+
+  comment.resolved = resolved;
+  comment.resolvedBy = resolved ? userId : null;
+  comment.resolvedAt = resolved ? new Date() : null;
+  await comment.save();
+
+  return findPopulated(comment._id);
+};
+
+module.exports = {
+  commentSchema,
+  getCommentResource,
+  canDiscuss,
+  getThreads,
+  createComment,
+  updateComment,
+  deleteComment,
+  setResolved
+};
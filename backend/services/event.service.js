@@ -0,0 +1,310 @@
+/**
+ * Event Service
+ * Gigs and rehearsals on band calendars. Everyone who can perform with a band
+ * sees its calendar; scheduling takes the manage_events permission. Events
+ * without a band are personal and only their creator sees them.
+ *
+ * A gig linked to a setlist is the source of truth for when and where that
+ * setlist is played: saving the gig writes its start time and venue onto the
+ * setlist as a new setlist version. A gig at a venue record takes its name,
+ * address and time zone from it.
+ */
+const mongoose = require('mongoose');
+const { z } = require('zod');
+const Event = require('../models/event.model');
+const Band = require('../models/band.model');
+const Setlist = require('../models/setlist.model');
+const Venue = require('../models/venue.model');
+const { EVENT_TYPES, EVENT_STATUSES } = require('../models/event.model');
+const { ApiError } = require('../utils/errors');
+const { can, authorize, getBandIdsWith } = require('../utils/authorization');
+const { isValidTimeZone } = require('../utils/timeZone');
+const { objectId, parse } = require('../utils/validation');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Most events returned by one calendar query
+const MAX_EVENTS = 500;
+
+const setTimeSchema = z.object({
+  name: z.string().trim().max(100).default(''),
+  setId: objectId.nullable().default(null),
+  startsAt: z.coerce.date(),
+  endsAt: z.coerce.date().nullable().default(null)
+});
+
+const eventSchema = z.object({
+  type: z.enum(EVENT_TYPES),
+  title: z.string().trim().min(1).max(200),
+  setlistId: objectId.nullable(),
+  status: z.enum(EVENT_STATUSES),
+  startsAt: z.coerce.date(),
+  endsAt: z.coerce.date().nullable(),
+  allDay: z.boolean(),
+  timeZone: z.string().refine(isValidTimeZone, { message: 'Unknown time zone' }),
+  loadInAt: z.coerce.date().nullable(),
+  soundcheckAt: z.coerce.date().nullable(),
+  setTimes: z.array(setTimeSchema).max(20),
+  venueId: objectId.nullable(),
+  venue: z.string().trim().max(200),
+  address: z.string().trim().max(500),
+  notes: z.string().max(5000)
+});
+
+// Everything but the title and start can be left to the model's defaults
+const createEventSchema = eventSchema
+  .partial()
+  .required({ title: true, startsAt: true })
+  .extend({ bandId: objectId.nullable().optional() });
+
+// The band an event is on is fixed once it exists
+const updateEventSchema = eventSchema.partial();
+
+/**
+ * Load a band the user belongs to, or throw a 404
+ * @param {string} bandId
+ * @param {string} userId
+ * @returns {Promise<Object>}
+ */
+const getMemberBand = async (bandId, userId) => {
+  const band = mongoose.Types.ObjectId.isValid(bandId) ? await Band.findById(bandId) : null;
+
+  if (!band || !band.hasMember(userId)) {
+    throw new ApiError(404, 'Band not found');
+  }
+
+  return band;
+};
+
+/**
+ * Query matching the events on a user's calendar: their personal events and
+ * those of every band they perform with, or of one band only
+ * @param {string} userId
+ * @param {string|null} [bandId]
+ * @returns {Promise<Object>} MongoDB filter
+ */
+const getCalendarFilter = async (userId, bandId = null) => {
+  if (bandId) {
+    const band = await getMemberBand(bandId, userId);
+    await authorize(userId, 'perform', band, "You do not have permission to see this band's calendar");
+    return { bandId: band._id };
+  }
+
+  const bandIds = await getBandIdsWith(userId, 'perform');
+
+  return {
+    $or: [
+      { bandId: { $in: bandIds } },
+      { bandId: null, createdBy: userId }
+    ]
+  };
+};
+
+/**
+ * Events on a user's calendar, earliest first
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {string} [options.bandId] - Only this band's events
+ * @param {Date} [options.from] - Defaults to the start of yesterday, so events running tonight stay listed
+ * @param {Date} [options.to]
+ * @param {string} [options.type] - gig or rehearsal
+ * @param {string} [options.status]
+ * @returns {Promise<Array<Object>>}
+ */
+const getEvents = async (userId, { bandId = null, from, to, type, status } = {}) => {
+  const filter = await getCalendarFilter(userId, bandId);
+
+  filter.startsAt = { $gte: from || new Date(Date.now() - DAY) };
+  if (to) filter.startsAt.$lt = to;
+  if (type) filter.type = type;
+  if (status) filter.status = status;
+
+  return Event.find(filter).sort({ startsAt: 1 }).limit(MAX_EVENTS);
+};
+
+/**
+ * Load an event a user can see, or throw a 404
+ * @param {string} eventId
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {boolean} [options.manage] - Also require the right to change it, or throw a 403
+ * @returns {Promise<Object>}
+ */
+const getEvent = async (eventId, userId, { manage = false } = {}) => {
+  const event = mongoose.Types.ObjectId.isValid(eventId) ? await Event.findById(eventId) : null;
+
+  if (!event || !(await can(userId, 'perform', event))) {
+    throw new ApiError(404, 'Event not found');
+  }
+
+  if (manage) {
+    await authorize(userId, 'manage_events', event, 'You do not have permission to change this event');
+  }
+
+  return event;
+};
+
+/**
+ * Fill an event's venue details from its venue record
+ * The venue must belong to the event's band, or for a personal event to its creator.
+ * @param {Object} event - Event document with the changes applied
+ */
+const applyVenue = async (event) => {
+  if (!event.venueId || !(event.isNew || event.isModified('venueId') || event.isModified('venue'))) return;
+
+  const venue = await Venue.findOne(event.bandId
+    ? { _id: event.venueId, bandId: event.bandId }
+    : { _id: event.venueId, bandId: null, createdBy: event.createdBy });
+
+  if (!venue) {
+    throw new ApiError(404, 'Venue not found');
+  }
+
+  event.venue = venue.name;
+  if (!event.address) event.address = venue.address;
+  if (event.$isDefault('timeZone')) event.timeZone = venue.timeZone;
+};
+
+/**
+ * Check an event's times, venue and link to a setlist before it is saved
+ * @param {Object} event - Event document with the changes applied
+ * @param {string} userId
+ * @returns {Promise<Object|null>} The linked setlist, if any
+ */
+const checkEvent = async (event, userId) => {
+  if (event.endsAt && event.endsAt < event.startsAt) {
+    throw new ApiError(400, 'endsAt must not be before startsAt');
+  }
+
+  await applyVenue(event);
+
+  event.setTimes.forEach((slot) => {
+    if (slot.endsAt && slot.endsAt < slot.startsAt) {
+      throw new ApiError(400, `Set time "${slot.name}" ends before it starts`);
+    }
+  });
+
+  if (!event.setlistId) {
+    if (event.setTimes.some(slot => slot.setId)) {
+      throw new ApiError(400, 'Set times can only point at sets once the event has a setlist');
+    }
+    return null;
+  }
+
+  const setlist = await Setlist.findById(event.setlistId);
+  if (!setlist || !(await setlist.isAccessibleBy(userId))) {
+    throw new ApiError(404, 'Setlist not found');
+  }
+
+  if (event.bandId && !(setlist.bandId && setlist.bandId.equals(event.bandId))) {
+    throw new ApiError(400, "The setlist must belong to the event's band");
+  }
+
+  event.setTimes.forEach((slot) => {
+    if (!slot.setId) return;
+
+    const set = setlist.sets.id(slot.setId);
+    if (!set) {
+      throw new ApiError(400, `Set ${slot.setId} is not on the setlist`);
+    }
+    if (!slot.name) slot.name = set.name;
+  });
+
+  return setlist;
+};
+
+/**
+ * Venue record a gig's setlist should point at
+ * A personal gig can be linked to a band's setlist, but not to the band's venues.
+ * @param {Object} event
+ * @param {Object} setlist
+ * @returns {Object|null} Venue ID
+ */
+const getSetlistVenueId = (event, setlist) => (String(setlist.bandId) === String(event.bandId) ? event.venueId : null);
+
+/**
+ * Whether saving a gig has to move its setlist's date or venue
+ * @param {Object} event
+ * @param {Object|null} setlist
+ * @returns {boolean}
+ */
+const needsSetlistSync = (event, setlist) => !!setlist
+  && event.type === 'gig'
+  && event.status !== 'cancelled'
+  && ((setlist.date ? setlist.date.getTime() : null) !== event.startsAt.getTime()
+    || setlist.venue !== event.venue
+    || String(setlist.venueId) !== String(getSetlistVenueId(event, setlist)));
+
+/**
+ * Write a gig's start time and venue onto its setlist as a new setlist version
+ * @param {Object} event
+ * @param {Object} setlist
+ * @param {string} userId
+ * @returns {Promise<Object>} The saved setlist
+ */
+const syncSetlist = async (event, setlist, userId) => {
+  setlist.date = event.startsAt;
+  setlist.venueId = getSetlistVenueId(event, setlist);
+  setlist.venue = event.venue;
+  await setlist.saveVersion(setlist.version, userId, `Scheduled by gig "${event.title}"`);
+  return setlist;
+};
+
+/**
+ * Save an event and bring its setlist in line
+ * @param {Object} event
+ * @param {string} userId
+ * @returns {Promise<{event: Object, setlist: Object|null}>} The setlist is returned only when it changed
+ */
+const saveEvent = async (event, userId) => {
+  const setlist = await checkEvent(event, userId);
+  const sync = needsSetlistSync(event, setlist);
+
+  // Checked before anything is saved, so a refused sync leaves the event unchanged too
+  if (sync) {
+    await authorize(userId, 'edit_setlists', setlist, 'You need the edit_setlists permission to schedule this setlist');
+  }
+
+  await event.save();
+
+  return { event, setlist: sync ? await syncSetlist(event, setlist, userId) : null };
+};
+
+/**
+ * Put a gig or rehearsal on a band's calendar, or the user's own
+ * @param {string} userId
+ * @param {Object} input - Request body matching createEventSchema
+ * @returns {Promise<{event: Object, setlist: Object|null}>}
+ */
+const createEvent = async (userId, input) => {
+  const data = parse(createEventSchema, input, 'event');
+
+  if (data.bandId) {
+    const band = await getMemberBand(data.bandId, userId);
+    await authorize(userId, 'manage_events', band, "You do not have permission to schedule this band's events");
+  }
+
+  return saveEvent(new Event({ ...data, bandId: data.bandId || null, createdBy: userId }), userId);
+};
+
+/**
+ * Change an event
+ * @param {Object} event - Event the user may manage
+ * @param {string} userId
+ * @param {Object} input - Request body matching updateEventSchema
+ * @returns {Promise<{event: Object, setlist: Object|null}>}
+ */
+const updateEvent = async (event, userId, input) => {
+  event.set(parse(updateEventSchema, input, 'event'));
+  return saveEvent(event, userId);
+};
+
+module.exports = {
+  getMemberBand,
+  getCalendarFilter,
+  getEvents,
+  getEvent,
+  createEvent,
+  updateEvent,
+  saveEvent
+};
@@ -0,0 +1,322 @@
+/**
+ * Metadata Providers
+ * Pluggable sources of song details. A provider is an object with
+ * `search({ title, artist, limit })` resolving with recordings that may match:
+ * `{ externalId, title, artist, duration, key, tempo, links }`, where duration is
+ * in seconds, key and tempo are null when the provider does not know them, and
+ * links are the Song ID fields the recording fills (spotifyId, musicbrainzId).
+ *
+ * Spotify (with SPOTIFY_CLIENT_ID and SPOTIFY_CLIENT_SECRET) and MusicBrainz
+ * are built in. METADATA_PROVIDERS picks which are used, in order; set it to
+ * "fixture" to serve the recordings in the METADATA_FIXTURES JSON file instead,
+ * with no network access at all. Search results are cached in Redis once the
+ * server hands over its client.
+ */
+const fs = require('fs');
+const { formatKey, transposeKey } = require('../utils/musicKey');
+const { createSerialQueue } = require('../utils/serialQueue');
+const logger = require('../utils/logger');
+
+const DEFAULT_PROVIDERS = ['spotify', 'musicbrainz'];
+
+// Results change rarely; a week keeps bulk runs from hitting rate limits twice
+const CACHE_TTL = Number(process.env.METADATA_CACHE_TTL || 7 * 24 * 60 * 60);
+
+const CACHE_PREFIX = 'metadata';
+
+// MusicBrainz allows one request per second per client
+const MUSICBRAINZ_INTERVAL = 1000;
+
+const providers = new Map();
+let cacheClient = null;
+
+/**
+ * Add or replace a provider
+ * @param {string} name - Name the provider is chosen by in METADATA_PROVIDERS
+ * @param {Object} provider
+ * @param {Function} provider.search - async ({ title, artist, limit }) => Array<Object>
+ */
+const registerProvider = (name, provider) => {
+  providers.set(name, provider);
+};
+
+/**
+ * A registered provider
+ * @param {string} name
+ * @returns {Object|undefined}
+ */
+const getProvider = name => providers.get(name);
+
+/**
+ * Names of the providers in use, in the order their results are preferred
+ * @returns {Array<string>}
+ */
+const getEnabledProviders = () => {
+  const names = process.env.METADATA_PROVIDERS
+    ? process.env.METADATA_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean)
+    : DEFAULT_PROVIDERS;
+
+  return names.filter(name => providers.has(name));
+};
+
+/**
+ * Cache search results in Redis; without a client every search goes to the provider
+ * @param {Object|null} client - Connected node-redis client
+ */
+const setCacheClient = (client) => {
+  cacheClient = client;
+};
+
+/**
+ * Normalized text for cache keys
+ * @param {string} value
+ * @returns {string}
+ */
+const cacheText = value => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Search one provider, through the cache
+ * A cache that is down or full is skipped rather than failing the search.
+ * @param {string} name - Provider name
+ * @param {Object} query
+ * @param {string} query.title
+ * @param {string} [query.artist]
+ * @param {number} [query.limit]
+ * @returns {Promise<Array<Object>>} Recordings, each with its provider name
+ */
+const searchProvider = async (name, { title, artist = '', limit = 5 }) => {
+  const provider = providers.get(name);
+  if (!provider) throw new Error(`Unknown metadata provider: ${name}`);
+
+  const key = `${CACHE_PREFIX}:${name}:${limit}:${cacheText(title)}|${cacheText(artist)}`;
+  const cache = cacheClient && cacheClient.isReady ? cacheClient : null;
+
+  if (cache) {
+    try {
+      const cached = await cache.get(key);
+      if (cached) return JSON.parse(cached);
+    } catch (error) {
+      logger.warn('Failed to read the metadata cache:', error);
+    }
+  }
+
+  const recordings = (await provider.search({ title, artist, limit }))
+    .map(recording => ({ ...recording, provider: name }));
+
+  if (cache) {
+    try {
+      await cache.set(key, JSON.stringify(recordings), { EX: CACHE_TTL });
+    } catch (error) {
+      logger.warn('Failed to write the metadata cache:', error);
+    }
+  }
+
+  return recordings;
+};
+
+/**
+ * Fetch JSON, throwing on a non-2xx response
+ * @param {string} url
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Object>}
+ */
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, options);
+  if (!response.ok) {
+    const error = new Error(`${options.method || 'GET'} ${new URL(url).host} failed with ${response.status}`);
+    error.statusCode = response.status;
+    throw error;
+  }
+  return response.json();
+};
+
+/**
+ * Key name for a Spotify pitch class and mode, e.g. 1 and 0 -> "C#m"
+ * @param {number} pitchClass - 0 for C up to 11 for B; -1 when unknown
+ * @param {number} mode - 1 for major, 0 for minor
+ * @returns {string|null}
+ */
+const spotifyKey = (pitchClass, mode) => {
+  if (!Number.isInteger(pitchClass) || pitchClass < 0) return null;
+  return formatKey(transposeKey({ root: 'C', mode: mode === 0 ? 'minor' : 'major' }, pitchClass));
+};
+
+/**
+ * Spotify Web API provider, searching tracks with the client credentials flow
+ * Key and tempo come from audio features, which not every Spotify app may read;
+ * without them the tracks are still suggested for their durations and IDs.
+ * @param {Object} [options]
+ * @param {string} [options.clientId]
+ * @param {string} [options.clientSecret]
+ * @param {string} [options.market] - Country code to search in
+ * @param {Function} [options.request] - async (url, options) => JSON, for tests
+ * @returns {Object} Provider
+ */
+const createSpotifyProvider = ({
+  clientId = process.env.SPOTIFY_CLIENT_ID,
+  clientSecret = process.env.SPOTIFY_CLIENT_SECRET,
+  market = process.env.SPOTIFY_MARKET,
+  request = fetchJson
+} = {}) => {
+  let token = null;
+  let tokenExpiresAt = 0;
+
+  const getToken = async () => {
+    if (token && Date.now() < tokenExpiresAt) return token;
+
+    const response = await request('https://accounts.spotify.com/api/token', {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: 'grant_type=client_credentials'
+    });
+
+    token = response.access_token;
+    // Renew a minute early so a token never runs out mid-search
+    tokenExpiresAt = Date.now() + (response.expires_in - 60) * 1000;
+    return token;
+  };
+
+  const getFeatures = async (ids, headers) => {
+    if (!ids.length) return new Map();
+    try {
+      const response = await request(`https://api.spotify.com/v1/audio-features?ids=${ids.join(',')}`, { headers });
+      return new Map((response.audio_features || []).filter(Boolean).map(features => [features.id, features]));
+    } catch (error) {
+      logger.warn('Failed to get Spotify audio features:', error);
+      return new Map();
+    }
+  };
+
+  return {
+    search: async ({ title, artist, limit }) => {
+      const headers = { Authorization: `Bearer ${await getToken()}` };
+      const query = [`track:${title}`, artist ? `artist:${artist}` : ''].filter(Boolean).join(' ');
+      const params = new URLSearchParams({ q: query, type: 'track', limit: String(limit) });
+      if (market) params.set('market', market);
+
+      const response = await request(`https://api.spotify.com/v1/search?${params}`, { headers });
+      const tracks = response.tracks ? response.tracks.items : [];
+      const features = await getFeatures(tracks.map(track => track.id), headers);
+
+      return tracks.map((track) => {
+        const trackFeatures = features.get(track.id);
+        return {
+          externalId: track.id,
+          title: track.name,
+          artist: track.artists.map(trackArtist => trackArtist.name).join(', '),
+          duration: Math.round(track.duration_ms / 1000),
+          key: trackFeatures ? spotifyKey(trackFeatures.key, trackFeatures.mode) : null,
+          tempo: trackFeatures && trackFeatures.tempo ? Math.round(trackFeatures.tempo) : null,
+          links: { spotifyId: track.id }
+        };
+      });
+    }
+  };
+};
+
+/**
+ * MusicBrainz provider, searching recordings
+ * MusicBrainz has no keys or tempos, but its artist names are the canonical
+ * spellings. Requests are spaced out to its rate limit and identify the app,
+ * as its terms ask.
+ * @param {Object} [options]
+ * @param {string} [options.userAgent] - Application name, version and contact
+ * @param {Function} [options.request] - async (url, options) => JSON, for tests
+ * @returns {Object} Provider
+ */
+const createMusicBrainzProvider = ({
+  userAgent = process.env.MUSICBRAINZ_USER_AGENT || 'SetlistBuilder/1.0 ( https://github.com/dxaginfo/musicians-setlist-builder-app )',
+  request = fetchJson
+} = {}) => {
+  const enqueue = createSerialQueue();
+  let lastRequestAt = 0;
+
+  const throttled = url => enqueue('musicbrainz', async () => {
+    const wait = lastRequestAt + MUSICBRAINZ_INTERVAL - Date.now();
+    if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+    lastRequestAt = Date.now();
+
+    return request(url, { headers: { 'User-Agent': userAgent, Accept: 'application/json' } });
+  });
+
+  // Quotes would end the Lucene phrase early
+  const phrase = value => `"${String(value).replace(/["\\]/g, ' ')}"`;
+
+  return {
+    search: async ({ title, artist, limit }) => {
+      const query = [`recording:${phrase(title)}`, artist ? `artist:${phrase(artist)}` : ''].filter(Boolean).join(' AND ');
+      const params = new URLSearchParams({ query, fmt: 'json', limit: String(limit) });
+      const response = await throttled(`https://musicbrainz.org/ws/2/recording?${params}`);
+
+      return (response.recordings || []).map(recording => ({
+        externalId: recording.id,
+        title: recording.title,
+        artist: (recording['artist-credit'] || []).map(credit => `${credit.name}${credit.joinphrase || ''}`).join(''),
+        duration: recording.length ? Math.round(recording.length / 1000) : null,
+        key: null,
+        tempo: null,
+        links: { musicbrainzId: recording.id }
+      }));
+    }
+  };
+};
+
+/**
+ * Local provider serving a fixed list of recordings, for offline use and tests
+ * A recording matches when its title contains the searched title, and its
+ * artist the searched artist, ignoring case.
+ * @param {Array<Object>} recordings - { id, title, artist, duration, key, tempo, spotifyId, musicbrainzId }
+ * @returns {Object} Provider
+ */
+const createFixtureProvider = (recordings = []) => ({
+  search: async ({ title, artist, limit }) => recordings
+    .filter(recording => cacheText(recording.title).includes(cacheText(title))
+      && (!artist || cacheText(recording.artist).includes(cacheText(artist))))
+    .slice(0, limit)
+    .map(recording => ({
+      externalId: String(recording.id || recording.spotifyId || recording.musicbrainzId),
+      title: recording.title,
+      artist: recording.artist || '',
+      duration: recording.duration || null,
+      key: recording.key || null,
+      tempo: recording.tempo || null,
+      links: {
+        ...(recording.spotifyId ? { spotifyId: recording.spotifyId } : {}),
+        ...(recording.musicbrainzId ? { musicbrainzId: recording.musicbrainzId } : {})
+      }
+    }))
+});
+
+/**
+ * Recordings from the METADATA_FIXTURES file
+ * @returns {Array<Object>}
+ */
+const loadFixtures = () => {
+  if (!process.env.METADATA_FIXTURES) return [];
+  try {
+    return JSON.parse(fs.readFileSync(process.env.METADATA_FIXTURES, 'utf8'));
+  } catch (error) {
+    logger.error(`Failed to load metadata fixtures from ${process.env.METADATA_FIXTURES}:`, error);
+    return [];
+  }
+};
+
+if (process.env.SPOTIFY_CLIENT_ID && process.env.SPOTIFY_CLIENT_SECRET) {
+  registerProvider('spotify', createSpotifyProvider());
+}
+registerProvider('musicbrainz', createMusicBrainzProvider());
+registerProvider('fixture', createFixtureProvider(loadFixtures()));
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  getEnabledProviders,
+  setCacheClient,
+  searchProvider,
+  createSpotifyProvider,
+  createMusicBrainzProvider,
+  createFixtureProvider
+};
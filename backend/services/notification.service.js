@@ -0,0 +1,549 @@
+/**
+ * Notification Service
+ * Creates notifications for app events and delivers them on the channels
+ * each user chose for that event.
+ *
+ * The in-app notification center always gets the notification straight away.
+ * Email and push follow immediately, except for digest events: those collect
+ * into one notification per setlist, and a user's pending digests for a band
+ * go out together once the digest window has passed.
+ *
+ * Notifying is a side effect of other actions, so the exported notify*
+ * helpers log failures instead of throwing them.
+ */
+const { z } = require('zod');
+const Notification = require('../models/notification.model');
+const Comment = require('../models/comment.model');
+const User = require('../models/user.model');
+const Band = require('../models/band.model');
+const Setlist = require('../models/setlist.model');
+const Event = require('../models/event.model');
+const { getChannel, getPushPublicKey } = require('./notificationChannels.service');
+const { NOTIFICATION_EVENTS, NOTIFICATION_CHANNELS } = require('../utils/notificationEvents');
+const { ApiError } = require('../utils/errors');
+const { parse } = require('../utils/validation');
+const logger = require('../utils/logger');
+
+const MINUTE = 60 * 1000;
+const DIGEST_WINDOW = Number(process.env.NOTIFICATION_DIGEST_MINUTES || 15) * MINUTE;
+const REMINDER_WINDOW = 24 * 60 * MINUTE;
+
+// Recipient fields the channels need
+const RECIPIENT_FIELDS = 'name email settings pushSubscriptions';
+
+const preferencesSchema = z.object({
+  notifications: z.boolean().optional(),
+  events: z.record(
+    z.enum(Object.keys(NOTIFICATION_EVENTS)),
+    z.object(Object.fromEntries(NOTIFICATION_CHANNELS.map(channel => [channel, z.boolean().optional()]))).strict()
+  ).optional()
+}).strict();
+
+const pushSubscriptionSchema = z.object({
+  endpoint: z.string().url(),
+  keys: z.object({
+    p256dh: z.string().min(1),
+    auth: z.string().min(1)
+  })
+});
+
+/**
+ * Message for one notification, or a digest of several
+ * @param {Array<Object>} notifications
+ * @param {Object} [band] - Band the notifications are about
+ * @returns {{subject: string, text: string, url: string, notifications: Array<Object>}}
+ */
+const renderMessage = (notifications, band = null) => {
+  const summaries = notifications.map(notification => notification.getSummary());
+  const describe = notification => (notification.count > 1 ? `${notification.title} (${notification.count} changes)` : notification.title);
+
+  if (notifications.length === 1) {
+    const [notification] = notifications;
+    return { subject: describe(notification), text: notification.body, url: notification.url, notifications: summaries };
+  }
+
+  return {
+    subject: `${notifications.length} updates${band ? ` from ${band.name}` : ''}`,
+    text: notifications.map(notification => `- ${describe(notification)}`).join('\n'),
+    url: '/notifications',
+    notifications: summaries
+  };
+};
+
+/**
+ * Send a message on one channel, logging rather than throwing failures
+ * @param {string} name - Channel name
+ * @param {Object} recipient - User document
+ * @param {Object} message
+ * @returns {Promise<void>}
+ */
+const sendOn = async (name, recipient, message) => {
+  const channel = getChannel(name);
+  if (!channel) return;
+
+  try {
+    await channel.send(recipient, message);
+  } catch (error) {
+    logger.error(`Failed to send ${name} notification to user ${recipient._id}:`, error);
+  }
+};
+
+/**
+ * Send notifications on the email/push channels they are waiting for
+ * @param {Object} recipient - User document
+ * @param {Array<Object>} notifications
+ * @param {Object} [band]
+ * @returns {Promise<void>}
+ */
+const deliver = async (recipient, notifications, band = null) => {
+  const names = [...new Set(notifications.flatMap(notification => notification.channels))];
+  const message = renderMessage(notifications, band);
+
+  await Promise.all(names.map(name => sendOn(name, recipient, message)));
+};
+
+/**
+ * Notify users of an event on the channels they chose for it
+ * @param {Array<string>} userIds
+ * @param {string} type - Event name from NOTIFICATION_EVENTS
+ * @param {Object} content
+ * @param {string} content.title
+ * @param {string} [content.body]
+ * @param {string} [content.url] - Frontend path
+ * @param {string} [content.bandId]
+ * @param {Object} [content.data]
+ * @param {string} [content.groupKey] - Digest events with the same key collect into one notification
+ * @returns {Promise<Array<Object>>} The notifications created or updated
+ */
+const notify = async (userIds, type, content) => {
+  const event = NOTIFICATION_EVENTS[type];
+  const ids = [...new Set(userIds.map(String))];
+  if (!event || !ids.length) return [];
+
+  const users = await User.find({ _id: { $in: ids } }).select(RECIPIENT_FIELDS);
+  const now = new Date();
+  const digest = !!(event.digest && content.groupKey);
+  const results = [];
+
+  for (const user of users) {
+    const preferences = user.getNotificationPreferences()[type];
+    // The account-wide switch turns off everything that reaches outside the app
+    const channels = user.settings.notifications === false
+      ? []
+      : ['email', 'push'].filter(channel => preferences[channel]);
+
+    if (!preferences.inApp && !channels.length) continue;
+    if (event.once && await Notification.exists({ userId: user._id, groupKey: content.groupKey })) continue;
+
+    const fields = {
+      title: content.title,
+      body: content.body || '',
+      url: content.url || '',
+      data: content.data || {},
+      inApp: preferences.inApp,
+      channels
+    };
+
+    let notification = digest
+      ? await Notification.findOneAndUpdate(
+        { userId: user._id, groupKey: content.groupKey, deliveredAt: null, readAt: null },
+        { $set: fields, $inc: { count: 1 } },
+        { new: true }
+      )
+      : null;
+
+    if (!notification) {
+      notification = await Notification.create({
+        ...fields,
+        userId: user._id,
+        type,
+        bandId: content.bandId || null,
+        groupKey: content.groupKey || null,
+        deliverAfter: digest ? new Date(now.getTime() + DIGEST_WINDOW) : now,
+        // Sent right below, so created already claimed and never picked up by sendDueDigests
+        deliveredAt: digest ? null : now
+      });
+    }
+
+    if (notification.inApp && getChannel('inApp')) {
+      await sendOn('inApp', user, renderMessage([notification]));
+    }
+
+    if (!digest && channels.length) {
+      await deliver(user, [notification]);
+    }
+
+    results.push(notification);
+  }
+
+  return results;
+};
+
+/**
+ * Deliver digests whose window has passed, one message per user and band
+ * @param {Date} [now]
+ * @returns {Promise<number>} Number of notifications delivered
+ */
+const sendDueDigests = async (now = new Date()) => {
+  const due = await Notification.find({ deliveredAt: null, deliverAfter: { $lte: now } }).sort({ createdAt: 1 });
+
+  const groups = new Map();
+  due.forEach((notification) => {
+    const key = `${notification.userId}:${notification.bandId || ''}`;
+    groups.set(key, [...(groups.get(key) || []), notification]);
+  });
+
+  let delivered = 0;
+  for (const notifications of groups.values()) {
+    // Claim each notification first so a second server instance does not send it too;
+    // only the ones this instance claimed are sent
+    const claimed = (await Promise.all(notifications.map(notification => Notification.findOneAndUpdate(
+      { _id: notification._id, deliveredAt: null },
+      { $set: { deliveredAt: now } },
+      { new: true }
+    )))).filter(Boolean);
+    if (!claimed.length) continue;
+
+    const [{ userId, bandId }] = claimed;
+    // Anything already read in the app does not need sending as well
+    const pending = claimed.filter(notification => notification.channels.length && !notification.readAt);
+    if (!pending.length) continue;
+
+    const [user, band] = await Promise.all([
+      User.findById(userId).select(RECIPIENT_FIELDS),
+      bandId ? Band.findById(bandId).select('name') : null
+    ]);
+    if (!user) continue;
+
+    await deliver(user, pending, band);
+    delivered += pending.length;
+  }
+
+  return delivered;
+};
+
+/**
+ * Users who should hear about a setlist or event: its band's members who can see it, or its creator
+ * @param {Object} resource - Setlist or Event document
+ * @returns {Promise<Array<string>>}
+ */
+const getAudience = async (resource) => {
+  if (!resource.bandId) return [resource.createdBy.toString()];
+
+  const band = await Band.findById(resource.bandId);
+  if (!band) return [resource.createdBy.toString()];
+
+  return band.members
+    .filter(member => band.hasPermission(member.userId, 'perform'))
+    .map(member => member.userId.toString());
+};
+
+/**
+ * Reminder for a gig planned only as a dated setlist
+ * @param {Object} setlist
+ * @returns {Object} Notification content
+ */
+const setlistReminder = (setlist) => {
+  const time = setlist.date.toTimeString().slice(0, 5);
+
+  return {
+    title: `Gig tomorrow: ${setlist.title}`,
+    body: `${setlist.date.toDateString()} at ${time}${setlist.venue ? `, ${setlist.venue}` : ''}`,
+    url: `/setlists/${setlist._id}`,
+    bandId: setlist.bandId,
+    data: { setlistId: setlist._id },
+    // A rescheduled gig gets a reminder of its own
+    groupKey: `gig_reminder:${setlist._id}:${setlist.date.getTime()}`
+  };
+};
+
+/**
+ * Reminder for a gig in the calendar, with its times in the event's time zone
+ * @param {Object} event
+ * @returns {Object} Notification content
+ */
+const eventReminder = (event) => {
+  const format = options => new Intl.DateTimeFormat('en-GB', { timeZone: event.timeZone, ...options });
+  const day = format({ weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' }).format(event.startsAt);
+  const time = date => format({ hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).format(date);
+
+  const location = event.getLocation();
+  const details = [
+    event.allDay ? day : `${day} at ${time(event.startsAt)}`,
+    location,
+    event.loadInAt ? `load-in ${time(event.loadInAt)}` : ''
+  ];
+
+  return {
+    title: `Gig tomorrow: ${event.title}`,
+    body: details.filter(Boolean).join(', '),
+    url: event.setlistId ? `/setlists/${event.setlistId}` : '/dashboard',
+    bandId: event.bandId,
+    data: { eventId: event._id, setlistId: event.setlistId },
+    groupKey: `gig_reminder:event:${event._id}:${event.startsAt.getTime()}`
+  };
+};
+
+/**
+ * Remind everyone playing a gig in the next 24 hours
+ * Gigs in the calendar are reminded of at the event's time. Setlists only
+ * count as gigs of their own when no gig event is scheduled for them, so a
+ * gig is never reminded of twice, nor a cancelled one at all.
+ * @param {Date} [now]
+ * @returns {Promise<number>} Number of reminders sent
+ */
+const sendGigReminders = async (now = new Date()) => {
+  const upcoming = { $gt: now, $lte: new Date(now.getTime() + REMINDER_WINDOW) };
+
+  const [events, setlists] = await Promise.all([
+    Event.find({ type: 'gig', status: { $ne: 'cancelled' }, startsAt: upcoming })
+      .select('title startsAt allDay timeZone loadInAt venue address bandId setlistId createdBy'),
+    Setlist.find({ date: upcoming }).select('title date venue bandId createdBy')
+  ]);
+
+  const scheduled = setlists.length
+    ? (await Event.distinct('setlistId', { type: 'gig', setlistId: { $in: setlists.map(setlist => setlist._id) } })).map(String)
+    : [];
+
+  const gigs = [
+    ...events.map(event => ({ resource: event, content: eventReminder(event) })),
+    ...setlists
+      .filter(setlist => !scheduled.includes(setlist._id.toString()))
+      .map(setlist => ({ resource: setlist, content: setlistReminder(setlist) }))
+  ];
+
+  let sent = 0;
+  for (const { resource, content } of gigs) {
+    const reminders = await notify(await getAudience(resource), 'gig_reminder', content);
+    sent += reminders.length;
+  }
+
+  return sent;
+};
+
+/**
+ * Send due digests and gig reminders; run periodically by the server
+ * @param {Date} [now]
+ * @returns {Promise<void>}
+ */
+const runScheduledNotifications = async (now = new Date()) => {
+  try {
+    await sendDueDigests(now);
+    await sendGigReminders(now);
+  } catch (error) {
+    logger.error('Failed to run scheduled notifications:', error);
+  }
+};
+
+/**
+ * Tell the band a setlist for an upcoming gig changed; changes to past or undated setlists are not news
+ * @param {Object} setlist
+ * @param {string|null} actorId - Who changed it; they are not told about their own change
+ * @returns {Promise<void>}
+ */
+const notifySetlistChanged = async (setlist, actorId) => {
+  try {
+    if (!setlist.date || setlist.date <= new Date()) return;
+
+    const recipients = (await getAudience(setlist)).filter(userId => !actorId || userId !== actorId.toString());
+
+    await notify(recipients, 'setlist_changed', {
+      title: `${setlist.title} was changed`,
+      body: `The setlist for ${setlist.date.toDateString()} is now at version ${setlist.version}.`,
+      url: `/setlists/${setlist._id}`,
+      bandId: setlist.bandId,
+      data: { setlistId: setlist._id, version: setlist.version },
+      groupKey: `setlist_changed:${setlist._id}`
+    });
+  } catch (error) {
+    logger.error(`Failed to notify changes to setlist ${setlist._id}:`, error);
+  }
+};
+
+/**
+ * Tell someone they were invited to a band; people without an account get an email
+ * @param {Object} invitation - Email invitation
+ * @param {Object} band
+ * @param {Object} inviter - User document
+ * @returns {Promise<void>}
+ */
+const notifyInvitation = async (invitation, band, inviter) => {
+  try {
+    if (invitation.type !== 'email') return;
+
+    const content = {
+      title: `${inviter.name} invited you to join ${band.name}`,
+      body: `The invitation expires on ${invitation.expiresAt.toDateString()}.`,
+      url: '/invitations',
+      bandId: band._id,
+      data: { invitationId: invitation._id }
+    };
+
+    const user = await User.findOne({ email: invitation.email }).select('_id');
+    if (user) {
+      await notify([user._id], 'band_invitation', content);
+      return;
+    }
+
+    await sendOn('email', { _id: null, email: invitation.email }, {
+      subject: content.title,
+      text: `${content.body} Sign up with this email address to accept it.`,
+      url: '/register',
+      notifications: []
+    });
+  } catch (error) {
+    logger.error(`Failed to notify invitation ${invitation._id}:`, error);
+  }
+};
+
+/**
+ * Tell users they were mentioned in a comment
+ * @param {Object} comment - Comment with its author populated
+ * @param {Array<string>} userIds - Users mentioned; the author is skipped
+ * @returns {Promise<void>}
+ */
+const notifyMentions = async (comment, userIds) => {
+  try {
+    const author = comment.createdBy;
+    const recipients = userIds.map(String).filter(userId => userId !== author._id.toString());
+    if (!recipients.length) return;
+
+    await notify(recipients, 'comment_mention', {
+      title: `${author.name} mentioned you in a comment`,
+      body: Comment.toPlainText(comment.body),
+      url: comment.targetType === 'song' ? `/songs/${comment.songId}` : `/setlists/${comment.setlistId}`,
+      data: {
+        commentId: comment._id,
+        songId: comment.songId,
+        setlistId: comment.setlistId,
+        entryId: comment.entryId
+      }
+    });
+  } catch (error) {
+    logger.error(`Failed to notify mentions in comment ${comment._id}:`, error);
+  }
+};
+
+/**
+ * A page of a user's notification center, newest first
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {boolean} [options.unread] - Only unread notifications
+ * @param {Date} [options.before] - Only notifications created before this time
+ * @param {number} [options.limit]
+ * @returns {Promise<{notifications: Array<Object>, unreadCount: number}>}
+ */
+const getNotifications = async (userId, { unread = false, before = null, limit = 50 } = {}) => {
+  const filter = { userId, inApp: true };
+  if (unread) filter.readAt = null;
+  if (before) filter.createdAt = { $lt: before };
+
+  const [notifications, unreadCount] = await Promise.all([
+    Notification.find(filter).sort({ createdAt: -1 }).limit(limit),
+    Notification.countDocuments({ userId, inApp: true, readAt: null })
+  ]);
+
+  return { notifications: notifications.map(notification => notification.getSummary()), unreadCount };
+};
+
+/**
+ * Mark one of a user's notifications, or all of them, as read
+ * @param {string} userId
+ * @param {string|null} notificationId - null for all
+ * @returns {Promise<number>} Number of notifications marked
+ */
+const markRead = async (userId, notificationId = null) => {
+  const filter = { userId, readAt: null };
+  if (notificationId) filter._id = notificationId;
+
+  const { modifiedCount } = await Notification.updateMany(filter, { $set: { readAt: new Date() } });
+  return modifiedCount;
+};
+
+/**
+ * A user's notification settings, with the events they can configure
+ * @param {string} userId
+ * @returns {Promise<Object>}
+ */
+const getPreferences = async (userId) => {
+  const user = await User.findById(userId).select('settings');
+
+  return {
+    notifications: user.settings.notifications !== false,
+    events: user.getNotificationPreferences(),
+    available: Object.fromEntries(Object.entries(NOTIFICATION_EVENTS).map(([event, { description, digest }]) => [
+      event,
+      { description, digest: !!digest }
+    ])),
+    pushPublicKey: getPushPublicKey()
+  };
+};
+
+/**
+ * Change a user's notification settings; events and channels left out keep their current setting
+ * @param {string} userId
+ * @param {Object} input - Request body matching preferencesSchema
+ * @returns {Promise<Object>} The settings, as from getPreferences()
+ */
+const updatePreferences = async (userId, input) => {
+  const { notifications, events } = parse(preferencesSchema, input || {}, 'notification preferences');
+
+  const update = {};
+  if (notifications !== undefined) {
+    update['settings.notifications'] = notifications;
+  }
+  Object.entries(events || {}).forEach(([event, channels]) => {
+    Object.entries(channels).forEach(([channel, enabled]) => {
+      if (enabled !== undefined) update[`settings.notificationPreferences.${event}.${channel}`] = enabled;
+    });
+  });
+
+  if (Object.keys(update).length) {
+    await User.updateOne({ _id: userId }, { $set: update });
+  }
+
+  return getPreferences(userId);
+};
+
+/**
+ * Save a browser's web push subscription, replacing any earlier one for the same endpoint
+ * @param {string} userId
+ * @param {Object} input - PushSubscription JSON from the browser
+ * @param {string} [userAgent]
+ * @returns {Promise<void>}
+ */
+const addPushSubscription = async (userId, input, userAgent = '') => {
+  const { endpoint, keys } = parse(pushSubscriptionSchema, input || {}, 'push subscription');
+  await User.updateOne({ _id: userId }, { $pull: { pushSubscriptions: { endpoint } } });
+  await User.updateOne({ _id: userId }, { $push: { pushSubscriptions: { endpoint, keys, userAgent } } });
+};
+
+/**
+ * Forget a browser's web push subscription
+ * @param {string} userId
+ * @param {string} endpoint
+ * @returns {Promise<void>}
+ */
+const removePushSubscription = async (userId, endpoint) => {
+  if (!endpoint) {
+    throw new ApiError(400, 'endpoint is required');
+  }
+
+  await User.updateOne({ _id: userId }, { $pull: { pushSubscriptions: { endpoint } } });
+};
+
+module.exports = {
+  notify,
+  sendDueDigests,
+  sendGigReminders,
+  runScheduledNotifications,
+  notifySetlistChanged,
+  notifyInvitation,
+  notifyMentions,
+  getNotifications,
+  markRead,
+  getPreferences,
+  updatePreferences,
+  addPushSubscription,
+  removePushSubscription
+};
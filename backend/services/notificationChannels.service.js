@@ -0,0 +1,125 @@
+/**
+ * Notification Channels
+ * Pluggable ways of getting a notification to a user. A channel is an object
+ * with `send(recipient, message)`, registered under the preference key users
+ * choose it by. The inApp channel is sent every notification as it happens;
+ * email and push get one message per notification, or per digest.
+ *
+ * Email and web push are built in. Email goes to an SMTP server, by default a
+ * local development mail catcher (MailHog, Mailpit) on localhost:1025; web
+ * push needs VAPID keys and is skipped without them. The in-app channel is
+ * registered by the server once Socket.io is up.
+ */
+const nodemailer = require('nodemailer');
+const webpush = require('web-push');
+const User = require('../models/user.model');
+
+const channels = new Map();
+
+/**
+ * Add or replace a delivery channel
+ * @param {string} name - Preference key the channel is chosen by (inApp, email, push)
+ * @param {Object} channel
+ * @param {Function} channel.send - async (recipient, message) => void
+ */
+const registerChannel = (name, channel) => {
+  channels.set(name, channel);
+};
+
+/**
+ * A registered channel
+ * @param {string} name
+ * @returns {Object|undefined}
+ */
+const getChannel = name => channels.get(name);
+
+/**
+ * Email channel sending plain-text messages through SMTP
+ * @param {Object} [options]
+ * @param {Object} [options.transport] - nodemailer transport; built from SMTP_* environment variables by default
+ * @param {string} [options.from]
+ * @returns {Object} Channel
+ */
+const createEmailChannel = ({ transport, from } = {}) => {
+  let transporter = transport;
+
+  const getTransport = () => {
+    if (!transporter) {
+      transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST || 'localhost',
+        port: Number(process.env.SMTP_PORT || 1025),
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+          : undefined
+      });
+    }
+    return transporter;
+  };
+
+  return {
+    send: async (recipient, message) => {
+      if (!recipient.email) return;
+
+      const link = message.url ? `\n\n${(process.env.FRONTEND_URL || 'http://localhost:3000')}${message.url}` : '';
+
+      await getTransport().sendMail({
+        from: from || process.env.SMTP_FROM || 'Setlist Builder <notifications@localhost>',
+        to: recipient.email,
+        subject: message.subject,
+        text: `${message.text}${link}`
+      });
+    }
+  };
+};
+
+/**
+ * Web push channel; drops subscriptions the push service says are gone
+ * @returns {Object} Channel
+ */
+const createPushChannel = () => {
+  const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY } = process.env;
+  const configured = !!(VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY);
+
+  if (configured) {
+    webpush.setVapidDetails(process.env.VAPID_SUBJECT || 'mailto:notifications@localhost', VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY);
+  }
+
+  return {
+    send: async (recipient, message) => {
+      const subscriptions = recipient.pushSubscriptions || [];
+      if (!configured || !subscriptions.length) return;
+
+      const payload = JSON.stringify({ title: message.subject, body: message.text, url: message.url });
+
+      await Promise.all(subscriptions.map(async (subscription) => {
+        try {
+          await webpush.sendNotification({ endpoint: subscription.endpoint, keys: subscription.keys }, payload);
+        } catch (error) {
+          if (error.statusCode === 404 || error.statusCode === 410) {
+            await User.updateOne({ _id: recipient._id }, { $pull: { pushSubscriptions: { endpoint: subscription.endpoint } } });
+            return;
+          }
+          throw error;
+        }
+      }));
+    }
+  };
+};
+
+/**
+ * Public VAPID key browsers subscribe with, or null if web push is not set up
+ * @returns {string|null}
+ */
+const getPushPublicKey = () => process.env.VAPID_PUBLIC_KEY || null;
+
+registerChannel('email', createEmailChannel());
+registerChannel('push', createPushChannel());
+
+module.exports = {
+  registerChannel,
+  getChannel,
+  createEmailChannel,
+  createPushChannel,
+  getPushPublicKey
+};
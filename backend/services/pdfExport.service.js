@@ -0,0 +1,245 @@
+/**
+ * PDF Export Service
+ * Renders setlists as printable PDFs, entirely in-process
+ */
+const PDFDocument = require('pdfkit');
+const Song = require('../models/song.model');
+const { parseKey, formatKey, transposeKey } = require('../utils/musicKey');
+const { isSong, getSongIds, getEntryParts, formatEntryTitle } = require('../utils/setlistEntries');
+
+const LAYOUTS = ['stage', 'band', 'multiup'];
+
+const MARGIN = 36;
+
+/**
+ * Format seconds as M:SS
+ * @param {number} seconds
+ * @returns {string}
+ */
+const formatDuration = (seconds = 0) =>
+  `${Math.floor(seconds / 60)}:${Math.round(seconds % 60).toString().padStart(2, '0')}`;
+
+/**
+ * Collect what each layout needs to print for every set and song
+ * Breaks, announcements and cues get a row too, printed in italics without a number.
+ * @param {Object} setlist - Setlist document
+ * @returns {Promise<Array<Object>>} Sets with their printable rows
+ */
+const buildExportSets = async (setlist) => {
+  const songs = await Song.find({ _id: { $in: getSongIds(setlist.sets) } });
+  const byId = new Map(songs.map(song => [song._id.toString(), song]));
+  const findSong = songId => byId.get(songId.toString()) || null;
+
+  return setlist.sets.map(set => ({
+    name: set.name,
+    duration: set.duration,
+    targetDuration: set.targetDuration,
+    rows: set.songs.map((entry, index) => {
+      if (!isSong(entry)) {
+        return {
+          type: entry.type,
+          number: null,
+          title: formatEntryTitle(entry, findSong),
+          key: '',
+          writtenKey: '',
+          transpose: 0,
+          capo: null,
+          tempo: 0,
+          duration: entry.duration || 0,
+          notes: entry.notes || ''
+        };
+      }
+
+      // Songs are numbered among themselves, skipping items
+      const number = set.songs.slice(0, index + 1).filter(isSong).length;
+
+      // A medley starts in the key of its first song
+      const [first] = getEntryParts(entry);
+      const song = findSong(first.songId);
+      const songKey = song ? parseKey(song.getArrangement(first.variantId).key) : null;
+      const playedKey = songKey ? transposeKey(songKey, entry.transpose || 0) : null;
+
+      return {
+        type: 'song',
+        number,
+        title: `${formatEntryTitle(entry, findSong)}${entry.segue ? ' >' : ''}`,
+        key: playedKey ? formatKey(playedKey) : '',
+        writtenKey: songKey && entry.transpose ? formatKey(songKey) : '',
+        transpose: entry.transpose || 0,
+        capo: entry.capo,
+        tempo: song ? song.tempo : 0,
+        duration: entry.duration || 0,
+        notes: entry.notes || ''
+      };
+    })
+  }));
+};
+
+/**
+ * Large-font copy for the stage: titles and keys, one set per page
+ */
+const renderStage = (doc, setlist, sets) => {
+  sets.forEach((set, setIndex) => {
+    if (setIndex > 0) doc.addPage();
+
+    doc.font('Helvetica-Bold').fontSize(20).text(`${setlist.title} - ${set.name}`, { align: 'center' });
+    doc.moveDown(0.5);
+
+    set.rows.forEach((row) => {
+      const width = doc.page.width - MARGIN * 2;
+      const title = row.number ? `${row.number}. ${row.title}` : row.title;
+      const titleOptions = { width: width - 90 };
+
+      doc.font(row.number ? 'Helvetica-Bold' : 'Helvetica-Oblique').fontSize(30);
+      const height = doc.heightOfString(title, titleOptions);
+      if (doc.y + height > doc.page.height - MARGIN) {
+        doc.addPage();
+      }
+
+      const y = doc.y;
+      doc.text(title, MARGIN, y, titleOptions);
+      doc.font('Helvetica').fontSize(30)
+        .text(row.key, MARGIN + width - 80, y, { width: 80, align: 'right' });
+
+      doc.x = MARGIN;
+      doc.y = y + height + 6;
+    });
+  });
+};
+
+/**
+ * Detailed copy for the band: tempo, duration, notes and transposition
+ */
+const renderBand = (doc, setlist, sets) => {
+  const width = doc.page.width - MARGIN * 2;
+  const columns = [
+    { label: '#', width: 24 },
+    { label: 'Title', width: 170 },
+    { label: 'Key', width: 80 },
+    { label: 'BPM', width: 40 },
+    { label: 'Time', width: 44 }
+  ];
+  columns.push({ label: 'Notes', width: width - columns.reduce((total, column) => total + column.width, 0) });
+
+  const drawRow = (values, font) => {
+    const y = doc.y;
+    let x = MARGIN;
+    let height = 0;
+
+    doc.font(font).fontSize(10);
+    values.forEach((value, index) => {
+      const options = { width: columns[index].width - 4 };
+      height = Math.max(height, doc.heightOfString(String(value), options));
+      doc.text(String(value), x, y, options);
+      x += columns[index].width;
+    });
+
+    doc.x = MARGIN;
+    doc.y = y + height + 4;
+  };
+
+  doc.font('Helvetica-Bold').fontSize(18).text(setlist.title);
+  const details = [
+    setlist.venue,
+    setlist.date ? new Date(setlist.date).toDateString() : '',
+    `Total ${formatDuration(setlist.totalDuration)}`
+  ].filter(Boolean).join('  |  ');
+  doc.font('Helvetica').fontSize(10).text(details);
+  doc.moveDown();
+
+  sets.forEach((set) => {
+    if (doc.y > doc.page.height - MARGIN - 80) doc.addPage();
+
+    const target = set.targetDuration ? ` / ${formatDuration(set.targetDuration)}` : '';
+    doc.font('Helvetica-Bold').fontSize(13).text(`${set.name} (${formatDuration(set.duration)}${target})`, MARGIN);
+    doc.moveDown(0.3);
+    drawRow(columns.map(column => column.label), 'Helvetica-Bold');
+
+    set.rows.forEach((row) => {
+      if (doc.y > doc.page.height - MARGIN - 30) doc.addPage();
+
+      const key = [
+        row.key,
+        row.writtenKey ? `(from ${row.writtenKey})` : '',
+        row.capo ? `capo ${row.capo}` : ''
+      ].filter(Boolean).join(' ');
+
+      drawRow([
+        row.number || '',
+        row.title,
+        key,
+        row.tempo || '',
+        formatDuration(row.duration),
+        row.notes
+      ], row.number ? 'Helvetica' : 'Helvetica-Oblique');
+    });
+
+    doc.moveDown();
+  });
+};
+
+/**
+ * Every set on a single page, side by side, for taping to the floor
+ */
+const renderMultiUp = (doc, setlist, sets) => {
+  const width = doc.page.width - MARGIN * 2;
+  const height = doc.page.height - MARGIN * 2 - 30;
+  const columnCount = Math.max(sets.length, 1);
+  const columnWidth = width / columnCount;
+  const longest = Math.max(1, ...sets.map(set => set.rows.length + 1));
+
+  // Shrink the type until the longest set fits the page height
+  const fontSize = Math.max(6, Math.min(22, height / longest / 1.25));
+
+  doc.font('Helvetica-Bold').fontSize(14).text(setlist.title, MARGIN, MARGIN, { width, align: 'center' });
+
+  sets.forEach((set, setIndex) => {
+    const x = MARGIN + setIndex * columnWidth;
+    let y = MARGIN + 30;
+
+    // One line per song; long titles are cut short with an ellipsis
+    const lineOptions = { width: columnWidth - 8, height: fontSize * 1.2, ellipsis: true };
+
+    doc.font('Helvetica-Bold').fontSize(fontSize).text(set.name, x, y, lineOptions);
+    y += fontSize * 1.25;
+
+    set.rows.forEach((row) => {
+      doc.font(row.number ? 'Helvetica' : 'Helvetica-Oblique').fontSize(fontSize)
+        .text(`${row.key ? `${row.key}  ` : ''}${row.title}`, x, y, lineOptions);
+      y += fontSize * 1.25;
+    });
+  });
+};
+
+const RENDERERS = {
+  stage: renderStage,
+  band: renderBand,
+  multiup: renderMultiUp
+};
+
+/**
+ * Render a setlist as a PDF document
+ * @param {Object} setlist - Setlist document
+ * @param {string} [layout] - One of LAYOUTS
+ * @returns {Promise<Object>} PDFKit document; pipe it somewhere, it is already ended
+ */
+const renderSetlistPdf = async (setlist, layout = 'stage') => {
+  if (!LAYOUTS.includes(layout)) {
+    throw new Error(`Unknown layout: ${layout}`);
+  }
+
+  const sets = await buildExportSets(setlist);
+  const doc = new PDFDocument({
+    size: 'A4',
+    layout: layout === 'multiup' && sets.length > 2 ? 'landscape' : 'portrait',
+    margin: MARGIN,
+    info: { Title: setlist.title }
+  });
+
+  RENDERERS[layout](doc, setlist, sets);
+  doc.end();
+
+  return doc;
+};
+
+module.exports = { LAYOUTS, renderSetlistPdf };
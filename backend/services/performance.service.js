@@ -0,0 +1,295 @@
+/**
+ * Performance Service
+ * Runs live performances of setlists: starting a gig, advancing, skipping and
+ * adding songs, and ending it.
+ *
+ * Control actions for a performance are applied one at a time, and "next"
+ * carries the entry the leader was looking at, so a double tap or two
+ * devices pressing next together only advance once.
+ */
+const { z } = require('zod');
+const Performance = require('../models/performance.model');
+const Setlist = require('../models/setlist.model');
+const Song = require('../models/song.model');
+const Band = require('../models/band.model');
+const { ApiError } = require('../utils/errors');
+const { createSerialQueue } = require('../utils/serialQueue');
+const { can } = require('../utils/authorization');
+const { getEntryParts, formatPartTitle, formatEntryTitle } = require('../utils/setlistEntries');
+const { objectId, parse } = require('../utils/validation');
+
+const actionSchema = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('next'),
+    fromEntryId: objectId.nullable().optional()
+  }),
+  z.object({
+    type: z.literal('skip'),
+    entryId: objectId
+  }),
+  z.object({
+    type: z.literal('jump'),
+    entryId: objectId
+  }),
+  z.object({
+    type: z.literal('addSong'),
+    songId: objectId,
+    position: z.number().int().min(0).optional()
+  }),
+  z.object({
+    type: z.literal('setLeader'),
+    userId: objectId
+  }),
+  z.object({
+    type: z.literal('end')
+  })
+]);
+
+// Actions on one performance are applied one at a time
+const enqueue = createSerialQueue();
+
+/**
+ * Whether a user may control a performance: its leader, or anyone in its band who can manage performances
+ * @param {Object} performance
+ * @param {string} userId
+ * @returns {Promise<boolean>}
+ */
+const canControl = async (performance, userId) => {
+  if (performance.isLedBy(userId)) return true;
+  if (!performance.bandId) return false;
+
+  const band = await Band.findById(performance.bandId);
+  return can(userId, 'manage_performances', band);
+};
+
+/**
+ * Flag the setlist entries played in a performance
+ * @param {Object} performance
+ * @returns {Promise<void>}
+ */
+const markSetlistPlayed = async (performance) => {
+  const playedIds = performance.entries
+    .filter(entry => entry.status === 'played' && entry.setlistEntryId)
+    .map(entry => entry.setlistEntryId);
+
+  if (!playedIds.length) return;
+
+  await Setlist.updateOne(
+    { _id: performance.setlistId },
+    { $set: { 'sets.$[].songs.$[entry].isPlayed': true } },
+    { arrayFilters: [{ 'entry._id': { $in: playedIds } }] }
+  );
+};
+
+/**
+ * Performance entries for every song and item in a setlist, in running order
+ * A medley is one entry, played and skipped as a block, that records each of
+ * its songs as a part so every one of them counts as played.
+ * @param {Object} setlist - Setlist document
+ * @returns {Promise<Array<Object>>}
+ */
+const buildEntries = async (setlist) => {
+  const songs = await Song.find({ _id: { $in: setlist.getSongIds() } }).select('title variants');
+  const byId = new Map(songs.map(song => [song._id.toString(), song]));
+  const findSong = songId => byId.get(songId.toString()) || null;
+
+  return setlist.sets.flatMap(set => set.songs.map(entry => ({
+    type: entry.type,
+    songId: entry.songId,
+    parts: getEntryParts(entry).map(part => ({
+      songId: part.songId,
+      variantId: part.variantId || null,
+      title: formatPartTitle(findSong(part.songId), part.variantId),
+      plannedDuration: part.duration || 0
+    })),
+    title: formatEntryTitle(entry, findSong),
+    setlistEntryId: entry._id,
+    setName: set.name,
+    plannedDuration: entry.duration
+  })));
+};
+
+/**
+ * Start performing a setlist, with its first song playing
+ * @param {Object} setlist - Setlist document
+ * @param {string} userId - User starting the gig, who becomes its leader
+ * @returns {Promise<Object>} Performance document
+ */
+const startPerformance = async (setlist, userId) => {
+  const live = await Performance.findOne({ setlistId: setlist._id, status: 'live' });
+  if (live) {
+    throw new ApiError(409, 'This setlist is already being performed');
+  }
+
+  const startedAt = new Date();
+  const performance = new Performance({
+    setlistId: setlist._id,
+    bandId: setlist.bandId,
+    title: setlist.title,
+    venueId: setlist.venueId,
+    venue: setlist.venue,
+    date: setlist.date || startedAt,
+    startedBy: userId,
+    leaderId: userId,
+    startedAt,
+    entries: await buildEntries(setlist)
+  });
+
+  if (performance.entries.length) {
+    performance.startEntry(0, performance.startedAt);
+  }
+
+  try {
+    await performance.save();
+  } catch (error) {
+    // Another device started the same setlist at the same moment
+    if (error.code === 11000) {
+      throw new ApiError(409, 'This setlist is already being performed');
+    }
+    throw error;
+  }
+
+  // The played flags describe the latest performance
+  await Setlist.updateOne(
+    { _id: setlist._id },
+    { $set: { 'sets.$[].songs.$[].isPlayed': false } }
+  );
+
+  return performance;
+};
+
+/**
+ * Record a gig that was played without running a live performance
+ * @param {Object} setlist - Setlist document
+ * @param {string} userId - User logging the gig
+ * @param {Object} [details]
+ * @param {Date} [details.date] - Date of the gig (defaults to the setlist's date, then today)
+ * @param {string} [details.venue] - Venue (defaults to the setlist's venue; any other venue is kept as text only)
+ * @param {Array<string>} [details.playedEntryIds] - Setlist entries that were played (defaults to all)
+ * @returns {Promise<Object>} Completed performance document
+ */
+const logPerformance = async (setlist, userId, { date, venue, playedEntryIds } = {}) => {
+  const gigDate = date || setlist.date || new Date();
+  const played = playedEntryIds ? new Set(playedEntryIds.map(id => id.toString())) : null;
+
+  const entries = (await buildEntries(setlist)).map(entry => ({
+    ...entry,
+    status: !played || played.has(entry.setlistEntryId.toString()) ? 'played' : 'skipped'
+  }));
+
+  const performance = await Performance.create({
+    setlistId: setlist._id,
+    bandId: setlist.bandId,
+    title: setlist.title,
+    venueId: venue === undefined || venue === setlist.venue ? setlist.venueId : null,
+    venue: venue === undefined ? setlist.venue : venue,
+    date: gigDate,
+    status: 'completed',
+    startedBy: userId,
+    leaderId: userId,
+    startedAt: gigDate,
+    endedAt: gigDate,
+    entries
+  });
+
+  await markSetlistPlayed(performance);
+
+  return performance;
+};
+
+/**
+ * Apply a control action to a live performance
+ * @param {Object} params
+ * @param {string} params.performanceId
+ * @param {string} params.userId - User applying the action
+ * @param {Object} params.action - Action matching actionSchema
+ * @returns {Promise<{performance: Object, changed: boolean}>}
+ */
+const applyAction = async ({ performanceId, userId, action }) => {
+  const data = parse(actionSchema, action, 'action');
+
+  return enqueue(performanceId, async () => {
+    const performance = await Performance.findById(performanceId);
+    if (!performance) {
+      throw new ApiError(404, 'Performance not found');
+    }
+    if (performance.status !== 'live') {
+      throw new ApiError(409, 'This performance has ended');
+    }
+    if (!(await canControl(performance, userId))) {
+      throw new ApiError(403, 'Only the leader can control the performance');
+    }
+
+    const now = new Date();
+    let changed = true;
+
+    switch (data.type) {
+      case 'next': {
+        const current = performance.getCurrentEntry();
+        const currentId = current ? current._id.toString() : null;
+
+        // Already moved on from the song this request was made on
+        if (data.fromEntryId !== undefined && (data.fromEntryId || null) !== currentId) {
+          changed = false;
+        } else {
+          performance.advance(now);
+        }
+        break;
+      }
+      case 'skip':
+        changed = performance.skipEntry(data.entryId, now);
+        break;
+      case 'jump': {
+        const index = performance.entries.findIndex(entry => entry._id.toString() === data.entryId);
+        if (index === -1 || performance.entries[index].status === 'played') {
+          throw new ApiError(400, 'Only songs still to play or skipped can be jumped to');
+        }
+        if (index === performance.currentIndex) {
+          changed = false;
+        } else {
+          performance.startEntry(index, now);
+        }
+        break;
+      }
+      case 'addSong': {
+        const song = await Song.findById(data.songId);
+        if (!song || !(await song.isAccessibleBy(userId))) {
+          throw new ApiError(404, 'Song not found');
+        }
+        performance.insertSong(song, userId, data.position);
+        break;
+      }
+      case 'setLeader': {
+        const setlist = await Setlist.findById(performance.setlistId);
+        if (!setlist || !(await can(data.userId, 'manage_performances', setlist))) {
+          throw new ApiError(400, 'The new leader must be able to manage performances of the setlist');
+        }
+        changed = !performance.isLedBy(data.userId);
+        performance.leaderId = data.userId;
+        break;
+      }
+      case 'end':
+        performance.end(now);
+        break;
+      default:
+        break;
+    }
+
+    if (changed) {
+      await performance.save();
+      if (performance.status === 'completed') {
+        await markSetlistPlayed(performance);
+      }
+    }
+
+    return { performance, changed };
+  });
+};
+
+module.exports = {
+  actionSchema,
+  canControl,
+  startPerformance,
+  logPerformance,
+  applyAction
+};
@@ -0,0 +1,243 @@
+/**
+ * Performance Analytics Service
+ * Song statistics drawn from completed performances
+ */
+const mongoose = require('mongoose');
+const Performance = require('../models/performance.model');
+const Song = require('../models/song.model');
+const { getEntryParts } = require('../utils/setlistEntries');
+
+// Case-insensitive matching, as used by the venue index
+const VENUE_COLLATION = { locale: 'en', strength: 2 };
+
+/**
+ * The songs a performance entry played; entries logged before medleys were
+ * recorded part by part only have their songId
+ * @param {Object} entry - Performance entry
+ * @returns {Array<{songId: Object, title: string}>} None for an item
+ */
+const getPlayedParts = (entry) => {
+  if (entry.parts && entry.parts.length) return entry.parts;
+  return entry.songId ? [{ songId: entry.songId, title: entry.title }] : [];
+};
+
+/**
+ * Completed performances of a band, or of a user's own (band-less) setlists
+ * @param {Object} scope
+ * @param {string} scope.userId
+ * @param {string|null} [scope.bandId]
+ * @param {Date} [scope.from] - Only gigs on or after this date
+ * @param {Date} [scope.to] - Only gigs on or before this date
+ * @returns {Object} Performance query
+ */
+const performanceMatch = ({ userId, bandId = null, from, to }) => {
+  const match = bandId
+    ? { bandId: new mongoose.Types.ObjectId(bandId.toString()) }
+    : { startedBy: new mongoose.Types.ObjectId(userId.toString()), bandId: null };
+
+  match.status = 'completed';
+
+  if (from || to) {
+    match.date = {};
+    if (from) match.date.$gte = from;
+    if (to) match.date.$lte = to;
+  }
+
+  return match;
+};
+
+/**
+ * Song library matching a performance scope
+ * @param {Object} scope
+ * @returns {Object} Song query
+ */
+const libraryMatch = ({ userId, bandId = null }) => (bandId ? { bandId } : { createdBy: userId, bandId: null });
+
+/**
+ * How often, and how long, each song was played
+ * @param {Object} scope - See performanceMatch
+ * @param {Array<string>} [songIds] - Only these songs
+ * @returns {Promise<Array<Object>>} Per-song stats, most played first
+ */
+const getSongStats = async (scope, songIds) => {
+  // Breaks, announcements and cues have no song
+  const partMatch = { 'parts.songId': { $ne: null } };
+  if (songIds) {
+    partMatch['parts.songId'] = { $in: songIds.map(id => new mongoose.Types.ObjectId(id.toString())) };
+  }
+
+  const stats = await Performance.aggregate([
+    { $match: performanceMatch(scope) },
+    { $unwind: '$entries' },
+    { $match: { 'entries.status': 'played' } },
+    {
+      // Every song of a medley counts as played (see getPlayedParts)
+      $project: {
+        date: 1,
+        actualDuration: '$entries.actualDuration',
+        parts: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ['$entries.parts', []] } }, 0] },
+            '$entries.parts',
+            [{ songId: '$entries.songId', title: '$entries.title', plannedDuration: '$entries.plannedDuration' }]
+          ]
+        }
+      }
+    },
+    { $addFields: { medley: { $gt: [{ $size: '$parts' }, 1] } } },
+    { $unwind: '$parts' },
+    { $match: partMatch },
+    {
+      $group: {
+        _id: '$parts.songId',
+        title: { $last: '$parts.title' },
+        playCount: { $sum: 1 },
+        gigs: { $addToSet: '$_id' },
+        firstPlayedAt: { $min: '$date' },
+        lastPlayedAt: { $max: '$date' },
+        averagePlannedDuration: { $avg: '$parts.plannedDuration' },
+        // Only live performances record actual durations, and a medley is
+        // only timed as a whole; $avg skips the nulls
+        averageActualDuration: { $avg: { $cond: ['$medley', null, '$actualDuration'] } },
+        timedPlays: { $sum: { $cond: [{ $and: [{ $not: ['$medley'] }, { $ne: ['$actualDuration', null] }] }, 1, 0] } }
+      }
+    },
+    { $sort: { playCount: -1, lastPlayedAt: -1 } }
+  ]);
+
+  const songs = await Song.find({ _id: { $in: stats.map(stat => stat._id) } }).select('title artist duration');
+  const byId = new Map(songs.map(song => [song._id.toString(), song]));
+
+  return stats.map((stat) => {
+    const song = byId.get(stat._id.toString());
+    const averageActualDuration = stat.averageActualDuration === null ? null : Math.round(stat.averageActualDuration);
+    const averagePlannedDuration = Math.round(stat.averagePlannedDuration || 0);
+
+    return {
+      songId: stat._id,
+      title: song ? song.title : stat.title,
+      artist: song ? song.artist : '',
+      playCount: stat.playCount,
+      gigCount: stat.gigs.length,
+      firstPlayedAt: stat.firstPlayedAt,
+      lastPlayedAt: stat.lastPlayedAt,
+      averagePlannedDuration,
+      averageActualDuration,
+      averageOverrun: averageActualDuration === null ? null : averageActualDuration - averagePlannedDuration,
+      timedPlays: stat.timedPlays
+    };
+  });
+};
+
+/**
+ * Songs in the library that were not played in the most recent gigs
+ * @param {Object} scope - See performanceMatch
+ * @param {number} gigs - Number of most recent gigs to look at
+ * @returns {Promise<{gigs: Array<Object>, songs: Array<Object>}>} The gigs considered and the unplayed songs,
+ *   longest since last played first
+ */
+const getUnplayedSongs = async (scope, gigs) => {
+  const recent = await Performance.find(performanceMatch(scope))
+    .sort({ date: -1 })
+    .limit(gigs)
+    .select('title venue date entries.songId entries.parts.songId entries.status');
+
+  const played = new Set(recent.flatMap(performance => performance.entries
+    .filter(entry => entry.status === 'played')
+    .flatMap(entry => getPlayedParts(entry).map(part => part.songId.toString()))));
+
+  const library = await Song.find(libraryMatch(scope)).select('title artist duration tags');
+  const unplayed = library.filter(song => !played.has(song._id.toString()));
+
+  // When each song was last played at all, before the window
+  const stats = await getSongStats(scope, unplayed.map(song => song._id));
+  const lastPlayed = new Map(stats.map(stat => [stat.songId.toString(), stat]));
+
+  const songs = unplayed.map((song) => {
+    const stat = lastPlayed.get(song._id.toString());
+    return {
+      songId: song._id,
+      title: song.title,
+      artist: song.artist,
+      duration: song.duration,
+      tags: song.tags,
+      playCount: stat ? stat.playCount : 0,
+      lastPlayedAt: stat ? stat.lastPlayedAt : null
+    };
+  });
+
+  // Never played first, then the longest since last played
+  songs.sort((a, b) => (a.lastPlayedAt || 0) - (b.lastPlayedAt || 0) || a.title.localeCompare(b.title));
+
+  return {
+    gigs: recent.map(performance => ({
+      performanceId: performance._id,
+      title: performance.title,
+      venue: performance.venue,
+      date: performance.date
+    })),
+    songs
+  };
+};
+
+/**
+ * Performance query for a venue
+ * A venue record also matches gigs logged before it existed, under its name or any alias.
+ * @param {string|Object} venue - Venue name, or Venue document
+ * @returns {Object}
+ */
+const venueMatch = (venue) => {
+  if (typeof venue === 'string') return { venue: venue.trim() };
+
+  return {
+    $or: [
+      { venueId: venue._id },
+      { venue: { $in: [venue.name, ...venue.aliases] } }
+    ]
+  };
+};
+
+/**
+ * What was played the last time at a venue
+ * @param {Object} scope - See performanceMatch
+ * @param {string|Object} venue - Venue name (case-insensitive), or Venue document
+ * @param {Object} [setlist] - Setlist being planned, to flag songs that would be repeated
+ * @returns {Promise<Object|null>} Last gig at the venue with its played songs, or null if never played there
+ */
+const getLastAtVenue = async (scope, venue, setlist = null) => {
+  const last = await Performance.findOne({ ...performanceMatch(scope), ...venueMatch(venue) })
+    .collation(VENUE_COLLATION)
+    .sort({ date: -1 });
+
+  if (!last) return null;
+
+  const songs = last.entries
+    .filter(entry => entry.status === 'played')
+    .flatMap(entry => getPlayedParts(entry).map(part => ({ songId: part.songId, title: part.title, setName: entry.setName })));
+
+  const result = {
+    performanceId: last._id,
+    setlistId: last.setlistId,
+    title: last.title,
+    venue: last.venue,
+    date: last.date,
+    songs
+  };
+
+  if (setlist) {
+    const playedIds = new Set(songs.map(song => song.songId.toString()));
+    const repeated = setlist.sets.flatMap(set => set.songs
+      .filter(entry => getEntryParts(entry).some(part => playedIds.has(part.songId.toString())))
+      .map(entry => ({ entryId: entry._id, songId: entry.songId, setName: set.name })));
+
+    result.repeated = repeated;
+  }
+
+  return result;
+};
+
+module.exports = {
+  getSongStats,
+  getUnplayedSongs,
+  getLastAtVenue
+};
@@ -0,0 +1,191 @@
+/**
+ * Setlist Diff Service
+ * Structured comparison between two setlist version snapshots
+ */
+
+/**
+ * Index every song entry in a list of sets by its entry ID
+ * @param {Array<Object>} sets
+ * @returns {Map<string, Object>} Entry ID -> entry with set and position information
+ */
+const indexEntries = (sets = []) => {
+  const entries = new Map();
+
+  sets.forEach((set, setIndex) => {
+    (set.songs || []).forEach((song, position) => {
+      entries.set(song._id.toString(), {
+        entryId: song._id.toString(),
+        type: song.type || 'song',
+        label: song.label || '',
+        songId: song.songId ? song.songId.toString() : null,
+        setId: set._id.toString(),
+        setName: set.name,
+        setIndex,
+        position,
+        duration: song.duration || 0,
+        notes: song.notes || '',
+        variantId: song.variantId ? song.variantId.toString() : null,
+        // A medley compares as its songs in order; an empty string for a single song
+        medley: (song.medley || []).map(part => `${part.songId}${part.variantId ? `:${part.variantId}` : ''}`).join(','),
+        segue: !!song.segue
+      });
+    });
+  });
+
+  return entries;
+};
+
+/**
+ * IDs in the longest common subsequence of two ID lists
+ * Entries outside it are the ones that were reordered.
+ * @param {Array<string>} a
+ * @param {Array<string>} b
+ * @returns {Set<string>}
+ */
+const longestCommonSubsequence = (a, b) => {
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const common = new Set();
+  let i = 0;
+  let j = 0;
+
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      common.add(a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return common;
+};
+
+/**
+ * Describe where an entry sits
+ * @param {Object} entry - Indexed entry
+ * @returns {Object}
+ */
+const location = (entry) => ({
+  setId: entry.setId,
+  setName: entry.setName,
+  position: entry.position
+});
+
+/**
+ * Compare two sets arrays
+ * @param {Array<Object>} fromSets - Sets of the older version
+ * @param {Array<Object>} toSets - Sets of the newer version
+ * @returns {Object} Sets and songs added, removed, renamed, moved and changed
+ */
+const diffSets = (fromSets = [], toSets = []) => {
+  const fromSetIds = new Map(fromSets.map(set => [set._id.toString(), set]));
+  const toSetIds = new Map(toSets.map(set => [set._id.toString(), set]));
+
+  const diff = {
+    setsAdded: toSets
+      .filter(set => !fromSetIds.has(set._id.toString()))
+      .map(set => ({ setId: set._id.toString(), name: set.name })),
+    setsRemoved: fromSets
+      .filter(set => !toSetIds.has(set._id.toString()))
+      .map(set => ({ setId: set._id.toString(), name: set.name })),
+    setsRenamed: toSets
+      .filter(set => fromSetIds.has(set._id.toString()) && fromSetIds.get(set._id.toString()).name !== set.name)
+      .map(set => ({ setId: set._id.toString(), from: fromSetIds.get(set._id.toString()).name, to: set.name })),
+    songsAdded: [],
+    songsRemoved: [],
+    songsMoved: [],
+    songsChanged: []
+  };
+
+  const fromEntries = indexEntries(fromSets);
+  const toEntries = indexEntries(toSets);
+
+  fromEntries.forEach((entry, entryId) => {
+    if (!toEntries.has(entryId)) {
+      diff.songsRemoved.push({ entryId, type: entry.type, songId: entry.songId, ...location(entry) });
+    }
+  });
+
+  toEntries.forEach((entry, entryId) => {
+    if (!fromEntries.has(entryId)) {
+      diff.songsAdded.push({ entryId, type: entry.type, songId: entry.songId, ...location(entry) });
+    }
+  });
+
+  // Entries that stayed in the same set only count as moved if their relative order changed
+  toSets.forEach((set) => {
+    const setId = set._id.toString();
+    const before = fromSetIds.has(setId)
+      ? (fromSetIds.get(setId).songs || []).map(song => song._id.toString()).filter(id => toEntries.get(id) && toEntries.get(id).setId === setId)
+      : [];
+    const after = (set.songs || []).map(song => song._id.toString()).filter(id => before.includes(id));
+    const inOrder = longestCommonSubsequence(before, after);
+
+    after
+      .filter(entryId => !inOrder.has(entryId))
+      .forEach((entryId) => {
+        diff.songsMoved.push({
+          entryId,
+          songId: toEntries.get(entryId).songId,
+          from: location(fromEntries.get(entryId)),
+          to: location(toEntries.get(entryId))
+        });
+      });
+  });
+
+  toEntries.forEach((entry, entryId) => {
+    const previous = fromEntries.get(entryId);
+    if (!previous) return;
+
+    if (previous.setId !== entry.setId) {
+      diff.songsMoved.push({ entryId, songId: entry.songId, from: location(previous), to: location(entry) });
+    }
+
+    const changes = {};
+    ['duration', 'notes', 'label', 'variantId', 'medley', 'segue'].forEach((field) => {
+      if (previous[field] !== entry[field]) {
+        changes[field] = { from: previous[field], to: entry[field] };
+      }
+    });
+
+    if (Object.keys(changes).length) {
+      diff.songsChanged.push({ entryId, songId: entry.songId, changes });
+    }
+  });
+
+  return diff;
+};
+
+/**
+ * Compare two version history entries of a setlist
+ * @param {Object} fromVersion - Older version history entry
+ * @param {Object} toVersion - Newer version history entry
+ * @returns {Object}
+ */
+const diffVersions = (fromVersion, toVersion) => {
+  const fromSnapshot = fromVersion.snapshot || {};
+  const toSnapshot = toVersion.snapshot || {};
+
+  return {
+    from: fromVersion.version,
+    to: toVersion.version,
+    title: fromSnapshot.title !== toSnapshot.title
+      ? { from: fromSnapshot.title, to: toSnapshot.title }
+      : null,
+    ...diffSets(fromSnapshot.sets, toSnapshot.sets)
+  };
+};
+
+module.exports = { diffSets, diffVersions };
@@ -0,0 +1,408 @@
+/**
+ * Setlist Generator Service
+ * Builds setlists from a song library according to a set of constraints
+ */
+const { z } = require('zod');
+const Setlist = require('../models/setlist.model');
+const Song = require('../models/song.model');
+const Band = require('../models/band.model');
+const User = require('../models/user.model');
+const Venue = require('../models/venue.model');
+const { ApiError } = require('../utils/errors');
+const { authorize } = require('../utils/authorization');
+const { parseKey, normalizeKey, interval } = require('../utils/musicKey');
+const { objectId, parse } = require('../utils/validation');
+
+const constraintsSchema = z.object({
+  title: z.string().trim().min(1).default('Generated setlist'),
+  bandId: objectId.nullable().default(null),
+  venueId: objectId.nullable().default(null), // its usual set lengths become the set targets
+  numberOfSets: z.number().int().min(1).max(10).optional(), // defaults to the venue's number of sets, or 1
+  setDuration: z.number().int().min(60).optional(), // in seconds, defaults from the venue, then the user's settings
+  songGap: z.number().int().min(0).default(0), // in seconds
+  requiredTags: z.array(z.string().trim()).default([]),
+  excludedTags: z.array(z.string().trim()).default([]),
+  openers: z.array(objectId).default([]), // one per set, in set order
+  closers: z.array(objectId).default([]), // one per set, in set order
+  avoidSameKey: z.boolean().default(true),
+  tempoCurve: z.enum(['none', 'build', 'descend', 'peak']).default('build'),
+  seed: z.number().int().optional(),
+  save: z.boolean().default(true)
+});
+
+/**
+ * Seeded pseudo-random number generator (mulberry32)
+ * The seed is returned with each result so a generation can be reproduced.
+ * @param {number} seed
+ * @returns {Function} Function returning numbers in [0, 1)
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Fisher-Yates shuffle
+ * @param {Array} items
+ * @param {Function} random
+ * @returns {Array} Shuffled copy
+ */
+const shuffle = (items, random) => {
+  const shuffled = [...items];
+
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+
+  return shuffled;
+};
+
+// Enharmonic keys such as F#m and Gbm are the same key
+const sameKey = (a, b) => {
+  const keyA = parseKey(a.key);
+  const keyB = parseKey(b.key);
+  if (keyA && keyB) return keyA.mode === keyB.mode && interval(keyA, keyB) === 0;
+
+  return !!normalizeKey(a.key) && normalizeKey(a.key) === normalizeKey(b.key);
+};
+
+/**
+ * Direction the tempo should move between positions index and index + 1
+ * @param {string} curve
+ * @param {number} index
+ * @param {number} length - Number of songs in the set
+ * @returns {number} 1 for rising, -1 for falling, 0 for either
+ */
+const expectedDirection = (curve, index, length) => {
+  switch (curve) {
+    case 'build':
+      return 1;
+    case 'descend':
+      return -1;
+    case 'peak':
+      return index < Math.floor((length - 1) / 2) ? 1 : -1;
+    default:
+      return 0;
+  }
+};
+
+/**
+ * Order songs to follow a tempo curve
+ * Songs without a known tempo keep the front of the list so they do not break the curve.
+ * @param {Array<Object>} songs
+ * @param {string} curve
+ * @returns {Array<Object>}
+ */
+const orderByTempo = (songs, curve) => {
+  if (curve === 'none') return songs;
+
+  const unknown = songs.filter(song => !song.tempo);
+  const known = songs.filter(song => song.tempo).sort((a, b) => a.tempo - b.tempo);
+
+  if (curve === 'descend') {
+    known.reverse();
+  } else if (curve === 'peak') {
+    // Alternate songs to both ends so the fastest one lands in the middle
+    const rising = [];
+    const falling = [];
+    known.forEach((song, index) => (index % 2 === 0 ? rising : falling).push(song));
+    known.splice(0, known.length, ...rising, ...falling.reverse());
+  }
+
+  return [...unknown, ...known];
+};
+
+/**
+ * Swap songs so no two consecutive songs share a key, where possible
+ * Positions in `fixed` (opener and closer) are never moved.
+ * @param {Array<Object>} songs
+ * @param {Set<number>} fixed
+ * @returns {Array<Object>}
+ */
+const separateKeys = (songs, fixed) => {
+  const ordered = [...songs];
+
+  for (let i = 1; i < ordered.length; i++) {
+    if (!sameKey(ordered[i - 1], ordered[i]) || fixed.has(i)) continue;
+
+    const swapWith = ordered.findIndex((song, j) =>
+      j > i
+      && !fixed.has(j)
+      && !sameKey(ordered[i - 1], song)
+      && (j + 1 >= ordered.length || !sameKey(ordered[i], ordered[j + 1]))
+    );
+
+    if (swapWith !== -1) {
+      [ordered[i], ordered[swapWith]] = [ordered[swapWith], ordered[i]];
+    }
+  }
+
+  return ordered;
+};
+
+/**
+ * Length of a list of songs played back to back
+ * @param {Array<Object>} songs
+ * @param {number} gap
+ * @returns {number} Seconds
+ */
+const playingTime = (songs, gap) =>
+  songs.reduce((total, song) => total + (song.duration || 0), 0) + Math.max(songs.length - 1, 0) * gap;
+
+/**
+ * Pick songs for one set
+ * @param {Object} params
+ * @returns {Array<Object>} Songs in playing order
+ */
+const buildSet = ({ pool, used, opener, closer, target, gap, curve, avoidSameKey }) => {
+  const fixedEnds = [opener, closer].filter(Boolean);
+  let remaining = target ? target - playingTime(fixedEnds, gap) - (fixedEnds.length ? gap : 0) : Infinity;
+  const middle = [];
+
+  pool.forEach((song) => {
+    if (used.has(song._id.toString())) return;
+
+    const length = (song.duration || 0) + gap;
+    if (length <= remaining) {
+      middle.push(song);
+      used.add(song._id.toString());
+      remaining -= length;
+    }
+  });
+
+  let songs = orderByTempo(middle, curve);
+  if (opener) songs = [opener, ...songs];
+  if (closer) songs = [...songs, closer];
+
+  if (avoidSameKey) {
+    const fixed = new Set();
+    if (opener) fixed.add(0);
+    if (closer) fixed.add(songs.length - 1);
+    songs = separateKeys(songs, fixed);
+  }
+
+  return songs;
+};
+
+/**
+ * Score how well the generated sets meet each constraint
+ * @param {Array<Array<Object>>} sets - Songs per set
+ * @param {Object} constraints
+ * @param {Array<Object>} picks - Requested openers and closers that were found
+ * @returns {{score: number, constraints: Array<Object>}}
+ */
+const scoreSets = (sets, constraints, picks) => {
+  const results = [];
+
+  const timed = sets
+    .map((songs, index) => ({ songs, index, target: constraints.setDurations[index] }))
+    .filter(set => set.target);
+
+  if (timed.length) {
+    const fits = timed.map(({ songs, target }) => {
+      const duration = playingTime(songs, constraints.songGap);
+      return Math.max(0, 1 - Math.abs(duration - target) / target);
+    });
+
+    results.push({
+      constraint: 'setDuration',
+      score: fits.reduce((total, fit) => total + fit, 0) / fits.length,
+      detail: timed.map(({ songs, index, target }) => ({
+        set: index + 1,
+        duration: playingTime(songs, constraints.songGap),
+        target
+      }))
+    });
+  }
+
+  if (constraints.avoidSameKey) {
+    let pairs = 0;
+    let clashes = 0;
+    sets.forEach((songs) => {
+      for (let i = 1; i < songs.length; i++) {
+        pairs += 1;
+        if (sameKey(songs[i - 1], songs[i])) clashes += 1;
+      }
+    });
+
+    results.push({
+      constraint: 'avoidSameKey',
+      score: pairs ? 1 - clashes / pairs : 1,
+      detail: { backToBackSameKey: clashes }
+    });
+  }
+
+  if (constraints.tempoCurve !== 'none') {
+    let pairs = 0;
+    let following = 0;
+    sets.forEach((songs) => {
+      for (let i = 0; i < songs.length - 1; i++) {
+        if (!songs[i].tempo || !songs[i + 1].tempo) continue;
+
+        const direction = expectedDirection(constraints.tempoCurve, i, songs.length);
+        const change = songs[i + 1].tempo - songs[i].tempo;
+        pairs += 1;
+        if (change === 0 || Math.sign(change) === direction) following += 1;
+      }
+    });
+
+    results.push({
+      constraint: 'tempoCurve',
+      score: pairs ? following / pairs : 1,
+      detail: { curve: constraints.tempoCurve, transitionsFollowingCurve: following, transitions: pairs }
+    });
+  }
+
+  const requestedPicks = constraints.openers.length + constraints.closers.length;
+  if (requestedPicks) {
+    results.push({
+      constraint: 'openersAndClosers',
+      score: picks.length / requestedPicks,
+      detail: { placed: picks.length, requested: requestedPicks }
+    });
+  }
+
+  const emptySets = sets.filter(songs => !songs.length).length;
+  results.push({
+    constraint: 'numberOfSets',
+    score: 1 - emptySets / sets.length,
+    detail: { requested: sets.length, empty: emptySets }
+  });
+
+  return {
+    score: results.reduce((total, result) => total + result.score, 0) / results.length,
+    constraints: results
+  };
+};
+
+/**
+ * Generate a setlist from the songs available to a user
+ * @param {string} userId - ID of the user generating the setlist
+ * @param {Object} input - Generation constraints (see constraintsSchema)
+ * @returns {Promise<{setlist: Object, score: number, constraints: Array<Object>, seed: number}>}
+ */
+const generateSetlist = async (userId, input) => {
+  const constraints = parse(constraintsSchema, input, 'constraints');
+
+  let venue = null;
+  if (constraints.venueId) {
+    venue = await Venue.findOne(constraints.bandId
+      ? { _id: constraints.venueId, bandId: constraints.bandId }
+      : { _id: constraints.venueId, bandId: null, createdBy: userId });
+    if (!venue) {
+      throw new ApiError(404, 'Venue not found');
+    }
+  }
+
+  const venueLengths = venue ? venue.defaultSetLengths : [];
+  if (!constraints.numberOfSets) {
+    constraints.numberOfSets = venueLengths.length || 1;
+  }
+
+  // Without an explicit target, sets are as long as the venue's usual sets, then the user's default set duration
+  let defaultDuration = constraints.setDuration;
+  if (!defaultDuration) {
+    const user = await User.findById(userId).select('settings.defaultSetDuration');
+    defaultDuration = user && user.settings.defaultSetDuration
+      ? user.settings.defaultSetDuration * 60
+      : undefined;
+  }
+
+  constraints.setDurations = Array.from({ length: constraints.numberOfSets }, (_, index) =>
+    constraints.setDuration || venueLengths[index] || defaultDuration);
+
+  const seed = constraints.seed === undefined ? Math.floor(Math.random() * 2 ** 31) : constraints.seed;
+
+  const libraryFilter = { createdBy: userId };
+  if (constraints.bandId) {
+    const band = await Band.findById(constraints.bandId);
+    if (!band || !band.hasMember(userId)) {
+      throw new ApiError(404, 'Band not found');
+    }
+    await authorize(userId, 'view', band, 'You do not have permission to use this band\'s song library');
+    if (constraints.save) {
+      await authorize(userId, 'edit_setlists', band, 'You do not have permission to add setlists to this band');
+    }
+    libraryFilter.$or = [{ createdBy: userId }, { bandId: constraints.bandId }];
+    delete libraryFilter.createdBy;
+  }
+
+  const library = await Song.find(libraryFilter);
+  const byId = new Map(library.map(song => [song._id.toString(), song]));
+
+  const eligible = library.filter(song =>
+    (!constraints.requiredTags.length || song.tags.some(tag => constraints.requiredTags.includes(tag)))
+    && !song.tags.some(tag => constraints.excludedTags.includes(tag))
+  );
+
+  const used = new Set();
+  const picks = [];
+  const pick = (songId) => {
+    const song = songId && byId.get(songId);
+    if (!song || used.has(songId)) return null;
+
+    used.add(songId);
+    picks.push(song);
+    return song;
+  };
+
+  const random = createRandom(seed);
+  const pool = shuffle(eligible, random);
+  const sets = [];
+
+  for (let index = 0; index < constraints.numberOfSets; index++) {
+    const opener = pick(constraints.openers[index]);
+    const closer = pick(constraints.closers[index]);
+
+    sets.push(buildSet({
+      pool,
+      used,
+      opener,
+      closer,
+      target: constraints.setDurations[index],
+      gap: constraints.songGap,
+      curve: constraints.tempoCurve,
+      avoidSameKey: constraints.avoidSameKey
+    }));
+  }
+
+  const setlist = new Setlist({
+    title: constraints.title,
+    createdBy: userId,
+    bandId: constraints.bandId,
+    venueId: venue ? venue._id : null,
+    songGap: constraints.songGap,
+    targetDuration: constraints.setDurations.every(Boolean)
+      ? constraints.setDurations.reduce((total, duration) => total + duration, 0)
+      : null
+  });
+
+  sets.forEach((songs, setIndex) => {
+    setlist.sets.push({
+      name: `Set ${setIndex + 1}`,
+      targetDuration: constraints.setDurations[setIndex] || 0,
+      songs: []
+    });
+    songs.forEach((song) => {
+      setlist.addSong(setIndex, song._id, song.duration);
+    });
+  });
+
+  if (constraints.save) {
+    await setlist.save();
+  } else {
+    setlist.calculateDurations();
+  }
+
+  return { setlist, seed, ...scoreSets(sets, constraints, picks) };
+};
+
+module.exports = { generateSetlist, constraintsSchema };
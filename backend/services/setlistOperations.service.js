@@ -0,0 +1,559 @@
+/**
+ * Setlist Operations Service
+ * Applies typed collaborative edit operations to setlists.
+ *
+ * Clients submit operations against the version they last saw. Entries and
+ * sets are addressed by their subdocument IDs, and positions are rebased
+ * against every operation committed since the client's base version, so
+ * concurrent edits merge in server commit order instead of overwriting
+ * each other. An operation is rejected as a version conflict when any
+ * version since its base was saved some other way, as there is nothing to
+ * rebase it against; the client reloads the setlist and tries again.
+ */
+const { z } = require('zod');
+const Setlist = require('../models/setlist.model');
+const SetlistOperation = require('../models/setlistOperation.model');
+const Song = require('../models/song.model');
+const { ApiError, VersionConflictError } = require('../utils/errors');
+const { createSerialQueue } = require('../utils/serialQueue');
+const { ITEM_TYPES, ITEM_NAMES, isSong } = require('../utils/setlistEntries');
+const { objectId, parse } = require('../utils/validation');
+
+const position = z.number().int().min(0);
+
+const medleyPart = z.object({
+  songId: objectId,
+  variantId: objectId.nullable().optional(),
+  duration: z.number().min(0).optional()
+});
+
+const operationSchema = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('addSong'),
+    setId: objectId,
+    songId: objectId,
+    variantId: objectId.nullable().optional(),
+    position: position.optional(),
+    duration: z.number().min(0).optional(),
+    notes: z.string().optional()
+  }),
+  z.object({
+    type: z.literal('addMedley'),
+    setId: objectId,
+    parts: z.array(medleyPart).min(2),
+    name: z.string().trim().optional(),
+    position: position.optional(),
+    notes: z.string().optional()
+  }),
+  z.object({
+    type: z.literal('addItem'),
+    setId: objectId,
+    itemType: z.enum(ITEM_TYPES.filter(type => type !== 'song')),
+    label: z.string().trim().optional(),
+    duration: z.number().min(0).optional(),
+    position: position.optional(),
+    notes: z.string().optional()
+  }),
+  z.object({
+    type: z.literal('editItem'),
+    entryId: objectId,
+    label: z.string().trim().optional(),
+    duration: z.number().min(0).optional()
+  }),
+  z.object({
+    type: z.literal('removeSong'),
+    entryId: objectId
+  }),
+  z.object({
+    type: z.literal('moveSong'),
+    entryId: objectId,
+    toSetId: objectId,
+    toPosition: position
+  }),
+  z.object({
+    type: z.literal('renameSet'),
+    setId: objectId,
+    name: z.string().trim().min(1)
+  }),
+  z.object({
+    type: z.literal('editNotes'),
+    entryId: objectId,
+    notes: z.string()
+  }),
+  z.object({
+    type: z.literal('transposeSong'),
+    entryId: objectId,
+    transpose: z.number().int().min(-11).max(11),
+    capo: z.number().int().min(0).max(12).nullable().optional()
+  }),
+  z.object({
+    type: z.literal('setSegue'),
+    entryId: objectId,
+    segue: z.boolean()
+  }),
+  z.object({
+    type: z.literal('setVariant'),
+    entryId: objectId,
+    variantId: objectId.nullable(),
+    duration: z.number().min(0).optional()
+  })
+]);
+
+// Operations that insert an entry into a set
+const INSERTS = ['addSong', 'addMedley', 'addItem', 'moveSong'];
+
+// Attempts to commit an operation when a concurrent save gets in first
+const MAX_ATTEMPTS = 3;
+
+// Operations on one setlist are applied one at a time
+const enqueue = createSerialQueue();
+
+/**
+ * Locate a set by its subdocument ID
+ * @param {Object} setlist
+ * @param {string} setId
+ * @returns {number} Index of the set, or -1
+ */
+const findSetIndex = (setlist, setId) =>
+  setlist.sets.findIndex(set => set._id.toString() === setId.toString());
+
+/**
+ * Locate a song entry by its subdocument ID
+ * @param {Object} setlist
+ * @param {string} entryId
+ * @returns {{setIndex: number, songIndex: number}|null}
+ */
+const findEntry = (setlist, entryId) => {
+  for (let setIndex = 0; setIndex < setlist.sets.length; setIndex++) {
+    const songIndex = setlist.sets[setIndex].songs.findIndex(
+      song => song._id.toString() === entryId.toString()
+    );
+
+    if (songIndex !== -1) {
+      return { setIndex, songIndex };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Shift a position in a set to account for one committed operation
+ * @param {string} setId - Set the position refers to
+ * @param {number} pos - Position to shift
+ * @param {Object} applied - Committed operation, as stored in the operation log
+ * @returns {number} Shifted position
+ */
+const shiftPosition = (setId, pos, applied) => {
+  let shifted = pos;
+  const removedFrom = applied.type === 'removeSong' ? applied.setId : applied.fromSetId;
+  const removedAt = applied.type === 'removeSong' ? applied.position : applied.fromPosition;
+  const insertedInto = applied.type === 'moveSong' ? applied.toSetId : applied.setId;
+  const insertedAt = applied.type === 'moveSong' ? applied.toPosition : applied.position;
+
+  if (['removeSong', 'moveSong'].includes(applied.type) && removedFrom === setId && removedAt < shifted) {
+    shifted -= 1;
+  }
+
+  // Ties go to the operation that was committed first
+  if (INSERTS.includes(applied.type) && insertedInto === setId && insertedAt <= shifted) {
+    shifted += 1;
+  }
+
+  return shifted;
+};
+
+/**
+ * Rebase an operation over the operations committed since its base version
+ * @param {Object} op - Incoming operation
+ * @param {Array<Object>} committed - Applied operations, oldest first
+ * @returns {Object} Operation with positions adjusted to the current state
+ */
+const transformOperation = (op, committed) => {
+  if (['addSong', 'addMedley', 'addItem'].includes(op.type) && op.position !== undefined) {
+    return {
+      ...op,
+      position: committed.reduce((pos, applied) => shiftPosition(op.setId, pos, applied), op.position)
+    };
+  }
+
+  if (op.type === 'moveSong') {
+    return {
+      ...op,
+      toPosition: committed.reduce((pos, applied) => shiftPosition(op.toSetId, pos, applied), op.toPosition)
+    };
+  }
+
+  return op;
+};
+
+/**
+ * Apply an operation to a setlist document in place
+ * @param {Object} setlist - Setlist document
+ * @param {Object} op - Operation rebased onto the current version
+ * @returns {Object|null} Operation as applied, or null if it no longer has a target
+ */
+const applyToSetlist = (setlist, op) => {
+  switch (op.type) {
+    case 'addSong': {
+      const setIndex = findSetIndex(setlist, op.setId);
+      if (setIndex === -1) throw new ApiError(400, 'Invalid set index');
+
+      const songs = setlist.sets[setIndex].songs;
+      setlist.addSong(setIndex, op.songId, op.duration, op.notes, op.variantId || null);
+
+      const toPosition = Math.min(op.position === undefined ? songs.length - 1 : op.position, songs.length - 1);
+      setlist.moveSong(setIndex, songs.length - 1, setIndex, toPosition);
+
+      return {
+        type: op.type,
+        setId: op.setId,
+        songId: op.songId,
+        variantId: op.variantId || null,
+        entryId: songs[toPosition]._id.toString(),
+        position: toPosition,
+        duration: op.duration,
+        notes: op.notes || ''
+      };
+    }
+
+    case 'addMedley': {
+      const setIndex = findSetIndex(setlist, op.setId);
+      if (setIndex === -1) throw new ApiError(400, 'Invalid set index');
+
+      const songs = setlist.sets[setIndex].songs;
+      setlist.addMedley(setIndex, op.parts, op.name, op.notes);
+
+      const toPosition = Math.min(op.position === undefined ? songs.length - 1 : op.position, songs.length - 1);
+      setlist.moveSong(setIndex, songs.length - 1, setIndex, toPosition);
+
+      return {
+        type: op.type,
+        setId: op.setId,
+        parts: op.parts.map(({ songId, variantId, duration }) => ({ songId, variantId: variantId || null, duration })),
+        name: op.name || '',
+        entryId: songs[toPosition]._id.toString(),
+        position: toPosition,
+        notes: op.notes || ''
+      };
+    }
+
+    case 'addItem': {
+      const setIndex = findSetIndex(setlist, op.setId);
+      if (setIndex === -1) throw new ApiError(400, 'Invalid set index');
+
+      const songs = setlist.sets[setIndex].songs;
+      setlist.addItem(setIndex, op.itemType, op.label, op.duration, op.notes);
+
+      const toPosition = Math.min(op.position === undefined ? songs.length - 1 : op.position, songs.length - 1);
+      setlist.moveSong(setIndex, songs.length - 1, setIndex, toPosition);
+
+      return {
+        type: op.type,
+        setId: op.setId,
+        itemType: op.itemType,
+        label: op.label || '',
+        entryId: songs[toPosition]._id.toString(),
+        position: toPosition,
+        duration: op.duration || 0,
+        notes: op.notes || ''
+      };
+    }
+
+    case 'editItem': {
+      const entry = findEntry(setlist, op.entryId);
+      if (!entry) return null;
+
+      const item = setlist.sets[entry.setIndex].songs[entry.songIndex];
+      if (isSong(item)) throw new ApiError(400, 'Songs are not items');
+
+      if (op.label !== undefined) item.label = op.label;
+      if (op.duration !== undefined) item.duration = op.duration;
+
+      return { type: op.type, entryId: op.entryId, label: item.label, duration: item.duration };
+    }
+
+    case 'removeSong': {
+      const entry = findEntry(setlist, op.entryId);
+      if (!entry) return null;
+
+      const set = setlist.sets[entry.setIndex];
+
+      // The entry before no longer segues into anything
+      if (entry.songIndex > 0) set.songs[entry.songIndex - 1].segue = false;
+      set.songs.splice(entry.songIndex, 1);
+      set.songs.forEach((song, index) => {
+        song.order = index + 1;
+      });
+
+      return {
+        type: op.type,
+        entryId: op.entryId,
+        setId: set._id.toString(),
+        position: entry.songIndex
+      };
+    }
+
+    case 'moveSong': {
+      const entry = findEntry(setlist, op.entryId);
+      if (!entry) return null;
+
+      const toSetIndex = findSetIndex(setlist, op.toSetId);
+      if (toSetIndex === -1) throw new ApiError(400, 'Invalid set index');
+
+      // The entry is removed before insertion, so a same-set move has one slot less
+      const lastPosition = setlist.sets[toSetIndex].songs.length - (toSetIndex === entry.setIndex ? 1 : 0);
+      const toPosition = Math.min(op.toPosition, lastPosition);
+      setlist.moveSong(entry.setIndex, entry.songIndex, toSetIndex, toPosition);
+
+      return {
+        type: op.type,
+        entryId: op.entryId,
+        fromSetId: setlist.sets[entry.setIndex]._id.toString(),
+        fromPosition: entry.songIndex,
+        toSetId: op.toSetId,
+        toPosition
+      };
+    }
+
+    case 'renameSet': {
+      const setIndex = findSetIndex(setlist, op.setId);
+      if (setIndex === -1) return null;
+
+      setlist.sets[setIndex].name = op.name;
+      return { type: op.type, setId: op.setId, name: op.name };
+    }
+
+    case 'editNotes': {
+      const entry = findEntry(setlist, op.entryId);
+      if (!entry) return null;
+
+      setlist.sets[entry.setIndex].songs[entry.songIndex].notes = op.notes;
+      return { type: op.type, entryId: op.entryId, notes: op.notes };
+    }
+
+    case 'transposeSong': {
+      const entry = findEntry(setlist, op.entryId);
+      if (!entry) return null;
+
+      const song = setlist.sets[entry.setIndex].songs[entry.songIndex];
+      song.transpose = op.transpose;
+      if (op.capo !== undefined) {
+        song.capo = op.capo;
+      }
+
+      return { type: op.type, entryId: op.entryId, transpose: op.transpose, capo: song.capo };
+    }
+
+    case 'setSegue': {
+      const entry = findEntry(setlist, op.entryId);
+      if (!entry) return null;
+
+      setlist.sets[entry.setIndex].songs[entry.songIndex].segue = op.segue;
+      return { type: op.type, entryId: op.entryId, segue: op.segue };
+    }
+
+    case 'setVariant': {
+      const entry = findEntry(setlist, op.entryId);
+      if (!entry) return null;
+
+      // A medley's arrangements are chosen per part, when it is put together
+      const song = setlist.sets[entry.setIndex].songs[entry.songIndex];
+      if (!isSong(song)) throw new ApiError(400, 'Only songs have arrangements');
+      if (song.medley.length) throw new ApiError(400, 'Medley parts cannot be changed one at a time');
+
+      song.variantId = op.variantId;
+      if (op.duration !== undefined) song.duration = op.duration;
+
+      return { type: op.type, entryId: op.entryId, variantId: op.variantId, duration: song.duration };
+    }
+
+    default:
+      throw new ApiError(400, `Unknown operation type: ${op.type}`);
+  }
+};
+
+/**
+ * Song ID of an entry, if the entry still exists
+ * @param {Object} setlist
+ * @param {string} entryId
+ * @returns {Object|null}
+ */
+const findSong = (setlist, entryId) => {
+  const entry = findEntry(setlist, entryId);
+  return entry ? setlist.sets[entry.setIndex].songs[entry.songIndex].songId : null;
+};
+
+/**
+ * How long an arrangement of a song plays, checking the arrangement belongs to the song
+ * @param {string|null} songId
+ * @param {string|null} [variantId]
+ * @returns {Promise<number>} Duration in seconds (0 for an unknown song)
+ */
+const getArrangementDuration = async (songId, variantId = null) => {
+  const song = songId ? await Song.findById(songId).select('duration variants') : null;
+  if (!song) return 0;
+
+  if (variantId && !song.variants.id(variantId)) {
+    throw new ApiError(400, 'Invalid variant');
+  }
+
+  return song.getArrangement(variantId).duration;
+};
+
+/**
+ * Human-readable summary of an applied operation for the version history
+ * @param {Object} applied
+ * @returns {string}
+ */
+const describeOperation = (applied) => {
+  switch (applied.type) {
+    case 'addSong':
+      return `Added song at position ${applied.position + 1}`;
+    case 'addMedley':
+      return `Added medley of ${applied.parts.length} songs at position ${applied.position + 1}`;
+    case 'addItem':
+      return `Added ${ITEM_NAMES[applied.itemType].toLowerCase()} at position ${applied.position + 1}`;
+    case 'editItem':
+      return 'Edited item';
+    case 'removeSong':
+      return 'Removed song';
+    case 'moveSong':
+      return applied.fromSetId === applied.toSetId
+        ? `Moved song to position ${applied.toPosition + 1}`
+        : `Moved song to another set at position ${applied.toPosition + 1}`;
+    case 'renameSet':
+      return `Renamed set to "${applied.name}"`;
+    case 'editNotes':
+      return 'Edited song notes';
+    case 'transposeSong':
+      return `Transposed song by ${applied.transpose} semitones`;
+    case 'setSegue':
+      return applied.segue ? 'Added segue' : 'Removed segue';
+    case 'setVariant':
+      return applied.variantId ? 'Changed song arrangement' : 'Reset song arrangement';
+    default:
+      return applied.type;
+  }
+};
+
+/**
+ * Rebase and apply an operation to the latest stored setlist, and persist it
+ * @param {Object} params - See applyOperation
+ * @returns {Promise<{setlist: Object, applied: Object|null, version: number}>}
+ */
+const commitOperation = async ({ setlistId, baseVersion, op, opId, userId }) => {
+  const setlist = await Setlist.findById(setlistId);
+  if (!setlist) {
+    throw new ApiError(404, 'Setlist not found');
+  }
+
+  if (!Number.isInteger(baseVersion) || baseVersion < 1 || baseVersion > setlist.version) {
+    throw new ApiError(400, 'Invalid base version');
+  }
+
+  // A retried operation that was already committed is not applied twice
+  if (opId) {
+    const existing = await SetlistOperation.findOne({ setlistId, opId });
+    if (existing) {
+      return { setlist, applied: existing.op, version: existing.version };
+    }
+  }
+
+  const committed = await SetlistOperation.find({
+    setlistId,
+    version: { $gt: baseVersion }
+  }).sort({ version: 1 });
+
+  // Saves that are not operations (REST updates, restores, offline sync...) and
+  // expired log entries leave gaps the operation cannot be rebased across
+  const complete = committed.length === setlist.version - baseVersion &&
+    committed.every((entry, index) => entry.version === baseVersion + index + 1);
+  if (!complete) {
+    throw new VersionConflictError(baseVersion, setlist.version);
+  }
+
+  const rebased = transformOperation(op, committed.map(entry => entry.op));
+
+  if (rebased.type === 'addSong' || rebased.type === 'setVariant') {
+    const duration = await getArrangementDuration(rebased.songId || findSong(setlist, rebased.entryId), rebased.variantId);
+    if (rebased.duration === undefined) rebased.duration = duration;
+  }
+
+  if (rebased.type === 'addMedley') {
+    rebased.parts = await Promise.all(rebased.parts.map(async (part) => {
+      const duration = await getArrangementDuration(part.songId, part.variantId);
+      return { ...part, duration: part.duration === undefined ? duration : part.duration };
+    }));
+  }
+
+  const currentVersion = setlist.version;
+  const applied = applyToSetlist(setlist, rebased);
+
+  // The target was removed by a concurrent edit; nothing changes
+  if (!applied) {
+    return { setlist, applied: null, version: setlist.version };
+  }
+
+  // The save and its log entry are written together: a version without its
+  // operation would leave a gap no later operation could be rebased across
+  const session = await Setlist.startSession();
+  try {
+    session.startTransaction();
+    setlist.$session(session);
+    await setlist.saveVersion(currentVersion, userId, describeOperation(applied));
+    await SetlistOperation.create([{
+      setlistId,
+      version: setlist.version,
+      type: applied.type,
+      op: applied,
+      opId,
+      changedBy: userId
+    }], { session });
+    await session.commitTransaction();
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    throw error;
+  } finally {
+    setlist.$session(null);
+    await session.endSession();
+  }
+
+  return { setlist, applied, version: setlist.version };
+};
+
+/**
+ * Validate, rebase, apply and persist an operation on a setlist
+ * @param {Object} params
+ * @param {string} params.setlistId - ID of the setlist to edit
+ * @param {number} params.baseVersion - Setlist version the client built the operation against
+ * @param {Object} params.op - Operation to apply
+ * @param {string} [params.opId] - Client-generated operation ID for deduplication
+ * @param {string} [params.userId] - ID of the user submitting the operation
+ * @returns {Promise<{setlist: Object, applied: Object|null, version: number}>}
+ */
+const applyOperation = ({ setlistId, baseVersion, op, opId = null, userId = null }) =>
+  enqueue(setlistId, async () => {
+    const parsed = parse(operationSchema, op, 'operation');
+
+    // Another server can commit an operation between our read and write; rebase and retry.
+    // Operations that cannot be rebased fail the same way each time and are rejected.
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await commitOperation({ setlistId, baseVersion, op: parsed, opId, userId });
+      } catch (error) {
+        if (!(error instanceof VersionConflictError) || attempt === MAX_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  });
+
+module.exports = {
+  operationSchema,
+  transformOperation,
+  applyToSetlist,
+  applyOperation
+};
@@ -0,0 +1,220 @@
+/**
+ * Setlist Template Service
+ * Reusable show shapes, and new setlists made from a template or cloned from
+ * a past gig. Templates belong to the band of the setlist they were saved
+ * from (or to their creator); everyone who can perform with the band can use
+ * them, and creating setlists or templates takes the edit_setlists permission.
+ *
+ * New setlists start from version 1 with nothing played, and keep a link to
+ * the setlist or template they came from.
+ */
+const mongoose = require('mongoose');
+const { z } = require('zod');
+const SetlistTemplate = require('../models/setlistTemplate.model');
+const Setlist = require('../models/setlist.model');
+const Song = require('../models/song.model');
+const { ApiError } = require('../utils/errors');
+const { can, authorize, getBandIdsWith } = require('../utils/authorization');
+const { getSongIds } = require('../utils/setlistEntries');
+const { objectId, parse } = require('../utils/validation');
+
+const saveTemplateSchema = z.object({
+  name: z.string().trim().min(1).max(200).optional(), // defaults to the setlist's title
+  description: z.string().trim().max(2000).optional(),
+  includeSongs: z.boolean().default(false)
+});
+
+const updateTemplateSchema = z.object({
+  name: z.string().trim().min(1).max(200),
+  description: z.string().trim().max(2000),
+  songGap: z.number().int().min(0),
+  targetDuration: z.number().int().min(0).nullable()
+}).partial();
+
+// Where and when the new setlist is played; the rest comes from its source
+const newSetlistSchema = z.object({
+  title: z.string().trim().min(1).max(200).optional(),
+  description: z.string().trim().max(2000).optional(),
+  date: z.coerce.date().nullable().optional(),
+  venueId: objectId.nullable().optional(),
+  venue: z.string().trim().max(200).optional()
+});
+
+const cloneSchema = newSetlistSchema.extend({
+  includeSongs: z.boolean().default(true)
+});
+
+/**
+ * Templates a user can use: their own, and those of every band they perform with
+ * @param {string} userId
+ * @param {string|null} [bandId] - Only this band's templates
+ * @returns {Promise<Array<Object>>}
+ */
+const getTemplates = async (userId, bandId = null) => {
+  const bandIds = await getBandIdsWith(userId, 'perform');
+
+  let filter = {
+    $or: [
+      { bandId: { $in: bandIds } },
+      { bandId: null, createdBy: userId }
+    ]
+  };
+
+  if (bandId) {
+    if (!bandIds.some(id => id.equals(bandId))) {
+      throw new ApiError(404, 'Band not found');
+    }
+    filter = { bandId };
+  }
+
+  return SetlistTemplate.find(filter).sort({ name: 1 });
+};
+
+/**
+ * Load a template a user can use, or throw a 404
+ * @param {string} templateId
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {boolean} [options.edit] - Also require the right to change it, or throw a 403
+ * @returns {Promise<Object>}
+ */
+const getTemplate = async (templateId, userId, { edit = false } = {}) => {
+  const template = mongoose.Types.ObjectId.isValid(templateId) ? await SetlistTemplate.findById(templateId) : null;
+
+  if (!template || !(await can(userId, 'perform', template))) {
+    throw new ApiError(404, 'Template not found');
+  }
+
+  if (edit) {
+    await authorize(userId, 'edit_setlists', template, 'You do not have permission to change this template');
+  }
+
+  return template;
+};
+
+/**
+ * Save a setlist's show shape as a template, with or without its songs
+ * @param {Object} setlist - Setlist the user may edit
+ * @param {string} userId
+ * @param {Object} input - Request body matching saveTemplateSchema
+ * @returns {Promise<Object>}
+ */
+const saveTemplate = async (setlist, userId, input) => {
+  const { includeSongs, ...details } = parse(saveTemplateSchema, input, 'template');
+
+  const template = SetlistTemplate.fromSetlist(setlist, { ...details, includeSongs, createdBy: userId });
+  await template.save();
+
+  return template;
+};
+
+/**
+ * Change a template's name, description or budget
+ * @param {Object} template - Template the user may edit
+ * @param {Object} input - Request body matching updateTemplateSchema
+ * @returns {Promise<Object>}
+ */
+const updateTemplate = async (template, input) => {
+  template.set(parse(updateTemplateSchema, input, 'template'));
+  await template.save();
+  return template;
+};
+
+/**
+ * Copy where and when a new setlist is played onto it
+ * @param {Object} setlist - New setlist
+ * @param {Object} details - Parsed newSetlistSchema fields
+ */
+const applyDetails = (setlist, { title, description, date, venueId, venue }) => {
+  if (title !== undefined) setlist.title = title;
+  if (description !== undefined) setlist.description = description;
+  if (date !== undefined) setlist.date = date;
+
+  // A venue typed in replaces the source's venue record too
+  if (venueId !== undefined || venue !== undefined) {
+    setlist.venueId = venueId || null;
+    setlist.venue = venue || '';
+  }
+};
+
+/**
+ * Create a setlist from a template
+ * Songs of the template that have since been deleted are left out.
+ * @param {Object} template - Template the user can use
+ * @param {string} userId
+ * @param {Object} input - Request body matching newSetlistSchema
+ * @returns {Promise<{setlist: Object, skippedSongs: number}>} How many different songs were left out
+ */
+const createFromTemplate = async (template, userId, input) => {
+  const details = parse(newSetlistSchema, input, 'setlist');
+  await authorize(userId, 'edit_setlists', template, 'You do not have permission to add setlists to this band');
+
+  const songIds = getSongIds(template.sets);
+  const existing = songIds.length ? await Song.find({ _id: { $in: songIds } }).select('_id') : [];
+  const existingIds = new Set(existing.map(song => song._id.toString()));
+  const deletedIds = new Set(songIds.map(id => id.toString()).filter(id => !existingIds.has(id)));
+
+  const setlist = new Setlist({
+    title: template.name,
+    description: template.description,
+    bandId: template.bandId,
+    createdBy: userId,
+    songGap: template.songGap,
+    targetDuration: template.targetDuration,
+    sets: template.buildSets(deletedIds),
+    templateId: template._id
+  });
+  applyDetails(setlist, details);
+  await setlist.save();
+
+  return {
+    setlist,
+    skippedSongs: deletedIds.size
+  };
+};
+
+/**
+ * Clone a setlist, e.g. a past gig for the next one
+ * The copy is a new private setlist at version 1 with no history and nothing
+ * marked as played; it keeps the venue unless a new one is given.
+ * @param {Object} setlist - Setlist the user may edit
+ * @param {string} userId
+ * @param {Object} input - Request body matching cloneSchema
+ * @returns {Promise<Object>} The new setlist
+ */
+const cloneSetlist = async (setlist, userId, input) => {
+  const { includeSongs, ...details } = parse(cloneSchema, input, 'clone');
+
+  const clone = new Setlist({
+    title: `${setlist.title} (copy)`,
+    description: setlist.description,
+    date: null,
+    venueId: setlist.venueId,
+    venue: setlist.venue,
+    bandId: setlist.bandId,
+    createdBy: userId,
+    songGap: setlist.songGap,
+    targetDuration: setlist.targetDuration,
+    sets: setlist.sets.map((set) => {
+      const { _id, duration, overrun, songs, ...copy } = set.toObject();
+      return {
+        ...copy,
+        songs: includeSongs ? songs.map(({ _id: entryId, isPlayed, ...entry }) => entry) : []
+      };
+    }),
+    clonedFromId: setlist._id
+  });
+  applyDetails(clone, details);
+  await clone.save();
+
+  return clone;
+};
+
+module.exports = {
+  getTemplates,
+  getTemplate,
+  saveTemplate,
+  updateTemplate,
+  createFromTemplate,
+  cloneSetlist
+};
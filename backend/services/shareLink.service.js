@@ -0,0 +1,229 @@
+/**
+ * Share Link Service
+ * Guest access to one setlist for people outside the band. A link shows the
+ * setlist, the keys and charts of the songs on it and nothing else from the
+ * library; links that are not read-only also let the guest rearrange the
+ * setlist, but never add songs the band has not already put on it.
+ */
+const { z } = require('zod');
+const ShareLink = require('../models/shareLink.model');
+const Song = require('../models/song.model');
+const { buildSetlistCharts } = require('./chart.service');
+const { ApiError } = require('../utils/errors');
+const { getSongIds, getEntryParts } = require('../utils/setlistEntries');
+const { parse } = require('../utils/validation');
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_EXPIRY_DAYS = 7;
+const MAX_EXPIRY_DAYS = 365;
+
+// Song fields a guest sees
+const GUEST_SONG_FIELDS = 'title artist duration key tempo notes chordSheetUrl lyricsUrl variants';
+
+const shareLinkSchema = z.object({
+  label: z.string().trim().max(100).default(''),
+  readOnly: z.boolean().default(true),
+  expiresAt: z.coerce.date().optional()
+});
+
+/**
+ * When a new link expires if no expiry is given: the day after the gig, or in a week
+ * @param {Object} setlist
+ * @param {Date} now
+ * @returns {Date}
+ */
+const defaultExpiry = (setlist, now) => {
+  if (setlist.date && setlist.date > now) {
+    return new Date(setlist.date.getTime() + DAY);
+  }
+  return new Date(now.getTime() + DEFAULT_EXPIRY_DAYS * DAY);
+};
+
+/**
+ * Request details recorded in a link's access log
+ * @param {Object} req
+ * @returns {{ip: string, userAgent: string}}
+ */
+const accessDetails = req => ({
+  ip: req.ip,
+  userAgent: req.get('user-agent') || ''
+});
+
+/**
+ * Create a share link for a setlist
+ * @param {Object} setlist
+ * @param {string} userId
+ * @param {Object} input - Request body matching shareLinkSchema
+ * @returns {Promise<{shareLink: Object, token: string}>} The link, and its token (only ever returned here)
+ */
+const createShareLink = async (setlist, userId, input) => {
+  const { label, readOnly, expiresAt: requestedExpiry } = parse(shareLinkSchema, input || {}, 'share link');
+
+  const now = new Date();
+  const expiresAt = requestedExpiry || defaultExpiry(setlist, now);
+
+  if (expiresAt <= now || expiresAt - now > MAX_EXPIRY_DAYS * DAY) {
+    throw new ApiError(400, `expiresAt must be in the future and within ${MAX_EXPIRY_DAYS} days`);
+  }
+
+  const { token, tokenHash } = ShareLink.generateToken();
+  const shareLink = await ShareLink.create({
+    setlistId: setlist._id,
+    tokenHash,
+    label,
+    readOnly,
+    expiresAt,
+    createdBy: userId
+  });
+
+  return { shareLink, token };
+};
+
+/**
+ * Share links of a setlist, newest first
+ * @param {Object} setlist
+ * @returns {Promise<Array<Object>>} Link summaries
+ */
+const getShareLinks = async (setlist) => {
+  const links = await ShareLink.find({ setlistId: setlist._id })
+    .select('-accessLog')
+    .sort({ createdAt: -1 });
+
+  return links.map(link => link.getSummary());
+};
+
+/**
+ * Find a share link of a setlist
+ * @param {Object} setlist
+ * @param {string} linkId
+ * @returns {Promise<Object>}
+ */
+const findShareLink = async (setlist, linkId) => {
+  const link = await ShareLink.findOne({ _id: linkId, setlistId: setlist._id }).catch(() => null);
+  if (!link) {
+    throw new ApiError(404, 'Share link not found');
+  }
+  return link;
+};
+
+/**
+ * A share link's access log, newest first
+ * @param {Object} setlist
+ * @param {string} linkId
+ * @returns {Promise<Object>} Link summary with its access log
+ */
+const getAccessLog = async (setlist, linkId) => {
+  const link = await findShareLink(setlist, linkId);
+
+  return { ...link.getSummary(), accessLog: [...link.accessLog].reverse() };
+};
+
+/**
+ * Revoke a share link; guests using it lose access straight away
+ * @param {Object} setlist
+ * @param {string} linkId
+ * @returns {Promise<Object>} Link summary
+ */
+const revokeShareLink = async (setlist, linkId) => {
+  const link = await findShareLink(setlist, linkId);
+
+  if (!link.revokedAt) {
+    link.revokedAt = new Date();
+    await link.save();
+  }
+
+  return link.getSummary();
+};
+
+/**
+ * What a guest sees: the setlist and the songs on it
+ * @param {Object} shareLink
+ * @param {Object} setlist
+ * @param {Object} req - For the access log
+ * @returns {Promise<Object>}
+ */
+const getGuestView = async (shareLink, setlist, req) => {
+  const songs = await Song.find({ _id: { $in: setlist.getSongIds() } }).select(GUEST_SONG_FIELDS);
+
+  await shareLink.recordAccess('view', accessDetails(req));
+
+  return {
+    label: shareLink.label,
+    readOnly: shareLink.readOnly,
+    expiresAt: shareLink.expiresAt,
+    setlist: {
+      _id: setlist._id,
+      title: setlist.title,
+      description: setlist.description,
+      date: setlist.date,
+      venue: setlist.venue,
+      sets: setlist.sets,
+      totalDuration: setlist.totalDuration,
+      songGap: setlist.songGap,
+      version: setlist.version
+    },
+    songs
+  };
+};
+
+/**
+ * Chord charts of the shared setlist, transposed to the keys they are played in
+ * @param {Object} shareLink
+ * @param {Object} setlist
+ * @param {Object} req - For the access log
+ * @param {Object} [options] - Chart options (capo)
+ * @returns {Promise<Array<Object>>}
+ */
+const getGuestCharts = async (shareLink, setlist, req, options = {}) => {
+  const sets = await buildSetlistCharts(setlist, options);
+
+  await shareLink.recordAccess('charts', accessDetails(req));
+
+  return sets;
+};
+
+/**
+ * Save a guest's changes to the sets of a shared setlist
+ * Guests can reorder, annotate, transpose and drop songs, but not add songs that
+ * are not on the setlist already, since that would show them the rest of the library.
+ * @param {Object} shareLink
+ * @param {Object} setlist
+ * @param {Object} changes
+ * @param {number} changes.baseVersion
+ * @param {Array<Object>} changes.sets
+ * @param {Object} req - For the access log
+ * @returns {Promise<Object>} The saved setlist
+ */
+const updateGuestSetlist = async (shareLink, setlist, { baseVersion, sets }, req) => {
+  if (!Array.isArray(sets)) {
+    throw new ApiError(400, 'sets is required');
+  }
+
+  const allowed = new Set(getSongIds(setlist.sets).map(id => id.toString()));
+  const added = sets
+    .flatMap(set => (Array.isArray(set.songs) ? set.songs : []))
+    .filter(entry => !entry || getEntryParts(entry).some(part => !part || !allowed.has(String(part.songId))));
+
+  if (added.length) {
+    throw new ApiError(400, 'Guests can only rearrange songs already on the setlist');
+  }
+
+  const guest = shareLink.label ? `guest ${shareLink.label}` : 'a guest';
+  setlist.sets = sets;
+  await setlist.saveVersion(baseVersion, shareLink.createdBy, `Edited by ${guest} through a share link`);
+
+  await shareLink.recordAccess('edit', accessDetails(req));
+
+  return setlist;
+};
+
+module.exports = {
+  shareLinkSchema,
+  createShareLink,
+  getShareLinks,
+  getAccessLog,
+  revokeShareLink,
+  getGuestView,
+  getGuestCharts,
+  updateGuestSetlist
+};
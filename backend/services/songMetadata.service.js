@@ -0,0 +1,305 @@
+/**
+ * Song Metadata Service
+ * Suggests song details (duration, key, tempo, the canonical artist name) from
+ * the metadata providers, links songs to the recordings they match, and fills
+ * in a whole library at once.
+ *
+ * Recordings are scored by how closely their title and artist match the
+ * song's. Bulk enrichment only takes a match scoring MIN_MATCH_SCORE or more,
+ * and only fills in details a song is missing unless asked to overwrite them.
+ */
+const mongoose = require('mongoose');
+const { z } = require('zod');
+const Song = require('../models/song.model');
+const { ApiError } = require('../utils/errors');
+const { getEnabledProviders, searchProvider } = require('./metadataProviders.service');
+const { libraryQuery } = require('./songSpreadsheet.service');
+const logger = require('../utils/logger');
+const { objectId, parse } = require('../utils/validation');
+
+// Song details a recording can suggest
+const SUGGESTED_FIELDS = ['artist', 'duration', 'key', 'tempo'];
+
+// Song fields holding provider IDs; set whenever a recording is chosen
+const LINK_FIELDS = ['spotifyId', 'musicbrainzId'];
+
+const MIN_MATCH_SCORE = 0.75;
+
+// Songs matched per enrichment request; larger libraries are worked through page by page
+const MAX_ENRICH = 25;
+
+const searchSchema = z.object({
+  title: z.string().trim().min(1).max(200),
+  artist: z.string().trim().max(200).default(''),
+  limit: z.coerce.number().int().min(1).max(20).default(5)
+});
+
+const applySchema = z.object({
+  provider: z.string().min(1),
+  externalId: z.string().min(1),
+  fields: z.array(z.enum(SUGGESTED_FIELDS)).default([])
+});
+
+const enrichSchema = z.object({
+  songIds: z.array(objectId).min(1).max(MAX_ENRICH).optional(), // defaults to the whole library
+  limit: z.number().int().min(1).max(MAX_ENRICH).default(10),
+  after: objectId.optional(), // next from the previous page
+  onlyUnlinked: z.boolean().default(true),
+  overwrite: z.boolean().default(false),
+  dryRun: z.boolean().default(false)
+});
+
+/**
+ * Title or artist reduced to the words that identify it
+ * Drops bracketed and dashed extras ("(Remastered 2011)", " - Radio Edit") and a leading "The".
+ * @param {string} value
+ * @returns {string}
+ */
+const matchText = value => String(value || '')
+  .toLowerCase()
+  .replace(/\s*[([].*?[)\]]/g, '')
+  .replace(/\s+-\s+.*$/, '')
+  .replace(/^the\s+/, '')
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+/**
+ * How alike two titles or artists are, from 0 to 1 (shared words over all words)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const similarity = (a, b) => {
+  const left = matchText(a);
+  const right = matchText(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const leftWords = new Set(left.split(' '));
+  const rightWords = new Set(right.split(' '));
+  const shared = [...leftWords].filter(word => rightWords.has(word)).length;
+
+  return shared / new Set([...leftWords, ...rightWords]).size;
+};
+
+/**
+ * How well a recording matches a search, from 0 to 1; the title counts most
+ * @param {Object} query - { title, artist }
+ * @param {Object} recording
+ * @returns {number}
+ */
+const scoreRecording = (query, recording) => {
+  const score = query.artist
+    ? similarity(query.title, recording.title) * 0.7 + similarity(query.artist, recording.artist) * 0.3
+    : similarity(query.title, recording.title);
+
+  return Math.round(score * 100) / 100;
+};
+
+/**
+ * Search every provider in use, best matches first
+ * A provider that fails is left out and named in unavailable.
+ * @param {Object} query - { title, artist, limit }
+ * @returns {Promise<{suggestions: Array<Object>, unavailable: Array<string>}>}
+ */
+const searchRecordings = async (query) => {
+  const names = getEnabledProviders();
+  if (!names.length) {
+    throw new ApiError(503, 'No metadata providers are configured');
+  }
+
+  const unavailable = [];
+  const results = await Promise.all(names.map(async (name) => {
+    try {
+      return await searchProvider(name, query);
+    } catch (error) {
+      logger.error(`Failed to search ${name} for song metadata:`, error);
+      unavailable.push(name);
+      return [];
+    }
+  }));
+
+  // Ties keep the provider order
+  const suggestions = results.flat()
+    .map(recording => ({ ...recording, score: scoreRecording(query, recording) }))
+    .sort((a, b) => b.score - a.score);
+
+  return { suggestions, unavailable };
+};
+
+/**
+ * Whether a song has no value for a field yet
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isEmpty = value => value === undefined || value === null || value === '' || value === 0;
+
+/**
+ * What choosing a recording would change on a song
+ * @param {Object} song
+ * @param {Object} recording
+ * @param {Array<string>} fields - Suggested fields to take
+ * @param {Object} [options]
+ * @param {boolean} [options.overwrite] - Replace values the song already has
+ * @returns {Object} Field -> { from, to }
+ */
+const getChanges = (song, recording, fields, { overwrite = true } = {}) => {
+  const changes = {};
+  const change = (field, to) => {
+    if (!isEmpty(to) && song[field] !== to) {
+      changes[field] = { from: song[field], to };
+    }
+  };
+
+  fields.forEach((field) => {
+    const to = recording[field];
+    // The canonical spelling of the same artist, e.g. "beatles" -> "The Beatles", is always taken
+    const sameArtist = field === 'artist' && matchText(song.artist) === matchText(to);
+    if (overwrite || isEmpty(song[field]) || sameArtist) change(field, to);
+  });
+
+  LINK_FIELDS.forEach((field) => {
+    if (overwrite || isEmpty(song[field])) change(field, (recording.links || {})[field]);
+  });
+
+  return changes;
+};
+
+/**
+ * Search the providers by title and artist
+ * @param {Object} input - Query matching searchSchema
+ * @returns {Promise<{suggestions: Array<Object>, unavailable: Array<string>}>}
+ */
+const searchMetadata = async (input) => {
+  const query = parse(searchSchema, input, 'search');
+  return searchRecordings(query);
+};
+
+/**
+ * Suggestions for a song, each with what choosing it would change
+ * @param {Object} song
+ * @returns {Promise<{suggestions: Array<Object>, unavailable: Array<string>}>}
+ */
+const getSongSuggestions = async (song) => {
+  const { suggestions, unavailable } = await searchRecordings({ title: song.title, artist: song.artist, limit: 5 });
+
+  return {
+    suggestions: suggestions.map(suggestion => ({
+      ...suggestion,
+      changes: getChanges(song, suggestion, SUGGESTED_FIELDS)
+    })),
+    unavailable
+  };
+};
+
+/**
+ * Link a song to one of its suggestions, taking the chosen details from it
+ * The recording is looked up again rather than taken from the request.
+ * @param {Object} song - Song the user may edit
+ * @param {Object} input - Request body matching applySchema
+ * @returns {Promise<Object>} The saved song
+ */
+const applySuggestion = async (song, input) => {
+  const { provider, externalId, fields } = parse(applySchema, input, 'suggestion');
+
+  const { suggestions } = await searchRecordings({ title: song.title, artist: song.artist, limit: 5 });
+  const recording = suggestions.find(suggestion => suggestion.provider === provider && suggestion.externalId === externalId);
+  if (!recording) {
+    throw new ApiError(404, 'Suggestion not found');
+  }
+
+  Object.entries(getChanges(song, recording, fields)).forEach(([field, { to }]) => song.set(field, to));
+  await song.save();
+
+  return song;
+};
+
+/**
+ * Match a page of a library's songs against the providers and fill in what they are missing
+ * Songs are handled one at a time, so providers' rate limits hold; a song that
+ * fails to save is reported and the rest carry on. Pages run in ID order, and
+ * the next one starts after the `next` song of this one.
+ * Songs updated on one page drop out of an onlyUnlinked filter without
+ * shifting the pages after it.
+ * @param {Object} library
+ * @param {string} library.userId
+ * @param {string|null} library.bandId
+ * @param {Object} input - Request body matching enrichSchema
+ * @returns {Promise<{results: Array<Object>, summary: Object, next: string|null}>}
+ */
+const enrichLibrary = async ({ userId, bandId }, input) => {
+  const { songIds, limit, after, onlyUnlinked, overwrite, dryRun } = parse(enrichSchema, input, 'enrichment');
+
+  const filter = libraryQuery(userId, bandId);
+  if (songIds || after) {
+    filter._id = {
+      ...(songIds ? { $in: songIds } : {}),
+      ...(after ? { $gt: after } : {})
+    };
+  }
+  if (onlyUnlinked) {
+    LINK_FIELDS.forEach((field) => {
+      filter[field] = { $in: ['', null] };
+    });
+  }
+
+  const page = await Song.find(filter).sort({ _id: 1 }).limit(limit + 1);
+  const songs = page.slice(0, limit);
+  const results = [];
+
+  for (const song of songs) {
+    const result = { songId: song._id, title: song.title, artist: song.artist };
+
+    const { suggestions, unavailable } = await searchRecordings({ title: song.title, artist: song.artist, limit: 5 });
+    const match = suggestions.find(suggestion => suggestion.score >= MIN_MATCH_SCORE);
+
+    if (!match) {
+      results.push({ ...result, status: unavailable.length && !suggestions.length ? 'failed' : 'unmatched' });
+      continue;
+    }
+
+    const changes = getChanges(song, match, SUGGESTED_FIELDS, { overwrite });
+    const summary = {
+      ...result,
+      match: { provider: match.provider, externalId: match.externalId, title: match.title, artist: match.artist, score: match.score },
+      changes
+    };
+
+    if (dryRun || !Object.keys(changes).length) {
+      results.push({ ...summary, status: 'matched' });
+      continue;
+    }
+
+    try {
+      Object.entries(changes).forEach(([field, { to }]) => song.set(field, to));
+      await song.save();
+      results.push({ ...summary, status: 'updated' });
+    } catch (error) {
+      if (!(error instanceof mongoose.Error.ValidationError)) throw error;
+      results.push({ ...summary, status: 'failed', message: error.message });
+    }
+  }
+
+  const count = status => results.filter(result => result.status === status).length;
+
+  return {
+    results,
+    summary: {
+      total: results.length,
+      matched: count('matched') + count('updated'),
+      updated: count('updated'),
+      unmatched: count('unmatched'),
+      failed: count('failed'),
+      dryRun
+    },
+    next: page.length > limit ? String(songs[songs.length - 1]._id) : null
+  };
+};
+
+module.exports = {
+  SUGGESTED_FIELDS,
+  searchMetadata,
+  getSongSuggestions,
+  applySuggestion,
+  enrichLibrary
+};
@@ -0,0 +1,429 @@
+/**
+ * Song Spreadsheet Service
+ * CSV and XLSX import/export of the song library
+ */
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const { stringify } = require('csv-stringify/sync');
+const ExcelJS = require('exceljs');
+const Song = require('../models/song.model');
+const { ApiError } = require('../utils/errors');
+const { parseKey } = require('../utils/musicKey');
+
+const FORMATS = ['csv', 'xlsx'];
+
+// Song fields that can be imported and exported, with the column names recognized for each
+const FIELDS = [
+  { field: 'title', header: 'Title', aliases: ['title', 'song', 'songtitle', 'songname', 'name', 'track'] },
+  { field: 'artist', header: 'Artist', aliases: ['artist', 'performer', 'band', 'originalartist', 'by'] },
+  { field: 'duration', header: 'Duration', aliases: ['duration', 'length', 'time', 'runtime'] },
+  { field: 'key', header: 'Key', aliases: ['key', 'songkey', 'musicalkey'] },
+  { field: 'tempo', header: 'Tempo', aliases: ['tempo', 'bpm', 'speed'] },
+  { field: 'tags', header: 'Tags', aliases: ['tags', 'tag', 'genre', 'genres', 'categories'] },
+  { field: 'notes', header: 'Notes', aliases: ['notes', 'note', 'comments', 'comment'] },
+  { field: 'chordSheet', header: 'ChordPro', aliases: ['chordpro', 'chordsheet', 'chords'] },
+  { field: 'chordSheetUrl', header: 'Chord Sheet URL', aliases: ['chordsheeturl', 'chordsurl', 'chartlink'] },
+  { field: 'lyricsUrl', header: 'Lyrics URL', aliases: ['lyricsurl', 'lyricslink'] },
+  { field: 'spotifyId', header: 'Spotify ID', aliases: ['spotifyid', 'spotify'] },
+  { field: 'musicbrainzId', header: 'MusicBrainz ID', aliases: ['musicbrainzid', 'musicbrainz', 'mbid'] },
+  { field: 'variants', header: 'Variants', aliases: ['variants', 'variant', 'arrangements', 'versions'] }
+];
+
+// Leading characters that make a spreadsheet read a CSV cell as a formula
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const duplicateKey = (title, artist) => `${(title || '').trim().toLowerCase()}|${(artist || '').trim().toLowerCase()}`;
+
+/**
+ * Parse a duration such as "3:45", "1:02:30" or "225" (seconds)
+ * @param {*} value
+ * @returns {number|null} Seconds, or null if unparseable
+ */
+const parseDuration = (value) => {
+  if (value === null || value === undefined || value === '') return 0;
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? Math.round(value) : null;
+
+  const text = String(value).trim();
+  if (!text) return 0;
+  if (/^\d+(\.\d+)?$/.test(text)) return Math.round(Number(text));
+
+  const match = /^(\d+):([0-5]?\d)(?::([0-5]?\d))?$/.exec(text);
+  if (!match) return null;
+
+  const [, first, second, third] = match.map(Number);
+  return match[3] === undefined ? first * 60 + second : first * 3600 + second * 60 + third;
+};
+
+/**
+ * Format seconds as M:SS for export
+ * @param {number} seconds
+ * @returns {string}
+ */
+const formatDuration = (seconds = 0) =>
+  `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+
+/**
+ * List a song's arrangements in one cell, e.g. "Acoustic (4:05, G); Radio edit (3:20)"
+ * @param {Array<Object>} variants
+ * @returns {string}
+ */
+const formatVariants = (variants = []) =>
+  variants.map((variant) => {
+    const details = [variant.duration ? formatDuration(variant.duration) : '', variant.key].filter(Boolean);
+    return details.length ? `${variant.name} (${details.join(', ')})` : variant.name;
+  }).join('; ');
+
+/**
+ * Quote a CSV cell a spreadsheet would otherwise run as a formula
+ * @param {*} value
+ * @returns {*}
+ */
+const escapeFormula = value => (typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value);
+
+/**
+ * Undo escapeFormula on a cell read back from a CSV export
+ * @param {*} value
+ * @returns {*}
+ */
+const unescapeFormula = value =>
+  (typeof value === 'string' && value.startsWith("'") && FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value);
+
+/**
+ * Parse a cell listing arrangements as written by formatVariants
+ * Parentheses only hold details when each is a m:ss duration or a key, so
+ * "Live (2019)" is a name.
+ * @param {*} value
+ * @returns {Array<Object>}
+ */
+const parseVariants = (value) =>
+  String(value || '')
+    .split(';')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const match = /^(.+?)\s*\(([^()]*)\)$/.exec(part);
+      const details = match ? match[2].split(',').map(detail => detail.trim()) : [];
+      const isDetail = detail => (detail.includes(':') && parseDuration(detail) !== null) || !!parseKey(detail);
+      if (!details.length || !details.every(isDetail)) return { name: part };
+
+      const variant = { name: match[1] };
+      details.forEach((detail) => {
+        if (detail.includes(':')) variant.duration = parseDuration(detail);
+        else variant.key = detail;
+      });
+      return variant;
+    });
+
+/**
+ * Merge imported arrangements into a song's existing ones
+ * Arrangements are matched by name and keep their IDs, which setlist entries
+ * refer to; arrangements missing from the file are kept.
+ * @param {Array<Object>} existing - The song's variants
+ * @param {Array<Object>} imported - Variants read from the file
+ * @returns {Array<Object>}
+ */
+const mergeVariants = (existing = [], imported = []) => {
+  const byName = new Map(existing.map(variant => [variant.name.trim().toLowerCase(), variant]));
+  const merged = imported.map((variant) => {
+    const match = byName.get(variant.name.trim().toLowerCase());
+    if (!match) return variant;
+
+    byName.delete(variant.name.trim().toLowerCase());
+    return { _id: match._id, notes: match.notes, ...variant };
+  });
+
+  return [...merged, ...[...byName.values()].map(variant => (variant.toObject ? variant.toObject() : variant))];
+};
+
+const splitTags = (value) =>
+  String(value || '')
+    .split(/[,;|]/)
+    .map(tag => tag.trim())
+    .filter(Boolean);
+
+/**
+ * Plain value of an ExcelJS cell
+ * Time-formatted cells without seconds are read as minutes:seconds, since a
+ * spreadsheet turns a typed "3:45" into 3 hours 45 minutes.
+ * @param {Object} cell
+ * @returns {*}
+ */
+const cellValue = (cell) => {
+  const { value } = cell;
+  if (value === null || value === undefined) return '';
+
+  if (value instanceof Date) {
+    const hours = value.getUTCHours();
+    const minutes = value.getUTCMinutes();
+    const seconds = value.getUTCSeconds();
+    return seconds === 0 ? `${hours}:${minutes}` : `${hours}:${minutes}:${seconds}`;
+  }
+
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return value.text;
+    if (value.result !== undefined) return value.result;
+  }
+
+  return value;
+};
+
+/**
+ * Read the rows of an uploaded CSV or XLSX file
+ * @param {Object} file - Multer file (buffer, originalname, mimetype)
+ * @returns {Promise<{headers: Array<string>, rows: Array<Object>}>}
+ */
+const readSpreadsheet = async (file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+
+  if (extension === '.xlsx' || file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(file.buffer);
+    } catch (error) {
+      throw new ApiError(400, `Could not read spreadsheet: ${error.message}`);
+    }
+
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return { headers: [], rows: [] };
+
+    const headers = [];
+    sheet.getRow(1).eachCell((cell, column) => {
+      headers[column - 1] = String(cellValue(cell)).trim();
+    });
+
+    const rows = [];
+    sheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) return;
+
+      const record = {};
+      headers.forEach((header, index) => {
+        record[header] = cellValue(row.getCell(index + 1));
+      });
+      rows.push(record);
+    });
+
+    return { headers: headers.filter(Boolean), rows };
+  }
+
+  if (extension === '.csv' || ['text/csv', 'application/vnd.ms-excel', 'text/plain'].includes(file.mimetype)) {
+    let rows;
+    try {
+      rows = parse(file.buffer, { columns: true, bom: true, skip_empty_lines: true, trim: true, cast: unescapeFormula });
+    } catch (error) {
+      throw new ApiError(400, `Could not read CSV: ${error.message}`);
+    }
+    return { headers: rows.length ? Object.keys(rows[0]) : [], rows };
+  }
+
+  throw new ApiError(400, 'Unsupported file type; upload a .csv or .xlsx file');
+};
+
+/**
+ * Work out which column holds each song field
+ * @param {Array<string>} headers - Column headers from the file
+ * @param {Object} [mapping] - Explicit field -> column header overrides
+ * @returns {Object} Field -> column header
+ */
+const resolveMapping = (headers, mapping = {}) => {
+  const resolved = {};
+
+  FIELDS.forEach(({ field, aliases }) => {
+    if (mapping[field]) {
+      resolved[field] = mapping[field];
+      return;
+    }
+
+    const header = headers.find(candidate => aliases.includes(normalizeHeader(candidate)));
+    if (header) resolved[field] = header;
+  });
+
+  return resolved;
+};
+
+/**
+ * Convert one spreadsheet row into song data
+ * @param {Object} row
+ * @param {Object} mapping - Field -> column header
+ * @returns {{data: Object, errors: Array<string>}}
+ */
+const mapRow = (row, mapping) => {
+  const data = {};
+  const errors = [];
+
+  Object.entries(mapping).forEach(([field, header]) => {
+    const value = row[header];
+    if (value === undefined || value === null || value === '') return;
+
+    switch (field) {
+      case 'duration': {
+        const seconds = parseDuration(value);
+        if (seconds === null) errors.push(`Invalid duration "${value}" (use mm:ss)`);
+        else data.duration = seconds;
+        break;
+      }
+      case 'tempo': {
+        const tempo = Number(value);
+        if (!Number.isFinite(tempo) || tempo < 0) errors.push(`Invalid tempo "${value}"`);
+        else data.tempo = tempo;
+        break;
+      }
+      case 'tags':
+        data.tags = splitTags(value);
+        break;
+      case 'variants':
+        data.variants = parseVariants(value);
+        break;
+      default:
+        data[field] = String(value).trim();
+    }
+  });
+
+  return { data, errors };
+};
+
+/**
+ * Query matching the library an import, export or bulk edit works on
+ * @param {string} userId
+ * @param {string|null} bandId
+ * @returns {Object}
+ */
+const libraryQuery = (userId, bandId) => (bandId ? { bandId } : { createdBy: userId, bandId: null });
+
+/**
+ * Import songs from a spreadsheet, or preview the import
+ * @param {Object} params
+ * @param {Object} params.file - Uploaded file
+ * @param {string} params.userId - Importing user
+ * @param {string|null} [params.bandId] - Band that will own the songs
+ * @param {Object} [params.mapping] - Field -> column header overrides
+ * @param {string} [params.onDuplicate] - 'skip' or 'update' songs already in the library
+ * @param {boolean} [params.dryRun] - Validate and report without saving
+ * @returns {Promise<Object>} Per-row results and a summary
+ */
+const importSongs = async ({ file, userId, bandId = null, mapping = {}, onDuplicate = 'skip', dryRun = false }) => {
+  const { headers, rows } = await readSpreadsheet(file);
+  const resolvedMapping = resolveMapping(headers, mapping);
+
+  const unknownColumns = Object.values(mapping).filter(header => !headers.includes(header));
+  if (unknownColumns.length) {
+    throw new ApiError(400, `Columns not found in file: ${unknownColumns.join(', ')}`);
+  }
+  if (!resolvedMapping.title) {
+    throw new ApiError(400, 'No title column found; map one with mapping.title');
+  }
+
+  const existing = await Song.find(libraryQuery(userId, bandId)).select('title artist variants');
+  const existingByKey = new Map(existing.map(song => [duplicateKey(song.title, song.artist), song]));
+  const seenInFile = new Map();
+
+  const results = rows.map((row, index) => {
+    // Row 1 is the header row
+    const rowNumber = index + 2;
+    const { data, errors } = mapRow(row, resolvedMapping);
+    const song = new Song({ ...data, createdBy: userId, bandId });
+
+    const validation = song.validateSync();
+    if (validation) {
+      errors.push(...Object.values(validation.errors).map(error => error.message));
+    }
+
+    const key = duplicateKey(data.title, data.artist);
+    let status = errors.length ? 'invalid' : 'create';
+    let duplicateOf = null;
+
+    if (status !== 'invalid' && seenInFile.has(key)) {
+      status = 'duplicate';
+      duplicateOf = { row: seenInFile.get(key) };
+    } else if (status !== 'invalid' && existingByKey.has(key)) {
+      status = onDuplicate === 'update' ? 'update' : 'duplicate';
+      duplicateOf = { songId: existingByKey.get(key)._id };
+    }
+
+    if (status !== 'invalid' && !seenInFile.has(key)) seenInFile.set(key, rowNumber);
+
+    if (status === 'update' && data.variants) {
+      data.variants = mergeVariants(existingByKey.get(key).variants, data.variants);
+    }
+
+    return { row: rowNumber, status, data, errors, duplicateOf, song };
+  });
+
+  if (!dryRun) {
+    const toCreate = results.filter(result => result.status === 'create').map(result => result.song);
+    if (toCreate.length) await Song.insertMany(toCreate);
+
+    await Promise.all(results
+      .filter(result => result.status === 'update')
+      .map(result => Song.findByIdAndUpdate(result.duplicateOf.songId, result.data, { runValidators: true })));
+  }
+
+  const count = status => results.filter(result => result.status === status).length;
+
+  return {
+    dryRun,
+    mapping: resolvedMapping,
+    summary: {
+      total: results.length,
+      created: count('create'),
+      updated: count('update'),
+      duplicates: count('duplicate'),
+      invalid: count('invalid')
+    },
+    rows: results.map(({ song, ...result }) => ({
+      ...result,
+      songId: !dryRun && ['create', 'update'].includes(result.status)
+        ? (result.status === 'create' ? song._id : result.duplicateOf.songId)
+        : null
+    }))
+  };
+};
+
+/**
+ * Export a song library as CSV or XLSX
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string|null} [params.bandId]
+ * @param {string} [params.format] - 'csv' or 'xlsx'
+ * @returns {Promise<Buffer>}
+ */
+const exportSongs = async ({ userId, bandId = null, format = 'csv' }) => {
+  if (!FORMATS.includes(format)) {
+    throw new ApiError(400, `format must be one of: ${FORMATS.join(', ')}`);
+  }
+
+  const songs = await Song.find(libraryQuery(userId, bandId)).sort({ title: 1 });
+  const headers = FIELDS.map(({ header }) => header);
+  const rows = songs.map(song => FIELDS.map(({ field }) => {
+    if (field === 'duration') return formatDuration(song.duration);
+    if (field === 'tags') return song.tags.join(', ');
+    if (field === 'variants') return formatVariants(song.variants);
+    return song[field] === undefined || song[field] === null ? '' : song[field];
+  }));
+
+  // XLSX cells are typed, so only CSV needs formulas escaping
+  if (format === 'csv') {
+    return Buffer.from(stringify([headers, ...rows].map(row => row.map(escapeFormula))));
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Songs');
+  sheet.addRow(headers).font = { bold: true };
+  rows.forEach(row => sheet.addRow(row));
+  sheet.columns.forEach((column) => {
+    column.width = 20;
+  });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+module.exports = {
+  FORMATS,
+  FIELDS,
+  parseDuration,
+  libraryQuery,
+  importSongs,
+  exportSongs
+};
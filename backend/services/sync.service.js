@@ -0,0 +1,372 @@
+/**
+ * Sync Service
+ * Offline-first synchronization of setlists and songs.
+ *
+ * A client sends the cursor from its last sync together with the changes it
+ * queued while offline. Queued changes are applied first, each with its own
+ * result (applied, conflict or rejected), and then everything in the client's
+ * scope that changed since the cursor is returned, including tombstones for
+ * deleted documents, with a new cursor to send next time.
+ *
+ * Setlist changes are based on the setlist version the client edited, like
+ * REST saves; song changes are based on the song's syncSeq.
+ */
+const mongoose = require('mongoose');
+const { z } = require('zod');
+const Setlist = require('../models/setlist.model');
+const Song = require('../models/song.model');
+const Band = require('../models/band.model');
+const Tombstone = require('../models/tombstone.model');
+const { TOMBSTONE_TTL } = require('../models/tombstone.model');
+const { VersionConflictError } = require('../utils/errors');
+const { can, getBandIdsWith } = require('../utils/authorization');
+const { getSongIds } = require('../utils/setlistEntries');
+const { objectId, parse } = require('../utils/validation');
+const { removeAttachmentFiles } = require('./attachment.service');
+
+// Documents returned per sync; clients keep syncing while hasMore is set
+const PAGE_SIZE = 200;
+
+// Changes newer than this may still have in-flight writes with lower sequence
+// numbers, so the cursor is held back and they are sent again next time
+const SETTLE_MS = 5000;
+
+const MAX_CHANGES = 500;
+
+// Fields clients may set through sync; song attachments only change through their upload endpoints
+const SYNCED_FIELDS = {
+  setlists: ['title', 'description', 'date', 'venue', 'venueId', 'isPublic', 'sets', 'targetDuration', 'songGap'],
+  songs: ['title', 'artist', 'duration', 'key', 'tempo', 'tags', 'notes', 'chordSheet', 'chordSheetUrl', 'lyricsUrl', 'spotifyId', 'musicbrainzId', 'variants']
+};
+
+// Band permission needed to create a document in a band
+const CREATE_PERMISSIONS = {
+  setlists: 'edit_setlists',
+  songs: 'add_songs'
+};
+
+const MODELS = {
+  setlists: Setlist,
+  songs: Song
+};
+
+const changeSchema = z.object({
+  collection: z.enum(['setlists', 'songs']),
+  id: objectId,
+  action: z.enum(['upsert', 'delete']),
+  // Setlist version or song syncSeq the change was made on; null for new documents
+  base: z.number().int().min(0).nullable().default(null),
+  data: z.record(z.any()).default({}),
+  clientChangeId: z.string().optional()
+});
+
+const syncRequestSchema = z.object({
+  cursor: z.string().nullable().optional(),
+  changes: z.array(changeSchema).max(MAX_CHANGES).default([])
+});
+
+/**
+ * Encode a cursor: the last sequence number seen and when it was issued
+ * @param {number} seq
+ * @returns {string}
+ */
+const encodeCursor = seq => `${seq}.${Date.now()}`;
+
+/**
+ * Decode a cursor
+ * @param {string|null} cursor
+ * @returns {{seq: number, fullResync: boolean}} Sequence to continue from, and whether the
+ *   client must replace its local copy (no cursor, an invalid one, or tombstones may have expired)
+ */
+const decodeCursor = (cursor) => {
+  const match = /^(\d+)\.(\d+)$/.exec(cursor || '');
+  if (!match) return { seq: 0, fullResync: true };
+
+  const [seq, issuedAt] = [Number(match[1]), Number(match[2])];
+  if (Date.now() - issuedAt > TOMBSTONE_TTL * 1000) {
+    return { seq: 0, fullResync: true };
+  }
+
+  return { seq, fullResync: false };
+};
+
+/**
+ * Pick the synced fields out of client data
+ * @param {string} collection
+ * @param {Object} data
+ * @returns {Object}
+ */
+const pickFields = (collection, data) => SYNCED_FIELDS[collection].reduce((fields, field) => {
+  if (data[field] !== undefined) fields[field] = data[field];
+  return fields;
+}, {});
+
+/**
+ * Base revision of a server document, comparable to a change's base
+ * @param {string} collection
+ * @param {Object} doc
+ * @returns {number}
+ */
+const revisionOf = (collection, doc) => (collection === 'setlists' ? doc.version : doc.syncSeq);
+
+/**
+ * Save a document only if nobody changed it since the client's base revision
+ * @param {string} collection
+ * @param {Object} doc
+ * @param {number} base
+ * @param {string} userId
+ */
+const saveOnBase = async (collection, doc, base, userId) => {
+  if (collection === 'setlists') {
+    await doc.saveVersion(base, userId, 'Synced offline changes');
+    return;
+  }
+
+  if (doc.syncSeq !== base) {
+    throw new VersionConflictError(base, doc.syncSeq);
+  }
+
+  doc.$where = { syncSeq: base };
+  try {
+    await doc.save();
+  } catch (error) {
+    if (error instanceof mongoose.Error.DocumentNotFoundError) {
+      throw new VersionConflictError(base, null);
+    }
+    throw error;
+  } finally {
+    doc.$where = undefined;
+  }
+};
+
+/**
+ * Apply one queued client change
+ * @param {Object} change - Parsed change
+ * @param {string} userId
+ * @returns {Promise<Object>} Result with status applied, conflict or rejected, and the server copy
+ */
+const applyChange = async (change, userId) => {
+  const { collection, id, action, base, data } = change;
+  const Model = MODELS[collection];
+  const result = { collection, id, clientChangeId: change.clientChangeId };
+
+  const existing = await Model.findById(id);
+
+  if (action === 'delete') {
+    if (!existing) return { ...result, status: 'applied', document: null };
+
+    const allowed = collection === 'setlists'
+      ? existing.createdBy.toString() === userId.toString()
+      : await existing.isEditableBy(userId);
+    if (!allowed) {
+      return { ...result, status: 'rejected', message: 'You do not have permission to delete this', document: existing };
+    }
+
+    if (base !== null && revisionOf(collection, existing) !== base) {
+      return { ...result, status: 'conflict', message: 'Changed on the server since it was deleted offline', document: existing };
+    }
+
+    await existing.deleteOne();
+    if (collection === 'songs') await removeAttachmentFiles(existing);
+    return { ...result, status: 'applied', document: null };
+  }
+
+  const fields = pickFields(collection, data);
+
+  if (!existing) {
+    // Edited offline, but deleted on the server in the meantime
+    if (base !== null) {
+      return { ...result, status: 'conflict', message: 'Deleted on the server', document: null };
+    }
+
+    const bandId = data.bandId || null;
+    if (bandId) {
+      const band = mongoose.Types.ObjectId.isValid(bandId) ? await Band.findById(bandId) : null;
+      if (!band || !(await can(userId, CREATE_PERMISSIONS[collection], band))) {
+        return { ...result, status: 'rejected', message: 'You do not have permission to add to this band', document: null };
+      }
+    }
+
+    const created = new Model({ ...fields, _id: id, createdBy: userId, bandId });
+    await created.save();
+    return { ...result, status: 'applied', document: created };
+  }
+
+  if (!(await existing.isEditableBy(userId))) {
+    return { ...result, status: 'rejected', message: 'You do not have permission to edit this', document: existing };
+  }
+
+  // A create for an ID that already exists, e.g. a retry after a lost response
+  if (base === null) {
+    return { ...result, status: 'conflict', message: 'Already exists on the server', document: existing };
+  }
+
+  existing.set(fields);
+  try {
+    await saveOnBase(collection, existing, base, userId);
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return { ...result, status: 'conflict', message: 'Changed on the server', document: await Model.findById(id) };
+    }
+    throw error;
+  }
+
+  return { ...result, status: 'applied', document: existing };
+};
+
+/**
+ * Apply queued client changes in order
+ * A failing change does not stop the ones after it.
+ * @param {Array<Object>} changes - Parsed changes
+ * @param {string} userId
+ * @returns {Promise<Array<Object>>} One result per change; conflicts and rejections include the change
+ */
+const pushChanges = async (changes, userId) => {
+  const results = [];
+
+  for (const change of changes) {
+    let result;
+    try {
+      result = await applyChange(change, userId);
+    } catch (error) {
+      if (!(error instanceof mongoose.Error.ValidationError) && !(error instanceof mongoose.Error.CastError)) {
+        throw error;
+      }
+      result = {
+        collection: change.collection,
+        id: change.id,
+        clientChangeId: change.clientChangeId,
+        status: 'rejected',
+        message: error.message,
+        document: null
+      };
+    }
+
+    // Hand back what was not taken, so the client can show it next to the server copy and re-apply it
+    if (result.status !== 'applied') {
+      result.change = { action: change.action, base: change.base, data: change.data };
+    }
+    results.push(result);
+  }
+
+  return results;
+};
+
+/**
+ * IDs of the songs played in the setlists of some bands, medley parts included
+ * @param {Array<Object>} bandIds
+ * @returns {Promise<Array<Object>>}
+ */
+const getPlayedSongIds = async (bandIds) => {
+  if (!bandIds.length) return [];
+
+  const query = { bandId: { $in: bandIds } };
+  const [songIds, partIds] = await Promise.all([
+    Setlist.distinct('sets.songs.songId', query),
+    Setlist.distinct('sets.songs.medley.songId', query)
+  ]);
+
+  return [...songIds, ...partIds].filter(Boolean);
+};
+
+/**
+ * Everything in a user's scope that changed after a sequence number
+ * Band setlists go to everyone who can perform them; the band's song library
+ * only to those who can view it, though members who can only perform (such as
+ * session players) still get the songs their setlists play, so they can play
+ * them offline.
+ * @param {string} userId
+ * @param {number} fromSeq
+ * @param {boolean} fullResync - Skip tombstones, the client is starting from scratch
+ * @returns {Promise<Object>} Changed documents, deletions, the new cursor and the user's bands
+ */
+const pullChanges = async (userId, fromSeq, fullResync) => {
+  const [bandIds, libraryBandIds] = await Promise.all([
+    getBandIdsWith(userId, 'perform'),
+    getBandIdsWith(userId, 'view')
+  ]);
+  const performOnlyBandIds = bandIds.filter(bandId => !libraryBandIds.some(libraryBandId => libraryBandId.equals(bandId)));
+  const playedSongIds = await getPlayedSongIds(performOnlyBandIds);
+
+  const scope = { $or: [{ createdBy: userId }, { bandId: { $in: bandIds } }] };
+  const libraryScope = [{ createdBy: userId }, { bandId: { $in: libraryBandIds } }];
+  const songScope = { $or: [...libraryScope, { _id: { $in: playedSongIds } }] };
+  const since = { syncSeq: { $gt: fromSeq } };
+
+  const [setlists, songs, tombstones] = await Promise.all([
+    Setlist.find({ ...scope, ...since }).select('-versionHistory').sort({ syncSeq: 1 }).limit(PAGE_SIZE + 1),
+    Song.find({ ...songScope, ...since }).sort({ syncSeq: 1 }).limit(PAGE_SIZE + 1),
+    fullResync ? [] : Tombstone.find({ ...scope, ...since }).sort({ syncSeq: 1 }).limit(PAGE_SIZE + 1)
+  ]);
+
+  const merged = [
+    ...setlists.map(doc => ({ type: 'setlists', doc })),
+    ...songs.map(doc => ({ type: 'songs', doc })),
+    ...tombstones.map(doc => ({ type: 'deleted', doc }))
+  ].sort((a, b) => a.doc.syncSeq - b.doc.syncSeq);
+
+  const page = merged.slice(0, PAGE_SIZE);
+  const settledBefore = Date.now() - SETTLE_MS;
+
+  // Advance the cursor only over changes old enough that nothing can still land before them
+  let cursorSeq = fromSeq;
+  let settled = true;
+  for (const { doc } of page) {
+    if (doc.syncedAt > settledBefore) {
+      settled = false;
+      break;
+    }
+    cursorSeq = doc.syncSeq;
+  }
+
+  const pageSetlists = page.filter(item => item.type === 'setlists').map(item => item.doc);
+  const pageSongs = page.filter(item => item.type === 'songs').map(item => item.doc);
+
+  // A setlist can start playing a song the client has never had, outside its
+  // library, that has not changed since the cursor; it comes with the setlist
+  const sentIds = new Set(pageSongs.map(song => song._id.toString()));
+  const missingIds = pageSetlists
+    .flatMap(setlist => getSongIds(setlist.sets))
+    .filter(songId => !sentIds.has(songId.toString()));
+  const playedSongs = missingIds.length && fromSeq > 0
+    ? await Song.find({ _id: { $in: missingIds }, syncSeq: { $lte: fromSeq }, $nor: libraryScope })
+    : [];
+
+  return {
+    cursor: encodeCursor(cursorSeq),
+    hasMore: merged.length > PAGE_SIZE && settled,
+    bandIds,
+    setlists: pageSetlists,
+    songs: [...pageSongs, ...playedSongs],
+    deleted: page.filter(item => item.type === 'deleted').map(item => ({
+      collection: item.doc.collectionName,
+      id: item.doc.documentId
+    }))
+  };
+};
+
+/**
+ * Run a sync: apply the client's queued changes, then return server changes since its cursor
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {Object} params.body - Request body matching syncRequestSchema
+ * @returns {Promise<Object>}
+ */
+const sync = async ({ userId, body }) => {
+  const { cursor, changes } = parse(syncRequestSchema, body, 'sync request');
+
+  const { seq, fullResync } = decodeCursor(cursor);
+  const results = await pushChanges(changes, userId);
+  const pulled = await pullChanges(userId, seq, fullResync);
+
+  return { fullResync, results, ...pulled };
+};
+
+module.exports = {
+  syncRequestSchema,
+  encodeCursor,
+  decodeCursor,
+  pushChanges,
+  pullChanges,
+  sync
+};
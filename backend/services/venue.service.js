@@ -0,0 +1,428 @@
+/**
+ * Venue Service
+ * The places a band plays, so "The Blue Room", "Blue Room" and "blue room "
+ * are one venue rather than three strings. Everyone who can perform with a
+ * band can look its venues up; adding, changing and merging them takes the
+ * edit_setlists permission, since setlists point at them.
+ *
+ * Setlists, gigs and performances keep the venue's name next to its ID, so
+ * renaming or merging a venue rewrites those copies too.
+ */
+const mongoose = require('mongoose');
+const { z } = require('zod');
+const Venue = require('../models/venue.model');
+const Band = require('../models/band.model');
+const Setlist = require('../models/setlist.model');
+const Event = require('../models/event.model');
+const Performance = require('../models/performance.model');
+const { ApiError } = require('../utils/errors');
+const { authorize, getBandIdsWith } = require('../utils/authorization');
+const { isValidTimeZone } = require('../utils/timeZone');
+const { objectId, parse } = require('../utils/validation');
+
+const MAX_RESULTS = 50;
+
+const contactSchema = z.object({
+  name: z.string().trim().max(100).default(''),
+  role: z.string().trim().max(100).default(''),
+  email: z.union([z.string().trim().email(), z.literal('')]).default(''),
+  phone: z.string().trim().max(50).default('')
+});
+
+const venueSchema = z.object({
+  name: z.string().trim().min(1).max(200),
+  aliases: z.array(z.string().trim().min(1).max(200)).max(20),
+  address: z.string().trim().max(500),
+  timeZone: z.string().refine(isValidTimeZone, { message: 'Unknown time zone' }),
+  stageSize: z.object({
+    width: z.number().min(0).nullable().default(null),
+    depth: z.number().min(0).nullable().default(null)
+  }),
+  curfew: z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Must be a time as HH:mm').nullable(),
+  housePaNotes: z.string().max(5000),
+  contacts: z.array(contactSchema).max(20),
+  defaultSetLengths: z.array(z.number().int().min(60)).max(10), // in seconds
+  notes: z.string().max(5000)
+});
+
+const createVenueSchema = venueSchema
+  .partial()
+  .required({ name: true })
+  .extend({ bandId: objectId.nullable().optional() });
+
+// The band a venue belongs to is fixed once it exists
+const updateVenueSchema = venueSchema.partial();
+
+const mergeSchema = z.object({
+  venueIds: z.array(objectId).min(1).max(50)
+});
+
+/**
+ * Load a band the user belongs to and check a permission in it
+ * @param {string} bandId
+ * @param {string} userId
+ * @param {string} permission
+ * @returns {Promise<Object>}
+ */
+const getBand = async (bandId, userId, permission) => {
+  const band = mongoose.Types.ObjectId.isValid(bandId) ? await Band.findById(bandId) : null;
+
+  if (!band || !band.hasMember(userId)) {
+    throw new ApiError(404, 'Band not found');
+  }
+
+  await authorize(userId, permission, band, permission === 'perform'
+    ? "You do not have permission to see this band's venues"
+    : "You do not have permission to change this band's venues");
+
+  return band;
+};
+
+/**
+ * Query matching the venues a user can look up: their own, and those of every
+ * band they perform with, or of one band only
+ * @param {string} userId
+ * @param {string|null} [bandId]
+ * @returns {Promise<Object>} MongoDB filter
+ */
+const getVenueFilter = async (userId, bandId = null) => {
+  if (bandId) {
+    const band = await getBand(bandId, userId, 'perform');
+    return { bandId: band._id };
+  }
+
+  const bandIds = await getBandIdsWith(userId, 'perform');
+
+  return {
+    $or: [
+      { bandId: { $in: bandIds } },
+      { bandId: null, createdBy: userId }
+    ]
+  };
+};
+
+/**
+ * Query matching the other venues with the same owner as a venue
+ * @param {Object} venue
+ * @returns {Object} MongoDB filter
+ */
+const sameOwner = venue => (venue.bandId
+  ? { bandId: venue.bandId }
+  : { bandId: null, createdBy: venue.createdBy });
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Find venues by name, closest matches first
+ * Names match whatever their case, accents, punctuation and leading "The",
+ * and venues are also found by the names of venues merged into them.
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {string} [options.q] - Part of the name; all venues if left out
+ * @param {string} [options.bandId] - Only this band's venues
+ * @param {number} [options.limit]
+ * @returns {Promise<Array<Object>>}
+ */
+const searchVenues = async (userId, { q = '', bandId = null, limit = MAX_RESULTS } = {}) => {
+  const filter = await getVenueFilter(userId, bandId);
+  const query = Venue.normalizeName(q);
+
+  if (!query) {
+    return Venue.find(filter).sort({ name: 1 }).limit(limit);
+  }
+
+  // Word starts only, so "room" finds "The Blue Room" but "oom" does not
+  const venues = await Venue.find({ ...filter, searchNames: new RegExp(`(^| )${escapeRegExp(query)}`) })
+    .sort({ name: 1 })
+    .limit(limit);
+
+  const rank = (venue) => {
+    if (venue.searchNames.includes(query)) return 0;
+    if (venue.searchNames.some(name => name.startsWith(query))) return 1;
+    return 2;
+  };
+
+  return venues.sort((a, b) => rank(a) - rank(b));
+};
+
+/**
+ * Load a venue a user can see, or throw a 404
+ * @param {string} venueId
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {boolean} [options.edit] - Also require the right to change it, or throw a 403
+ * @returns {Promise<Object>}
+ */
+const getVenue = async (venueId, userId, { edit = false } = {}) => {
+  const venue = mongoose.Types.ObjectId.isValid(venueId) ? await Venue.findById(venueId) : null;
+
+  if (!venue || !venue.createdBy) {
+    throw new ApiError(404, 'Venue not found');
+  }
+
+  if (venue.bandId) {
+    const band = await Band.findById(venue.bandId);
+    if (!band || !band.hasPermission(userId, 'perform')) {
+      throw new ApiError(404, 'Venue not found');
+    }
+    if (edit && !band.hasPermission(userId, 'edit_setlists')) {
+      throw new ApiError(403, "You do not have permission to change this band's venues");
+    }
+  } else if (!venue.createdBy.equals(userId)) {
+    throw new ApiError(404, 'Venue not found');
+  }
+
+  return venue;
+};
+
+/**
+ * Throw a 409 if another venue of the same owner already goes by a name
+ * @param {Object} venue
+ * @param {Array<string>} names
+ */
+const checkUnique = async (venue, names) => {
+  const searchNames = names.map(name => Venue.normalizeName(name)).filter(Boolean);
+
+  const existing = await Venue.findOne({
+    ...sameOwner(venue),
+    _id: { $ne: venue._id },
+    searchNames: { $in: searchNames }
+  });
+
+  if (existing) {
+    throw new ApiError(409, `"${existing.name}" is already a venue; merge the two instead`);
+  }
+};
+
+/**
+ * Add a venue to a band, or to the user's own venues
+ * @param {string} userId
+ * @param {Object} input - Request body matching createVenueSchema
+ * @returns {Promise<Object>}
+ */
+const createVenue = async (userId, input) => {
+  const data = parse(createVenueSchema, input, 'venue');
+
+  if (data.bandId) {
+    await getBand(data.bandId, userId, 'edit_setlists');
+  }
+
+  const venue = new Venue({ ...data, bandId: data.bandId || null, createdBy: userId });
+  await checkUnique(venue, [venue.name, ...venue.aliases]);
+  await venue.save();
+
+  return venue;
+};
+
+/**
+ * Write a venue's current name onto the setlists, gigs and performances that point at it
+ * @param {Object} venue
+ * @param {Array<Object>} [venueIds] - Point these venues' setlists, gigs and performances
+ *   at the venue as well
+ * @returns {Promise<{setlists: number, events: number, performances: number}>} How many were changed
+ */
+const relinkVenue = async (venue, venueIds = [venue._id]) => {
+  const filter = { venueId: { $in: venueIds } };
+  const update = { $set: { venueId: venue._id, venue: venue.name } };
+
+  const [setlists, events, performances] = await Promise.all([
+    Setlist.updateMany(filter, update),
+    Event.updateMany(filter, update),
+    Performance.updateMany(filter, update)
+  ]);
+
+  return {
+    setlists: setlists.modifiedCount,
+    events: events.modifiedCount,
+    performances: performances.modifiedCount
+  };
+};
+
+/**
+ * Change a venue
+ * @param {Object} venue - Venue the user may edit
+ * @param {Object} input - Request body matching updateVenueSchema
+ * @returns {Promise<Object>}
+ */
+const updateVenue = async (venue, input) => {
+  const data = parse(updateVenueSchema, input, 'venue');
+  venue.set(data);
+
+  const renamed = venue.isModified('name');
+  if (renamed || venue.isModified('aliases')) {
+    await checkUnique(venue, [venue.name, ...venue.aliases]);
+  }
+
+  await venue.save();
+  if (renamed) await relinkVenue(venue);
+
+  return venue;
+};
+
+/**
+ * Delete a venue; setlists, gigs and performances at it keep its name as text
+ * @param {Object} venue - Venue the user may edit
+ * @returns {Promise<void>}
+ */
+const deleteVenue = async (venue) => {
+  const filter = { venueId: venue._id };
+  const update = { $set: { venueId: null } };
+
+  await Promise.all([
+    Setlist.updateMany(filter, update),
+    Event.updateMany(filter, update),
+    Performance.updateMany(filter, update)
+  ]);
+  await venue.deleteOne();
+};
+
+/**
+ * Contact key for spotting the same person listed at two venues
+ * @param {Object} contact
+ * @returns {string}
+ */
+const contactKey = contact => (contact.email || contact.phone || contact.name).toLowerCase();
+
+/**
+ * Merge duplicate venues into one
+ * The kept venue takes any details it lacks from the duplicates, all of their
+ * contacts, and their names as aliases; setlists, gigs and performances at
+ * the duplicates move to it and the duplicates are deleted.
+ * @param {Object} venue - Venue to keep, which the user may edit
+ * @param {Object} input - Request body matching mergeSchema
+ * @returns {Promise<{venue: Object, merged: number, setlists: number, events: number, performances: number}>}
+ */
+const mergeVenues = async (venue, input) => {
+  const { venueIds } = parse(mergeSchema, input, 'merge');
+
+  const ids = [...new Set(venueIds)].filter(id => !venue._id.equals(id));
+  const duplicates = await Venue.find({ ...sameOwner(venue), _id: { $in: ids } });
+
+  if (!ids.length || duplicates.length !== ids.length) {
+    throw new ApiError(404, 'Venue not found; only venues of the same band can be merged');
+  }
+
+  const contacts = new Set(venue.contacts.map(contactKey));
+  const aliases = new Set(venue.searchNames);
+
+  duplicates.forEach((duplicate) => {
+    ['address', 'curfew', 'housePaNotes', 'notes'].forEach((field) => {
+      if (!venue[field] && duplicate[field]) venue[field] = duplicate[field];
+    });
+    if (venue.timeZone === 'UTC' && duplicate.timeZone !== 'UTC') venue.timeZone = duplicate.timeZone;
+    if (venue.stageSize.width === null && venue.stageSize.depth === null) {
+      venue.stageSize = duplicate.stageSize;
+    }
+    if (!venue.defaultSetLengths.length) venue.defaultSetLengths = duplicate.defaultSetLengths;
+
+    duplicate.contacts.forEach((contact) => {
+      if (contacts.has(contactKey(contact))) return;
+      contacts.add(contactKey(contact));
+      venue.contacts.push(contact.toObject());
+    });
+
+    [duplicate.name, ...duplicate.aliases].forEach((name) => {
+      if (aliases.has(Venue.normalizeName(name))) return;
+      aliases.add(Venue.normalizeName(name));
+      venue.aliases.push(name);
+    });
+  });
+
+  await venue.save();
+  const moved = await relinkVenue(venue, [venue._id, ...duplicates.map(duplicate => duplicate._id)]);
+  await Venue.deleteMany({ _id: { $in: duplicates.map(duplicate => duplicate._id) } });
+
+  return { venue, merged: duplicates.length, ...moved };
+};
+
+/**
+ * Groups of venues that go by the same name, for the merge tool
+ * @param {string} userId
+ * @param {string|null} [bandId]
+ * @returns {Promise<Array<Array<Object>>>} Oldest venue of each group first
+ */
+const findDuplicates = async (userId, bandId = null) => {
+  const venues = await Venue.find(await getVenueFilter(userId, bandId)).sort({ createdAt: 1 });
+
+  // Venues of the same owner sharing any search name end up in the same group
+  const groupOf = new Map();
+  const nameKeys = venue => venue.searchNames
+    .map(name => `${venue.bandId ? `band:${venue.bandId}` : `user:${venue.createdBy}`}:${name}`);
+
+  venues.forEach((venue) => {
+    const found = [...new Set(nameKeys(venue).map(key => groupOf.get(key)).filter(Boolean))];
+    const group = found.flat().concat(venue);
+
+    group.forEach(member => nameKeys(member).forEach(key => groupOf.set(key, group)));
+  });
+
+  const groups = new Set(groupOf.values());
+
+  return [...groups]
+    .filter(group => group.length > 1)
+    .map(group => group.sort((a, b) => a.createdAt - b.createdAt));
+};
+
+/**
+ * Turn the venue text of a band's setlists (or the user's own) into venues
+ * Setlists whose venue text matches a venue's name or aliases are linked to
+ * it; text that matches no venue becomes a new venue. Past performances at
+ * the same places are linked too, so venue history follows the venue.
+ * @param {string} userId
+ * @param {string|null} [bandId]
+ * @returns {Promise<{created: Array<Object>, setlists: number, performances: number}>}
+ */
+const linkSetlistVenues = async (userId, bandId = null) => {
+  if (bandId) await getBand(bandId, userId, 'edit_setlists');
+
+  const owner = bandId
+    ? { bandId: new mongoose.Types.ObjectId(bandId.toString()) }
+    : { bandId: null, createdBy: userId };
+  const performanceOwner = bandId ? owner : { bandId: null, startedBy: userId };
+
+  const setlists = await Setlist.find({ ...owner, venueId: null, venue: { $ne: '' } }).select('venue');
+
+  // Spellings of the same venue, most used first
+  const spellings = new Map();
+  setlists.forEach((setlist) => {
+    const key = Venue.normalizeName(setlist.venue);
+    if (!key) return;
+    if (!spellings.has(key)) spellings.set(key, new Map());
+    const counts = spellings.get(key);
+    counts.set(setlist.venue, (counts.get(setlist.venue) || 0) + 1);
+  });
+
+  const result = { created: [], setlists: 0, performances: 0 };
+
+  for (const [key, counts] of spellings) {
+    const names = [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a));
+
+    let venue = await Venue.findOne({ ...owner, searchNames: key });
+    if (!venue) {
+      venue = await Venue.create({ name: names[0], bandId: owner.bandId, createdBy: userId });
+      result.created.push(venue);
+    }
+
+    const update = { $set: { venueId: venue._id, venue: venue.name } };
+    const [linkedSetlists, linkedPerformances] = await Promise.all([
+      Setlist.updateMany({ ...owner, venueId: null, venue: { $in: names } }, update),
+      Performance.updateMany({ ...performanceOwner, venueId: null, venue: { $in: names } }, update)
+    ]);
+
+    result.setlists += linkedSetlists.modifiedCount;
+    result.performances += linkedPerformances.modifiedCount;
+  }
+
+  return result;
+};
+
+module.exports = {
+  searchVenues,
+  getVenue,
+  createVenue,
+  updateVenue,
+  deleteVenue,
+  mergeVenues,
+  findDuplicates,
+  linkSetlistVenues
+};
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const Setlist = require('../../models/setlist.model');
+const { applyOperation } = require('../../services/setlistOperations.service');
+const { VersionConflictError } = require('../../utils/errors');
+const { registerSetlistHandlers, setlistRoom } = require('../setlist.socket');
+
+jest.mock('../../services/setlistOperations.service', () => ({ applyOperation: jest.fn() }));
+jest.mock('../../services/notification.service', () => ({ notifySetlistChanged: jest.fn() }));
+
+const setlistId = new mongoose.Types.ObjectId().toString();
+
+const connect = () => {
+  const handlers = {};
+  const emit = jest.fn();
+  const io = { to: jest.fn(() => ({ emit })) };
+  const socket = {
+    id: 'socket-1',
+    data: { userId: new mongoose.Types.ObjectId().toString() },
+    rooms: new Set(),
+    on: (event, handler) => {
+      handlers[event] = handler;
+    },
+    join: (room) => socket.rooms.add(room),
+    leave: (room) => socket.rooms.delete(room)
+  };
+  registerSetlistHandlers(io, socket);
+
+  const send = (event, payload) => new Promise(resolve => handlers[event](payload, resolve));
+  return { socket, send, emit };
+};
+
+const mockSetlist = ({ accessible = true, editable = true } = {}) => {
+  const setlist = { version: 4, isAccessibleBy: jest.fn().mockResolvedValue(accessible), isEditableBy: jest.fn().mockResolvedValue(editable) };
+  jest.spyOn(Setlist, 'findById').mockResolvedValue(setlist);
+  return setlist;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('join-setlist', () => {
+  it('joins the room of a setlist the user can access', async () => {
+    mockSetlist({ editable: false });
+    const { socket, send } = connect();
+
+    const ack = await send('join-setlist', setlistId);
+
+    expect(ack).toEqual({ success: true, data: { canEdit: false, version: 4 } });
+    expect(socket.rooms.has(setlistRoom(setlistId))).toBe(true);
+  });
+
+  it('keeps users out of setlists they cannot access', async () => {
+    mockSetlist({ accessible: false });
+    const { socket, send } = connect();
+
+    const ack = await send('join-setlist', setlistId);
+
+    expect(ack.success).toBe(false);
+    expect(socket.rooms.size).toBe(0);
+  });
+});
+
+describe('update-setlist', () => {
+  const op = { type: 'renameSet', setId: new mongoose.Types.ObjectId().toString(), name: 'Encore' };
+
+  it('requires joining the room first', async () => {
+    const { send } = connect();
+
+    const ack = await send('update-setlist', { setlistId, baseVersion: 4, op });
+
+    expect(ack).toEqual({ success: false, message: 'Join the setlist before editing it' });
+    expect(applyOperation).not.toHaveBeenCalled();
+  });
+
+  it('checks the edit permission on every operation', async () => {
+    const setlist = mockSetlist();
+    const { send } = connect();
+    await send('join-setlist', setlistId);
+    setlist.isEditableBy.mockResolvedValue(false);
+
+    const ack = await send('update-setlist', { setlistId, baseVersion: 4, op });
+
+    expect(ack).toEqual({ success: false, message: 'You do not have permission to edit this setlist' });
+    expect(applyOperation).not.toHaveBeenCalled();
+  });
+
+  it('broadcasts applied operations to the room', async () => {
+    mockSetlist();
+    const updated = { sets: [], totalDuration: 0, getBudgetReport: () => ({}) };
+    applyOperation.mockResolvedValue({ setlist: updated, applied: op, version: 5 });
+    const { socket, send, emit } = connect();
+    await send('join-setlist', setlistId);
+
+    const ack = await send('update-setlist', { setlistId, baseVersion: 4, op, opId: 'op-1' });
+
+    expect(applyOperation).toHaveBeenCalledWith({ setlistId, baseVersion: 4, op, opId: 'op-1', userId: socket.data.userId });
+    expect(ack).toMatchObject({ success: true, data: { version: 5, op } });
+    expect(emit).toHaveBeenCalledWith('setlist-updated', expect.objectContaining({ version: 5, opId: 'op-1' }));
+  });
+
+  it('answers conflicts with the current version', async () => {
+    mockSetlist();
+    applyOperation.mockRejectedValue(new VersionConflictError(2, 4));
+    const { send, emit } = connect();
+    await send('join-setlist', setlistId);
+
+    const ack = await send('update-setlist', { setlistId, baseVersion: 2, op });
+
+    expect(ack).toMatchObject({ success: false, currentVersion: 4 });
+    expect(emit).not.toHaveBeenCalled();
+  });
+});
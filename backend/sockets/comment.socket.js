@@ -0,0 +1,98 @@
+/**
+ * Comment Socket Handlers
+ * Real-time delivery of comments on songs and setlist entries
+ */
+const Song = require('../models/song.model');
+const { setlistRoom } = require('./setlist.socket');
+const logger = require('../utils/logger');
+
+/**
+ * Name of the Socket.io room for a song's discussion
+ * @param {string} songId
+ * @returns {string}
+ */
+const songRoom = (songId) => `song-${songId}`;
+
+/**
+ * Name of the Socket.io room every connection of a user joins
+ * @param {string} userId
+ * @returns {string}
+ */
+const userRoom = (userId) => `user-${userId}`;
+
+/**
+ * Room of the song or setlist a comment is on; setlist entry comments go to
+ * the setlist's room so everyone editing it sees them
+ * @param {Object} comment
+ * @returns {string}
+ */
+const commentRoom = (comment) => (
+  comment.targetType === 'song' ? songRoom(comment.songId) : setlistRoom(comment.setlistId)
+);
+
+/**
+ * Send a comment event to everyone looking at the song or setlist
+ * @param {Object} io - Socket.io server
+ * @param {string} event - comment-created, comment-updated or comment-deleted
+ * @param {Object} comment - Comment document
+ * @param {Object} [payload] - Defaults to the comment itself
+ */
+const broadcastComment = (io, event, comment, payload = { comment }) => {
+  if (!io) return;
+
+  io.to(commentRoom(comment)).emit(event, payload);
+};
+
+/**
+ * Let mentioned users know wherever they are in the app; authors are not told about their own mentions
+ * @param {Object} io - Socket.io server
+ * @param {Object} comment - Comment document
+ * @param {Array<string>} userIds
+ */
+const deliverMentions = (io, comment, userIds) => {
+  if (!io) return;
+
+  const authorId = (comment.createdBy._id || comment.createdBy).toString();
+  userIds
+    .filter(userId => userId.toString() !== authorId)
+    .forEach(userId => io.to(userRoom(userId)).emit('comment-mention', { comment }));
+};
+
+/**
+ * Register comment handlers on a connected socket
+ * Expects the socket to have been authenticated by `authenticateSocket`.
+ * @param {Object} io - Socket.io server
+ * @param {Object} socket - Connected client socket
+ */
+const registerCommentHandlers = (io, socket) => {
+  socket.join(userRoom(socket.data.userId));
+
+  // Follow the discussion of a song; setlist entry comments arrive in the setlist room
+  socket.on('join-song', async (songId, ack = () => {}) => {
+    try {
+      const song = await Song.findById(songId);
+
+      if (!song || !(await song.isAccessibleBy(socket.data.userId))) {
+        return ack({ success: false, message: 'Song not found or access denied' });
+      }
+
+      socket.join(songRoom(songId));
+      ack({ success: true });
+    } catch (error) {
+      logger.error(`Failed to join song ${songId}:`, error);
+      ack({ success: false, message: 'Failed to join song' });
+    }
+  });
+
+  socket.on('leave-song', (songId) => {
+    socket.leave(songRoom(songId));
+  });
+};
+
+module.exports = {
+  registerCommentHandlers,
+  songRoom,
+  userRoom,
+  broadcastComment,
+  deliverMentions
+};
@@ -0,0 +1,21 @@
+/**
+ * Notification Socket Channel
+ * Delivers in-app notifications to every open tab of the user they are for
+ */
+const { userRoom } = require('./comment.socket');
+
+/**
+ * In-app notification channel pushing to the user's Socket.io room
+ * Register it with `registerChannel('inApp', ...)` once the server is up.
+ * @param {Object} io - Socket.io server
+ * @returns {Object} Channel
+ */
+const createInAppChannel = io => ({
+  send: async (recipient, message) => {
+    message.notifications.forEach((notification) => {
+      io.to(userRoom(recipient._id)).emit('notification', notification);
+    });
+  }
+});
+
+module.exports = { createInAppChannel };
@@ -0,0 +1,115 @@
+/**
+ * Performance Socket Handlers
+ * Shared "now playing" state for live performances
+ */
+const Performance = require('../models/performance.model');
+const Setlist = require('../models/setlist.model');
+const { applyAction, canControl } = require('../services/performance.service');
+const { setlistRoom } = require('./setlist.socket');
+const logger = require('../utils/logger');
+
+/**
+ * Name of the Socket.io room for a performance
+ * @param {string} performanceId
+ * @returns {string}
+ */
+const performanceRoom = (performanceId) => `performance-${performanceId}`;
+
+/**
+ * Send the current state of a performance to every screen following it
+ * @param {Object} io - Socket.io server
+ * @param {Object} performance - Performance document
+ */
+const broadcastPerformance = (io, performance) => {
+  if (!io) return;
+
+  io.to(performanceRoom(performance._id)).emit('performance-updated', performance.getState());
+};
+
+/**
+ * Let everyone looking at the setlist know a performance of it has started
+ * @param {Object} io - Socket.io server
+ * @param {Object} performance - Performance document
+ */
+const announcePerformance = (io, performance) => {
+  if (!io) return;
+
+  io.to(setlistRoom(performance.setlistId)).emit('performance-started', {
+    performanceId: performance._id,
+    setlistId: performance.setlistId,
+    leaderId: performance.leaderId
+  });
+};
+
+/**
+ * Register live performance handlers on a connected socket
+ * Expects the socket to have been authenticated by `authenticateSocket`.
+ * @param {Object} io - Socket.io server
+ * @param {Object} socket - Connected client socket
+ */
+const registerPerformanceHandlers = (io, socket) => {
+  // Follow a performance; anyone who can see the setlist can watch it
+  socket.on('join-performance', async (performanceId, ack = () => {}) => {
+    try {
+      const performance = await Performance.findById(performanceId);
+      const setlist = performance ? await Setlist.findById(performance.setlistId) : null;
+
+      if (!setlist || !(await setlist.isAccessibleBy(socket.data.userId))) {
+        return ack({ success: false, message: 'Performance not found or access denied' });
+      }
+
+      socket.join(performanceRoom(performanceId));
+      logger.info(`Client ${socket.id} joined performance: ${performanceId}`);
+
+      ack({
+        success: true,
+        data: {
+          canControl: await canControl(performance, socket.data.userId),
+          state: performance.getState()
+        }
+      });
+    } catch (error) {
+      logger.error(`Failed to join performance ${performanceId}:`, error);
+      ack({ success: false, message: 'Failed to join performance' });
+    }
+  });
+
+  socket.on('leave-performance', (performanceId) => {
+    socket.leave(performanceRoom(performanceId));
+  });
+
+  // Leader controls: next, skip, jump, addSong, setLeader and end
+  socket.on('performance-action', async (data = {}, ack = () => {}) => {
+    const { performanceId, action } = data;
+
+    try {
+      if (!socket.rooms.has(performanceRoom(performanceId))) {
+        return ack({ success: false, message: 'Join the performance before controlling it' });
+      }
+
+      const { performance, changed } = await applyAction({
+        performanceId,
+        userId: socket.data.userId,
+        action
+      });
+
+      if (changed) {
+        broadcastPerformance(io, performance);
+      }
+
+      ack({ success: true, data: { changed, state: performance.getState() } });
+    } catch (error) {
+      if (!error.statusCode) {
+        logger.error(`Failed to apply action to performance ${performanceId}:`, error);
+      }
+      ack({ success: false, message: error.message });
+    }
+  });
+};
+
+module.exports = {
+  registerPerformanceHandlers,
+  performanceRoom,
+  broadcastPerformance,
+  announcePerformance
+};
@@ -0,0 +1,118 @@
+/**
+ * Setlist Socket Handlers
+ * Real-time collaborative editing of setlists
+ */
+const Setlist = require('../models/setlist.model');
+const { applyOperation } = require('../services/setlistOperations.service');
+const { notifySetlistChanged } = require('../services/notification.service');
+const { VersionConflictError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+/**
+ * Name of the Socket.io room for a setlist
+ * @param {string} setlistId
+ * @returns {string}
+ */
+const setlistRoom = (setlistId) => `setlist-${setlistId}`;
+
+/**
+ * Notify collaborators in the setlist room of a change made outside the room (REST, sync)
+ * @param {Object} io - Socket.io server
+ * @param {Object} setlist - Setlist document
+ */
+const broadcastSetlist = (io, setlist) => {
+  if (!io) return;
+
+  io.to(setlistRoom(setlist._id)).emit('setlist-updated', {
+    setlistId: setlist._id.toString(),
+    version: setlist.version,
+    op: null,
+    sets: setlist.sets,
+    totalDuration: setlist.totalDuration,
+    budget: setlist.getBudgetReport()
+  });
+};
+
+/**
+ * Register setlist collaboration handlers on a connected socket
+ * Expects the socket to have been authenticated by `authenticateSocket`.
+ * @param {Object} io - Socket.io server
+ * @param {Object} socket - Connected client socket
+ */
+const registerSetlistHandlers = (io, socket) => {
+  // Join a setlist room for collaboration; members without edit rights can watch
+  socket.on('join-setlist', async (setlistId, ack = () => {}) => {
+    try {
+      const setlist = await Setlist.findById(setlistId);
+
+      if (!setlist || !(await setlist.isAccessibleBy(socket.data.userId))) {
+        return ack({ success: false, message: 'Setlist not found or access denied' });
+      }
+
+      const canEdit = await setlist.isEditableBy(socket.data.userId);
+
+      socket.join(setlistRoom(setlistId));
+      logger.info(`Client ${socket.id} joined setlist: ${setlistId}`);
+
+      ack({ success: true, data: { canEdit, version: setlist.version } });
+    } catch (error) {
+      logger.error(`Failed to join setlist ${setlistId}:`, error);
+      ack({ success: false, message: 'Failed to join setlist' });
+    }
+  });
+
+  socket.on('leave-setlist', (setlistId) => {
+    socket.leave(setlistRoom(setlistId));
+  });
+
+  // Apply an edit operation and broadcast the canonical result to everyone in the room
+  socket.on('update-setlist', async (data = {}, ack = () => {}) => {
+    const { setlistId, baseVersion, op, opId } = data;
+
+    try {
+      if (!socket.rooms.has(setlistRoom(setlistId))) {
+        return ack({ success: false, message: 'Join the setlist before editing it' });
+      }
+
+      // Permissions are checked on every write so revoked access takes effect immediately
+      const setlist = await Setlist.findById(setlistId);
+      if (!setlist || !(await setlist.isEditableBy(socket.data.userId))) {
+        return ack({ success: false, message: 'You do not have permission to edit this setlist' });
+      }
+
+      const { setlist: updated, applied, version } = await applyOperation({
+        setlistId,
+        baseVersion,
+        op,
+        opId,
+        userId: socket.data.userId
+      });
+
+      const update = {
+        setlistId,
+        version,
+        opId,
+        op: applied,
+        sets: updated.sets,
+        totalDuration: updated.totalDuration,
+        budget: updated.getBudgetReport()
+      };
+
+      if (applied) {
+        io.to(setlistRoom(setlistId)).emit('setlist-updated', update);
+        notifySetlistChanged(updated, socket.data.userId);
+      }
+
+      ack({ success: true, data: update });
+    } catch (error) {
+      // The client reloads the setlist at currentVersion and builds the operation again
+      if (error instanceof VersionConflictError) {
+        return ack({ success: false, message: error.message, currentVersion: error.currentVersion });
+      }
+      logger.error(`Failed to apply operation to setlist ${setlistId}:`, error);
+      ack({ success: false, message: error.message });
+    }
+  });
+};
+
+module.exports = { registerSetlistHandlers, setlistRoom, broadcastSetlist };
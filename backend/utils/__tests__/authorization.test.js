@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+const Band = require('../../models/band.model');
+const Setlist = require('../../models/setlist.model');
+const Song = require('../../models/song.model');
+const ShareLink = require('../../models/shareLink.model');
+const { PERMISSIONS, expandPermissions, can, authorize, getBandIdsWith } = require('../authorization');
+
+const id = () => new mongoose.Types.ObjectId();
+const leaderId = id();
+const memberId = id();
+const outsiderId = id();
+
+const buildBand = () => new Band({
+  name: 'The Weekenders',
+  createdBy: leaderId,
+  roles: [{ name: 'Musical director', permissions: ['edit_setlists', 'manage_performances'] }],
+  members: [
+    { userId: leaderId, role: 'leader', permissions: [] },
+    { userId: memberId, role: 'member', permissions: ['export'] }
+  ]
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('expandPermissions', () => {
+  it('adds the permissions implied by others', () => {
+    expect([...expandPermissions(['edit_setlists'])].sort()).toEqual(['edit_setlists', 'perform', 'view']);
+    expect([...expandPermissions(['manage_invites'])].sort()).toEqual(['invite_members', 'manage_invites']);
+  });
+});
+
+describe('band permissions', () => {
+  it('gives leaders every permission', () => {
+    expect(buildBand().getPermissions(leaderId)).toEqual(PERMISSIONS);
+  });
+
+  it('gives members their role template and their own grants, and lets everyone perform', () => {
+    const band = buildBand();
+    band.members[1].roleId = band.roles[0]._id;
+
+    expect(band.getPermissions(memberId).sort()).toEqual(
+      ['edit_setlists', 'export', 'manage_performances', 'perform', 'view']
+    );
+    expect(band.hasPermission(memberId, 'add_songs')).toBe(false);
+    expect(band.getPermissions(outsiderId)).toEqual([]);
+  });
+
+  it('falls back to individual grants when a member has no role template', () => {
+    const band = buildBand();
+
+    expect(band.getPermissions(memberId).sort()).toEqual(['export', 'perform', 'view']);
+  });
+});
+
+describe('can', () => {
+  const buildSetlist = fields => new Setlist({ title: 'Friday', createdBy: outsiderId, ...fields });
+
+  it('lets creators do anything with their own documents', async () => {
+    expect(await can(outsiderId, 'edit_setlists', buildSetlist())).toBe(true);
+  });
+
+  it('lets anyone view and perform a public setlist, but not edit it', async () => {
+    const setlist = buildSetlist({ isPublic: true });
+
+    expect(await can(memberId, 'view', setlist)).toBe(true);
+    expect(await can(memberId, 'perform', setlist)).toBe(true);
+    expect(await can(memberId, 'edit_setlists', setlist)).toBe(false);
+  });
+
+  it('decides band documents by the band permissions', async () => {
+    const band = buildBand();
+    const findBand = jest.spyOn(Band, 'findById').mockResolvedValue(band);
+    const setlist = buildSetlist({ bandId: band._id });
+
+    expect(await can(memberId, 'view', setlist)).toBe(true);
+    expect(await can(memberId, 'edit_setlists', setlist)).toBe(false);
+    expect(await can(id(), 'view', setlist)).toBe(false);
+    expect(findBand).toHaveBeenCalledWith(band._id);
+  });
+
+  it('refuses documents outside any band and missing users', async () => {
+    expect(await can(memberId, 'view', buildSetlist())).toBe(false);
+    expect(await can(null, 'view', buildSetlist({ isPublic: true }))).toBe(false);
+  });
+});
+
+describe('can, for a guest with a share link', () => {
+  const buildShareLink = (setlist, fields) => new ShareLink({
+    setlistId: setlist._id,
+    tokenHash: 'hash',
+    expiresAt: new Date(Date.now() + 60000),
+    createdBy: leaderId,
+    ...fields
+  });
+  const setlist = new Setlist({ title: 'Friday', createdBy: leaderId });
+
+  it('reaches only the setlist of the link', async () => {
+    const shareLink = buildShareLink(setlist);
+
+    expect(await can(shareLink, 'view', setlist)).toBe(true);
+    expect(await can(shareLink, 'view', new Setlist({ title: 'Saturday', createdBy: leaderId }))).toBe(false);
+    expect(await can(shareLink, 'view', buildBand())).toBe(false);
+  });
+
+  it('edits only through links that are not read-only and still active', async () => {
+    expect(await can(buildShareLink(setlist), 'edit_setlists', setlist)).toBe(false);
+    expect(await can(buildShareLink(setlist, { readOnly: false }), 'edit_setlists', setlist)).toBe(true);
+    expect(await can(buildShareLink(setlist, { readOnly: false, revokedAt: new Date() }), 'view', setlist)).toBe(false);
+  });
+
+  it('reads the songs on the setlist, and never edits them', async () => {
+    const shareLink = buildShareLink(setlist, { readOnly: false });
+    const song = new Song({ title: 'Wonderwall', createdBy: leaderId });
+    const exists = jest.spyOn(Setlist, 'exists').mockResolvedValue({ _id: setlist._id });
+
+    expect(await can(shareLink, 'view', song)).toBe(true);
+    expect(await can(shareLink, 'edit_setlists', song)).toBe(false);
+    expect(exists).toHaveBeenCalledTimes(1);
+
+    exists.mockResolvedValue(null);
+    expect(await can(shareLink, 'view', song)).toBe(false);
+  });
+});
+
+describe('authorize', () => {
+  it('throws a 403 naming the permission', async () => {
+    await expect(authorize(memberId, 'edit_songs', buildBand()))
+      .rejects.toMatchObject({ statusCode: 403, message: 'You need the edit_songs permission to do this' });
+    await expect(authorize(memberId, 'view', buildBand())).resolves.toBeUndefined();
+  });
+});
+
+describe('getBandIdsWith', () => {
+  it('lists the bands in which a user holds a permission', async () => {
+    const band = buildBand();
+    const other = buildBand();
+    other.members[1].permissions = [];
+    jest.spyOn(Band, 'find').mockResolvedValue([band, other]);
+
+    expect(await getBandIdsWith(memberId, 'export')).toEqual([band._id]);
+    expect(await getBandIdsWith(memberId, 'perform')).toEqual([band._id, other._id]);
+  });
+});
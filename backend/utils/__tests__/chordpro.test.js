@@ -0,0 +1,89 @@
+const { parseChordPro, validateChordPro, transposeChordPro } = require('../chordpro');
+
+const SHEET = [
+  '{title: Wonderwall}',
+  '{artist: Oasis}',
+  '{key: Em}',
+  '# capo 2 live',
+  '[Em7]Today is [G]gonna be the day',
+  '',
+  '{soc: Chorus}',
+  'And [C]all the [D]roads',
+  '{c: Repeat x2}',
+  '{eoc}'
+].join('\n');
+
+describe('parseChordPro', () => {
+  it('reads metadata, sections and the chords used', () => {
+    const { metadata, sections, chords, errors } = parseChordPro(SHEET);
+
+    expect(errors).toEqual([]);
+    expect(metadata).toEqual({ title: 'Wonderwall', artist: 'Oasis', key: 'Em' });
+    expect(sections.map(section => [section.type, section.label])).toEqual([['none', null], ['chorus', 'Chorus']]);
+    expect(chords).toEqual(['Em7', 'G', 'C', 'D']);
+  });
+
+  it('splits lyric lines into chord and lyric segments', () => {
+    const [verse] = parseChordPro('[Em7]Today is [G]gonna be').sections;
+
+    expect(verse.lines[0].segments).toEqual([
+      { chord: 'Em7', lyrics: 'Today is ' },
+      { chord: 'G', lyrics: 'gonna be' }
+    ]);
+  });
+
+  it('keeps tab sections as written', () => {
+    const [tab] = parseChordPro('{sot}\ne|--[0]--|\n{eot}').sections;
+
+    expect(tab.lines).toEqual([{ type: 'tab', text: 'e|--[0]--|' }]);
+  });
+});
+
+describe('validateChordPro', () => {
+  it('accepts a valid sheet', () => {
+    expect(validateChordPro(SHEET)).toEqual([]);
+  });
+
+  it('reports each problem with its line', () => {
+    const errors = validateChordPro([
+      '{key: H}',
+      '{flavour: spicy}',
+      '[Xm]Bad chord',
+      'Unbalanced [G',
+      '{eoc}',
+      '{sov}'
+    ].join('\n'));
+
+    expect(errors).toEqual([
+      { line: 1, message: 'Invalid key "H"' },
+      { line: 2, message: 'Unknown directive {flavour}' },
+      { line: 3, message: 'Invalid chord "Xm"' },
+      { line: 4, message: 'Unbalanced chord brackets' },
+      { line: 5, message: '{end_of_chorus} without matching {start_of_chorus}' },
+      { line: 6, message: '{start_of_verse} is never closed' }
+    ]);
+  });
+});
+
+describe('transposeChordPro', () => {
+  it('transposes chords and the key directive, spelled for the new key', () => {
+    const transposed = transposeChordPro('{key: E}\n[E]One [B/D#]two [C#m]three', 2);
+
+    expect(transposed).toBe('{key: F#}\n[F#]One [C#/F]two [D#m]three');
+  });
+
+  it('uses flats when the new key is a flat key', () => {
+    expect(transposeChordPro('{key: C}\n[C]Up [G]we go', 3)).toBe('{key: Eb}\n[Eb]Up [Bb]we go');
+  });
+
+  it('leaves comments and directives alone', () => {
+    const text = '# [C] in a comment\n{c: [C] in a directive}';
+
+    expect(transposeChordPro(text, 2)).toBe(text);
+  });
+
+  it('returns the sheet unchanged for no transposition', () => {
+    expect(transposeChordPro(SHEET, 0)).toBe(SHEET);
+    expect(transposeChordPro('', 2)).toBe('');
+  });
+});
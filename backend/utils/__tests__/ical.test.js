@@ -0,0 +1,130 @@
+const { formatDateTime, formatDate, escapeText, foldLine, buildCalendar, parseCalendar } = require('../ical');
+
+describe('formatting values', () => {
+  it('writes UTC date-times and zoned dates', () => {
+    const date = new Date('2024-05-01T23:30:00Z');
+
+    expect(formatDateTime(date)).toBe('20240501T233000Z');
+    expect(formatDate(date)).toBe('20240501');
+    expect(formatDate(date, 'Europe/Berlin')).toBe('20240502');
+  });
+
+  it('escapes text values', () => {
+    expect(escapeText('Doors; bar, stage\\left\nLoad in 6pm')).toBe('Doors\\; bar\\, stage\\\\left\\nLoad in 6pm');
+  });
+
+  it('folds long lines at 75 octets without splitting characters', () => {
+    const folded = foldLine(`DESCRIPTION:${'é'.repeat(60)}`);
+    const lines = folded.split('\r\n');
+
+    expect(lines.length).toBeGreaterThan(1);
+    lines.forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+    lines.slice(1).forEach(line => expect(line.startsWith(' ')).toBe(true));
+    expect(folded.replace(/\r\n /g, '')).toBe(`DESCRIPTION:${'é'.repeat(60)}`);
+  });
+});
+
+describe('buildCalendar', () => {
+  it('writes timed and all-day events', () => {
+    const text = buildCalendar({
+      name: 'Gigs',
+      events: [
+        {
+          uid: 'gig-1@setlist',
+          start: new Date('2024-05-01T19:30:00Z'),
+          end: new Date('2024-05-01T22:00:00Z'),
+          summary: 'Gig, The Crown',
+          location: 'The Crown',
+          status: 'CONFIRMED',
+          sequence: 2
+        },
+        { uid: 'fest@setlist', start: new Date('2024-06-01T00:00:00Z'), allDay: true, summary: 'Festival' }
+      ]
+    });
+
+    expect(text.endsWith('\r\n')).toBe(true);
+    expect(text).toContain('X-WR-CALNAME:Gigs');
+    expect(text).toContain('DTSTART:20240501T193000Z\r\nDTEND:20240501T220000Z');
+    expect(text).toContain('SUMMARY:Gig\\, The Crown');
+    expect(text).toContain('SEQUENCE:2');
+    expect(text).toContain('DTSTART;VALUE=DATE:20240601\r\nDTEND;VALUE=DATE:20240602');
+  });
+
+  it('reads back what it writes', () => {
+    const start = new Date('2024-05-01T19:30:00Z');
+    const end = new Date('2024-05-01T22:00:00Z');
+    const description = `Set times;\nload in at 5, ${'soundcheck '.repeat(10)}`;
+
+    const { name, events } = parseCalendar(buildCalendar({
+      name: 'Gigs',
+      events: [{ uid: 'gig-1@setlist', start, end, summary: 'Gig', description, status: 'TENTATIVE' }]
+    }));
+
+    expect(name).toBe('Gigs');
+    expect(events).toEqual([{
+      uid: 'gig-1@setlist',
+      summary: 'Gig',
+      description: description.trim(),
+      location: '',
+      start,
+      end,
+      allDay: false,
+      status: 'TENTATIVE',
+      sequence: 0,
+      recurring: false
+    }]);
+  });
+});
+
+describe('parseCalendar', () => {
+  const calendar = (...lines) => ['BEGIN:VCALENDAR', ...lines, 'END:VCALENDAR'].join('\r\n');
+
+  it('reads times in a named time zone', () => {
+    const { events } = parseCalendar(calendar(
+      'BEGIN:VEVENT',
+      'UID:1',
+      'DTSTART;TZID="America/New_York":20240115T200000',
+      'DURATION:PT2H30M',
+      'END:VEVENT'
+    ));
+
+    expect(events[0].start).toEqual(new Date('2024-01-16T01:00:00Z'));
+    expect(events[0].end).toEqual(new Date('2024-01-16T03:30:00Z'));
+  });
+
+  it('reads floating times in the calendar time zone, or the one passed in', () => {
+    const event = ['BEGIN:VEVENT', 'UID:1', 'DTSTART:20240701T200000', 'END:VEVENT'];
+
+    const named = parseCalendar(calendar('X-WR-TIMEZONE:Europe/London', ...event), { timeZone: 'Asia/Tokyo' });
+    expect(named.timeZone).toBe('Europe/London');
+    expect(named.events[0].start).toEqual(new Date('2024-07-01T19:00:00Z'));
+
+    const passed = parseCalendar(calendar(...event), { timeZone: 'Asia/Tokyo' });
+    expect(passed.timeZone).toBe('Asia/Tokyo');
+    expect(passed.events[0].start).toEqual(new Date('2024-07-01T11:00:00Z'));
+  });
+
+  it('reads all-day events, folded lines and recurrence, and skips nested components', () => {
+    const { events } = parseCalendar(calendar(
+      'BEGIN:VEVENT',
+      'UID:2',
+      'DTSTART;VALUE=DATE:20240601',
+      'SUMMARY:Summer',
+      '  festival',
+      'RRULE:FREQ=YEARLY',
+      'BEGIN:VALARM',
+      'SUMMARY:Reminder',
+      'END:VALARM',
+      'END:VEVENT'
+    ));
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({
+      uid: '2',
+      summary: 'Summer festival',
+      start: new Date('2024-06-01T00:00:00Z'),
+      allDay: true,
+      recurring: true
+    });
+  });
+});
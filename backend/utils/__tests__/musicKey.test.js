@@ -0,0 +1,113 @@
+const {
+  parseKey,
+  normalizeKey,
+  isValidKey,
+  prefersFlats,
+  transposeKey,
+  transposeChord,
+  interval,
+  suggestCapo
+} = require('../musicKey');
+
+const transpose = (key, semitones) => {
+  const transposed = transposeKey(parseKey(key), semitones);
+  return `${transposed.root}${transposed.mode === 'minor' ? 'm' : ''}`;
+};
+
+describe('parseKey', () => {
+  it('reads roots, accidentals and modes', () => {
+    expect(parseKey('A')).toEqual({ root: 'A', mode: 'major' });
+    expect(parseKey('f# minor')).toEqual({ root: 'F#', mode: 'minor' });
+    expect(parseKey('Bbm')).toEqual({ root: 'Bb', mode: 'minor' });
+    expect(parseKey('E♭ major')).toEqual({ root: 'Eb', mode: 'major' });
+  });
+
+  it('rejects anything that is not a key', () => {
+    expect(parseKey('H')).toBeNull();
+    expect(parseKey('C##')).toBeNull();
+    expect(parseKey('')).toBeNull();
+  });
+});
+
+describe('normalizeKey', () => {
+  it('writes keys in their canonical form', () => {
+    expect(normalizeKey(' c minor ')).toBe('Cm');
+    expect(normalizeKey('G major')).toBe('G');
+    expect(normalizeKey('')).toBe('');
+  });
+
+  it('leaves unparseable input for validation to reject', () => {
+    expect(normalizeKey('nonsense')).toBe('nonsense');
+    expect(isValidKey('nonsense')).toBe(false);
+    expect(isValidKey('')).toBe(true);
+  });
+});
+
+describe('transposeKey', () => {
+  it('spells sharp keys with sharps', () => {
+    expect(transpose('E', 2)).toBe('F#');
+    expect(transpose('Em', 2)).toBe('F#m');
+    expect(transpose('Am', 4)).toBe('C#m');
+    expect(transpose('Em', 4)).toBe('G#m');
+    expect(transpose('Am', 9)).toBe('F#m');
+    expect(transpose('G', -1)).toBe('F#');
+  });
+
+  it('spells flat keys with flats', () => {
+    expect(transpose('C', 3)).toBe('Eb');
+    expect(transpose('C', 10)).toBe('Bb');
+    expect(transpose('C', 8)).toBe('Ab');
+    expect(transpose('C', 1)).toBe('Db');
+    expect(transpose('Am', 5)).toBe('Dm');
+  });
+
+  it('wraps around the octave', () => {
+    expect(transpose('B', 1)).toBe('C');
+    expect(transpose('C', -1)).toBe('B');
+    expect(transpose('D', 12)).toBe('D');
+  });
+});
+
+describe('prefersFlats', () => {
+  it('is true for flat keys only', () => {
+    expect(prefersFlats(parseKey('F'))).toBe(true);
+    expect(prefersFlats(parseKey('Gm'))).toBe(true);
+    expect(prefersFlats(parseKey('Ebm'))).toBe(true);
+    expect(prefersFlats(parseKey('F#'))).toBe(false);
+    expect(prefersFlats(parseKey('E'))).toBe(false);
+    expect(prefersFlats(null)).toBe(false);
+  });
+});
+
+describe('transposeChord', () => {
+  it('transposes the root and bass and keeps the quality', () => {
+    expect(transposeChord('F#m7', 2)).toBe('G#m7');
+    expect(transposeChord('G/B', 1, true)).toBe('Ab/C');
+    expect(transposeChord('Dsus4', -2)).toBe('Csus4');
+  });
+
+  it('leaves text that is not a chord alone', () => {
+    expect(transposeChord('N.C.', 3)).toBe('N.C.');
+  });
+});
+
+describe('interval', () => {
+  it('takes the shorter way between two keys', () => {
+    expect(interval(parseKey('C'), parseKey('D'))).toBe(2);
+    expect(interval(parseKey('C'), parseKey('A'))).toBe(-3);
+    expect(interval(parseKey('G'), parseKey('E'))).toBe(-3);
+    expect(interval(parseKey('C'), parseKey('F#'))).toBe(-6);
+  });
+});
+
+describe('suggestCapo', () => {
+  it('finds the lowest fret with open shapes', () => {
+    expect(suggestCapo(parseKey('G'))).toEqual({ fret: 0, shapeKey: 'G' });
+    expect(suggestCapo(parseKey('Bb'))).toEqual({ fret: 1, shapeKey: 'A' });
+    expect(suggestCapo(parseKey('F#m'))).toEqual({ fret: 2, shapeKey: 'Em' });
+  });
+
+  it('is null without a key', () => {
+    expect(suggestCapo(null)).toBeNull();
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Attachment Types
+ * What files can be attached to songs. A file's type is worked out from its
+ * content where the format has a signature, so a renamed file cannot pass as
+ * something it is not; text charts must be UTF-8.
+ */
+
+const ATTACHMENT_KINDS = ['chart', 'lyrics', 'other'];
+
+// Extension -> MIME type the file is stored and served as
+const FILE_TYPES = {
+  pdf: 'application/pdf',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  txt: 'text/plain',
+  cho: 'text/plain',
+  chopro: 'text/plain',
+  crd: 'text/plain',
+  pro: 'text/plain'
+};
+
+/**
+ * Whether a buffer starts with the given bytes
+ * @param {Buffer} buffer
+ * @param {Array<number>|string} bytes
+ * @param {number} [offset]
+ * @returns {boolean}
+ */
+const startsWith = (buffer, bytes, offset = 0) => {
+  const expected = Buffer.from(bytes);
+  return buffer.length >= offset + expected.length && buffer.subarray(offset, offset + expected.length).equals(expected);
+};
+
+/**
+ * MIME type of a file from its first bytes, or null for formats without a signature
+ * @param {Buffer} buffer
+ * @returns {string|null}
+ */
+const sniffType = (buffer) => {
+  if (startsWith(buffer, '%PDF-')) return 'application/pdf';
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (startsWith(buffer, 'GIF87a') || startsWith(buffer, 'GIF89a')) return 'image/gif';
+  if (startsWith(buffer, 'RIFF') && startsWith(buffer, 'WEBP', 8)) return 'image/webp';
+  return null;
+};
+
+/**
+ * Whether a buffer is UTF-8 text with no control characters other than whitespace
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+const isText = (buffer) => {
+  // Tab, line feed, form feed and carriage return
+  const whitespace = [0x09, 0x0a, 0x0c, 0x0d];
+  if (buffer.some(byte => byte < 0x20 && !whitespace.includes(byte))) return false;
+
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * MIME type to store an uploaded file as, or null if it is not an accepted file
+ * The extension must agree with the content: a .pdf must be a PDF, a .txt text.
+ * @param {string} fileName
+ * @param {Buffer} buffer
+ * @returns {string|null}
+ */
+const detectFileType = (fileName, buffer) => {
+  const extension = String(fileName || '').split('.').pop().toLowerCase();
+  const expected = FILE_TYPES[extension];
+  if (!expected) return null;
+
+  if (expected === 'text/plain') {
+    return sniffType(buffer) === null && isText(buffer) ? expected : null;
+  }
+
+  return sniffType(buffer) === expected ? expected : null;
+};
+
+module.exports = {
+  ATTACHMENT_KINDS,
+  FILE_TYPES,
+  detectFileType
+};
@@ -0,0 +1,168 @@
+/**
+ * Authorization
+ * The one place that decides what a user may do with a band and with the
+ * setlists and songs that belong to it.
+ *
+ * Band members hold the permissions of their role template plus any granted to
+ * them individually, and every member can at least perform (follow the band's
+ * setlists live); leaders hold every permission. Some permissions imply
+ * others (editing setlists needs viewing them), so checks only ever ask for
+ * the permission the action itself needs.
+ *
+ * Guests without an account act through a share link, which reaches one
+ * setlist and the songs on it and nothing else.
+ */
+const mongoose = require('mongoose');
+const { ApiError } = require('./errors');
+
+const PERMISSIONS = [
+  'view',
+  'perform',
+  'edit_setlists',
+  'add_songs',
+  'edit_songs',
+  'invite_members',
+  'manage_invites',
+  'remove_members',
+  'manage_performances',
+  'manage_events',
+  'export'
+];
+
+const DEFAULT_PERMISSIONS = ['view', 'edit_setlists', 'add_songs'];
+
+// Held by every member, whatever their role; members added before roles existed have no other grants
+const MEMBER_PERMISSIONS = ['perform'];
+
+// Permissions that come with another one
+const IMPLIED_PERMISSIONS = {
+  view: ['perform'],
+  edit_setlists: ['view'],
+  add_songs: ['view'],
+  edit_songs: ['view'],
+  export: ['view'],
+  manage_performances: ['perform'],
+  manage_events: ['perform'],
+  manage_invites: ['invite_members']
+};
+
+// Read-only permissions anyone has on a public setlist
+const PUBLIC_PERMISSIONS = ['view', 'perform'];
+
+/**
+ * Add the permissions implied by a set of permissions
+ * @param {Array<string>} permissions
+ * @returns {Set<string>}
+ */
+const expandPermissions = (permissions) => {
+  const expanded = new Set();
+  const add = (permission) => {
+    if (expanded.has(permission)) return;
+    expanded.add(permission);
+    (IMPLIED_PERMISSIONS[permission] || []).forEach(add);
+  };
+
+  permissions.forEach(add);
+  return expanded;
+};
+
+/**
+ * Whether a guest's share link allows something: reading its setlist and the songs
+ * on it, and editing the setlist unless the link is read-only
+ * @param {Object} shareLink - ShareLink document
+ * @param {string} permission
+ * @param {Object} resource
+ * @returns {Promise<boolean>}
+ */
+const guestCan = async (shareLink, permission, resource) => {
+  if (!shareLink.isActive() || !shareLink.getPermissions().includes(permission)) return false;
+
+  const Setlist = mongoose.model('Setlist');
+  if (resource instanceof Setlist) {
+    return resource._id.equals(shareLink.setlistId);
+  }
+
+  if (resource instanceof mongoose.model('Song') && PUBLIC_PERMISSIONS.includes(permission)) {
+    return !!(await Setlist.exists({
+      _id: shareLink.setlistId,
+      $or: [{ 'sets.songs.songId': resource._id }, { 'sets.songs.medley.songId': resource._id }]
+    }));
+  }
+
+  return false;
+};
+
+/**
+ * Whether a user (or guest) holds a permission on a band, or on a setlist or song
+ * Creators can do anything with their own setlists and songs; for anything
+ * else in a band, the user's band permissions decide.
+ * @param {string|Object} userId - User ID, or the ShareLink document a guest came in with
+ * @param {string} permission
+ * @param {Object} resource - Band document, or a document with createdBy and bandId
+ * @returns {Promise<boolean>}
+ */
+const can = async (userId, permission, resource) => {
+  if (!userId || !resource) return false;
+
+  const { ShareLink } = mongoose.models;
+  if (ShareLink && userId instanceof ShareLink) {
+    return guestCan(userId, permission, resource);
+  }
+
+  const Band = mongoose.model('Band');
+  if (resource instanceof Band) {
+    return resource.hasPermission(userId, permission);
+  }
+
+  if (resource.createdBy && resource.createdBy.toString() === userId.toString()) {
+    return true;
+  }
+
+  if (resource.isPublic && PUBLIC_PERMISSIONS.includes(permission)) {
+    return true;
+  }
+
+  if (!resource.bandId) return false;
+
+  const band = await Band.findById(resource.bandId);
+  return !!band && band.hasPermission(userId, permission);
+};
+
+/**
+ * Throw a 403 unless a user holds a permission
+ * @param {string|Object} userId - As for can()
+ * @param {string} permission
+ * @param {Object} resource - As for can()
+ * @param {string} [message]
+ * @returns {Promise<void>}
+ */
+const authorize = async (userId, permission, resource, message) => {
+  if (!(await can(userId, permission, resource))) {
+    throw new ApiError(403, message || `You need the ${permission} permission to do this`);
+  }
+};
+
+/**
+ * IDs of the bands in which a user holds a permission
+ * @param {string} userId
+ * @param {string} permission
+ * @returns {Promise<Array<Object>>}
+ */
+const getBandIdsWith = async (userId, permission) => {
+  const bands = await mongoose.model('Band').find({ 'members.userId': userId });
+
+  return bands
+    .filter(band => band.hasPermission(userId, permission))
+    .map(band => band._id);
+};
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_PERMISSIONS,
+  MEMBER_PERMISSIONS,
+  IMPLIED_PERMISSIONS,
+  expandPermissions,
+  can,
+  authorize,
+  getBandIdsWith
+};
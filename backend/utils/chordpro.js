@@ -0,0 +1,208 @@
+/**
+ * ChordPro Helpers
+ * Parsing, validation and transposition of ChordPro chord sheets
+ */
+const { parseKey, formatKey, transposeKey, transposeChord, prefersFlats } = require('./musicKey');
+
+const CHORD_PATTERN = /^(N\.?C\.?|[A-G][#b]?[^/\s[\]]*(\/[A-G][#b]?)?)$/;
+
+// Directive aliases, mapped to their canonical names
+const DIRECTIVE_ALIASES = {
+  t: 'title',
+  st: 'subtitle',
+  c: 'comment',
+  ci: 'comment_italic',
+  cb: 'comment_box',
+  soc: 'start_of_chorus',
+  eoc: 'end_of_chorus',
+  sov: 'start_of_verse',
+  eov: 'end_of_verse',
+  sob: 'start_of_bridge',
+  eob: 'end_of_bridge',
+  sot: 'start_of_tab',
+  eot: 'end_of_tab',
+  soi: 'start_of_intro',
+  eoi: 'end_of_intro',
+  soo: 'start_of_outro',
+  eoo: 'end_of_outro'
+};
+
+const SECTION_TYPES = ['chorus', 'verse', 'bridge', 'tab', 'intro', 'outro'];
+const METADATA_DIRECTIVES = ['title', 'subtitle', 'artist', 'key', 'tempo', 'time', 'capo', 'duration', 'album', 'year'];
+const COMMENT_DIRECTIVES = ['comment', 'comment_italic', 'comment_box'];
+
+/**
+ * Split a lyric line with inline [chords] into chord/lyric segments
+ * @param {string} line
+ * @returns {Array<{chord: string|null, lyrics: string}>}
+ */
+const parseLyricLine = (line) => {
+  const segments = [];
+  const pattern = /\[([^\]]*)\]/g;
+  let lastIndex = 0;
+  let chord = null;
+  let match;
+
+  while ((match = pattern.exec(line)) !== null) {
+    if (match.index > lastIndex || chord !== null) {
+      segments.push({ chord, lyrics: line.slice(lastIndex, match.index) });
+    }
+    chord = match[1].trim();
+    lastIndex = pattern.lastIndex;
+  }
+
+  if (lastIndex < line.length || chord !== null) {
+    segments.push({ chord, lyrics: line.slice(lastIndex) });
+  }
+
+  return segments;
+};
+
+/**
+ * Parse a ChordPro document
+ * @param {string} text
+ * @returns {{metadata: Object, sections: Array<Object>, chords: Array<string>, errors: Array<Object>}}
+ */
+const parseChordPro = (text) => {
+  const metadata = {};
+  const sections = [];
+  const chords = new Set();
+  const errors = [];
+
+  let current = null;
+  let open = null; // explicitly started section awaiting its end directive
+
+  const startSection = (type, label, line) => {
+    current = {
+      type,
+      label: label || (type === 'none' ? null : type.charAt(0).toUpperCase() + type.slice(1)),
+      line,
+      lines: []
+    };
+    sections.push(current);
+    return current;
+  };
+
+  const addLine = (entry, line) => {
+    if (!current) startSection('none', null, line);
+    current.lines.push(entry);
+  };
+
+  (text || '').split(/\r?\n/).forEach((raw, index) => {
+    const lineNumber = index + 1;
+    const line = raw.replace(/\s+$/, '');
+
+    // Comments for the chord sheet editor, not for display
+    if (line.startsWith('#')) return;
+
+    const directive = /^\s*\{\s*([\w-]+)\s*(?::\s*(.*?))?\s*\}\s*$/.exec(line);
+    if (directive) {
+      const name = DIRECTIVE_ALIASES[directive[1].toLowerCase()] || directive[1].toLowerCase();
+      const value = directive[2] === undefined ? '' : directive[2];
+      const section = /^(start|end)_of_(\w+)$/.exec(name);
+
+      if (section && SECTION_TYPES.includes(section[2])) {
+        if (section[1] === 'start') {
+          if (open) {
+            errors.push({ line: lineNumber, message: `{${name}} inside unclosed ${open.type} started on line ${open.line}` });
+          }
+          open = startSection(section[2], value, lineNumber);
+        } else if (!open || open.type !== section[2]) {
+          errors.push({ line: lineNumber, message: `{${name}} without matching {start_of_${section[2]}}` });
+        } else {
+          open = null;
+          current = null;
+        }
+      } else if (METADATA_DIRECTIVES.includes(name)) {
+        metadata[name] = value;
+        if (name === 'key' && value && !parseKey(value)) {
+          errors.push({ line: lineNumber, message: `Invalid key "${value}"` });
+        }
+      } else if (COMMENT_DIRECTIVES.includes(name)) {
+        addLine({ type: 'comment', text: value }, lineNumber);
+      } else {
+        errors.push({ line: lineNumber, message: `Unknown directive {${directive[1]}}` });
+      }
+      return;
+    }
+
+    if (/^\s*\{/.test(line)) {
+      errors.push({ line: lineNumber, message: 'Malformed directive' });
+      return;
+    }
+
+    if (open && open.type === 'tab') {
+      addLine({ type: 'tab', text: raw }, lineNumber);
+      return;
+    }
+
+    // Blank lines separate implicit sections
+    if (!line.trim()) {
+      if (!open && current && current.lines.length) current = null;
+      return;
+    }
+
+    if ((line.match(/\[/g) || []).length !== (line.match(/\]/g) || []).length) {
+      errors.push({ line: lineNumber, message: 'Unbalanced chord brackets' });
+      return;
+    }
+
+    const segments = parseLyricLine(line);
+    segments.forEach(({ chord }) => {
+      if (chord === null) return;
+      if (!CHORD_PATTERN.test(chord)) {
+        errors.push({ line: lineNumber, message: `Invalid chord "${chord}"` });
+      } else {
+        chords.add(chord);
+      }
+    });
+
+    addLine({ type: 'lyrics', segments }, lineNumber);
+  });
+
+  if (open) {
+    errors.push({ line: open.line, message: `{start_of_${open.type}} is never closed` });
+  }
+
+  return {
+    metadata,
+    sections: sections.filter(section => section.lines.length),
+    chords: [...chords],
+    errors
+  };
+};
+
+/**
+ * Validate a ChordPro document
+ * @param {string} text
+ * @returns {Array<{line: number, message: string}>} Errors, empty if valid
+ */
+const validateChordPro = (text) => parseChordPro(text).errors;
+
+/**
+ * Transpose a ChordPro document, including its {key} directive
+ * @param {string} text
+ * @param {number} semitones
+ * @param {boolean} [useFlats] - Spell accidentals as flats (defaults to the convention of the new key)
+ * @returns {string}
+ */
+const transposeChordPro = (text, semitones, useFlats) => {
+  if (!text || !semitones) return text || '';
+
+  const keyDirective = /\{\s*key\s*:\s*([^}]*?)\s*\}/i.exec(text);
+  const originalKey = keyDirective ? parseKey(keyDirective[1]) : null;
+  const newKey = originalKey ? transposeKey(originalKey, semitones) : null;
+  const flats = useFlats === undefined ? prefersFlats(newKey) : useFlats;
+
+  return text.split(/\r?\n/).map((line) => {
+    if (/^\s*\{\s*key\s*:/i.test(line) && newKey) {
+      return line.replace(/(:\s*)[^}]*?(\s*\})/, `$1${formatKey(newKey)}$2`);
+    }
+
+    if (/^\s*[{#]/.test(line)) return line;
+
+    return line.replace(/\[([^\]]+)\]/g, (match, chord) => `[${transposeChord(chord.trim(), semitones, flats)}]`);
+  }).join('\n');
+};
+
+module.exports = { parseChordPro, validateChordPro, transposeChordPro };
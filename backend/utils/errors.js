@@ -0,0 +1,33 @@
+/**
+ * Error Classes
+ * Errors carrying the HTTP status code they should be reported with
+ */
+
+class ApiError extends Error {
+  /**
+   * @param {number} statusCode - HTTP status code
+   * @param {string} message - Error message
+   */
+  constructor(statusCode, message) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Raised when a save is based on a version that is no longer current
+ */
+class VersionConflictError extends ApiError {
+  /**
+   * @param {number} baseVersion - Version the client based its change on
+   * @param {number} currentVersion - Version currently stored
+   */
+  constructor(baseVersion, currentVersion) {
+    super(409, `Version conflict: change was based on version ${baseVersion} but the current version is ${currentVersion}`);
+    this.baseVersion = baseVersion;
+    this.currentVersion = currentVersion;
+  }
+}
+
+module.exports = { ApiError, VersionConflictError };
@@ -0,0 +1,300 @@
+/**
+ * iCalendar Helpers
+ * Writing and reading the parts of RFC 5545 calendars that gigs and
+ * rehearsals need: single VEVENTs with a start, an end, a place and some text.
+ *
+ * Times are written in UTC, so feeds need no VTIMEZONE blocks. Imported times
+ * may be UTC, in a named (IANA) time zone or floating; floating times are read
+ * in the calendar's X-WR-TIMEZONE, or the time zone the caller passes in.
+ */
+
+const { isValidTimeZone, getZonedParts, zonedTimeToDate } = require('./timeZone');
+
+// Longest content line allowed before it has to be folded, in octets
+const MAX_LINE_OCTETS = 75;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Format an instant as a UTC DATE-TIME value (20240501T193000Z)
+ * @param {Date} date
+ * @returns {string}
+ */
+const formatDateTime = date => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Format the calendar date of an instant in a time zone as a DATE value (20240501)
+ * @param {Date} date
+ * @param {string} [timeZone]
+ * @returns {string}
+ */
+const formatDate = (date, timeZone = 'UTC') => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${pad(year, 4)}${pad(month)}${pad(day)}`;
+};
+
+/**
+ * Escape a TEXT value
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeText = text => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Undo TEXT escaping
+ * @param {string} text
+ * @returns {string}
+ */
+const unescapeText = text => text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+/**
+ * Fold a content line into lines of at most 75 octets, never splitting a character
+ * @param {string} line
+ * @returns {string}
+ */
+const foldLine = (line) => {
+  const lines = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (octets + size > MAX_LINE_OCTETS) {
+      lines.push(current);
+      // Continuation lines start with a space, which counts towards their length
+      current = ' ';
+      octets = 1;
+    }
+    current += char;
+    octets += size;
+  }
+
+  lines.push(current);
+  return lines.join('\r\n');
+};
+
+/**
+ * Build an iCalendar document
+ * @param {Object} calendar
+ * @param {string} calendar.name - Shown as the calendar's name by most apps
+ * @param {Array<Object>} calendar.events - uid, start, end, allDay, timeZone, summary,
+ *   location, description, status (CONFIRMED, TENTATIVE, CANCELLED), sequence, url, updatedAt
+ * @returns {string}
+ */
+const buildCalendar = ({ name, events }) => {
+  const now = formatDateTime(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Setlist Builder//Events//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    // Ask subscribed calendars to refresh hourly
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H'
+  ];
+
+  events.forEach((event) => {
+    lines.push('BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${now}`);
+
+    if (event.allDay) {
+      const end = event.end && event.end > event.start ? event.end : new Date(event.start.getTime() + DAY);
+      lines.push(
+        `DTSTART;VALUE=DATE:${formatDate(event.start, event.timeZone)}`,
+        `DTEND;VALUE=DATE:${formatDate(end, event.timeZone)}`
+      );
+    } else {
+      lines.push(`DTSTART:${formatDateTime(event.start)}`);
+      if (event.end) lines.push(`DTEND:${formatDateTime(event.end)}`);
+    }
+
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    if (event.status) lines.push(`STATUS:${event.status}`);
+    lines.push(`SEQUENCE:${event.sequence || 0}`);
+    if (event.updatedAt) lines.push(`LAST-MODIFIED:${formatDateTime(event.updatedAt)}`);
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+/**
+ * Split a content line into its name, parameters and value
+ * @param {string} line
+ * @returns {{name: string, params: Object, value: string}|null}
+ */
+const parseContentLine = (line) => {
+  // The value starts at the first colon outside a quoted parameter value
+  let quoted = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    else if (line[i] === ':' && !quoted) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...paramParts] = line.slice(0, colon).split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  const params = {};
+  paramParts.forEach((part) => {
+    const equals = part.indexOf('=');
+    if (equals === -1) return;
+    params[part.slice(0, equals).toUpperCase()] = part.slice(equals + 1).replace(/^"|"$/g, '');
+  });
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+/**
+ * Read a DATE or DATE-TIME property value
+ * @param {Object} property - Parsed content line
+ * @param {string} defaultTimeZone - Time zone of floating times
+ * @returns {{date: Date, allDay: boolean}|null}
+ */
+const parseDateValue = ({ params, value }, defaultTimeZone) => {
+  const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const parts = {
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: Number(hour || 0),
+    minute: Number(minute || 0),
+    second: Number(second || 0)
+  };
+
+  if (params.VALUE === 'DATE' || hour === undefined) {
+    return { date: zonedTimeToDate(parts, defaultTimeZone), allDay: true };
+  }
+
+  if (utc) {
+    return { date: new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)), allDay: false };
+  }
+
+  const timeZone = isValidTimeZone(params.TZID) ? params.TZID : defaultTimeZone;
+  return { date: zonedTimeToDate(parts, timeZone), allDay: false };
+};
+
+/**
+ * Length of a DURATION value (P1DT2H30M, PT90M, P1W) in milliseconds
+ * @param {string} value
+ * @returns {number|null}
+ */
+const parseDuration = (value) => {
+  const match = value.trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+
+  const [, sign, weeks, days, hours, minutes, seconds] = match.map(part => part || 0);
+  const duration = ((((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+  return sign === '-' ? -duration : duration;
+};
+
+/**
+ * Read the events of an iCalendar document
+ * Alarms and other components nested in an event are ignored, as are to-dos
+ * and free/busy blocks. Recurring events are returned with `recurring` set
+ * and only their first occurrence.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - Time zone of floating times when the calendar names none
+ * @returns {{name: string, timeZone: string, events: Array<Object>}} The time zone floating
+ *   times were read in, and events with uid, summary, description, location, start, end,
+ *   allDay, status, sequence and recurring
+ */
+const parseCalendar = (text, { timeZone } = {}) => {
+  const lines = String(text)
+    .replace(/^\uFEFF/, '')
+    // Unfold: a line break followed by a space or tab continues the previous line
+    .replace(/\r?\n[ \t]/g, '')
+    .split(/\r?\n/);
+
+  const calendar = { name: '', timeZone: null };
+  const events = [];
+  let current = null;
+  let nested = 0;
+
+  lines.forEach((line) => {
+    const property = parseContentLine(line);
+    if (!property) return;
+
+    const { name, value } = property;
+
+    if (name === 'BEGIN') {
+      if (value.toUpperCase() === 'VEVENT' && !current) current = { properties: {} };
+      else if (current) nested += 1;
+      return;
+    }
+
+    if (name === 'END') {
+      if (current && nested) nested -= 1;
+      else if (current && value.toUpperCase() === 'VEVENT') {
+        events.push(current.properties);
+        current = null;
+      }
+      return;
+    }
+
+    if (current) {
+      if (!nested && !current.properties[name]) current.properties[name] = property;
+    } else if (name === 'X-WR-CALNAME') {
+      calendar.name = unescapeText(value);
+    } else if (name === 'X-WR-TIMEZONE' && isValidTimeZone(value.trim())) {
+      calendar.timeZone = value.trim();
+    }
+  });
+
+  const defaultTimeZone = calendar.timeZone || (isValidTimeZone(timeZone) ? timeZone : 'UTC');
+  const readText = property => (property ? unescapeText(property.value).trim() : '');
+
+  return {
+    name: calendar.name,
+    timeZone: defaultTimeZone,
+    events: events.map((properties) => {
+      const start = properties.DTSTART ? parseDateValue(properties.DTSTART, defaultTimeZone) : null;
+      let end = properties.DTEND ? parseDateValue(properties.DTEND, defaultTimeZone) : null;
+
+      if (!end && start && properties.DURATION) {
+        const duration = parseDuration(properties.DURATION.value);
+        if (duration !== null) end = { date: new Date(start.date.getTime() + duration) };
+      }
+
+      return {
+        uid: readText(properties.UID),
+        summary: readText(properties.SUMMARY),
+        description: readText(properties.DESCRIPTION),
+        location: readText(properties.LOCATION),
+        start: start ? start.date : null,
+        end: end ? end.date : null,
+        allDay: start ? start.allDay : false,
+        status: readText(properties.STATUS).toUpperCase() || null,
+        sequence: Number(readText(properties.SEQUENCE)) || 0,
+        recurring: !!(properties.RRULE || properties.RDATE)
+      };
+    })
+  };
+};
+
+module.exports = {
+  formatDateTime,
+  formatDate,
+  escapeText,
+  foldLine,
+  buildCalendar,
+  parseCalendar
+};
@@ -0,0 +1,24 @@
+/**
+ * Logger
+ * Winston logger shared by the server, sockets and services
+ */
+const winston = require('winston');
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || (process.env.NODE_ENV === 'production' ? 'info' : 'debug'),
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.splat(),
+    process.env.NODE_ENV === 'production'
+      ? winston.format.json()
+      : winston.format.printf(({ timestamp, level, message, stack }) => (
+        `${timestamp} ${level}: ${message}${stack ? `\n${stack}` : ''}`
+      ))
+  ),
+  transports: [
+    new winston.transports.Console({ silent: process.env.NODE_ENV === 'test' })
+  ]
+});
+
+module.exports = logger;
@@ -0,0 +1,174 @@
+/**
+ * Musical Key Helpers
+ * Parsing, normalizing and transposing keys and chords
+ */
+
+const SHARP_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const FLAT_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+const NOTE_VALUES = {
+  C: 0, 'B#': 0,
+  'C#': 1, Db: 1,
+  D: 2,
+  'D#': 3, Eb: 3,
+  E: 4, Fb: 4,
+  F: 5, 'E#': 5,
+  'F#': 6, Gb: 6,
+  G: 7,
+  'G#': 8, Ab: 8,
+  A: 9,
+  'A#': 10, Bb: 10,
+  B: 11, Cb: 11
+};
+
+// Keys conventionally written with flats; F# major is preferred to Gb
+const FLAT_KEYS = {
+  major: ['F', 'Bb', 'Eb', 'Ab', 'Db'],
+  minor: ['D', 'G', 'C', 'F', 'Bb', 'Eb']
+};
+
+// Keys with open-chord shapes that are comfortable on guitar
+const OPEN_SHAPE_KEYS = {
+  major: ['C', 'G', 'D', 'A', 'E'],
+  minor: ['A', 'E', 'D']
+};
+
+const MAX_CAPO = 7;
+
+const KEY_PATTERN = /^([A-Ga-g])([#b♯♭]?)\s*(maj(or)?|min(or)?|m|M)?$/;
+const CHORD_PATTERN = /^([A-G][#b]?)([^/\s]*)(?:\/([A-G][#b]?))?$/;
+
+/**
+ * Parse a key such as "A", "F# minor", "Bbm" or "c"
+ * @param {string} value
+ * @returns {{root: string, mode: string}|null} Root note and mode, or null if unparseable
+ */
+const parseKey = (value) => {
+  const match = KEY_PATTERN.exec((value || '').trim());
+  if (!match) return null;
+
+  const accidental = match[2].replace('♯', '#').replace('♭', 'b');
+  const root = match[1].toUpperCase() + accidental;
+  if (NOTE_VALUES[root] === undefined) return null;
+
+  const quality = match[3] || '';
+  const mode = quality === 'm' || quality.toLowerCase().startsWith('min') ? 'minor' : 'major';
+
+  return { root, mode };
+};
+
+/**
+ * Canonical text form of a key ("A" for A major, "Am" for A minor)
+ * @param {{root: string, mode: string}} key
+ * @returns {string}
+ */
+const formatKey = (key) => `${key.root}${key.mode === 'minor' ? 'm' : ''}`;
+
+/**
+ * Normalize a key string to its canonical form
+ * @param {string} value
+ * @returns {string} Canonical key, '' for empty input, or the trimmed input if unparseable
+ */
+const normalizeKey = (value) => {
+  const trimmed = (value || '').trim();
+  if (!trimmed) return '';
+
+  const key = parseKey(trimmed);
+  return key ? formatKey(key) : trimmed;
+};
+
+const isValidKey = (value) => !value || !!parseKey(value);
+
+/**
+ * Transpose a note name
+ * @param {string} note
+ * @param {number} semitones
+ * @param {boolean} useFlats - Spell accidentals as flats
+ * @returns {string}
+ */
+const transposeNote = (note, semitones, useFlats = false) => {
+  const value = NOTE_VALUES[note];
+  if (value === undefined) return note;
+
+  const names = useFlats ? FLAT_NAMES : SHARP_NAMES;
+  return names[(((value + semitones) % 12) + 12) % 12];
+};
+
+/**
+ * Whether a key is written with flats
+ * @param {{root: string, mode: string}} key
+ * @returns {boolean}
+ */
+const prefersFlats = (key) => !!key && (key.root.includes('b') || FLAT_KEYS[key.mode].includes(key.root));
+
+/**
+ * Transpose a key, spelled with flats only if the new key is conventionally a flat key
+ * @param {{root: string, mode: string}} key
+ * @param {number} semitones
+ * @returns {{root: string, mode: string}}
+ */
+const transposeKey = (key, semitones) => {
+  const flat = { root: transposeNote(key.root, semitones, true), mode: key.mode };
+  if (FLAT_KEYS[key.mode].includes(flat.root)) return flat;
+
+  return { root: transposeNote(key.root, semitones, false), mode: key.mode };
+};
+
+/**
+ * Transpose a chord symbol such as "F#m7" or "G/B"
+ * @param {string} chord
+ * @param {number} semitones
+ * @param {boolean} useFlats
+ * @returns {string} Transposed chord, or the input if it is not a chord
+ */
+const transposeChord = (chord, semitones, useFlats = false) => {
+  const match = CHORD_PATTERN.exec(chord);
+  if (!match) return chord;
+
+  const [, root, suffix, bass] = match;
+  const transposed = transposeNote(root, semitones, useFlats) + suffix;
+
+  return bass ? `${transposed}/${transposeNote(bass, semitones, useFlats)}` : transposed;
+};
+
+/**
+ * Semitones between two keys, in the range -6..5
+ * @param {{root: string}} from
+ * @param {{root: string}} to
+ * @returns {number}
+ */
+const interval = (from, to) => {
+  const semitones = (((NOTE_VALUES[to.root] - NOTE_VALUES[from.root]) % 12) + 12) % 12;
+  return semitones > 5 ? semitones - 12 : semitones;
+};
+
+/**
+ * Suggest a capo position for playing in a key with open-chord shapes
+ * @param {{root: string, mode: string}} key - Sounding key
+ * @returns {{fret: number, shapeKey: string}|null} Lowest capo fret with open shapes, or null
+ */
+const suggestCapo = (key) => {
+  if (!key) return null;
+
+  for (let fret = 0; fret <= MAX_CAPO; fret++) {
+    const shape = { root: transposeNote(key.root, -fret, false), mode: key.mode };
+    if (OPEN_SHAPE_KEYS[key.mode].includes(shape.root)) {
+      return { fret, shapeKey: formatKey(shape) };
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  parseKey,
+  formatKey,
+  normalizeKey,
+  isValidKey,
+  prefersFlats,
+  transposeNote,
+  transposeKey,
+  transposeChord,
+  interval,
+  suggestCapo
+};
@@ -0,0 +1,57 @@
+/**
+ * Notification Events
+ * What users can be notified about, and how by default.
+ *
+ * Each user can switch every delivery channel on or off per event; events
+ * they have not configured use these defaults. Digest events collect into one
+ * notification per subject and go out by email/push in a batch, so a burst of
+ * edits to a setlist is one message rather than one per drag-and-drop.
+ */
+
+const NOTIFICATION_CHANNELS = ['inApp', 'email', 'push'];
+
+const NOTIFICATION_EVENTS = {
+  setlist_changed: {
+    description: 'A setlist for an upcoming gig was changed',
+    digest: true,
+    defaults: { inApp: true, email: true, push: false }
+  },
+  band_invitation: {
+    description: 'You were invited to join a band',
+    defaults: { inApp: true, email: true, push: true }
+  },
+  comment_mention: {
+    description: 'Someone mentioned you in a comment',
+    defaults: { inApp: true, email: false, push: true }
+  },
+  gig_reminder: {
+    description: 'You have a gig tomorrow',
+    // One reminder per gig, however often the scheduler looks
+    once: true,
+    defaults: { inApp: true, email: true, push: true }
+  }
+};
+
+/**
+ * Merge a user's per-event channel choices over the defaults
+ * @param {Object|Map} [overrides] - Event name to { inApp, email, push }
+ * @returns {Object} Every event with every channel set
+ */
+const resolvePreferences = (overrides) => {
+  const get = event => (overrides instanceof Map ? overrides.get(event) : overrides && overrides[event]) || {};
+
+  return Object.fromEntries(Object.entries(NOTIFICATION_EVENTS).map(([event, { defaults }]) => {
+    const chosen = get(event);
+    const channels = NOTIFICATION_CHANNELS.map(channel => [
+      channel,
+      typeof chosen[channel] === 'boolean' ? chosen[channel] : defaults[channel]
+    ]);
+    return [event, Object.fromEntries(channels)];
+  }));
+};
+
+module.exports = {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_EVENTS,
+  resolvePreferences
+};
@@ -0,0 +1,31 @@
+/**
+ * Serial Queue
+ * Runs async tasks one at a time per key
+ */
+
+/**
+ * Create a queue that runs tasks sharing a key one after another
+ * Tasks with different keys run concurrently. A failed task does not block
+ * the tasks queued after it.
+ * @returns {Function} enqueue(key, task) resolving with the task's result
+ */
+const createSerialQueue = () => {
+  const queues = new Map();
+
+  return (key, task) => {
+    const queueKey = key.toString();
+    const previous = queues.get(queueKey) || Promise.resolve();
+    const current = previous.catch(() => {}).then(task);
+
+    queues.set(queueKey, current);
+    current.finally(() => {
+      if (queues.get(queueKey) === current) {
+        queues.delete(queueKey);
+      }
+    }).catch(() => {});
+
+    return current;
+  };
+};
+
+module.exports = { createSerialQueue };
@@ -0,0 +1,96 @@
+/**
+ * Setlist entry helpers
+ * An entry plays one song, optionally in one of its arrangements, or as a
+ * medley several songs back to back as one block. Other entries are items that
+ * are not songs at all, like a break or an announcement, which take up time
+ * but have no song. Code that needs the songs of an entry goes through its
+ * parts, so medleys are never half counted and items never looked up.
+ */
+
+// Kinds of setlist entry
+const ITEM_TYPES = ['song', 'break', 'speech', 'cue'];
+
+// What an item is called on printouts and in the show
+const ITEM_NAMES = {
+  break: 'Break',
+  speech: 'Announcement',
+  cue: 'Cue'
+};
+
+/**
+ * Whether an entry plays songs; entries saved before items existed have no type
+ * @param {Object} entry - Setlist entry
+ * @returns {boolean}
+ */
+const isSong = entry => !entry.type || entry.type === 'song';
+
+/**
+ * The songs an entry plays, in order (none for an item)
+ * @param {Object} entry - Setlist entry
+ * @returns {Array<{songId: Object, variantId: Object|null, duration: number}>}
+ */
+const getEntryParts = (entry) => {
+  if (!isSong(entry)) return [];
+
+  return entry.medley && entry.medley.length
+    ? entry.medley
+    : [{ songId: entry.songId, variantId: entry.variantId || null, duration: entry.duration }];
+};
+
+/**
+ * Every song played in some sets, medley parts included, without repeats
+ * @param {Array<Object>} sets - Setlist or template sets
+ * @returns {Array<Object>} Song IDs
+ */
+const getSongIds = (sets) => {
+  const ids = new Map();
+
+  sets.forEach(set => set.songs.forEach(entry => getEntryParts(entry).forEach((part) => {
+    const songId = part.songId && part.songId._id ? part.songId._id : part.songId;
+    if (songId) ids.set(songId.toString(), songId);
+  })));
+
+  return [...ids.values()];
+};
+
+/**
+ * Display title of a song as played in an arrangement, e.g. "Wonderwall (Acoustic)"
+ * @param {Object|null} song - Song document, or null if it was deleted
+ * @param {Object|null} [variantId]
+ * @returns {string}
+ */
+const formatPartTitle = (song, variantId = null) => {
+  if (!song) return 'Unknown song';
+
+  const variant = variantId && song.variants ? song.variants.id(variantId) : null;
+  return variant ? `${song.title} (${variant.name})` : song.title;
+};
+
+/**
+ * Display title of an entry; a medley lists its songs, after its name if it has one,
+ * and an item is named for its type, e.g. "Announcement: Raffle"
+ * @param {Object} entry - Setlist entry
+ * @param {function(Object): (Object|null)} findSong - Song document for a song ID
+ * @returns {string}
+ */
+const formatEntryTitle = (entry, findSong) => {
+  if (!isSong(entry)) {
+    const name = ITEM_NAMES[entry.type];
+    return entry.label ? `${name}: ${entry.label}` : name;
+  }
+
+  const titles = getEntryParts(entry).map(part => formatPartTitle(findSong(part.songId), part.variantId));
+  const title = titles.join(' / ');
+
+  return entry.medleyName ? `${entry.medleyName}: ${title}` : title;
+};
+
+module.exports = {
+  ITEM_TYPES,
+  ITEM_NAMES,
+  isSong,
+  getEntryParts,
+  getSongIds,
+  formatPartTitle,
+  formatEntryTitle
+};
@@ -0,0 +1,78 @@
+/**
+ * Time Zone Helpers
+ * Converting between instants and wall-clock times in IANA time zones with
+ * the runtime's Intl data, for gigs that happen somewhere other than UTC
+ */
+
+/**
+ * Whether a string is an IANA time zone name this runtime knows
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock date and time of an instant in a time zone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const get = type => Number(parts.find(part => part.type === type).value);
+
+  return {
+    year: get('year'),
+    month: get('month'),
+    day: get('day'),
+    hour: get('hour'),
+    minute: get('minute'),
+    second: get('second')
+  };
+};
+
+/**
+ * The instant a wall-clock time in a time zone stands for
+ * @param {Object} parts - year, month (1-12), day, hour, minute, second
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+const zonedTimeToDate = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  const offsetAt = (instant) => {
+    const zoned = getZonedParts(new Date(instant), timeZone);
+    return Date.UTC(zoned.year, zoned.month - 1, zoned.day, zoned.hour, zoned.minute, zoned.second) - instant;
+  };
+
+  // The offset at the guess can differ from the offset at the answer around DST changes
+  const offset = offsetAt(wallClock);
+  const instant = wallClock - offset;
+  const corrected = offsetAt(instant);
+
+  return new Date(corrected === offset ? instant : wallClock - corrected);
+};
+
+module.exports = {
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToDate
+};
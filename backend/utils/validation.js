@@ -0,0 +1,29 @@
+/**
+ * Validation
+ * Zod helpers shared by the services that check request bodies
+ */
+const mongoose = require('mongoose');
+const { z } = require('zod');
+const { ApiError } = require('./errors');
+
+// A MongoDB ID given as a string
+const objectId = z.string().refine(value => mongoose.Types.ObjectId.isValid(value), {
+  message: 'Invalid ID'
+});
+
+/**
+ * Parse a request body, or throw a 400
+ * @param {Object} schema - Zod schema
+ * @param {Object} input
+ * @param {string} label - What is being parsed, for the error message
+ * @returns {Object}
+ */
+const parse = (schema, input, label) => {
+  const parsed = schema.safeParse(input || {});
+  if (!parsed.success) {
+    throw new ApiError(400, `Invalid ${label}: ${parsed.error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`).join(', ')}`);
+  }
+  return parsed.data;
+};
+
+module.exports = { objectId, parse };
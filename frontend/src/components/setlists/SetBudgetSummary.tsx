@@ -0,0 +1,73 @@
+import React from 'react';
+import { Alert, Box, LinearProgress, Stack, Typography } from '@mui/material';
+import { BudgetReport, BudgetStatus, SongOverBudget } from '../../types/setlist';
+import formatDuration from '../../utils/formatDuration';
+import { formatItemTitle, isSong } from '../../utils/setlistEntries';
+
+interface SetBudgetSummaryProps {
+  budget: BudgetReport;
+  songTitles?: Record<string, string>;
+}
+
+const statusColor: Record<BudgetStatus, 'error' | 'warning' | 'success' | 'primary'> = {
+  over: 'error',
+  under: 'warning',
+  on_target: 'success',
+  no_target: 'primary',
+};
+
+const describeOverrun = (overrun: number | null): string => {
+  if (overrun === null) return 'No target';
+  if (overrun > 0) return `${formatDuration(overrun)} over`;
+  if (overrun < 0) return `${formatDuration(-overrun)} under`;
+  return 'On target';
+};
+
+const describeEntry = (song: SongOverBudget, songTitles: Record<string, string>): string => {
+  if (!isSong(song)) return formatItemTitle(song);
+  return (song.songId && songTitles[song.songId]) || `Song ${song.position + 1}`;
+};
+
+/**
+ * Time budget of each set and the whole show, with the songs that push a set over
+ */
+const SetBudgetSummary: React.FC<SetBudgetSummaryProps> = ({ budget, songTitles = {} }) => (
+  <Stack spacing={2}>
+    <Box>
+      <Typography variant="subtitle1">
+        Show: {formatDuration(budget.totalDuration)}
+        {budget.targetDuration ? ` / ${formatDuration(budget.targetDuration)}` : ''} (
+        {describeOverrun(budget.overrun)})
+      </Typography>
+    </Box>
+
+    {budget.sets.map((set) => (
+      <Box key={set.setId}>
+        <Typography variant="body2">
+          {set.name}: {formatDuration(set.duration)}
+          {set.targetDuration ? ` / ${formatDuration(set.targetDuration)}` : ''} (
+          {describeOverrun(set.overrun)})
+        </Typography>
+        {set.targetDuration ? (
+          <LinearProgress
+            variant="determinate"
+            color={statusColor[set.status]}
+            value={Math.min(100, (set.duration / set.targetDuration) * 100)}
+          />
+        ) : null}
+        {set.songsOverBudget.length > 0 && (
+          <Alert severity="error" sx={{ mt: 1 }}>
+            Over the set limit:{' '}
+            {set.songsOverBudget
+              .map(
+                (song) => `${describeEntry(song, songTitles)} (+${formatDuration(song.overBy)})`
+              )
+              .join(', ')}
+          </Alert>
+        )}
+      </Box>
+    ))}
+  </Stack>
+);
+
+export default SetBudgetSummary;
@@ -0,0 +1,66 @@
+import React from 'react';
+import { Box, Chip, Stack, Typography } from '@mui/material';
+import CoffeeIcon from '@mui/icons-material/Coffee';
+import CampaignIcon from '@mui/icons-material/Campaign';
+import GraphicEqIcon from '@mui/icons-material/GraphicEq';
+import { SetlistEntry } from '../../types/setlist';
+import formatDuration from '../../utils/formatDuration';
+import { formatItemTitle, NonSongItemType } from '../../utils/setlistEntries';
+
+interface SetlistItemProps {
+  item: Pick<SetlistEntry, 'type' | 'label' | 'duration' | 'notes'>;
+  /** Stage-sized text for Performance Mode */
+  large?: boolean;
+}
+
+const itemIcons: Record<NonSongItemType, React.ReactElement> = {
+  break: <CoffeeIcon fontSize="inherit" />,
+  speech: <CampaignIcon fontSize="inherit" />,
+  cue: <GraphicEqIcon fontSize="inherit" />,
+};
+
+const itemColors: Record<NonSongItemType, 'info' | 'secondary' | 'warning'> = {
+  break: 'info',
+  speech: 'secondary',
+  cue: 'warning',
+};
+
+/**
+ * A break, announcement or cue in a set, set apart from the songs around it
+ * Used by the setlist builder and Performance Mode.
+ */
+const SetlistItem: React.FC<SetlistItemProps> = ({ item, large = false }) => {
+  const type = item.type as NonSongItemType;
+
+  return (
+    <Box
+      sx={{
+        px: 2,
+        py: large ? 2 : 1,
+        border: 1,
+        borderStyle: 'dashed',
+        borderColor: `${itemColors[type]}.main`,
+        borderRadius: 1,
+      }}
+    >
+      <Stack direction="row" spacing={1} alignItems="center">
+        <Box sx={{ display: 'flex', color: `${itemColors[type]}.main`, fontSize: large ? 40 : 20 }}>
+          {itemIcons[type]}
+        </Box>
+        <Typography variant={large ? 'h4' : 'body1'} sx={{ fontStyle: 'italic', flexGrow: 1 }}>
+          {formatItemTitle(item)}
+        </Typography>
+        {item.duration > 0 && (
+          <Chip label={formatDuration(item.duration)} size={large ? 'medium' : 'small'} variant="outlined" />
+        )}
+      </Stack>
+      {item.notes && (
+        <Typography variant={large ? 'h6' : 'body2'} color="text.secondary" sx={{ mt: 0.5 }}>
+          {item.notes}
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+export default SetlistItem;
@@ -0,0 +1,66 @@
+import React from 'react';
+import {
+  Alert,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+} from '@mui/material';
+
+interface VersionConflictDialogProps {
+  open: boolean;
+  currentVersion: number;
+  conflictingFields: string[];
+  onReload: () => void;
+  onMerge: () => void;
+  onCancel: () => void;
+}
+
+/**
+ * Prompt shown when a setlist save is rejected because someone else saved first
+ */
+const VersionConflictDialog: React.FC<VersionConflictDialogProps> = ({
+  open,
+  currentVersion,
+  conflictingFields,
+  onReload,
+  onMerge,
+  onCancel,
+}) => {
+  const canMerge = conflictingFields.length === 0;
+
+  return (
+    <Dialog open={open} onClose={onCancel} maxWidth="sm" fullWidth>
+      <DialogTitle>This setlist was changed by someone else</DialogTitle>
+      <DialogContent>
+        <DialogContentText>
+          Your changes were not saved because version {currentVersion} was saved while you were
+          editing.
+        </DialogContentText>
+        {canMerge ? (
+          <Alert severity="info" sx={{ mt: 2 }}>
+            Your changes don&apos;t overlap with theirs and can be merged.
+          </Alert>
+        ) : (
+          <Alert severity="warning" sx={{ mt: 2 }}>
+            You both changed: {conflictingFields.join(', ')}. Reload to see their version, then
+            reapply your edits.
+          </Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onCancel}>Keep editing</Button>
+        <Button onClick={onReload} color="warning">
+          Reload latest
+        </Button>
+        <Button onClick={onMerge} variant="contained" disabled={!canMerge}>
+          Merge my changes
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default VersionConflictDialog;
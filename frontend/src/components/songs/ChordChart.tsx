@@ -0,0 +1,134 @@
+import React, { useRef } from 'react';
+import { Box, Button, ButtonGroup, Chip, Link, Stack, Typography } from '@mui/material';
+import { ChartLine, SongChart } from '../../types/chart';
+
+interface ChordChartProps {
+  chart: SongChart;
+  onTranspose?: (semitones: number) => void;
+  fontSize?: number;
+}
+
+const renderLine = (line: ChartLine, key: number) => {
+  if (line.type === 'comment') {
+    return (
+      <Typography key={key} variant="body2" sx={{ fontStyle: 'italic', opacity: 0.8 }}>
+        {line.text}
+      </Typography>
+    );
+  }
+
+  if (line.type === 'tab') {
+    return (
+      <Box key={key} component="pre" sx={{ m: 0, fontFamily: 'monospace' }}>
+        {line.text}
+      </Box>
+    );
+  }
+
+  // Each chord sits above the lyrics it belongs to
+  return (
+    <Box key={key} sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'flex-end' }}>
+      {line.segments.map((segment, index) => (
+        <Box key={index} sx={{ display: 'inline-flex', flexDirection: 'column', whiteSpace: 'pre' }}>
+          <Box component="span" sx={{ fontWeight: 'bold', color: 'primary.main', minHeight: '1.2em', pr: 0.5 }}>
+            {segment.chord || ''}
+          </Box>
+          <Box component="span">{segment.lyrics || ' '}</Box>
+        </Box>
+      ))}
+    </Box>
+  );
+};
+
+/**
+ * ChordPro chart with a section jump list and transposition controls
+ * Falls back to links to the chord sheet and lyrics files for songs without ChordPro.
+ */
+const ChordChart: React.FC<ChordChartProps> = ({ chart, onTranspose, fontSize = 18 }) => {
+  const sectionRefs = useRef<Record<number, HTMLDivElement | null>>({});
+
+  const jumpTo = (index: number) => {
+    sectionRefs.current[index]?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  };
+
+  return (
+    <Stack spacing={2}>
+      <Stack direction="row" spacing={2} alignItems="center">
+        {chart.playedKey && (
+          <Typography variant="subtitle1">
+            Key: {chart.playedKey}
+            {chart.transpose !== 0 && chart.songKey ? ` (written in ${chart.songKey})` : ''}
+          </Typography>
+        )}
+        {onTranspose && (
+          <ButtonGroup size="small">
+            <Button onClick={() => onTranspose(chart.transpose - 1)}>-1</Button>
+            <Button onClick={() => onTranspose(0)} disabled={chart.transpose === 0}>
+              Reset
+            </Button>
+            <Button onClick={() => onTranspose(chart.transpose + 1)}>+1</Button>
+          </ButtonGroup>
+        )}
+      </Stack>
+
+      {chart.chart ? (
+        <>
+          <Stack direction="row" spacing={1} sx={{ flexWrap: 'wrap' }}>
+            {chart.chart.sections
+              .filter((section) => section.label)
+              .map((section) => (
+                <Chip
+                  key={section.index}
+                  label={section.label}
+                  onClick={() => jumpTo(section.index)}
+                  size="small"
+                />
+              ))}
+          </Stack>
+
+          <Box sx={{ fontSize }}>
+            {chart.chart.sections.map((section) => (
+              <Box
+                key={section.index}
+                ref={(element: HTMLDivElement | null) => {
+                  sectionRefs.current[section.index] = element;
+                }}
+                sx={{
+                  mb: 2,
+                  pl: section.type === 'chorus' ? 2 : 0,
+                  borderLeft: section.type === 'chorus' ? 3 : 0,
+                  borderColor: 'primary.main',
+                }}
+              >
+                {section.label && (
+                  <Typography variant="overline" component="div">
+                    {section.label}
+                  </Typography>
+                )}
+                {section.lines.map(renderLine)}
+              </Box>
+            ))}
+          </Box>
+        </>
+      ) : (
+        <Stack spacing={1}>
+          {chart.chordSheetUrl && (
+            <Link href={chart.chordSheetUrl} target="_blank" rel="noopener">
+              Open chord sheet
+            </Link>
+          )}
+          {chart.lyricsUrl && (
+            <Link href={chart.lyricsUrl} target="_blank" rel="noopener">
+              Open lyrics
+            </Link>
+          )}
+          {!chart.chordSheetUrl && !chart.lyricsUrl && (
+            <Typography color="text.secondary">No chart for this song yet.</Typography>
+          )}
+        </Stack>
+      )}
+    </Stack>
+  );
+};
+
+export default ChordChart;
@@ -0,0 +1,43 @@
+import { useEffect, useState } from 'react';
+import { cacheAttachments } from '../services/attachmentService';
+import { Song } from '../types/song';
+
+/**
+ * Keep the attachment files of a setlist's songs in the local copy, for Performance Mode
+ * Downloads whatever is missing while online, and again whenever the songs
+ * change (a new version synced in) or the browser comes back online.
+ */
+const useAttachmentCache = (songs: Record<string, Song>) => {
+  const [caching, setCaching] = useState(false);
+  const [failed, setFailed] = useState(0);
+
+  useEffect(() => {
+    let active = true;
+
+    const cache = async () => {
+      if (!navigator.onLine) return;
+
+      setCaching(true);
+      const list = Object.values(songs);
+      // The local store itself failing leaves every file uncached
+      const failures = await cacheAttachments(list).catch(() =>
+        list.reduce((total, song) => total + (song.attachments ?? []).length, 0)
+      );
+      if (!active) return;
+      setFailed(failures);
+      setCaching(false);
+    };
+
+    cache();
+    window.addEventListener('online', cache);
+
+    return () => {
+      active = false;
+      window.removeEventListener('online', cache);
+    };
+  }, [songs]);
+
+  return { caching, failed };
+};
+
+export default useAttachmentCache;
@@ -0,0 +1,49 @@
+import { useEffect, useRef, useState } from 'react';
+import { getAttachmentFile } from '../services/attachmentService';
+import { SongAttachment } from '../types/song';
+
+/**
+ * Object URL of an attachment's current file, for an <img>, <iframe> or link
+ * Read from the local copy when cached, so it works offline; null while loading
+ * or when the file cannot be had. Only a new version loads the file again.
+ */
+const useAttachmentUrl = (songId: string, attachment: SongAttachment | null) => {
+  const [url, setUrl] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const latest = useRef(attachment);
+  latest.current = attachment;
+
+  const attachmentId = attachment ? attachment._id : null;
+  const version = attachment && attachment.versions.length
+    ? attachment.versions[attachment.versions.length - 1].number
+    : null;
+
+  useEffect(() => {
+    if (!latest.current || version === null) return undefined;
+
+    let active = true;
+    let objectUrl: string | null = null;
+
+    getAttachmentFile(songId, latest.current)
+      .then((blob) => {
+        if (!active) return;
+        objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+        setError(null);
+      })
+      .catch((fileError) => {
+        if (!active) return;
+        setUrl(null);
+        setError((fileError as Error).message);
+      });
+
+    return () => {
+      active = false;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [songId, attachmentId, version]);
+
+  return { url, error };
+};
+
+export default useAttachmentUrl;
@@ -0,0 +1,106 @@
+import { useEffect, useState } from 'react';
+import { getThreads } from '../services/commentService';
+import { emitWithAck, getSocket } from '../services/socket';
+import { Comment, CommentsDeleted, CommentTarget, CommentThread } from '../types/comment';
+
+const isOnTarget = (comment: Pick<Comment, 'songId' | 'entryId'>, target: CommentTarget): boolean =>
+  'songId' in target ? comment.songId === target.songId : comment.entryId === target.entryId;
+
+/**
+ * Add or replace a comment in a list of threads
+ */
+const mergeComment = (threads: CommentThread[], comment: Comment): CommentThread[] => {
+  if (!comment.parentId) {
+    const existing = threads.find((thread) => thread._id === comment._id);
+    return existing
+      ? threads.map((thread) => (thread._id === comment._id ? { ...comment, replies: thread.replies } : thread))
+      : [...threads, { ...comment, replies: [] }];
+  }
+
+  return threads.map((thread) => {
+    if (thread._id !== comment.parentId) return thread;
+
+    const replies = thread.replies.some((reply) => reply._id === comment._id)
+      ? thread.replies.map((reply) => (reply._id === comment._id ? comment : reply))
+      : [...thread.replies, comment];
+    return { ...thread, replies };
+  });
+};
+
+/**
+ * Comment threads on a song or setlist entry, kept up to date as band members comment
+ * Setlist entry comments arrive in the setlist's room, so the setlist editor must have joined it.
+ */
+const useCommentThreads = (target: CommentTarget | null) => {
+  const [threads, setThreads] = useState<CommentThread[]>([]);
+  const [error, setError] = useState<string | null>(null);
+
+  const songId = target && 'songId' in target ? target.songId : null;
+  const entryId = target && 'entryId' in target ? target.entryId : null;
+  const setlistId = target && 'setlistId' in target ? target.setlistId : null;
+
+  useEffect(() => {
+    const current: CommentTarget | null = songId
+      ? { songId }
+      : setlistId && entryId
+        ? { setlistId, entryId }
+        : null;
+    if (!current) return undefined;
+
+    const socket = getSocket();
+    let active = true;
+
+    getThreads(current)
+      .then((loaded) => {
+        if (active) setThreads(loaded);
+      })
+      .catch((loadError: Error) => {
+        if (active) setError(loadError.message);
+      });
+
+    const handleComment = ({ comment }: { comment: Comment }) => {
+      if (isOnTarget(comment, current)) setThreads((previous) => mergeComment(previous, comment));
+    };
+
+    const handleDeleted = (deleted: CommentsDeleted) => {
+      if (!isOnTarget(deleted, current)) return;
+
+      const ids = new Set(deleted.commentIds);
+      setThreads((previous) =>
+        previous
+          .filter((thread) => !ids.has(thread._id))
+          .map((thread) => ({ ...thread, replies: thread.replies.filter((reply) => !ids.has(reply._id)) }))
+      );
+    };
+
+    // Rejoin after reconnecting, since rooms do not survive a dropped connection
+    const joinSong = () => {
+      emitWithAck('join-song', songId).catch((joinError: Error) => {
+        if (active) setError(joinError.message);
+      });
+    };
+
+    socket.on('comment-created', handleComment);
+    socket.on('comment-updated', handleComment);
+    socket.on('comment-deleted', handleDeleted);
+    if (songId) {
+      socket.on('connect', joinSong);
+      if (socket.connected) joinSong();
+    }
+
+    return () => {
+      active = false;
+      socket.off('comment-created', handleComment);
+      socket.off('comment-updated', handleComment);
+      socket.off('comment-deleted', handleDeleted);
+      if (songId) {
+        socket.off('connect', joinSong);
+        socket.emit('leave-song', songId);
+      }
+    };
+  }, [songId, setlistId, entryId]);
+
+  return { threads, error };
+};
+
+export default useCommentThreads;
@@ -0,0 +1,44 @@
+import { useEffect, useState } from 'react';
+import { getLocalSetlist, getLocalSongs, STORE_UPDATED_EVENT } from '../services/offlineStore';
+import { Setlist } from '../types/setlist';
+import { Song } from '../types/song';
+import { getEntrySongIds } from '../utils/setlistEntries';
+
+/**
+ * A setlist and its songs from the local copy, for Performance Mode
+ * Needs no connection; reloads whenever a sync or local edit updates the store.
+ */
+const useLocalSetlist = (setlistId: string | null) => {
+  const [setlist, setSetlist] = useState<Setlist | null>(null);
+  const [songs, setSongs] = useState<Record<string, Song>>({});
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!setlistId) return undefined;
+
+    let active = true;
+
+    const load = async () => {
+      const local = await getLocalSetlist(setlistId);
+      const songIds = local ? local.sets.flatMap((set) => set.songs.flatMap(getEntrySongIds)) : [];
+      const localSongs = await getLocalSongs(songIds);
+
+      if (!active) return;
+      setSetlist(local ?? null);
+      setSongs(Object.fromEntries(localSongs.map((song) => [song._id, song])));
+      setLoading(false);
+    };
+
+    load();
+    window.addEventListener(STORE_UPDATED_EVENT, load);
+
+    return () => {
+      active = false;
+      window.removeEventListener(STORE_UPDATED_EVENT, load);
+    };
+  }, [setlistId]);
+
+  return { setlist, songs, loading };
+};
+
+export default useLocalSetlist;
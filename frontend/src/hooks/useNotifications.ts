@@ -0,0 +1,71 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  getNotifications,
+  markAllNotificationsRead,
+  markNotificationRead,
+} from '../services/notificationService';
+import { getSocket } from '../services/socket';
+import { AppNotification } from '../types/notification';
+
+/**
+ * The notification center: recent notifications and the unread count, updated live
+ * Digest notifications arrive again each time they collect another event, so they replace their earlier copy.
+ */
+const useNotifications = () => {
+  const [notifications, setNotifications] = useState<AppNotification[]>([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [error, setError] = useState<string | null>(null);
+  const seen = useRef(new Set<string>());
+
+  useEffect(() => {
+    const socket = getSocket();
+    let active = true;
+
+    getNotifications()
+      .then((page) => {
+        if (!active) return;
+        page.notifications.forEach((notification) => seen.current.add(notification._id));
+        setNotifications(page.notifications);
+        setUnreadCount(page.unreadCount);
+      })
+      .catch((loadError: Error) => {
+        if (active) setError(loadError.message);
+      });
+
+    const handleNotification = (notification: AppNotification) => {
+      if (!seen.current.has(notification._id)) {
+        seen.current.add(notification._id);
+        setUnreadCount((count) => count + 1);
+      }
+      setNotifications((previous) => [
+        notification,
+        ...previous.filter((existing) => existing._id !== notification._id),
+      ]);
+    };
+
+    socket.on('notification', handleNotification);
+
+    return () => {
+      active = false;
+      socket.off('notification', handleNotification);
+    };
+  }, []);
+
+  const markRead = useCallback(async (id: string) => {
+    await markNotificationRead(id);
+    const readAt = new Date().toISOString();
+    setNotifications((previous) => previous.map((n) => (n._id === id && !n.readAt ? { ...n, readAt } : n)));
+    setUnreadCount((count) => Math.max(0, count - 1));
+  }, []);
+
+  const markAllRead = useCallback(async () => {
+    await markAllNotificationsRead();
+    const readAt = new Date().toISOString();
+    setNotifications((previous) => previous.map((n) => (n.readAt ? n : { ...n, readAt })));
+    setUnreadCount(0);
+  }, []);
+
+  return { notifications, unreadCount, error, markRead, markAllRead };
+};
+
+export default useNotifications;
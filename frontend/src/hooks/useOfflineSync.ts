@@ -0,0 +1,99 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { getQueuedChanges, STORE_UPDATED_EVENT } from '../services/offlineStore';
+import {
+  dismissConflict,
+  getConflicts,
+  getLastSyncedAt,
+  reapplyConflict,
+  syncNow,
+} from '../services/syncService';
+import { SyncConflict } from '../types/sync';
+
+const SYNC_INTERVAL = 60 * 1000;
+
+/**
+ * Keep the local copy in step with the server
+ * Syncs on mount, whenever the browser comes back online, and every minute
+ * while online. Conflicts are kept, with the local edit, until the user
+ * re-applies or dismisses them, even across reloads.
+ */
+const useOfflineSync = () => {
+  const [online, setOnline] = useState(navigator.onLine);
+  const [syncing, setSyncing] = useState(false);
+  const [pendingChanges, setPendingChanges] = useState(0);
+  const [lastSyncedAt, setLastSyncedAt] = useState<string | null>(null);
+  const [conflicts, setConflicts] = useState<SyncConflict[]>([]);
+  const [error, setError] = useState<string | null>(null);
+  const running = useRef(false);
+
+  const refreshPending = useCallback(async () => {
+    setPendingChanges((await getQueuedChanges()).length);
+  }, []);
+
+  const sync = useCallback(async () => {
+    if (running.current || !navigator.onLine) return;
+
+    running.current = true;
+    setSyncing(true);
+    try {
+      const outcome = await syncNow();
+      setLastSyncedAt(outcome.lastSyncedAt);
+      setConflicts(await getConflicts());
+      setError(null);
+    } catch (syncError) {
+      // Offline or the server is unreachable; the outbox is kept for next time
+      setError((syncError as Error).message);
+    } finally {
+      running.current = false;
+      setSyncing(false);
+      refreshPending();
+    }
+  }, [refreshPending]);
+
+  useEffect(() => {
+    getLastSyncedAt().then((value) => setLastSyncedAt(value ?? null));
+    getConflicts().then(setConflicts);
+    refreshPending();
+    sync();
+
+    const handleOnline = () => {
+      setOnline(true);
+      sync();
+    };
+    const handleOffline = () => setOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    window.addEventListener(STORE_UPDATED_EVENT, refreshPending);
+    const interval = window.setInterval(sync, SYNC_INTERVAL);
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      window.removeEventListener(STORE_UPDATED_EVENT, refreshPending);
+      window.clearInterval(interval);
+    };
+  }, [sync, refreshPending]);
+
+  return {
+    online,
+    syncing,
+    pendingChanges,
+    lastSyncedAt,
+    conflicts,
+    error,
+    sync,
+    dismissConflict: async (conflict: SyncConflict) => {
+      await dismissConflict(conflict);
+      setConflicts(await getConflicts());
+    },
+    /** Queue the local edit again on top of the server's copy, and sync it */
+    reapplyConflict: async (conflict: SyncConflict) => {
+      await reapplyConflict(conflict);
+      setConflicts(await getConflicts());
+      sync();
+    },
+  };
+};
+
+export default useOfflineSync;
@@ -0,0 +1,96 @@
+import { useCallback, useEffect, useState } from 'react';
+import { emitWithAck, getSocket } from '../services/socket';
+import { PerformanceAction, PerformanceState } from '../types/performance';
+
+interface JoinResult {
+  canControl: boolean;
+  state: PerformanceState;
+}
+
+interface ActionResult {
+  changed: boolean;
+  state: PerformanceState;
+}
+
+/**
+ * Follow a live performance so every band member's screen shows the same
+ * "now playing" and "up next", and let the leader drive it
+ */
+const usePerformanceSession = (performanceId: string | null) => {
+  const [state, setState] = useState<PerformanceState | null>(null);
+  const [canControl, setCanControl] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!performanceId) return undefined;
+
+    const socket = getSocket();
+    let active = true;
+
+    const handleUpdate = (update: PerformanceState) => {
+      if (update.performanceId === performanceId) setState(update);
+    };
+
+    // Rejoin after reconnecting, since rooms do not survive a dropped connection
+    const join = () => {
+      emitWithAck<JoinResult>('join-performance', performanceId)
+        .then((result) => {
+          if (!active) return;
+          setState(result.state);
+          setCanControl(result.canControl);
+          setError(null);
+        })
+        .catch((joinError: Error) => {
+          if (active) setError(joinError.message);
+        });
+    };
+
+    socket.on('performance-updated', handleUpdate);
+    socket.on('connect', join);
+    if (socket.connected) join();
+
+    return () => {
+      active = false;
+      socket.off('performance-updated', handleUpdate);
+      socket.off('connect', join);
+      socket.emit('leave-performance', performanceId);
+    };
+  }, [performanceId]);
+
+  const send = useCallback(
+    async (action: PerformanceAction) => {
+      if (!performanceId) return null;
+
+      try {
+        const result = await emitWithAck<ActionResult>('performance-action', { performanceId, action });
+        setState(result.state);
+        setError(null);
+        return result.state;
+      } catch (actionError) {
+        setError((actionError as Error).message);
+        return null;
+      }
+    },
+    [performanceId]
+  );
+
+  // Pass the song on screen so a double tap only advances once
+  const next = useCallback(
+    () => send({ type: 'next', fromEntryId: state?.nowPlaying?._id ?? null }),
+    [send, state]
+  );
+
+  return {
+    state,
+    canControl,
+    error,
+    next,
+    skip: (entryId: string) => send({ type: 'skip', entryId }),
+    jump: (entryId: string) => send({ type: 'jump', entryId }),
+    addSong: (songId: string, position?: number) => send({ type: 'addSong', songId, position }),
+    handOver: (userId: string) => send({ type: 'setLeader', userId }),
+    end: () => send({ type: 'end' }),
+  };
+};
+
+export default usePerformanceSession;
@@ -0,0 +1,77 @@
+import { useCallback, useMemo, useState } from 'react';
+import { saveSetlist } from '../services/setlistService';
+import { mergeSetlistChanges } from '../utils/mergeSetlist';
+import { Setlist, SetlistChanges, VersionConflict } from '../types/setlist';
+
+interface PendingConflict extends VersionConflict {
+  changes: SetlistChanges;
+}
+
+/**
+ * Save setlist edits with optimistic concurrency
+ * When another tab or bandmate saved first, the save is held as a conflict
+ * until the user either reloads the server version or merges their edits onto it.
+ */
+const useSetlistSave = (initial: Setlist | null) => {
+  const [base, setBase] = useState<Setlist | null>(initial);
+  const [conflict, setConflict] = useState<PendingConflict | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  const merge = useMemo(
+    () => (conflict && base ? mergeSetlistChanges(base, conflict.changes, conflict.setlist) : null),
+    [base, conflict]
+  );
+
+  const submit = useCallback(async (target: Setlist, changes: SetlistChanges) => {
+    setSaving(true);
+    try {
+      const result = await saveSetlist(target._id, target.version, changes);
+
+      if (result.status === 'saved') {
+        setBase(result.setlist);
+        setConflict(null);
+        return result.setlist;
+      }
+
+      setConflict({ ...result.conflict, changes });
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  }, []);
+
+  const save = useCallback(
+    (changes: SetlistChanges) => (base ? submit(base, changes) : Promise.resolve(null)),
+    [base, submit]
+  );
+
+  // Discard local edits and continue from the server version
+  const reload = useCallback(() => {
+    if (!conflict) return null;
+
+    setBase(conflict.setlist);
+    setConflict(null);
+    return conflict.setlist;
+  }, [conflict]);
+
+  // Apply the non-conflicting local edits on top of the server version
+  const mergeAndSave = useCallback(() => {
+    if (!conflict || !merge || merge.conflicts.length) return Promise.resolve(null);
+
+    setBase(conflict.setlist);
+    return submit(conflict.setlist, merge.merged);
+  }, [conflict, merge, submit]);
+
+  return {
+    setlist: base,
+    setSetlist: setBase,
+    saving,
+    conflict,
+    conflictingFields: merge ? merge.conflicts : [],
+    save,
+    reload,
+    mergeAndSave,
+  };
+};
+
+export default useSetlistSave;
@@ -0,0 +1,12 @@
+import axios from 'axios';
+
+/**
+ * Axios instance for the backend API
+ * The JWT is sent as the `token` cookie.
+ */
+const api = axios.create({
+  baseURL: process.env.REACT_APP_API_URL || 'http://localhost:5000/api',
+  withCredentials: true,
+});
+
+export default api;
@@ -0,0 +1,115 @@
+import api from './api';
+import {
+  attachmentKey,
+  deleteLocalAttachments,
+  getLocalAttachment,
+  getLocalAttachmentKeys,
+  putLocalAttachment,
+} from './offlineStore';
+import { AttachmentKind, Song, SongAttachment } from '../types/song';
+
+export const getAttachments = async (songId: string): Promise<SongAttachment[]> => {
+  const response = await api.get(`/songs/${songId}/attachments`);
+  return response.data.data;
+};
+
+export const uploadAttachment = async (
+  songId: string,
+  file: File,
+  details: { name?: string; kind?: AttachmentKind } = {}
+): Promise<SongAttachment> => {
+  const form = new FormData();
+  form.append('file', file);
+  if (details.name) form.append('name', details.name);
+  if (details.kind) form.append('kind', details.kind);
+
+  const response = await api.post(`/songs/${songId}/attachments`, form);
+  return response.data.data;
+};
+
+export const uploadAttachmentVersion = async (
+  songId: string,
+  attachmentId: string,
+  file: File
+): Promise<SongAttachment> => {
+  const form = new FormData();
+  form.append('file', file);
+
+  const response = await api.post(`/songs/${songId}/attachments/${attachmentId}/versions`, form);
+  return response.data.data;
+};
+
+export const deleteAttachment = async (songId: string, attachmentId: string): Promise<void> => {
+  await api.delete(`/songs/${songId}/attachments/${attachmentId}`);
+};
+
+export const downloadAttachment = async (
+  songId: string,
+  attachmentId: string,
+  version?: number
+): Promise<Blob> => {
+  const response = await api.get(`/songs/${songId}/attachments/${attachmentId}/file`, {
+    params: { version },
+    responseType: 'blob',
+  });
+  return response.data;
+};
+
+/**
+ * The current file of an attachment, from the local copy when it has been cached
+ * Files fetched from the server are cached on the way, so they open offline next time.
+ */
+export const getAttachmentFile = async (songId: string, attachment: SongAttachment): Promise<Blob> => {
+  const current = attachment.versions[attachment.versions.length - 1];
+  const key = attachmentKey(attachment._id, current.number);
+
+  const local = await getLocalAttachment(key);
+  if (local) return local.blob;
+
+  const blob = await downloadAttachment(songId, attachment._id, current.number);
+  await putLocalAttachment({
+    key,
+    songId,
+    attachmentId: attachment._id,
+    version: current.number,
+    mimeType: current.mimeType,
+    blob,
+  });
+  return blob;
+};
+
+/**
+ * Download the current files of every attachment of the given songs that are
+ * not cached yet, and drop cached versions of them that have been replaced
+ * Resolves to how many files could not be downloaded.
+ */
+export const cacheAttachments = async (songs: Song[]): Promise<number> => {
+  const cached = new Set(await getLocalAttachmentKeys());
+  const current = new Set<string>();
+  let failed = 0;
+
+  for (const song of songs) {
+    for (const attachment of song.attachments ?? []) {
+      const latest = attachment.versions[attachment.versions.length - 1];
+      if (!latest) continue;
+
+      const key = attachmentKey(attachment._id, latest.number);
+      current.add(key);
+      if (cached.has(key)) continue;
+
+      try {
+        await getAttachmentFile(song._id, attachment);
+      } catch (error) {
+        failed += 1;
+      }
+    }
+  }
+
+  const attachmentIds = new Set(Array.from(current, (key) => key.split(':')[0]));
+  const replaced = Array.from(cached).filter(
+    (key) => attachmentIds.has(key.split(':')[0]) && !current.has(key)
+  );
+  if (replaced.length) await deleteLocalAttachments(replaced);
+
+  return failed;
+};
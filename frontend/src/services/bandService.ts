@@ -0,0 +1,110 @@
+import api from './api';
+import {
+  Band,
+  BandPermission,
+  BandPermissions,
+  Invitation,
+  InvitationInput,
+  ReceivedInvitation,
+  RoleTemplate,
+  RoleTemplateInput,
+} from '../types/band';
+
+export const getMyPermissions = async (bandId: string): Promise<BandPermissions> => {
+  const response = await api.get(`/bands/${bandId}/permissions`);
+  return response.data.data;
+};
+
+export const getRoles = async (bandId: string): Promise<RoleTemplate[]> => {
+  const response = await api.get(`/bands/${bandId}/roles`);
+  return response.data.data;
+};
+
+export const createRole = async (bandId: string, input: RoleTemplateInput): Promise<RoleTemplate[]> => {
+  const response = await api.post(`/bands/${bandId}/roles`, input);
+  return response.data.data;
+};
+
+export const updateRole = async (
+  bandId: string,
+  roleId: string,
+  input: RoleTemplateInput
+): Promise<RoleTemplate[]> => {
+  const response = await api.put(`/bands/${bandId}/roles/${roleId}`, input);
+  return response.data.data;
+};
+
+export const deleteRole = async (bandId: string, roleId: string): Promise<RoleTemplate[]> => {
+  const response = await api.delete(`/bands/${bandId}/roles/${roleId}`);
+  return response.data.data;
+};
+
+/**
+ * Give a member a role template (null to take it away) and/or replace their individual permissions
+ */
+export const updateMember = async (
+  bandId: string,
+  userId: string,
+  changes: { roleId?: string | null; permissions?: BandPermission[] }
+): Promise<Band> => {
+  const response = await api.put(`/bands/${bandId}/members/${userId}`, changes);
+  return response.data.data;
+};
+
+export const getBandInvitations = async (bandId: string): Promise<Invitation[]> => {
+  const response = await api.get(`/bands/${bandId}/invitations`);
+  return response.data.data;
+};
+
+/**
+ * Invite someone by email, or create a join code to share (type: 'code')
+ */
+export const createInvitation = async (
+  bandId: string,
+  input: InvitationInput
+): Promise<Invitation> => {
+  const response = await api.post(`/bands/${bandId}/invitations`, input);
+  return response.data.data;
+};
+
+export const revokeInvitation = async (bandId: string, invitationId: string): Promise<Invitation> => {
+  const response = await api.delete(`/bands/${bandId}/invitations/${invitationId}`);
+  return response.data.data;
+};
+
+export const getMyInvitations = async (): Promise<ReceivedInvitation[]> => {
+  const response = await api.get('/invitations');
+  return response.data.data;
+};
+
+export const acceptInvitation = async (invitationId: string): Promise<Band> => {
+  const response = await api.post(`/invitations/${invitationId}/accept`);
+  return response.data.data;
+};
+
+export const declineInvitation = async (invitationId: string): Promise<Invitation> => {
+  const response = await api.post(`/invitations/${invitationId}/decline`);
+  return response.data.data;
+};
+
+export const joinWithCode = async (code: string): Promise<Band> => {
+  const response = await api.post('/invitations/join', { code });
+  return response.data.data;
+};
+
+/**
+ * Leave a band; fails with 409 for its last leader
+ */
+export const leaveBand = async (bandId: string): Promise<void> => {
+  await api.post(`/bands/${bandId}/leave`);
+};
+
+export const removeMember = async (bandId: string, userId: string): Promise<Band> => {
+  const response = await api.delete(`/bands/${bandId}/members/${userId}`);
+  return response.data.data;
+};
+
+export const transferLeadership = async (bandId: string, userId: string): Promise<Band> => {
+  const response = await api.post(`/bands/${bandId}/transfer-leadership`, { userId });
+  return response.data.data;
+};
@@ -0,0 +1,57 @@
+import api from './api';
+import { Comment, CommentInput, CommentTarget, CommentThread } from '../types/comment';
+
+const targetPath = (target: CommentTarget): string =>
+  'songId' in target
+    ? `/songs/${target.songId}/comments`
+    : `/setlists/${target.setlistId}/entries/${target.entryId}/comments`;
+
+/**
+ * Build the @mention markup the backend recognises
+ */
+export const formatMention = (user: { _id: string; name: string }): string =>
+  `@[${user.name.replace(/[[\]]/g, '')}](${user._id})`;
+
+export const getThreads = async (target: CommentTarget, resolved?: boolean): Promise<CommentThread[]> => {
+  const response = await api.get(targetPath(target), { params: { resolved } });
+  return response.data.data;
+};
+
+/**
+ * Every thread on a setlist's entries, for showing comment markers next to each song
+ */
+export const getSetlistThreads = async (setlistId: string, resolved?: boolean): Promise<CommentThread[]> => {
+  const response = await api.get(`/setlists/${setlistId}/comments`, { params: { resolved } });
+  return response.data.data;
+};
+
+/**
+ * Start a thread, or reply to one by passing its parentId
+ */
+export const addComment = async (target: CommentTarget, input: CommentInput): Promise<Comment> => {
+  const response = await api.post(targetPath(target), input);
+  return response.data.data;
+};
+
+export const editComment = async (commentId: string, body: string): Promise<Comment> => {
+  const response = await api.put(`/comments/${commentId}`, { body });
+  return response.data.data;
+};
+
+/**
+ * Delete a comment; deleting the first comment of a thread deletes its replies too
+ */
+export const deleteComment = async (commentId: string): Promise<string[]> => {
+  const response = await api.delete(`/comments/${commentId}`);
+  return response.data.data.commentIds;
+};
+
+export const resolveThread = async (commentId: string): Promise<Comment> => {
+  const response = await api.post(`/comments/${commentId}/resolve`);
+  return response.data.data;
+};
+
+export const unresolveThread = async (commentId: string): Promise<Comment> => {
+  const response = await api.post(`/comments/${commentId}/unresolve`);
+  return response.data.data;
+};
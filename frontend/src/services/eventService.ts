@@ -0,0 +1,71 @@
+import api from './api';
+import {
+  CalendarEvent,
+  CalendarEventFilters,
+  CalendarEventInput,
+  CalendarFeed,
+  CalendarImportOptions,
+  CalendarImportResult,
+  CreatedCalendarFeed,
+  NewCalendarEvent,
+} from '../types/event';
+
+export const getEvents = async (filters: CalendarEventFilters = {}): Promise<CalendarEvent[]> => {
+  const response = await api.get('/events', { params: filters });
+  return response.data.data;
+};
+
+export const getEvent = async (id: string): Promise<CalendarEvent> => {
+  const response = await api.get(`/events/${id}`);
+  return response.data.data;
+};
+
+export const createEvent = async (input: NewCalendarEvent): Promise<CalendarEvent> => {
+  const response = await api.post('/events', input);
+  return response.data.data;
+};
+
+export const updateEvent = async (id: string, changes: CalendarEventInput): Promise<CalendarEvent> => {
+  const response = await api.put(`/events/${id}`, changes);
+  return response.data.data;
+};
+
+export const deleteEvent = async (id: string): Promise<void> => {
+  await api.delete(`/events/${id}`);
+};
+
+/**
+ * Import an .ics file; events imported before are updated rather than duplicated
+ */
+export const importCalendar = async (
+  file: File,
+  options: CalendarImportOptions = {}
+): Promise<CalendarImportResult> => {
+  const form = new FormData();
+  form.append('file', file);
+  Object.entries(options).forEach(([key, value]) => {
+    if (value) form.append(key, value);
+  });
+
+  const response = await api.post('/events/import', form);
+  return response.data.data;
+};
+
+export const getCalendarFeeds = async (): Promise<CalendarFeed[]> => {
+  const response = await api.get('/calendar/feeds');
+  return response.data.data;
+};
+
+/**
+ * Create a calendar subscription; the returned URLs are only shown this once
+ */
+export const createCalendarFeed = async (
+  options: { bandId?: string; label?: string } = {}
+): Promise<CreatedCalendarFeed> => {
+  const response = await api.post('/calendar/feeds', options);
+  return response.data.data;
+};
+
+export const revokeCalendarFeed = async (id: string): Promise<void> => {
+  await api.delete(`/calendar/feeds/${id}`);
+};
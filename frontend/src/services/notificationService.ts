@@ -0,0 +1,72 @@
+import api from './api';
+import {
+  NotificationPage,
+  NotificationPreferences,
+  NotificationPreferencesChanges,
+} from '../types/notification';
+
+export const getNotifications = async (
+  options: { unread?: boolean; before?: string; limit?: number } = {}
+): Promise<NotificationPage> => {
+  const response = await api.get('/notifications', { params: options });
+  return response.data.data;
+};
+
+export const markNotificationRead = async (id: string): Promise<void> => {
+  await api.post(`/notifications/${id}/read`);
+};
+
+export const markAllNotificationsRead = async (): Promise<void> => {
+  await api.post('/notifications/read-all');
+};
+
+export const getNotificationPreferences = async (): Promise<NotificationPreferences> => {
+  const response = await api.get('/notifications/preferences');
+  return response.data.data;
+};
+
+/**
+ * Change notification settings; events and channels left out keep their current setting
+ */
+export const updateNotificationPreferences = async (
+  changes: NotificationPreferencesChanges
+): Promise<NotificationPreferences> => {
+  const response = await api.put('/notifications/preferences', changes);
+  return response.data.data;
+};
+
+// VAPID keys are base64url; PushManager wants the raw bytes
+const urlBase64ToUint8Array = (base64: string): Uint8Array => {
+  const padded = `${base64}${'='.repeat((4 - (base64.length % 4)) % 4)}`;
+  const raw = window.atob(padded.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(raw, (char) => char.charCodeAt(0));
+};
+
+/**
+ * Subscribe this browser to web push through the app's service worker
+ * Resolves false when the browser or the server does not support push.
+ */
+export const enablePushNotifications = async (
+  registration: ServiceWorkerRegistration,
+  publicKey: string | null
+): Promise<boolean> => {
+  if (!publicKey || !('PushManager' in window)) return false;
+
+  const subscription =
+    (await registration.pushManager.getSubscription()) ||
+    (await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(publicKey),
+    }));
+
+  await api.post('/notifications/push-subscriptions', subscription.toJSON());
+  return true;
+};
+
+export const disablePushNotifications = async (registration: ServiceWorkerRegistration): Promise<void> => {
+  const subscription = await registration.pushManager.getSubscription();
+  if (!subscription) return;
+
+  await api.delete('/notifications/push-subscriptions', { data: { endpoint: subscription.endpoint } });
+  await subscription.unsubscribe();
+};
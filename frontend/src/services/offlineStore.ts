@@ -0,0 +1,231 @@
+import { Setlist } from '../types/setlist';
+import { Song } from '../types/song';
+import { SyncChange, SyncCollection } from '../types/sync';
+
+/**
+ * Local copy of the user's setlists and songs in IndexedDB, plus the outbox of
+ * changes made while offline and the files attached to songs. Performance Mode
+ * reads only from here, so it keeps working with no connection at all.
+ */
+
+const DB_NAME = 'setlist-builder';
+const DB_VERSION = 2;
+
+type StoreName = SyncCollection | 'outbox' | 'meta' | 'attachments';
+
+export interface QueuedChange extends SyncChange {
+  /** Bumped whenever the queued change is edited, so a sync only clears what it actually sent */
+  revision: number;
+}
+
+/** A downloaded attachment file; keyed by attachment and version, since versions never change */
+export interface LocalAttachment {
+  key: string;
+  songId: string;
+  attachmentId: string;
+  version: number;
+  mimeType: string;
+  blob: Blob;
+}
+
+export const STORE_UPDATED_EVENT = 'offline-store-updated';
+
+let dbPromise: Promise<IDBDatabase> | null = null;
+
+const openDatabase = (): Promise<IDBDatabase> => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+          db.createObjectStore('setlists', { keyPath: '_id' });
+          db.createObjectStore('songs', { keyPath: '_id' });
+          db.createObjectStore('outbox', { keyPath: 'key' });
+          db.createObjectStore('meta');
+        }
+        if (event.oldVersion < 2) {
+          db.createObjectStore('attachments', { keyPath: 'key' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+const promisify = <T>(request: IDBRequest<T>): Promise<T> =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * Run work against one or more stores in a single transaction
+ */
+const withStores = async <T>(
+  names: StoreName[],
+  mode: IDBTransactionMode,
+  work: (stores: Record<string, IDBObjectStore>) => Promise<T> | T
+): Promise<T> => {
+  const db = await openDatabase();
+  const transaction = db.transaction(names, mode);
+  const stores = Object.fromEntries(names.map((name) => [name, transaction.objectStore(name)]));
+  const done = new Promise<void>((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+
+  const result = await work(stores);
+  await done;
+  return result;
+};
+
+const outboxKey = (collection: SyncCollection, id: string) => `${collection}:${id}`;
+
+/**
+ * Tell hooks reading the local copy to reload
+ */
+export const notifyStoreUpdated = () => {
+  window.dispatchEvent(new Event(STORE_UPDATED_EVENT));
+};
+
+export const getLocalSetlist = (id: string): Promise<Setlist | undefined> =>
+  withStores(['setlists'], 'readonly', (stores) => promisify(stores.setlists.get(id)));
+
+export const getLocalSetlists = (): Promise<Setlist[]> =>
+  withStores(['setlists'], 'readonly', (stores) => promisify(stores.setlists.getAll()));
+
+export const getLocalSongs = async (ids?: string[]): Promise<Song[]> => {
+  const songs: Song[] = await withStores(['songs'], 'readonly', (stores) =>
+    promisify(stores.songs.getAll())
+  );
+  if (!ids) return songs;
+
+  const wanted = new Set(ids);
+  return songs.filter((song) => wanted.has(song._id));
+};
+
+export const putDocuments = (collection: SyncCollection, documents: (Setlist | Song)[]) =>
+  withStores([collection], 'readwrite', (stores) => {
+    documents.forEach((document) => stores[collection].put(document));
+  });
+
+export const deleteDocuments = (collection: SyncCollection, ids: string[]) =>
+  withStores([collection], 'readwrite', (stores) => {
+    ids.forEach((id) => stores[collection].delete(id));
+  });
+
+/**
+ * Drop every synced document (before a full resync); queued changes are kept
+ * @param keep - Outbox keys of documents whose local copy has edits not pushed yet
+ */
+export const clearDocuments = (keep: string[] = []) =>
+  withStores(['setlists', 'songs'], 'readwrite', async (stores) => {
+    const kept = new Set(keep);
+    const collections: SyncCollection[] = ['setlists', 'songs'];
+
+    for (const collection of collections) {
+      const ids = (await promisify(stores[collection].getAllKeys())).map(String);
+      ids
+        .filter((id) => !kept.has(outboxKey(collection, id)))
+        .forEach((id) => stores[collection].delete(id));
+    }
+  });
+
+export const getMeta = <T>(key: string): Promise<T | undefined> =>
+  withStores(['meta'], 'readonly', (stores) => promisify(stores.meta.get(key)));
+
+export const setMeta = (key: string, value: unknown) =>
+  withStores(['meta'], 'readwrite', (stores) => {
+    stores.meta.put(value, key);
+  });
+
+export const attachmentKey = (attachmentId: string, version: number) => `${attachmentId}:${version}`;
+
+export const getLocalAttachment = (key: string): Promise<LocalAttachment | undefined> =>
+  withStores(['attachments'], 'readonly', (stores) => promisify(stores.attachments.get(key)));
+
+export const getLocalAttachmentKeys = (): Promise<string[]> =>
+  withStores(['attachments'], 'readonly', async (stores) =>
+    (await promisify(stores.attachments.getAllKeys())).map(String)
+  );
+
+export const putLocalAttachment = (attachment: LocalAttachment) =>
+  withStores(['attachments'], 'readwrite', (stores) => {
+    stores.attachments.put(attachment);
+  });
+
+export const deleteLocalAttachments = (keys: string[]) =>
+  withStores(['attachments'], 'readwrite', (stores) => {
+    keys.forEach((key) => stores.attachments.delete(key));
+  });
+
+export const getQueuedChanges = (): Promise<QueuedChange[]> =>
+  withStores(['outbox'], 'readonly', (stores) => promisify(stores.outbox.getAll()));
+
+/**
+ * Queue a local change for the next sync
+ * Edits to a document that already has a queued change are folded into it and
+ * keep its original base, since the server has not seen either yet.
+ */
+export const queueChange = (change: Omit<SyncChange, 'clientChangeId'>) =>
+  withStores(['outbox'], 'readwrite', async (stores) => {
+    const key = outboxKey(change.collection, change.id);
+    const queued: (QueuedChange & { key: string }) | undefined = await promisify(
+      stores.outbox.get(key)
+    );
+
+    // Created and deleted without ever reaching the server
+    if (queued && queued.base === null && change.action === 'delete') {
+      stores.outbox.delete(key);
+      return;
+    }
+
+    stores.outbox.put({
+      key,
+      collection: change.collection,
+      id: change.id,
+      action: change.action,
+      base: queued ? queued.base : change.base,
+      data: queued && change.action === 'upsert' ? { ...queued.data, ...change.data } : change.data,
+      clientChangeId: key,
+      revision: queued ? queued.revision + 1 : 1,
+    });
+  });
+
+/**
+ * Clear a change the server has dealt with
+ * If the change was edited again while the sync was in flight, it stays queued,
+ * rebased onto the server revision its first part produced. A null newBase
+ * (conflict or rejection) always clears it; the sync keeps the change with the
+ * conflict, so it can still be re-applied.
+ * Resolves to whether the change is still queued.
+ */
+export const settleQueuedChange = (
+  collection: SyncCollection,
+  id: string,
+  sentRevision: number,
+  newBase: number | null
+) =>
+  withStores(['outbox'], 'readwrite', async (stores) => {
+    const key = outboxKey(collection, id);
+    const queued: (QueuedChange & { key: string }) | undefined = await promisify(
+      stores.outbox.get(key)
+    );
+    if (!queued) return false;
+
+    if (queued.revision === sentRevision || newBase === null) {
+      stores.outbox.delete(key);
+      return false;
+    }
+
+    stores.outbox.put({ ...queued, base: newBase });
+    return true;
+  });
@@ -0,0 +1,37 @@
+import api from './api';
+import {
+  PerformanceState,
+  SongPlayStats,
+  UnplayedSongs,
+  VenueHistory,
+} from '../types/performance';
+
+export const startPerformance = async (setlistId: string): Promise<PerformanceState> => {
+  const response = await api.post('/performances', { setlistId });
+  return response.data.data;
+};
+
+export const getPerformance = async (
+  id: string
+): Promise<PerformanceState & { canControl: boolean }> => {
+  const response = await api.get(`/performances/${id}`);
+  return response.data.data;
+};
+
+export const getSongPlayStats = async (bandId?: string): Promise<SongPlayStats[]> => {
+  const response = await api.get('/performances/analytics/songs', { params: { bandId } });
+  return response.data.data;
+};
+
+export const getUnplayedSongs = async (gigs: number, bandId?: string): Promise<UnplayedSongs> => {
+  const response = await api.get('/performances/analytics/unplayed', { params: { gigs, bandId } });
+  return response.data.data;
+};
+
+/**
+ * What was played at the setlist's venue last time, with the songs the setlist would repeat
+ */
+export const getVenueHistory = async (setlistId: string): Promise<VenueHistory | null> => {
+  const response = await api.get('/performances/analytics/venue', { params: { setlistId } });
+  return response.data.data;
+};
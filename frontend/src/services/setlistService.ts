@@ -0,0 +1,58 @@
+import axios from 'axios';
+import api from './api';
+import {
+  BudgetReport,
+  CloneOptions,
+  Setlist,
+  SetlistChanges,
+  SetlistTemplate,
+  VersionConflict,
+} from '../types/setlist';
+
+export type SaveSetlistResult =
+  | { status: 'saved'; setlist: Setlist }
+  | { status: 'conflict'; conflict: VersionConflict };
+
+/**
+ * Save changes to a setlist on top of the version they were made against
+ * A stale base version resolves to a conflict carrying the current server state.
+ */
+export const saveSetlist = async (
+  id: string,
+  baseVersion: number,
+  changes: SetlistChanges
+): Promise<SaveSetlistResult> => {
+  try {
+    const response = await api.put(`/setlists/${id}`, { ...changes, baseVersion });
+    return { status: 'saved', setlist: response.data.data };
+  } catch (error) {
+    if (axios.isAxiosError(error) && error.response?.status === 409) {
+      return { status: 'conflict', conflict: error.response.data.data };
+    }
+    throw error;
+  }
+};
+
+export const getSetlistBudget = async (id: string): Promise<BudgetReport> => {
+  const response = await api.get(`/setlists/${id}/budget`);
+  return response.data.data;
+};
+
+/**
+ * Copy a setlist for another gig; the copy starts at version 1 with nothing played
+ */
+export const cloneSetlist = async (id: string, options: CloneOptions = {}): Promise<Setlist> => {
+  const response = await api.post(`/setlists/${id}/clone`, options);
+  return response.data.data;
+};
+
+/**
+ * Save a setlist's sets and budgets, and optionally its songs, as a template
+ */
+export const saveAsTemplate = async (
+  id: string,
+  options: { name?: string; description?: string; includeSongs?: boolean } = {}
+): Promise<SetlistTemplate> => {
+  const response = await api.post(`/setlists/${id}/templates`, options);
+  return response.data.data;
+};
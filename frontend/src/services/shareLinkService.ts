@@ -0,0 +1,74 @@
+import axios from 'axios';
+import api from './api';
+import { SetlistSet, VersionConflict } from '../types/setlist';
+import {
+  CreatedShareLink,
+  ShareLink,
+  ShareLinkInput,
+  ShareLinkWithLog,
+  SharedCharts,
+  SharedSetlist,
+  SharedSetlistUpdate,
+} from '../types/shareLink';
+
+export const getShareLinks = async (setlistId: string): Promise<ShareLink[]> => {
+  const response = await api.get(`/setlists/${setlistId}/share-links`);
+  return response.data.data;
+};
+
+/**
+ * Share a setlist with a guest; the returned token and URL are only shown this once
+ */
+export const createShareLink = async (
+  setlistId: string,
+  input: ShareLinkInput = {}
+): Promise<CreatedShareLink> => {
+  const response = await api.post(`/setlists/${setlistId}/share-links`, input);
+  return response.data.data;
+};
+
+export const getShareLinkAccessLog = async (setlistId: string, linkId: string): Promise<ShareLinkWithLog> => {
+  const response = await api.get(`/setlists/${setlistId}/share-links/${linkId}/access-log`);
+  return response.data.data;
+};
+
+export const revokeShareLink = async (setlistId: string, linkId: string): Promise<ShareLink> => {
+  const response = await api.delete(`/setlists/${setlistId}/share-links/${linkId}`);
+  return response.data.data;
+};
+
+/**
+ * Open a shared setlist as a guest; fails with 410 once the link expires or is revoked
+ */
+export const getSharedSetlist = async (token: string): Promise<SharedSetlist> => {
+  const response = await api.get(`/share/${token}`);
+  return response.data.data;
+};
+
+export const getSharedCharts = async (token: string, capo = false): Promise<SharedCharts> => {
+  const response = await api.get(`/share/${token}/charts`, { params: { capo } });
+  return response.data.data;
+};
+
+export type SaveSharedSetlistResult =
+  | { status: 'saved'; update: SharedSetlistUpdate }
+  | { status: 'conflict'; conflict: VersionConflict };
+
+/**
+ * Save a guest's changes to the sets of a shared setlist, for links that are not read-only
+ */
+export const saveSharedSetlist = async (
+  token: string,
+  baseVersion: number,
+  sets: SetlistSet[]
+): Promise<SaveSharedSetlistResult> => {
+  try {
+    const response = await api.put(`/share/${token}`, { baseVersion, sets });
+    return { status: 'saved', update: response.data.data };
+  } catch (error) {
+    if (axios.isAxiosError(error) && error.response?.status === 409) {
+      return { status: 'conflict', conflict: error.response.data.data };
+    }
+    throw error;
+  }
+};
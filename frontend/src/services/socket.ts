@@ -0,0 +1,36 @@
+import { io, Socket } from 'socket.io-client';
+
+export interface SocketAck<T> {
+  success: boolean;
+  data?: T;
+  message?: string;
+}
+
+let socket: Socket | null = null;
+
+/**
+ * Shared Socket.io connection to the backend
+ * Authenticates with the same `token` cookie as the REST API.
+ */
+export const getSocket = (): Socket => {
+  if (!socket) {
+    socket = io(process.env.REACT_APP_SOCKET_URL || 'http://localhost:5000', {
+      withCredentials: true,
+    });
+  }
+  return socket;
+};
+
+/**
+ * Emit an event and resolve with its acknowledgement, rejecting when the server reports a failure
+ */
+export const emitWithAck = <T>(event: string, ...args: unknown[]): Promise<T> =>
+  new Promise((resolve, reject) => {
+    getSocket().emit(event, ...args, (ack: SocketAck<T>) => {
+      if (ack.success) {
+        resolve(ack.data as T);
+      } else {
+        reject(new Error(ack.message || `${event} failed`));
+      }
+    });
+  });
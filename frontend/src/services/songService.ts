@@ -0,0 +1,40 @@
+import api from './api';
+import { SongChart } from '../types/chart';
+import { Song } from '../types/song';
+import {
+  EnrichOptions,
+  EnrichReport,
+  MetadataSearchResult,
+  SongMetadataSuggestion,
+  SuggestedField,
+} from '../types/metadata';
+
+export const getSongChart = async (id: string, transpose = 0, variantId?: string): Promise<SongChart> => {
+  const response = await api.get(`/songs/${id}/chart`, { params: { transpose, variantId } });
+  return response.data.data;
+};
+
+export const searchSongMetadata = async (title: string, artist = '', limit?: number): Promise<MetadataSearchResult> => {
+  const response = await api.get('/songs/metadata/search', { params: { title, artist, limit } });
+  return response.data.data;
+};
+
+export const getSongMetadata = async (id: string): Promise<MetadataSearchResult<SongMetadataSuggestion>> => {
+  const response = await api.get(`/songs/${id}/metadata`);
+  return response.data.data;
+};
+
+export const applySongMetadata = async (
+  id: string,
+  provider: string,
+  externalId: string,
+  fields: SuggestedField[] = []
+): Promise<Song> => {
+  const response = await api.post(`/songs/${id}/metadata`, { provider, externalId, fields });
+  return response.data.data;
+};
+
+export const enrichSongs = async (options: EnrichOptions = {}): Promise<EnrichReport> => {
+  const response = await api.post('/songs/metadata/enrich', options);
+  return response.data.data;
+};
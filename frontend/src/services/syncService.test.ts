@@ -0,0 +1,78 @@
+import api from './api';
+import {
+  clearDocuments,
+  getLocalSetlists,
+  getLocalSongs,
+  getQueuedChanges,
+  putDocuments,
+  QueuedChange,
+  settleQueuedChange,
+} from './offlineStore';
+import { syncNow } from './syncService';
+import { Setlist } from '../types/setlist';
+import { SyncResponse } from '../types/sync';
+
+jest.mock('./api', () => ({ __esModule: true, default: { post: jest.fn() } }));
+jest.mock('./offlineStore');
+
+const queued: QueuedChange = {
+  collection: 'setlists',
+  id: 'edited',
+  action: 'upsert',
+  base: 3,
+  data: { title: 'Friday at the Crown' },
+  clientChangeId: 'change-1',
+  revision: 2,
+};
+
+const respond = (sync: Partial<SyncResponse>) => {
+  (api.post as jest.Mock).mockResolvedValue({
+    data: {
+      data: {
+        fullResync: false,
+        results: [],
+        cursor: '10.0',
+        hasMore: false,
+        bandIds: [],
+        setlists: [],
+        songs: [],
+        deleted: [],
+        ...sync,
+      },
+    },
+  });
+};
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  (getQueuedChanges as jest.Mock).mockResolvedValue([]);
+  (getLocalSetlists as jest.Mock).mockResolvedValue([]);
+  (getLocalSongs as jest.Mock).mockResolvedValue([]);
+});
+
+describe('syncNow', () => {
+  it('keeps local copies with queued changes through a full resync', async () => {
+    (getQueuedChanges as jest.Mock).mockResolvedValue([queued]);
+    // Edited again while the sync was in flight, so the change stays queued
+    (settleQueuedChange as jest.Mock).mockResolvedValue(true);
+    respond({
+      fullResync: true,
+      results: [{ collection: 'setlists', id: 'edited', status: 'applied', document: { _id: 'edited', version: 4 } as Setlist }],
+      setlists: [{ _id: 'edited', version: 4 } as Setlist, { _id: 'other', version: 1 } as Setlist],
+    });
+
+    await syncNow();
+
+    expect(clearDocuments).toHaveBeenCalledWith(['setlists:edited']);
+    expect(putDocuments).toHaveBeenCalledWith('setlists', [{ _id: 'other', version: 1 }]);
+  });
+
+  it('clears everything on a full resync with nothing queued', async () => {
+    respond({ fullResync: true, setlists: [{ _id: 'other', version: 1 } as Setlist] });
+
+    await syncNow();
+
+    expect(clearDocuments).toHaveBeenCalledWith([]);
+    expect(putDocuments).toHaveBeenCalledWith('setlists', [{ _id: 'other', version: 1 }]);
+  });
+});
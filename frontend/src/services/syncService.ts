@@ -0,0 +1,225 @@
+import api from './api';
+import {
+  clearDocuments,
+  deleteDocuments,
+  getLocalSetlist,
+  getLocalSetlists,
+  getLocalSongs,
+  getMeta,
+  getQueuedChanges,
+  notifyStoreUpdated,
+  putDocuments,
+  queueChange,
+  setMeta,
+  settleQueuedChange,
+} from './offlineStore';
+import { Setlist } from '../types/setlist';
+import { Song } from '../types/song';
+import { SyncChangeResult, SyncCollection, SyncConflict, SyncResponse } from '../types/sync';
+
+const CURSOR_KEY = 'syncCursor';
+const LAST_SYNCED_KEY = 'lastSyncedAt';
+const CONFLICTS_KEY = 'syncConflicts';
+
+export interface SyncOutcome {
+  /** Changes the server did not take, with its own copy of the document and the local one */
+  conflicts: SyncConflict[];
+  rejected: SyncConflict[];
+  lastSyncedAt: string;
+}
+
+const revisionOf = (collection: SyncCollection, document: Setlist | Song) =>
+  collection === 'setlists' ? (document as Setlist).version : document.syncSeq;
+
+const getLocalDocument = async (collection: SyncCollection, id: string): Promise<Setlist | Song | null> => {
+  if (collection === 'setlists') return (await getLocalSetlist(id)) ?? null;
+  const [song] = await getLocalSongs([id]);
+  return song ?? null;
+};
+
+/**
+ * Store the server's copy for each pushed change and clear it from the outbox
+ * Changes the server did not take are returned with the local copy they were
+ * made on, before it is replaced, so they can still be re-applied.
+ */
+const applyResults = async (
+  results: SyncChangeResult[],
+  sentRevisions: Map<string, number>
+): Promise<SyncConflict[]> => {
+  const conflicts: SyncConflict[] = [];
+
+  for (const result of results) {
+    const sent = sentRevisions.get(`${result.collection}:${result.id}`) ?? 0;
+    const applied = result.status === 'applied' && result.document;
+
+    if (result.status !== 'applied') {
+      conflicts.push({ ...result, local: await getLocalDocument(result.collection, result.id) });
+    }
+
+    const stillQueued = await settleQueuedChange(
+      result.collection,
+      result.id,
+      sent,
+      applied ? revisionOf(result.collection, result.document as Setlist | Song) : null
+    );
+
+    // Keep the local copy when it has edits the server has not seen yet
+    if (stillQueued) continue;
+
+    if (result.document) {
+      await putDocuments(result.collection, [result.document]);
+    } else {
+      await deleteDocuments(result.collection, [result.id]);
+    }
+  }
+
+  return conflicts;
+};
+
+export const getConflicts = async (): Promise<SyncConflict[]> => (await getMeta<SyncConflict[]>(CONFLICTS_KEY)) ?? [];
+
+/**
+ * Keep conflicts across reloads; a newer conflict on a document replaces the older one
+ */
+const storeConflicts = async (conflicts: SyncConflict[]) => {
+  if (!conflicts.length) return;
+
+  const newer = new Set(conflicts.map((conflict) => `${conflict.collection}:${conflict.id}`));
+  const kept = (await getConflicts()).filter((conflict) => !newer.has(`${conflict.collection}:${conflict.id}`));
+  await setMeta(CONFLICTS_KEY, [...kept, ...conflicts]);
+};
+
+export const dismissConflict = async (conflict: SyncConflict) => {
+  const remaining = (await getConflicts()).filter(
+    (stored) => stored.collection !== conflict.collection || stored.id !== conflict.id
+  );
+  await setMeta(CONFLICTS_KEY, remaining);
+};
+
+/**
+ * Drop local copies of band documents from bands the user has left
+ */
+const pruneBands = async (bandIds: string[]) => {
+  const bands = new Set(bandIds);
+  const outside = (document: Setlist | Song) => document.bandId && !bands.has(document.bandId);
+
+  const [setlists, songs] = await Promise.all([getLocalSetlists(), getLocalSongs()]);
+  await deleteDocuments('setlists', setlists.filter(outside).map((setlist) => setlist._id));
+  await deleteDocuments('songs', songs.filter(outside).map((song) => song._id));
+};
+
+/**
+ * Save an edit to the local copy straight away and queue it for the next sync
+ * @param isNew - The document was created locally and has never been synced
+ */
+export const saveLocalChange = async <T extends Setlist | Song>(
+  collection: SyncCollection,
+  document: T,
+  changes: Partial<T>,
+  isNew = false
+) => {
+  await putDocuments(collection, [{ ...document, ...changes }]);
+  await queueChange({
+    collection,
+    id: document._id,
+    action: 'upsert',
+    base: isNew ? null : revisionOf(collection, document),
+    data: isNew ? { ...document, ...changes } : changes,
+  });
+  notifyStoreUpdated();
+};
+
+export const deleteLocalDocument = async (collection: SyncCollection, document: Setlist | Song) => {
+  await deleteDocuments(collection, [document._id]);
+  await queueChange({
+    collection,
+    id: document._id,
+    action: 'delete',
+    base: revisionOf(collection, document),
+    data: {},
+  });
+  notifyStoreUpdated();
+};
+
+/**
+ * Queue a change the server did not take again, on top of the server's copy
+ * The local copy gets the change back straight away; the next sync pushes it.
+ * A document the server deleted is created again from the local copy.
+ */
+export const reapplyConflict = async (conflict: SyncConflict) => {
+  const { collection, document, local, change } = conflict;
+
+  if (change && change.action === 'delete') {
+    if (document) await deleteLocalDocument(collection, document);
+  } else if (document) {
+    await saveLocalChange(collection, document, (change ? change.data : {}) as Partial<Setlist | Song>);
+  } else if (local) {
+    await saveLocalChange(collection, local, {}, true);
+  }
+
+  await dismissConflict(conflict);
+};
+
+/**
+ * Push queued offline changes and pull everything that changed on the server
+ * Keeps going until the server reports nothing more to send.
+ */
+export const syncNow = async (): Promise<SyncOutcome> => {
+  const conflicts: SyncConflict[] = [];
+  const rejected: SyncConflict[] = [];
+  let cursor = (await getMeta<string>(CURSOR_KEY)) ?? null;
+  let queued = await getQueuedChanges();
+  let hasMore = true;
+
+  while (hasMore) {
+    const sentRevisions = new Map(queued.map((change) => [`${change.collection}:${change.id}`, change.revision]));
+    const changes = queued.map(({ collection, id, action, base, data, clientChangeId }) => ({
+      collection,
+      id,
+      action,
+      base,
+      data,
+      clientChangeId,
+    }));
+
+    const response = await api.post('/sync', { cursor, changes });
+    const sync: SyncResponse = response.data.data;
+
+    // Before a full resync clears the local copy, which conflicts keep a copy of
+    const notTaken = await applyResults(sync.results, sentRevisions);
+    await storeConflicts(notTaken);
+
+    // Local edits still waiting to be pushed win over the server copy until they are
+    const pending = new Set((await getQueuedChanges()).map((change) => `${change.collection}:${change.id}`));
+
+    if (sync.fullResync) {
+      await clearDocuments(Array.from(pending));
+    }
+
+    conflicts.push(...notTaken.filter((result) => result.status === 'conflict'));
+    rejected.push(...notTaken.filter((result) => result.status === 'rejected'));
+
+    const unchanged = (collection: SyncCollection) => (document: Setlist | Song) =>
+      !pending.has(`${collection}:${document._id}`);
+
+    await putDocuments('setlists', sync.setlists.filter(unchanged('setlists')));
+    await putDocuments('songs', sync.songs.filter(unchanged('songs')));
+    for (const { collection, id } of sync.deleted) {
+      await deleteDocuments(collection, [id]);
+    }
+    await pruneBands(sync.bandIds);
+
+    cursor = sync.cursor;
+    await setMeta(CURSOR_KEY, cursor);
+    hasMore = sync.hasMore;
+    queued = [];
+  }
+
+  const lastSyncedAt = new Date().toISOString();
+  await setMeta(LAST_SYNCED_KEY, lastSyncedAt);
+  notifyStoreUpdated();
+
+  return { conflicts, rejected, lastSyncedAt };
+};
+
+export const getLastSyncedAt = () => getMeta<string>(LAST_SYNCED_KEY);
@@ -0,0 +1,32 @@
+import api from './api';
+import { NewSetlistDetails, Setlist, SetlistTemplate, SetlistTemplateChanges } from '../types/setlist';
+
+export const getTemplates = async (bandId?: string): Promise<SetlistTemplate[]> => {
+  const response = await api.get('/templates', { params: { bandId } });
+  return response.data.data;
+};
+
+export const getTemplate = async (id: string): Promise<SetlistTemplate> => {
+  const response = await api.get(`/templates/${id}`);
+  return response.data.data;
+};
+
+export const updateTemplate = async (id: string, changes: SetlistTemplateChanges): Promise<SetlistTemplate> => {
+  const response = await api.put(`/templates/${id}`, changes);
+  return response.data.data;
+};
+
+export const deleteTemplate = async (id: string): Promise<void> => {
+  await api.delete(`/templates/${id}`);
+};
+
+/**
+ * Create a setlist from a template; songs deleted since it was saved are left out
+ */
+export const createSetlistFromTemplate = async (
+  id: string,
+  details: NewSetlistDetails = {}
+): Promise<{ setlist: Setlist; skippedSongs: number }> => {
+  const response = await api.post(`/templates/${id}/setlists`, details);
+  return { setlist: response.data.data, skippedSongs: response.data.skippedSongs };
+};
@@ -0,0 +1,53 @@
+import api from './api';
+import { NewVenue, Venue, VenueInput, VenueLinkResult, VenueMergeResult, VenueSearch } from '../types/venue';
+
+/**
+ * Find venues by name; case, accents and a leading "The" do not matter
+ */
+export const searchVenues = async (search: VenueSearch = {}): Promise<Venue[]> => {
+  const response = await api.get('/venues', { params: search });
+  return response.data.data;
+};
+
+export const getVenue = async (id: string): Promise<Venue> => {
+  const response = await api.get(`/venues/${id}`);
+  return response.data.data;
+};
+
+export const createVenue = async (input: NewVenue): Promise<Venue> => {
+  const response = await api.post('/venues', input);
+  return response.data.data;
+};
+
+export const updateVenue = async (id: string, changes: VenueInput): Promise<Venue> => {
+  const response = await api.put(`/venues/${id}`, changes);
+  return response.data.data;
+};
+
+export const deleteVenue = async (id: string): Promise<void> => {
+  await api.delete(`/venues/${id}`);
+};
+
+/**
+ * Groups of venues that go by the same name, for the merge tool
+ */
+export const getDuplicateVenues = async (bandId?: string): Promise<Venue[][]> => {
+  const response = await api.get('/venues/duplicates', { params: { bandId } });
+  return response.data.data;
+};
+
+/**
+ * Merge duplicates into a venue; their setlists and gigs move to it
+ */
+export const mergeVenues = async (id: string, venueIds: string[]): Promise<VenueMergeResult> => {
+  const response = await api.post(`/venues/${id}/merge`, { venueIds });
+  return response.data.data;
+};
+
+/**
+ * Turn the venue names typed on setlists into venues
+ */
+export const linkSetlistVenues = async (bandId?: string): Promise<VenueLinkResult> => {
+  const response = await api.post('/venues/link-setlists', { bandId });
+  return response.data.data;
+};
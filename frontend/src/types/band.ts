@@ -0,0 +1,96 @@
+/**
+ * Band, membership and invitation types
+ */
+
+export type BandRole = 'leader' | 'member';
+
+export type BandPermission =
+  | 'view'
+  | 'perform'
+  | 'edit_setlists'
+  | 'add_songs'
+  | 'edit_songs'
+  | 'invite_members'
+  | 'manage_invites'
+  | 'remove_members'
+  | 'manage_performances'
+  | 'manage_events'
+  | 'export';
+
+/** Named bundle of permissions, e.g. "Musical director" */
+export interface RoleTemplate {
+  _id: string;
+  name: string;
+  description: string;
+  permissions: BandPermission[];
+  memberCount?: number;
+}
+
+export interface BandMember {
+  _id: string;
+  userId: string;
+  role: BandRole;
+  roleId: string | null;
+  /** Granted on top of the role template */
+  permissions: BandPermission[];
+}
+
+/** Everything the current user may do in a band, including implied permissions */
+export interface BandPermissions {
+  role: BandRole;
+  roleId: string | null;
+  permissions: BandPermission[];
+}
+
+export interface Band {
+  _id: string;
+  name: string;
+  description: string;
+  members: BandMember[];
+  roles: RoleTemplate[];
+  createdBy: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type InvitationType = 'email' | 'code';
+
+export interface Invitation {
+  _id: string;
+  bandId: string;
+  type: InvitationType;
+  email?: string;
+  code?: string;
+  role: BandRole;
+  roleId: string | null;
+  permissions: BandPermission[];
+  status: 'pending' | 'accepted' | 'declined' | 'revoked';
+  maxUses: number | null;
+  uses?: { userId: string; joinedAt: string }[];
+  invitedBy: { _id: string; name: string } | string;
+  respondedAt: string | null;
+  expiresAt: string;
+  createdAt: string;
+}
+
+/** Invitation sent to the current user, with its band and inviter filled in */
+export interface ReceivedInvitation extends Omit<Invitation, 'bandId' | 'invitedBy'> {
+  bandId: Pick<Band, '_id' | 'name' | 'description'>;
+  invitedBy: { _id: string; name: string };
+}
+
+export interface InvitationInput {
+  type?: InvitationType;
+  email?: string;
+  role?: BandRole;
+  roleId?: string | null;
+  permissions?: BandPermission[];
+  expiresInDays?: number;
+  maxUses?: number | null;
+}
+
+export interface RoleTemplateInput {
+  name?: string;
+  description?: string;
+  permissions?: BandPermission[];
+}
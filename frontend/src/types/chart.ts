@@ -0,0 +1,40 @@
+/**
+ * Chord chart types returned by the chart endpoints
+ */
+
+export interface ChartSegment {
+  chord: string | null;
+  lyrics: string;
+}
+
+export type ChartLine =
+  | { type: 'lyrics'; segments: ChartSegment[] }
+  | { type: 'comment'; text: string }
+  | { type: 'tab'; text: string };
+
+export interface ChartSection {
+  index: number;
+  type: 'verse' | 'chorus' | 'bridge' | 'tab' | 'intro' | 'outro' | 'none';
+  label: string | null;
+  lines: ChartLine[];
+}
+
+export interface RenderedChart {
+  chordSheet: string;
+  sections: ChartSection[];
+  chords: string[];
+}
+
+export interface SongChart {
+  songId: string;
+  /** Arrangement the chart is for; the title names it */
+  variantId: string | null;
+  title: string;
+  artist: string;
+  songKey: string | null;
+  playedKey: string | null;
+  transpose: number;
+  chart: RenderedChart | null;
+  chordSheetUrl: string;
+  lyricsUrl: string;
+}
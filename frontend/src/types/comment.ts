@@ -0,0 +1,49 @@
+/**
+ * Comment types for song and setlist entry discussions
+ */
+
+export interface CommentAuthor {
+  _id: string;
+  name: string;
+}
+
+export interface Comment {
+  _id: string;
+  targetType: 'song' | 'setlist_entry';
+  songId: string | null;
+  setlistId: string | null;
+  entryId: string | null;
+  /** Comment that started the thread; null for the first comment */
+  parentId: string | null;
+  /** Mentions are written as @[Name](userId) */
+  body: string;
+  mentions: CommentAuthor[];
+  resolved: boolean;
+  resolvedBy: string | null;
+  resolvedAt: string | null;
+  editedAt: string | null;
+  createdBy: CommentAuthor;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface CommentThread extends Comment {
+  replies: Comment[];
+}
+
+export type CommentTarget = { songId: string } | { setlistId: string; entryId: string };
+
+export interface CommentInput {
+  body: string;
+  parentId?: string;
+}
+
+/** Sent to the song or setlist room when a comment or thread is deleted */
+export interface CommentsDeleted {
+  commentIds: string[];
+  threadId: string;
+  targetType: Comment['targetType'];
+  songId: string | null;
+  setlistId: string | null;
+  entryId: string | null;
+}
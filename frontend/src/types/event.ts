@@ -0,0 +1,128 @@
+/**
+ * Gig and rehearsal calendar types
+ */
+
+export type EventType = 'gig' | 'rehearsal';
+
+export type EventStatus = 'confirmed' | 'tentative' | 'cancelled';
+
+export interface SetTime {
+  _id?: string;
+  name: string;
+  /** Set of the event's setlist played in this slot */
+  setId: string | null;
+  startsAt: string;
+  endsAt: string | null;
+}
+
+export interface SetTimeInput {
+  /** Defaults to the name of the set it points at */
+  name?: string;
+  setId?: string | null;
+  startsAt: string;
+  endsAt?: string | null;
+}
+
+export interface CalendarEvent {
+  _id: string;
+  type: EventType;
+  title: string;
+  /** Null for a personal event */
+  bandId: string | null;
+  /** A gig keeps this setlist's date and venue in step */
+  setlistId: string | null;
+  status: EventStatus;
+  startsAt: string;
+  endsAt: string | null;
+  allDay: boolean;
+  /** IANA time zone, e.g. Europe/London */
+  timeZone: string;
+  loadInAt: string | null;
+  soundcheckAt: string | null;
+  setTimes: SetTime[];
+  /** Venue record; fills the venue text, an empty address and a default time zone */
+  venueId: string | null;
+  venue: string;
+  address: string;
+  notes: string;
+  /** UID of the calendar entry the event was imported from */
+  externalUid: string | null;
+  sequence: number;
+  createdBy: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type CalendarEventInput = Partial<
+  Pick<
+    CalendarEvent,
+    | 'type'
+    | 'title'
+    | 'setlistId'
+    | 'status'
+    | 'startsAt'
+    | 'endsAt'
+    | 'allDay'
+    | 'timeZone'
+    | 'loadInAt'
+    | 'soundcheckAt'
+    | 'venueId'
+    | 'venue'
+    | 'address'
+    | 'notes'
+  >
+> & {
+  setTimes?: SetTimeInput[];
+};
+
+export interface NewCalendarEvent extends CalendarEventInput {
+  title: string;
+  startsAt: string;
+  bandId?: string | null;
+}
+
+export interface CalendarEventFilters {
+  bandId?: string;
+  from?: string;
+  to?: string;
+  type?: EventType;
+  status?: EventStatus;
+}
+
+export interface SkippedCalendarEntry {
+  uid: string;
+  summary: string;
+  reason: string;
+}
+
+export interface CalendarImportResult {
+  created: CalendarEvent[];
+  updated: CalendarEvent[];
+  skipped: SkippedCalendarEntry[];
+}
+
+export interface CalendarImportOptions {
+  /** Band calendar to import onto; the user's own calendar if left out */
+  bandId?: string;
+  /** Type of every imported event; guessed from each title if left out */
+  type?: EventType;
+  /** Time zone of times the file does not give one for */
+  timeZone?: string;
+}
+
+export interface CalendarFeed {
+  _id: string;
+  /** Null for a feed of all the user's events */
+  bandId: string | null;
+  label: string;
+  lastAccessedAt: string | null;
+  createdAt: string;
+}
+
+/** Returned once, when the feed is created; the URL cannot be looked up again */
+export interface CreatedCalendarFeed extends CalendarFeed {
+  token: string;
+  url: string;
+  /** Opens the subscription in the device's calendar app */
+  webcalUrl: string;
+}
@@ -0,0 +1,73 @@
+/**
+ * Song metadata types returned by the metadata endpoints
+ */
+import { Song } from './song';
+
+/** Song details a suggestion can fill in */
+export type SuggestedField = 'artist' | 'duration' | 'key' | 'tempo';
+
+export interface MetadataSuggestion {
+  /** Provider the recording came from, e.g. "spotify" or "musicbrainz" */
+  provider: string;
+  externalId: string;
+  title: string;
+  artist: string;
+  /** In seconds; null when the provider does not know it */
+  duration: number | null;
+  key: string | null;
+  tempo: number | null;
+  links: Partial<Pick<Song, 'spotifyId' | 'musicbrainzId'>>;
+  /** How well the recording matches the search, from 0 to 1 */
+  score: number;
+}
+
+export interface MetadataChange {
+  from: string | number;
+  to: string | number;
+}
+
+/** A suggestion for a song, with what choosing it would change */
+export interface SongMetadataSuggestion extends MetadataSuggestion {
+  changes: Partial<Record<SuggestedField | 'spotifyId' | 'musicbrainzId', MetadataChange>>;
+}
+
+export interface MetadataSearchResult<T extends MetadataSuggestion = MetadataSuggestion> {
+  suggestions: T[];
+  /** Providers that failed and are left out */
+  unavailable: string[];
+}
+
+export interface EnrichOptions {
+  bandId?: string | null;
+  songIds?: string[];
+  limit?: number;
+  /** next of the previous page */
+  after?: string;
+  onlyUnlinked?: boolean;
+  overwrite?: boolean;
+  dryRun?: boolean;
+}
+
+export interface EnrichResult {
+  songId: string;
+  title: string;
+  artist: string;
+  status: 'matched' | 'updated' | 'unmatched' | 'failed';
+  match?: Pick<MetadataSuggestion, 'provider' | 'externalId' | 'title' | 'artist' | 'score'>;
+  changes?: SongMetadataSuggestion['changes'];
+  message?: string;
+}
+
+export interface EnrichReport {
+  results: EnrichResult[];
+  summary: {
+    total: number;
+    matched: number;
+    updated: number;
+    unmatched: number;
+    failed: number;
+    dryRun: boolean;
+  };
+  /** after for the next page; null on the last page */
+  next: string | null;
+}
@@ -0,0 +1,44 @@
+/**
+ * Notification center and notification settings types
+ */
+
+export type NotificationEvent = 'setlist_changed' | 'band_invitation' | 'comment_mention' | 'gig_reminder';
+
+export type NotificationChannel = 'inApp' | 'email' | 'push';
+
+export interface AppNotification {
+  _id: string;
+  type: NotificationEvent;
+  title: string;
+  body: string;
+  /** Frontend path to open */
+  url: string;
+  bandId: string | null;
+  data: Record<string, unknown>;
+  /** How many events a digest notification stands for */
+  count: number;
+  readAt: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface NotificationPage {
+  notifications: AppNotification[];
+  unreadCount: number;
+}
+
+export type EventChannels = Record<NotificationChannel, boolean>;
+
+export interface NotificationPreferences {
+  /** Account-wide switch for email and push */
+  notifications: boolean;
+  events: Record<NotificationEvent, EventChannels>;
+  available: Record<NotificationEvent, { description: string; digest: boolean }>;
+  /** VAPID key to subscribe to web push with; null when the server has no push set up */
+  pushPublicKey: string | null;
+}
+
+export interface NotificationPreferencesChanges {
+  notifications?: boolean;
+  events?: Partial<Record<NotificationEvent, Partial<EventChannels>>>;
+}
@@ -0,0 +1,99 @@
+/**
+ * Live performance types shared by PerformanceMode and its services
+ */
+import { SetlistItemType } from './setlist';
+
+export type PerformanceEntryStatus = 'pending' | 'playing' | 'played' | 'skipped';
+
+export interface PerformanceEntryPart {
+  songId: string;
+  variantId: string | null;
+  title: string;
+  plannedDuration: number;
+}
+
+export interface PerformanceEntry {
+  _id: string;
+  type: SetlistItemType;
+  /** Null for a break, announcement or cue; the first song of a medley */
+  songId: string | null;
+  /** Every song the entry plays, one per medley song (none for an item) */
+  parts?: PerformanceEntryPart[];
+  /** Song title, or what the item is, e.g. "Break: Raffle" */
+  title: string;
+  setlistEntryId: string | null;
+  setName: string;
+  plannedDuration: number;
+  status: PerformanceEntryStatus;
+  addedOnTheFly: boolean;
+  startedAt: string | null;
+  endedAt: string | null;
+  actualDuration: number | null;
+}
+
+export interface PerformanceState {
+  performanceId: string;
+  setlistId: string;
+  status: 'live' | 'completed';
+  leaderId: string;
+  startedAt: string;
+  endedAt: string | null;
+  currentIndex: number;
+  nowPlaying: PerformanceEntry | null;
+  upNext: PerformanceEntry | null;
+  progress: {
+    total: number;
+    played: number;
+    skipped: number;
+    remaining: number;
+  };
+  entries: PerformanceEntry[];
+}
+
+export type PerformanceAction =
+  | { type: 'next'; fromEntryId?: string | null }
+  | { type: 'skip'; entryId: string }
+  | { type: 'jump'; entryId: string }
+  | { type: 'addSong'; songId: string; position?: number }
+  | { type: 'setLeader'; userId: string }
+  | { type: 'end' };
+
+export interface SongPlayStats {
+  songId: string;
+  title: string;
+  artist: string;
+  playCount: number;
+  gigCount: number;
+  firstPlayedAt: string;
+  lastPlayedAt: string;
+  averagePlannedDuration: number;
+  averageActualDuration: number | null;
+  averageOverrun: number | null;
+  timedPlays: number;
+}
+
+export interface GigSummary {
+  performanceId: string;
+  title: string;
+  venue: string;
+  date: string;
+}
+
+export interface UnplayedSongs {
+  gigs: GigSummary[];
+  songs: {
+    songId: string;
+    title: string;
+    artist: string;
+    duration: number;
+    tags: string[];
+    playCount: number;
+    lastPlayedAt: string | null;
+  }[];
+}
+
+export interface VenueHistory extends GigSummary {
+  setlistId: string;
+  songs: { songId: string; title: string; setName: string }[];
+  repeated?: { entryId: string; songId: string; setName: string }[];
+}
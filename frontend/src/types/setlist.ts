@@ -0,0 +1,182 @@
+/**
+ * Setlist types shared by the setlist pages and services
+ */
+
+/** What a setlist entry is; everything but a song is an item with a label */
+export type SetlistItemType = 'song' | 'break' | 'speech' | 'cue';
+
+/** One song of a medley */
+export interface MedleyPart {
+  _id: string;
+  songId: string;
+  variantId: string | null;
+  duration: number;
+}
+
+export interface SetlistEntry {
+  _id: string;
+  type: SetlistItemType;
+  /** What an item is about, e.g. "Raffle" */
+  label: string;
+  /** For a medley, its first song; null for an item */
+  songId: string | null;
+  /** Arrangement of the song played; null for the song as written */
+  variantId: string | null;
+  /** Songs played back to back as one block; empty for a single song */
+  medley: MedleyPart[];
+  medleyName: string;
+  /** Runs straight into the next entry, without a gap */
+  segue: boolean;
+  order: number;
+  duration: number;
+  notes: string;
+  isPlayed: boolean;
+  gapAfter: number | null;
+}
+
+export interface SetlistSet {
+  _id: string;
+  name: string;
+  duration: number;
+  targetDuration: number | null;
+  overrun: number | null;
+  songs: SetlistEntry[];
+}
+
+export interface Setlist {
+  _id: string;
+  title: string;
+  description: string;
+  date: string | null;
+  /** Venue record; the venue text follows its name */
+  venueId: string | null;
+  venue: string;
+  totalDuration: number;
+  targetDuration: number | null;
+  overrun: number | null;
+  songGap: number;
+  sets: SetlistSet[];
+  createdBy: string;
+  bandId: string | null;
+  isPublic: boolean;
+  /** Setlist this one was cloned from */
+  clonedFromId: string | null;
+  /** Template this setlist was created from */
+  templateId: string | null;
+  version: number;
+  syncSeq: number;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type SetlistChanges = Partial<
+  Pick<
+    Setlist,
+    | 'title'
+    | 'description'
+    | 'date'
+    | 'venueId'
+    | 'venue'
+    | 'isPublic'
+    | 'sets'
+    | 'targetDuration'
+    | 'songGap'
+  >
+>;
+
+/** Where and when a setlist made from a template or clone is played */
+export interface NewSetlistDetails {
+  title?: string;
+  description?: string;
+  date?: string | null;
+  venueId?: string | null;
+  venue?: string;
+}
+
+export interface CloneOptions extends NewSetlistDetails {
+  /** Defaults to true; false copies only the sets, their names and budgets */
+  includeSongs?: boolean;
+}
+
+export interface VersionConflict {
+  baseVersion: number;
+  currentVersion: number;
+  setlist: Setlist;
+}
+
+export type BudgetStatus = 'over' | 'under' | 'on_target' | 'no_target';
+
+export interface SongOverBudget {
+  entryId: string;
+  type: SetlistItemType;
+  /** What an item is about; empty for a song */
+  label: string;
+  songId: string | null;
+  position: number;
+  startsAt: number;
+  endsAt: number;
+  overBy: number;
+}
+
+export interface SetBudget {
+  setId: string;
+  name: string;
+  duration: number;
+  targetDuration: number | null;
+  overrun: number | null;
+  status: BudgetStatus;
+  songsOverBudget: SongOverBudget[];
+}
+
+export interface BudgetReport {
+  totalDuration: number;
+  targetDuration: number | null;
+  overrun: number | null;
+  status: BudgetStatus;
+  sets: SetBudget[];
+}
+
+export interface SetlistTemplateEntry {
+  _id: string;
+  type: SetlistItemType;
+  label: string;
+  songId: string | null;
+  variantId: string | null;
+  medley: MedleyPart[];
+  medleyName: string;
+  segue: boolean;
+  duration: number;
+  notes: string;
+  gapAfter: number | null;
+  transpose: number;
+  capo: number | null;
+}
+
+export interface SetlistTemplateSet {
+  _id: string;
+  name: string;
+  targetDuration: number | null;
+  /** Empty unless the template includes songs */
+  songs: SetlistTemplateEntry[];
+}
+
+/** A reusable show shape, e.g. two 45-minute sets */
+export interface SetlistTemplate {
+  _id: string;
+  name: string;
+  description: string;
+  /** Null for a personal template */
+  bandId: string | null;
+  includesSongs: boolean;
+  songGap: number;
+  targetDuration: number | null;
+  sets: SetlistTemplateSet[];
+  sourceSetlistId: string | null;
+  createdBy: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type SetlistTemplateChanges = Partial<
+  Pick<SetlistTemplate, 'name' | 'description' | 'songGap' | 'targetDuration'>
+>;
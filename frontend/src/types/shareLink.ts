@@ -0,0 +1,79 @@
+/**
+ * Guest share link types
+ */
+import { SongChart } from './chart';
+import { Setlist, SetlistSet } from './setlist';
+import { Song } from './song';
+
+export interface ShareLink {
+  _id: string;
+  setlistId: string;
+  /** Who the link is for, e.g. the dep's name */
+  label: string;
+  readOnly: boolean;
+  expiresAt: string;
+  revokedAt: string | null;
+  active: boolean;
+  createdBy: string;
+  createdAt: string;
+  accessCount: number;
+  lastAccessedAt: string | null;
+}
+
+/** Returned once, when the link is created; the token cannot be looked up again */
+export interface CreatedShareLink extends ShareLink {
+  token: string;
+  url: string;
+}
+
+export interface ShareLinkInput {
+  label?: string;
+  readOnly?: boolean;
+  expiresAt?: string;
+}
+
+export interface ShareLinkAccess {
+  _id: string;
+  action: 'view' | 'charts' | 'edit';
+  ip: string;
+  userAgent: string;
+  timestamp: string;
+}
+
+export interface ShareLinkWithLog extends ShareLink {
+  accessLog: ShareLinkAccess[];
+}
+
+export type SharedSong = Pick<
+  Song,
+  '_id' | 'title' | 'artist' | 'duration' | 'key' | 'tempo' | 'notes' | 'chordSheetUrl' | 'lyricsUrl'
+>;
+
+/** What a guest sees through a share link */
+export interface SharedSetlist {
+  label: string;
+  readOnly: boolean;
+  expiresAt: string;
+  setlist: Pick<
+    Setlist,
+    '_id' | 'title' | 'description' | 'date' | 'venue' | 'sets' | 'totalDuration' | 'songGap' | 'version'
+  >;
+  songs: SharedSong[];
+}
+
+export interface SharedSetCharts {
+  setId: string;
+  name: string;
+  charts: SongChart[];
+}
+
+export interface SharedCharts {
+  setlistId: string;
+  version: number;
+  sets: SharedSetCharts[];
+}
+
+export interface SharedSetlistUpdate {
+  version: number;
+  sets: SetlistSet[];
+}
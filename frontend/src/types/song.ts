@@ -0,0 +1,82 @@
+/**
+ * Song types shared by the song library pages and services
+ */
+
+/** A named arrangement of a song, e.g. a radio edit or an acoustic version */
+export interface SongVariant {
+  _id: string;
+  name: string;
+  /** 0 when it plays as long as the song */
+  duration: number;
+  /** Empty when it is in the song's key */
+  key: string;
+  notes: string;
+}
+
+export type AttachmentKind = 'chart' | 'lyrics' | 'other';
+
+/** One upload of an attachment; versions never change once uploaded */
+export interface AttachmentVersion {
+  number: number;
+  fileName: string;
+  mimeType: string;
+  /** In bytes */
+  size: number;
+  /** SHA-256 of the file */
+  checksum: string;
+  uploadedBy: string;
+  createdAt: string;
+}
+
+/** A PDF, image or text chart attached to a song */
+export interface SongAttachment {
+  _id: string;
+  name: string;
+  kind: AttachmentKind;
+  /** Oldest first; the last is the current file */
+  versions: AttachmentVersion[];
+  createdBy: string;
+}
+
+export interface Song {
+  _id: string;
+  title: string;
+  artist: string;
+  duration: number;
+  key: string;
+  tempo: number;
+  tags: string[];
+  notes: string;
+  chordSheet: string;
+  chordSheetUrl: string;
+  lyricsUrl: string;
+  spotifyId: string;
+  musicbrainzId: string;
+  variants: SongVariant[];
+  /** Changed through the attachment endpoints only, never through sync */
+  attachments: SongAttachment[];
+  createdBy: string;
+  bandId: string | null;
+  syncSeq: number;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type SongChanges = Partial<
+  Pick<
+    Song,
+    | 'title'
+    | 'artist'
+    | 'duration'
+    | 'key'
+    | 'tempo'
+    | 'tags'
+    | 'notes'
+    | 'chordSheet'
+    | 'chordSheetUrl'
+    | 'lyricsUrl'
+    | 'spotifyId'
+    | 'musicbrainzId'
+    | 'variants'
+  >
+>;
@@ -0,0 +1,45 @@
+/**
+ * Offline sync protocol types, mirroring POST /api/sync
+ */
+import { Setlist } from './setlist';
+import { Song } from './song';
+
+export type SyncCollection = 'setlists' | 'songs';
+
+export interface SyncChange {
+  collection: SyncCollection;
+  id: string;
+  action: 'upsert' | 'delete';
+  /** Setlist version or song syncSeq the change was made on; null for new documents */
+  base: number | null;
+  data: Record<string, unknown>;
+  clientChangeId: string;
+}
+
+export interface SyncChangeResult {
+  collection: SyncCollection;
+  id: string;
+  clientChangeId?: string;
+  status: 'applied' | 'conflict' | 'rejected';
+  message?: string;
+  document: Setlist | Song | null;
+  /** The change as sent, when the server did not take it */
+  change?: Pick<SyncChange, 'action' | 'base' | 'data'>;
+}
+
+/** A change the server did not take, kept until the user re-applies or dismisses it */
+export interface SyncConflict extends SyncChangeResult {
+  /** The local copy with the change, as it was before the server's copy replaced it */
+  local: Setlist | Song | null;
+}
+
+export interface SyncResponse {
+  fullResync: boolean;
+  results: SyncChangeResult[];
+  cursor: string;
+  hasMore: boolean;
+  bandIds: string[];
+  setlists: Setlist[];
+  songs: Song[];
+  deleted: { collection: SyncCollection; id: string }[];
+}
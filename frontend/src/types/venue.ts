@@ -0,0 +1,77 @@
+/**
+ * Venue types
+ */
+
+export interface VenueContact {
+  _id?: string;
+  name: string;
+  /** e.g. promoter, sound engineer */
+  role: string;
+  email: string;
+  phone: string;
+}
+
+export interface Venue {
+  _id: string;
+  name: string;
+  /** Other names the venue is found by, e.g. those of venues merged into it */
+  aliases: string[];
+  /** Null for a personal venue */
+  bandId: string | null;
+  address: string;
+  /** IANA time zone the curfew is in, e.g. Europe/London */
+  timeZone: string;
+  /** In metres */
+  stageSize: { width: number | null; depth: number | null };
+  /** HH:mm in the venue's time zone */
+  curfew: string | null;
+  housePaNotes: string;
+  contacts: VenueContact[];
+  /** Usual length of each set in seconds; pre-fills a new setlist's sets */
+  defaultSetLengths: number[];
+  notes: string;
+  createdBy: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type VenueInput = Partial<
+  Pick<
+    Venue,
+    | 'name'
+    | 'aliases'
+    | 'address'
+    | 'timeZone'
+    | 'stageSize'
+    | 'curfew'
+    | 'housePaNotes'
+    | 'contacts'
+    | 'defaultSetLengths'
+    | 'notes'
+  >
+>;
+
+export interface NewVenue extends VenueInput {
+  name: string;
+  bandId?: string | null;
+}
+
+export interface VenueSearch {
+  q?: string;
+  bandId?: string;
+  limit?: number;
+}
+
+export interface VenueMergeResult {
+  venue: Venue;
+  merged: number;
+  setlists: number;
+  events: number;
+  performances: number;
+}
+
+export interface VenueLinkResult {
+  created: Venue[];
+  setlists: number;
+  performances: number;
+}
@@ -0,0 +1,18 @@
+import formatDuration from './formatDuration';
+
+describe('formatDuration', () => {
+  it('formats minutes and seconds', () => {
+    expect(formatDuration(0)).toBe('0:00');
+    expect(formatDuration(245)).toBe('4:05');
+    expect(formatDuration(59.6)).toBe('1:00');
+  });
+
+  it('adds hours from an hour up', () => {
+    expect(formatDuration(3600)).toBe('1:00:00');
+    expect(formatDuration(5025)).toBe('1:23:45');
+  });
+
+  it('keeps the sign of negative durations', () => {
+    expect(formatDuration(-90)).toBe('-1:30');
+  });
+});
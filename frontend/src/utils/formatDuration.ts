@@ -0,0 +1,16 @@
+/**
+ * Format a duration in seconds as M:SS, or H:MM:SS for an hour or more
+ */
+const formatDuration = (totalSeconds: number): string => {
+  const sign = totalSeconds < 0 ? '-' : '';
+  const seconds = Math.abs(Math.round(totalSeconds));
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = (seconds % 60).toString().padStart(2, '0');
+
+  return hours
+    ? `${sign}${hours}:${minutes.toString().padStart(2, '0')}:${secs}`
+    : `${sign}${minutes}:${secs}`;
+};
+
+export default formatDuration;
@@ -0,0 +1,39 @@
+import { mergeSetlistChanges } from './mergeSetlist';
+import { Setlist } from '../types/setlist';
+
+const base = { title: 'Friday', description: '', isPublic: false } as Setlist;
+
+describe('mergeSetlistChanges', () => {
+  it('takes local changes to fields the server left alone', () => {
+    const server = { ...base, description: 'Two sets' } as Setlist;
+
+    expect(mergeSetlistChanges(base, { title: 'Friday at the Crown' }, server)).toEqual({
+      merged: { title: 'Friday at the Crown' },
+      conflicts: [],
+    });
+  });
+
+  it('accepts the same change made on both sides', () => {
+    const server = { ...base, isPublic: true } as Setlist;
+
+    expect(mergeSetlistChanges(base, { isPublic: true }, server)).toEqual({
+      merged: { isPublic: true },
+      conflicts: [],
+    });
+  });
+
+  it('reports fields both sides changed differently', () => {
+    const server = { ...base, title: 'Saturday' } as Setlist;
+
+    expect(mergeSetlistChanges(base, { title: 'Sunday', isPublic: true }, server)).toEqual({
+      merged: { isPublic: true },
+      conflicts: ['title'],
+    });
+  });
+
+  it('skips local values that are unchanged from the base', () => {
+    const server = { ...base, title: 'Saturday' } as Setlist;
+
+    expect(mergeSetlistChanges(base, { title: 'Friday' }, server)).toEqual({ merged: {}, conflicts: [] });
+  });
+});
@@ -0,0 +1,41 @@
+import { Setlist, SetlistChanges } from '../types/setlist';
+
+type MergeableField = keyof SetlistChanges;
+
+export interface SetlistMergeResult {
+  merged: SetlistChanges;
+  conflicts: MergeableField[];
+}
+
+const isEqual = (a: unknown, b: unknown): boolean => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Three-way merge of local changes onto a newer server version
+ * A field merges cleanly when only one side changed it since the base, or both
+ * sides made the same change. Anything else is reported as a conflict.
+ */
+export const mergeSetlistChanges = (
+  base: Setlist,
+  local: SetlistChanges,
+  server: Setlist
+): SetlistMergeResult => {
+  const merged: SetlistChanges = {};
+  const conflicts: MergeableField[] = [];
+
+  (Object.keys(local) as MergeableField[]).forEach((field) => {
+    const localValue = local[field];
+    const localChanged = !isEqual(localValue, base[field]);
+    const serverChanged = !isEqual(server[field], base[field]);
+
+    if (!localChanged) return;
+
+    if (serverChanged && !isEqual(server[field], localValue)) {
+      conflicts.push(field);
+      return;
+    }
+
+    (merged as Record<MergeableField, unknown>)[field] = localValue;
+  });
+
+  return { merged, conflicts };
+};
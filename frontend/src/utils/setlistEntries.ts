@@ -0,0 +1,32 @@
+import { SetlistEntry, SetlistItemType } from '../types/setlist';
+
+export type NonSongItemType = Exclude<SetlistItemType, 'song'>;
+
+/** What each kind of item is called, as on the server's printouts */
+export const ITEM_NAMES: Record<NonSongItemType, string> = {
+  break: 'Break',
+  speech: 'Announcement',
+  cue: 'Cue',
+};
+
+/**
+ * Whether an entry plays songs; entries saved before items existed have no type
+ */
+export const isSong = (entry: Pick<SetlistEntry, 'type'>): boolean => !entry.type || entry.type === 'song';
+
+/**
+ * The songs an entry plays, medley parts included; none for an item
+ */
+export const getEntrySongIds = (entry: Pick<SetlistEntry, 'type' | 'songId' | 'medley'>): string[] => {
+  if (!isSong(entry)) return [];
+  if (entry.medley && entry.medley.length) return entry.medley.map((part) => part.songId);
+  return entry.songId ? [entry.songId] : [];
+};
+
+/**
+ * Display title of an item, e.g. "Announcement: Raffle"
+ */
+export const formatItemTitle = (item: { type: SetlistItemType; label: string }): string => {
+  const name = ITEM_NAMES[item.type as NonSongItemType] || 'Item';
+  return item.label ? `${name}: ${item.label}` : name;
+};